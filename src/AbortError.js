@@ -0,0 +1,48 @@
+/**
+ * Signal of the AbortController, only the fields read by the database are declared
+ * so the types do not depend on the DOM or Node.js typings.
+ * @typedef {object} AbortSignal
+ * @property {boolean} aborted
+ * @property {any} [reason]
+ */
+
+/**
+ * Thrown when the operation is cancelled with its AbortSignal,
+ * the reason of the signal is the cause of the error.
+ * @class
+ */
+class AbortError extends Error {
+	/** @type {string} */
+	uri
+
+	/**
+	 * Creates a new AbortError instance
+	 * @param {object} input
+	 * @param {string} [input.uri=""] URI of the cancelled operation
+	 * @param {any} [input.reason] Reason of the signal
+	 */
+	constructor(input = {}) {
+		const {
+			uri = "",
+			reason,
+		} = input
+		super(["Operation aborted", uri].filter(Boolean).join(": "), { cause: reason })
+		this.name = "AbortError"
+		this.uri = String(uri)
+	}
+
+	/**
+	 * Throws AbortError if the signal is aborted.
+	 * @param {AbortSignal | undefined | null} signal
+	 * @param {string} [uri=""] URI of the operation
+	 * @returns {void}
+	 * @throws {AbortError}
+	 */
+	static throwIfAborted(signal, uri = "") {
+		if (signal?.aborted) {
+			throw new AbortError({ uri, reason: signal.reason })
+		}
+	}
+}
+
+export default AbortError
@@ -0,0 +1,23 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import AbortError from './AbortError.js'
+
+describe('AbortError', () => {
+	it('should describe the cancelled operation', () => {
+		const err = new AbortError({ uri: 'a.json', reason: 'timeout' })
+		assert.ok(err instanceof Error)
+		assert.strictEqual(err.name, 'AbortError')
+		assert.strictEqual(err.message, 'Operation aborted: a.json')
+		assert.strictEqual(err.uri, 'a.json')
+		assert.strictEqual(err.cause, 'timeout')
+		assert.strictEqual(new AbortError().message, 'Operation aborted')
+	})
+
+	it('should throw only for the aborted signal', () => {
+		const controller = new AbortController()
+		AbortError.throwIfAborted(undefined, 'a.json')
+		AbortError.throwIfAborted(controller.signal, 'a.json')
+		controller.abort()
+		assert.throws(() => AbortError.throwIfAborted(controller.signal, 'a.json'), AbortError)
+	})
+})
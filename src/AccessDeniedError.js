@@ -0,0 +1,36 @@
+/**
+ * Thrown by ensureAccess when the access policy refuses the access level
+ * of the subject to the document.
+ * @class
+ */
+class AccessDeniedError extends Error {
+	/** @type {string} */
+	uri
+	/** @type {string} */
+	level
+	/** @type {import("./AccessPolicy.js").AccessSubject} */
+	subject
+
+	/**
+	 * Creates a new AccessDeniedError instance
+	 * @param {object} input
+	 * @param {string} [input.uri=""] Document URI
+	 * @param {string} [input.level="r"] Refused access level
+	 * @param {import("./AccessPolicy.js").AccessSubject} [input.subject={}] Subject of the access
+	 */
+	constructor(input = {}) {
+		const {
+			uri = "",
+			level = "r",
+			subject = {},
+		} = input
+		const who = subject.user ? ["user", subject.user].join(":") : "anonymous"
+		super(["Access denied", `${level} ${uri}`, who].join(": "))
+		this.name = "AccessDeniedError"
+		this.uri = String(uri)
+		this.level = String(level)
+		this.subject = subject
+	}
+}
+
+export default AccessDeniedError
@@ -0,0 +1,19 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import AccessDeniedError from './AccessDeniedError.js'
+
+describe('AccessDeniedError', () => {
+	it('should describe the refused access', () => {
+		const err = new AccessDeniedError({ uri: 'a.txt', level: 'w', subject: { user: 'bob' } })
+		assert.ok(err instanceof Error)
+		assert.strictEqual(err.name, 'AccessDeniedError')
+		assert.strictEqual(err.message, 'Access denied: w a.txt: user:bob')
+		assert.strictEqual(err.uri, 'a.txt')
+		assert.strictEqual(err.level, 'w')
+		assert.deepStrictEqual(err.subject, { user: 'bob' })
+	})
+
+	it('should describe anonymous subject', () => {
+		assert.strictEqual(new AccessDeniedError({ uri: 'x' }).message, 'Access denied: r x: anonymous')
+	})
+})
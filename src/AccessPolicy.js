@@ -0,0 +1,173 @@
+import Glob from "./utils/glob.js"
+
+/**
+ * @typedef {object} AccessSubject
+ * @property {string} [user] User name
+ * @property {string[]} [roles] Roles of the user
+ * @property {string[]} [groups] Groups of the user
+ */
+
+/**
+ * @typedef {object} AccessRule
+ * @property {"allow" | "deny"} effect
+ * @property {string[]} path Glob patterns, literal paths also cover their subdirectories
+ * @property {string[]} subject "*", "user:name", "role:name", "group:name", bare name is a user
+ * @property {string} level Access levels, any of "r", "w", "d"
+ * @property {Glob} glob Compiled path patterns
+ */
+
+/**
+ * Rule-based access control policy.
+ * A level is granted when at least one allow rule matches and no deny rule matches,
+ * documents without matching rules get the default effect.
+ * @example
+ * const policy = new AccessPolicy({
+ * 	rules: [
+ * 		{ effect: "allow", path: "**", subject: "*", level: "r" },
+ * 		{ effect: "allow", path: "posts/**", subject: "role:editor", level: "rwd" },
+ * 		{ effect: "deny", path: "posts/archive", subject: "*", level: "wd" },
+ * 	],
+ * })
+ * @class
+ */
+class AccessPolicy {
+	/** @type {string} Default URI of the policy document */
+	static URI = ".access.json"
+	/** @type {string} */
+	static LEVELS = "rwd"
+
+	/** @type {AccessRule[]} */
+	rules = []
+	/** @type {"allow" | "deny"} */
+	defaultEffect
+
+	/**
+	 * Creates a new AccessPolicy instance
+	 * @param {object} input
+	 * @param {Array<object>} [input.rules=[]] Rules with effect, path, subject and level
+	 * @param {"allow" | "deny"} [input.defaultEffect="deny"] Effect when no rule matches
+	 */
+	constructor(input = {}) {
+		const {
+			rules = [],
+			defaultEffect = "deny",
+		} = input
+		this.defaultEffect = "allow" === defaultEffect ? "allow" : "deny"
+		for (const rule of rules) {
+			this.add(rule)
+		}
+	}
+
+	/**
+	 * Adds the rule to the policy.
+	 * @param {object} input
+	 * @param {"allow" | "deny"} [input.effect="allow"]
+	 * @param {string | string[]} [input.path="**"]
+	 * @param {string | string[]} [input.subject="*"]
+	 * @param {string} [input.level="r"]
+	 * @returns {AccessRule}
+	 * @throws {TypeError} If effect or level is invalid
+	 */
+	add(input) {
+		const {
+			effect = "allow",
+			path = "**",
+			subject = "*",
+			level = "r",
+		} = input
+		if (!["allow", "deny"].includes(effect)) {
+			throw new TypeError(["Access rule effect must be allow or deny", effect].join(": "))
+		}
+		const levels = String(level)
+		if (!levels || [...levels].some(l => !AccessPolicy.LEVELS.includes(l))) {
+			throw new TypeError(["Access rule level must consist of r, w, d", levels].join(": "))
+		}
+		const paths = [path].flat().map(String)
+		const patterns = paths.flatMap(p => Glob.isGlob(p) ? [p] : [p, `${p}/**`])
+		const rule = {
+			effect,
+			path: paths,
+			subject: [subject].flat().map(String),
+			level: levels,
+			glob: new Glob(patterns, { dot: true }),
+		}
+		this.rules.push(rule)
+		return rule
+	}
+
+	/**
+	 * Checks if the rule applies to the subject, document and level.
+	 * @param {AccessRule} rule
+	 * @param {AccessSubject} subject
+	 * @param {string} uri
+	 * @param {string} level
+	 * @returns {boolean}
+	 */
+	matches(rule, subject, uri, level) {
+		if (!rule.level.includes(level)) {
+			return false
+		}
+		const names = AccessPolicy.subjects(subject)
+		if (!rule.subject.some(s => "*" === s || names.has(s.includes(":") ? s : "user:" + s))) {
+			return false
+		}
+		return rule.glob.test(uri)
+	}
+
+	/**
+	 * Checks if the subject has the access level to the document, deny overrides allow.
+	 * @param {AccessSubject} subject
+	 * @param {string} uri
+	 * @param {string} [level="r"]
+	 * @returns {boolean}
+	 */
+	allows(subject, uri, level = "r") {
+		let allowed = "allow" === this.defaultEffect
+		for (const rule of this.rules) {
+			if (!this.matches(rule, subject, uri, level)) continue
+			if ("deny" === rule.effect) {
+				return false
+			}
+			allowed = true
+		}
+		return allowed
+	}
+
+	/**
+	 * Returns the policy document representation.
+	 * @returns {{ defaultEffect: string, rules: Array<{ effect: string, path: string[], subject: string[], level: string }> }}
+	 */
+	toJSON() {
+		return {
+			defaultEffect: this.defaultEffect,
+			rules: this.rules.map(({ effect, path, subject, level }) => ({ effect, path, subject, level })),
+		}
+	}
+
+	/**
+	 * Returns subject names in the rule notation: "user:name", "role:name", "group:name".
+	 * @param {AccessSubject} subject
+	 * @returns {Set<string>}
+	 */
+	static subjects(subject) {
+		const { user, roles = [], groups = [] } = subject ?? {}
+		return new Set([
+			...(user ? ["user:" + user] : []),
+			...roles.map(r => "role:" + r),
+			...groups.map(g => "group:" + g),
+		])
+	}
+
+	/**
+	 * Creates AccessPolicy from input, list of rules or returns existing instance.
+	 * @param {object|Array<object>|AccessPolicy} input
+	 * @returns {AccessPolicy}
+	 */
+	static from(input) {
+		if (input instanceof AccessPolicy) return input
+		if (Array.isArray(input)) return new AccessPolicy({ rules: input })
+		return new AccessPolicy(input)
+	}
+}
+
+export default AccessPolicy
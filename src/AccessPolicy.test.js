@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import AccessPolicy from './AccessPolicy.js'
+
+describe('AccessPolicy', () => {
+	const policy = new AccessPolicy({
+		rules: [
+			{ effect: 'allow', path: '**', subject: '*', level: 'r' },
+			{ effect: 'allow', path: 'posts/**', subject: ['role:editor', 'alice'], level: 'rwd' },
+			{ effect: 'allow', path: 'team', subject: 'group:staff', level: 'rw' },
+			{ effect: 'deny', path: 'posts/archive', subject: '*', level: 'wd' },
+			{ effect: 'deny', path: '.access.json', subject: '*', level: 'r' },
+		],
+	})
+
+	it('should deny without matching rules by default', () => {
+		assert.strictEqual(new AccessPolicy().allows({}, 'a.txt', 'r'), false)
+		assert.strictEqual(new AccessPolicy({ defaultEffect: 'allow' }).allows({}, 'a.txt', 'r'), true)
+	})
+
+	it('should match subjects by user, role and group', () => {
+		assert.strictEqual(policy.allows({}, 'posts/1.json', 'r'), true)
+		assert.strictEqual(policy.allows({}, 'posts/1.json', 'w'), false)
+		assert.strictEqual(policy.allows({ roles: ['editor'] }, 'posts/1.json', 'w'), true)
+		assert.strictEqual(policy.allows({ user: 'alice' }, 'posts/1.json', 'd'), true)
+		assert.strictEqual(policy.allows({ user: 'bob' }, 'posts/1.json', 'd'), false)
+		assert.strictEqual(policy.allows({ groups: ['staff'] }, 'team/plan.md', 'w'), true)
+		assert.strictEqual(policy.allows({ groups: ['staff'] }, 'team/plan.md', 'd'), false)
+	})
+
+	it('should cover subdirectories of literal paths', () => {
+		assert.strictEqual(policy.allows({ groups: ['staff'] }, 'team/a/b.txt', 'w'), true)
+		assert.strictEqual(policy.allows({ groups: ['staff'] }, 'teams/a.txt', 'w'), false)
+	})
+
+	it('should let deny override allow', () => {
+		assert.strictEqual(policy.allows({ roles: ['editor'] }, 'posts/archive/1.json', 'r'), true)
+		assert.strictEqual(policy.allows({ roles: ['editor'] }, 'posts/archive/1.json', 'w'), false)
+		assert.strictEqual(policy.allows({ roles: ['editor'] }, 'posts/archive', 'd'), false)
+		assert.strictEqual(policy.allows({ user: 'alice' }, '.access.json', 'r'), false)
+	})
+
+	it('should validate rules', () => {
+		assert.throws(() => new AccessPolicy({ rules: [{ effect: 'maybe' }] }), TypeError)
+		assert.throws(() => new AccessPolicy({ rules: [{ level: 'rx' }] }), TypeError)
+	})
+
+	it('should serialize into the policy document', () => {
+		const copy = AccessPolicy.from(JSON.parse(JSON.stringify(policy)))
+		assert.deepStrictEqual(copy.toJSON(), policy.toJSON())
+		assert.strictEqual(copy.rules[1].path[0], 'posts/**')
+		assert.strictEqual(AccessPolicy.from(policy), policy)
+		assert.strictEqual(AccessPolicy.from([{ level: 'r' }]).rules.length, 1)
+	})
+})
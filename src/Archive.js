@@ -0,0 +1,276 @@
+import DocumentStat from "./DocumentStat.js"
+
+/**
+ * Base64 functions of the runtime, both Node.js and browsers have them as globals.
+ * @type {{ btoa: (data: string) => string, atob: (data: string) => string }}
+ */
+const { btoa, atob } = /** @type {any} */ (globalThis)
+
+/**
+ * Encodes bytes into base64 string.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+	let binary = ""
+	for (let i = 0; i < bytes.length; i += 0x8000) {
+		binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+	}
+	return btoa(binary)
+}
+
+/**
+ * Decodes base64 string into bytes.
+ * @param {string} str
+ * @returns {Uint8Array}
+ */
+function fromBase64(str) {
+	return Uint8Array.from(atob(str), /** @param {string} c */ c => c.charCodeAt(0))
+}
+
+/**
+ * @typedef {object} ArchiveDocument
+ * @property {string} uri Document URI relative to the root of the database
+ * @property {any} data Document content, base64 string for the binary documents
+ * @property {"base64"} [encoding] Encoding of the binary content
+ * @property {object} [meta] Fields of the DocumentStat
+ */
+
+/**
+ * @typedef {object} ArchiveHeader
+ * @property {string} format Always Archive.FORMAT
+ * @property {number} version Version of the archive format
+ * @property {string} prefix Exported directory
+ * @property {number} createdAt Time of the export
+ */
+
+/**
+ * Self-describing snapshot of the database documents, portable between backends.
+ * As JSON bundle it is a header with the documents array,
+ * as NDJSON it is a header line followed by a line for every document.
+ * @example
+ * // {"format":"nan0web-db","version":1,"prefix":".","createdAt":1700000000000}
+ * // {"uri":"posts/1.json","data":{"title":"Hello"}}
+ * @class
+ */
+class Archive {
+	/** @type {string} */
+	static FORMAT = "nan0web-db"
+	/** @type {number} */
+	static VERSION = 1
+
+	/** @type {string} */
+	prefix
+	/** @type {number} */
+	createdAt
+	/** @type {ArchiveDocument[]} */
+	documents
+
+	/**
+	 * Creates a new Archive instance
+	 * @param {object} input
+	 * @param {string} [input.format=Archive.FORMAT]
+	 * @param {number} [input.version=Archive.VERSION]
+	 * @param {string} [input.prefix="."] Exported directory
+	 * @param {number} [input.createdAt=Date.now()] Time of the export
+	 * @param {ArchiveDocument[]} [input.documents=[]]
+	 * @throws {TypeError} If format or version is not supported
+	 */
+	constructor(input = {}) {
+		const {
+			format = Archive.FORMAT,
+			version = Archive.VERSION,
+			prefix = ".",
+			createdAt = Date.now(),
+			documents = [],
+		} = input
+		Archive.validate({ format, version })
+		this.prefix = String(prefix)
+		this.createdAt = Number(createdAt)
+		this.documents = documents.map(doc => ({ ...doc }))
+	}
+
+	/**
+	 * Header of the archive, the first line of NDJSON.
+	 * @returns {ArchiveHeader}
+	 */
+	get header() {
+		return { format: Archive.FORMAT, version: Archive.VERSION, prefix: this.prefix, createdAt: this.createdAt }
+	}
+
+	/**
+	 * Returns JSON bundle of the archive.
+	 * @returns {ArchiveHeader & { documents: ArchiveDocument[] }}
+	 */
+	toJSON() {
+		return { ...this.header, documents: this.documents }
+	}
+
+	/**
+	 * Yields NDJSON lines of the archive, every line ends with a newline.
+	 * @yields {string}
+	 * @returns {Generator<string, void, unknown>}
+	 */
+	*toNDJSON() {
+		yield JSON.stringify(this.header) + "\n"
+		for (const doc of this.documents) {
+			yield JSON.stringify(doc) + "\n"
+		}
+	}
+
+	/**
+	 * Checks the format and version of the archive header.
+	 * @param {{ format?: any, version?: any }} header
+	 * @returns {void}
+	 * @throws {TypeError} If format or version is not supported
+	 */
+	static validate(header) {
+		if (Archive.FORMAT !== header.format) {
+			throw new TypeError(["Unsupported archive format", header.format].join(": "))
+		}
+		if (!Number.isInteger(header.version) || header.version < 1 || header.version > Archive.VERSION) {
+			throw new TypeError(["Unsupported archive version", header.version].join(": "))
+		}
+	}
+
+	/**
+	 * Creates archive document, binary content is encoded into base64.
+	 * @param {string} uri
+	 * @param {any} data
+	 * @param {DocumentStat} [stat] Included as meta when provided
+	 * @returns {ArchiveDocument}
+	 */
+	static document(uri, data, stat) {
+		/** @type {ArchiveDocument} */
+		const doc = data instanceof Uint8Array
+			? { uri, data: toBase64(data), encoding: "base64" }
+			: { uri, data }
+		if (stat) {
+			const { error, ...meta } = stat
+			doc.meta = meta
+		}
+		return doc
+	}
+
+	/**
+	 * Returns decoded content of the archive document.
+	 * @param {ArchiveDocument} doc
+	 * @returns {any}
+	 * @throws {TypeError} If encoding is not supported
+	 */
+	static content(doc) {
+		if (undefined === doc.encoding) {
+			return doc.data
+		}
+		if ("base64" !== doc.encoding) {
+			throw new TypeError(["Unsupported archive encoding", doc.encoding].join(": "))
+		}
+		return fromBase64(String(doc.data))
+	}
+
+	/**
+	 * Returns stat of the archive document, empty when it has no meta.
+	 * @param {ArchiveDocument} doc
+	 * @returns {DocumentStat}
+	 */
+	static stat(doc) {
+		return new DocumentStat(doc.meta ?? {})
+	}
+
+	/**
+	 * Reads documents of the archive one by one after checking its header,
+	 * NDJSON text can be provided as an iterable of chunks split anywhere.
+	 * @param {Archive | object | string | Iterable<string> | AsyncIterable<string>} input
+	 * JSON bundle, NDJSON text or its chunks
+	 * @yields {ArchiveDocument}
+	 * @returns {AsyncGenerator<ArchiveDocument, void, unknown>}
+	 * @throws {TypeError} If archive or its chunk is not supported
+	 * @throws {Error} If NDJSON line cannot be parsed
+	 */
+	static async *documents(input) {
+		if ("string" === typeof input || !(Symbol.iterator in input || Symbol.asyncIterator in input)) {
+			for (const doc of Archive.from(/** @type {Archive | object | string} */ (input)).documents) {
+				yield doc
+			}
+			return
+		}
+		const chunks = /** @type {Iterable<string> | AsyncIterable<string>} */ (input)
+		let buffer = ""
+		let line = 0
+		let header = null
+		const lines = async function* () {
+			for await (const chunk of chunks) {
+				if ("string" !== typeof chunk) {
+					throw new TypeError(["Archive chunk must be a string", typeof chunk].join(": "))
+				}
+				buffer += chunk
+				const parts = buffer.split("\n")
+				buffer = /** @type {string} */ (parts.pop())
+				yield* parts
+			}
+			yield buffer
+		}
+		for await (const text of lines()) {
+			++line
+			if (!text.trim()) {
+				continue
+			}
+			const value = Archive.parseLine(text, line)
+			if (!header) {
+				Archive.validate(value)
+				header = value
+				continue
+			}
+			yield value
+		}
+		if (!header) {
+			throw new TypeError("Archive header is missing")
+		}
+	}
+
+	/**
+	 * Parses NDJSON line of the archive.
+	 * @param {string} text
+	 * @param {number} line - Line number for the error message
+	 * @returns {any}
+	 * @throws {Error} If line cannot be parsed
+	 */
+	static parseLine(text, line) {
+		try {
+			return JSON.parse(text)
+		} catch (/** @type {any} */ err) {
+			throw new Error(["Invalid archive line", line, err.message].join(": "), { cause: err })
+		}
+	}
+
+	/**
+	 * Creates Archive from JSON bundle, NDJSON text or returns existing instance.
+	 * @param {Archive | object | string} input
+	 * @returns {Archive}
+	 * @throws {TypeError} If archive is not supported
+	 * @throws {Error} If NDJSON line cannot be parsed
+	 */
+	static from(input) {
+		if (input instanceof Archive) return input
+		if ("string" !== typeof input) {
+			return new Archive(/** @type {any} */ (input))
+		}
+		const lines = input.split("\n")
+		const first = lines.findIndex(line => line.trim())
+		const rest = lines.slice(first + 1).filter(line => line.trim())
+		if (first < 0 || !rest.length || !lines[first].trim().endsWith("}")) {
+			// JSON bundle, possibly formatted on several lines
+			return new Archive(Archive.parseLine(input, 1))
+		}
+		/** @type {any[]} */
+		const documents = []
+		lines.forEach((line, i) => {
+			if (i > first && line.trim()) {
+				documents.push(Archive.parseLine(line, i + 1))
+			}
+		})
+		return new Archive({ ...Archive.parseLine(lines[first], first + 1), documents })
+	}
+}
+
+export default Archive
@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import Archive from './Archive.js'
+import DocumentStat from './DocumentStat.js'
+
+describe('Archive', () => {
+	const input = {
+		format: 'nan0web-db',
+		version: 1,
+		prefix: 'posts',
+		createdAt: 1000,
+		documents: [
+			{ uri: 'posts/1.json', data: { title: 'One' } },
+			{ uri: 'posts/logo.bin', data: 'AAH/', encoding: 'base64', meta: { mtimeMs: 5, size: 3 } },
+		],
+	}
+
+	const collect = async (source) => {
+		const result = []
+		for await (const doc of Archive.documents(source)) result.push(doc)
+		return result
+	}
+
+	it('should serialize into JSON bundle and NDJSON lines', () => {
+		const archive = Archive.from(input)
+		assert.deepStrictEqual(JSON.parse(JSON.stringify(archive)), input)
+		const lines = Array.from(archive.toNDJSON())
+		assert.strictEqual(lines.length, 3)
+		assert.ok(lines.every(line => line.endsWith('\n')))
+		assert.deepStrictEqual(JSON.parse(lines[0]), { format: 'nan0web-db', version: 1, prefix: 'posts', createdAt: 1000 })
+		assert.deepStrictEqual(Archive.from(lines.join('')).toJSON(), archive.toJSON())
+		assert.deepStrictEqual(Archive.from(JSON.stringify(archive, null, '\t')).toJSON(), archive.toJSON())
+	})
+
+	it('should encode binary documents and meta', () => {
+		const stat = new DocumentStat({ mtimeMs: 5, size: 3, error: new Error('x') })
+		const doc = Archive.document('logo.bin', new Uint8Array([0, 1, 255]), stat)
+		assert.strictEqual(doc.data, 'AAH/')
+		assert.strictEqual(doc.encoding, 'base64')
+		assert.strictEqual(doc.meta.mtimeMs, 5)
+		assert.ok(!('error' in doc.meta))
+		assert.deepStrictEqual(Archive.content(doc), new Uint8Array([0, 1, 255]))
+		assert.strictEqual(Archive.stat(doc).size, 3)
+		assert.strictEqual(Archive.stat({ uri: 'a', data: 1 }).exists, false)
+		assert.throws(() => Archive.content({ uri: 'a', data: '', encoding: 'hex' }), TypeError)
+	})
+
+	it('should read documents from NDJSON chunks split anywhere', async () => {
+		const text = Array.from(Archive.from(input).toNDJSON()).join('')
+		const chunks = async function* () {
+			for (let i = 0; i < text.length; i += 7) yield text.slice(i, i + 7)
+		}
+		assert.deepStrictEqual(await collect(chunks()), input.documents)
+		assert.deepStrictEqual(await collect(input), input.documents)
+		assert.deepStrictEqual(await collect(text), input.documents)
+	})
+
+	it('should reject unsupported archives', async () => {
+		assert.throws(() => Archive.from({ format: 'zip' }), /Unsupported archive format: zip/)
+		assert.throws(() => Archive.from({ ...input, version: 2 }), /Unsupported archive version: 2/)
+		await assert.rejects(() => collect(['{"uri":"a.json"}\n']), TypeError)
+		await assert.rejects(() => collect([]), /Archive header is missing/)
+		await assert.rejects(() => collect(['{"format":"nan0web-db","version":1}\n{oops}\n']), /Invalid archive line: 2/)
+	})
+})
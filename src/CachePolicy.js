@@ -0,0 +1,136 @@
+/**
+ * Least recently used policy of the loaded documents cache.
+ * Tracks loaded documents in the order of access and selects the ones
+ * to evict when the cache is over its limits or the documents are expired.
+ * @class
+ */
+class CachePolicy {
+	/** @type {number} Maximum number of loaded documents, 0 for unlimited */
+	maxEntries
+	/** @type {number} Maximum approximate size of loaded documents in bytes, 0 for unlimited */
+	maxBytes
+	/** @type {number} Time to live of loaded documents in milliseconds, 0 for unlimited */
+	ttl
+	/** @type {Map<string, { data: any, bytes: number, timeMs: number }>} From the least to the most recently used */
+	entries = new Map()
+	/** @type {number} Approximate size of tracked documents in bytes */
+	bytes = 0
+
+	/**
+	 * Creates a new CachePolicy instance
+	 * @param {object} input
+	 * @param {number} [input.maxEntries=0] Maximum number of loaded documents, 0 for unlimited
+	 * @param {number} [input.maxBytes=0] Maximum approximate size in bytes, 0 for unlimited
+	 * @param {number} [input.ttl=0] Time to live in milliseconds, 0 for unlimited
+	 */
+	constructor(input = {}) {
+		const {
+			maxEntries = 0,
+			maxBytes = 0,
+			ttl = 0,
+		} = input
+		this.maxEntries = Math.max(0, Number(maxEntries))
+		this.maxBytes = Math.max(0, Number(maxBytes))
+		this.ttl = Math.max(0, Number(ttl))
+	}
+
+	/**
+	 * Marks the document as the most recently used,
+	 * new or changed content is measured and its time to live starts again.
+	 * @param {string} uri
+	 * @param {any} data
+	 * @param {number} [now=Date.now()]
+	 * @returns {void}
+	 */
+	touch(uri, data, now = Date.now()) {
+		const entry = this.entries.get(uri)
+		this.entries.delete(uri)
+		if (entry && entry.data === data) {
+			this.entries.set(uri, entry)
+			return
+		}
+		const bytes = CachePolicy.sizeOf(data)
+		this.bytes += bytes - (entry?.bytes ?? 0)
+		this.entries.set(uri, { data, bytes, timeMs: now })
+	}
+
+	/**
+	 * Stops tracking the document.
+	 * @param {string} uri
+	 * @returns {boolean} False if document was not tracked
+	 */
+	forget(uri) {
+		const entry = this.entries.get(uri)
+		if (!entry) {
+			return false
+		}
+		this.bytes -= entry.bytes
+		this.entries.delete(uri)
+		return true
+	}
+
+	/**
+	 * Checks if the document outlived its time to live.
+	 * @param {string} uri
+	 * @param {number} [now=Date.now()]
+	 * @returns {boolean}
+	 */
+	expired(uri, now = Date.now()) {
+		const entry = this.entries.get(uri)
+		return this.ttl > 0 && undefined !== entry && now - entry.timeMs > this.ttl
+	}
+
+	/**
+	 * Selects documents to evict: expired ones and the least recently used ones
+	 * while the cache is over its limits.
+	 * @param {(uri: string) => boolean} [keep] Documents that must not be evicted, such as unsaved changes
+	 * @param {number} [now=Date.now()]
+	 * @returns {string[]}
+	 */
+	evictable(keep = () => false, now = Date.now()) {
+		const result = []
+		let count = this.entries.size
+		let bytes = this.bytes
+		for (const [uri, entry] of this.entries) {
+			if (keep(uri)) continue
+			const over = (this.maxEntries > 0 && count > this.maxEntries)
+				|| (this.maxBytes > 0 && bytes > this.maxBytes)
+			if (!over && !this.expired(uri, now)) continue
+			result.push(uri)
+			--count
+			bytes -= entry.bytes
+		}
+		return result
+	}
+
+	/**
+	 * Calculates approximate size of the value in memory, two bytes per character.
+	 * @param {any} value
+	 * @returns {number}
+	 */
+	static sizeOf(value) {
+		if (value instanceof Uint8Array) {
+			return value.byteLength
+		}
+		if ("string" === typeof value) {
+			return value.length * 2
+		}
+		try {
+			return (JSON.stringify(value) ?? "").length * 2
+		} catch {
+			return 0
+		}
+	}
+
+	/**
+	 * Creates CachePolicy from input or returns existing instance.
+	 * @param {object|CachePolicy} input
+	 * @returns {CachePolicy}
+	 */
+	static from(input) {
+		if (input instanceof CachePolicy) return input
+		return new CachePolicy(input)
+	}
+}
+
+export default CachePolicy
@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import CachePolicy from './CachePolicy.js'
+
+describe('CachePolicy', () => {
+	it('should create instance with unlimited defaults', () => {
+		const cache = new CachePolicy()
+		assert.strictEqual(cache.maxEntries, 0)
+		assert.strictEqual(cache.maxBytes, 0)
+		assert.strictEqual(cache.ttl, 0)
+		cache.touch('a', 'A')
+		assert.deepStrictEqual(cache.evictable(), [])
+	})
+
+	it('should select least recently used entries over the limit', () => {
+		const cache = new CachePolicy({ maxEntries: 2 })
+		cache.touch('a', 'A')
+		cache.touch('b', 'B')
+		cache.touch('c', 'C')
+		cache.touch('a', 'A')
+		assert.deepStrictEqual(Array.from(cache.entries.keys()), ['b', 'c', 'a'])
+		assert.deepStrictEqual(cache.evictable(), ['b'])
+		assert.deepStrictEqual(cache.evictable(uri => 'b' === uri), ['c'])
+	})
+
+	it('should measure bytes of the changed content', () => {
+		const cache = new CachePolicy({ maxBytes: 10 })
+		cache.touch('a', 'abc')
+		cache.touch('b', { x: 1 })
+		assert.strictEqual(cache.bytes, 6 + 14)
+		assert.deepStrictEqual(cache.evictable(), ['a', 'b'])
+		cache.touch('b', 'x')
+		assert.strictEqual(cache.bytes, 8)
+		assert.deepStrictEqual(cache.evictable(), [])
+		assert.strictEqual(cache.forget('a'), true)
+		assert.strictEqual(cache.forget('a'), false)
+		assert.strictEqual(cache.bytes, 2)
+	})
+
+	it('should expire entries by time to live of the content', () => {
+		const cache = new CachePolicy({ ttl: 100 })
+		cache.touch('a', 'A', 1_000)
+		cache.touch('b', 'B', 1_050)
+		cache.touch('a', 'A', 1_090)
+		assert.strictEqual(cache.expired('a', 1_101), true)
+		assert.strictEqual(cache.expired('b', 1_101), false)
+		assert.strictEqual(cache.expired('missing', 9_999), false)
+		assert.deepStrictEqual(cache.evictable(undefined, 1_101), ['a'])
+	})
+
+	it('should calculate approximate size', () => {
+		assert.strictEqual(CachePolicy.sizeOf('ab'), 4)
+		assert.strictEqual(CachePolicy.sizeOf(new Uint8Array(5)), 5)
+		assert.strictEqual(CachePolicy.sizeOf([1]), 6)
+		assert.strictEqual(CachePolicy.sizeOf(undefined), 0)
+		assert.strictEqual(CachePolicy.from({ ttl: 1 }).ttl, 1)
+	})
+})
@@ -0,0 +1,83 @@
+import DocumentStat from "./DocumentStat.js"
+
+/**
+ * Represents a change of the document in the database
+ * @class
+ */
+class ChangeEvent {
+	/** @type {"set" | "drop" | "move" | "push" | "load"} */
+	type
+	/** @type {string} */
+	uri
+	/** @type {any} */
+	data
+	/** @type {DocumentStat | null} */
+	stat
+	/** @type {string} */
+	from
+	/** @type {string} */
+	to
+	/** @type {number} */
+	timeMs
+
+	/**
+	 * Creates a new ChangeEvent instance
+	 * @param {object} input
+	 * @param {"set" | "drop" | "move" | "push" | "load"} [input.type="set"]
+	 * @param {string} [input.uri=""] Changed document, target document for the move
+	 * @param {any} [input.data] Document content for set and load
+	 * @param {DocumentStat | object | null} [input.stat=null]
+	 * @param {string} [input.from=""] Source document for the move
+	 * @param {string} [input.to=""] Target document for the move
+	 * @param {number} [input.timeMs=Date.now()]
+	 */
+	constructor(input = {}) {
+		const {
+			type = "set",
+			uri = "",
+			data = undefined,
+			stat = null,
+			from = "",
+			to = "",
+			timeMs = Date.now(),
+		} = input
+		this.type = type
+		this.uri = String(uri)
+		this.data = data
+		this.stat = null === stat ? null : DocumentStat.from(stat)
+		this.from = String(from)
+		this.to = String(to)
+		this.timeMs = Number(timeMs)
+	}
+
+	/**
+	 * Get time of the change as Date object
+	 * @returns {Date}
+	 */
+	get time() {
+		return new Date(this.timeMs)
+	}
+
+	/**
+	 * Get string representation of the change
+	 * @returns {string}
+	 */
+	toString() {
+		if ("move" === this.type) {
+			return [this.type, this.from, "->", this.to].join(" ")
+		}
+		return [this.type, this.uri].join(" ")
+	}
+
+	/**
+	 * Creates a ChangeEvent from input
+	 * @param {object|ChangeEvent} input
+	 * @returns {ChangeEvent}
+	 */
+	static from(input) {
+		if (input instanceof ChangeEvent) return input
+		return new ChangeEvent(input)
+	}
+}
+
+export default ChangeEvent
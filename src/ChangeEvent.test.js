@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import ChangeEvent from './ChangeEvent.js'
+import DocumentStat from './DocumentStat.js'
+
+describe('ChangeEvent', () => {
+	it('should create instance with default values', () => {
+		const event = new ChangeEvent()
+		assert.strictEqual(event.type, 'set')
+		assert.strictEqual(event.uri, '')
+		assert.strictEqual(event.data, undefined)
+		assert.strictEqual(event.stat, null)
+		assert.strictEqual(event.from, '')
+		assert.strictEqual(event.to, '')
+		assert.ok(event.timeMs > 0)
+	})
+
+	it('should set properties from constructor', () => {
+		const event = new ChangeEvent({
+			type: 'move',
+			uri: 'b.txt',
+			from: 'a.txt',
+			to: 'b.txt',
+			stat: { size: 3 },
+			timeMs: 1_000,
+		})
+		assert.ok(event.stat instanceof DocumentStat)
+		assert.strictEqual(event.stat.size, 3)
+		assert.strictEqual(event.time.getTime(), 1_000)
+		assert.strictEqual(String(event), 'move a.txt -> b.txt')
+		assert.strictEqual(String(new ChangeEvent({ type: 'drop', uri: 'a.txt' })), 'drop a.txt')
+	})
+
+	it('should create from existing instance', () => {
+		const event = new ChangeEvent({ uri: 'a.txt' })
+		assert.strictEqual(ChangeEvent.from(event), event)
+		assert.ok(ChangeEvent.from({ uri: 'a.txt' }) instanceof ChangeEvent)
+	})
+})
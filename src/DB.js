@@ -2,6 +2,94 @@ import { FilterString, oneOf } from "@nan0web/types"
 import DocumentStat from "./DocumentStat.js"
 import DocumentEntry from "./DocumentEntry.js"
 import StreamEntry from "./StreamEntry.js"
+import Transaction from "./Transaction.js"
+import ChangeEvent from "./ChangeEvent.js"
+import DocumentIndex from "./DocumentIndex.js"
+import Glob from "./utils/glob.js"
+import Query from "./utils/query.js"
+import Formats from "./utils/formats.js"
+import Data from "./utils/data.js"
+import Path from "./utils/path.js"
+import AccessPolicy from "./AccessPolicy.js"
+import AccessDeniedError from "./AccessDeniedError.js"
+import Versioning from "./Versioning.js"
+import SyncPlan from "./SyncPlan.js"
+import CachePolicy from "./CachePolicy.js"
+import Trash from "./Trash.js"
+import AbortError from "./AbortError.js"
+import Archive from "./Archive.js"
+
+/** @typedef {import("./AbortError.js").AbortSignal} AbortSignal */
+
+/**
+ * Deep copy of the runtime, both Node.js and browsers have it as a global.
+ * @type {<T>(value: T) => T}
+ */
+const structuredClone = /** @type {any} */ (globalThis).structuredClone
+
+/**
+ * Checks if the value is a plain object that can be deep merged.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+	return null !== value && "object" === typeof value
+		&& [Object.prototype, null].includes(Object.getPrototypeOf(value))
+}
+
+/**
+ * Gets the value by JSON pointer, for instance "/authors/0/name".
+ * @param {any} data
+ * @param {string} pointer - JSON pointer, empty for the whole data
+ * @returns {any} Value or undefined if it is not found
+ */
+function fromPointer(data, pointer) {
+	if (!pointer) {
+		return data
+	}
+	let value = data
+	for (const segment of pointer.replace(/^\//, "").split("/")) {
+		const key = decodeURIComponent(segment).replace(/~1/g, "/").replace(/~0/g, "~")
+		if (null === value || "object" !== typeof value || !Object.hasOwn(value, key)) {
+			return undefined
+		}
+		value = value[key]
+	}
+	return value
+}
+
+/**
+ * Creates a pool of async tasks running at most `size` at once,
+ * queued tasks start in the order they were added.
+ * @param {number} size - Maximum number of running tasks
+ * @returns {{ run: (task: () => Promise<any>) => Promise<any>, clear: () => void }}
+ */
+function pool(size) {
+	let active = 0
+	/** @type {Array<() => void>} */
+	const queue = []
+	const next = () => {
+		while (active < size && queue.length) {
+			const start = /** @type {() => void} */ (queue.shift())
+			++active
+			start()
+		}
+	}
+	return {
+		run: (task) => new Promise((resolve, reject) => {
+			queue.push(() => {
+				task().then(resolve, reject).finally(() => {
+					--active
+					next()
+				})
+			})
+			next()
+		}),
+		clear: () => {
+			queue.length = 0
+		},
+	}
+}
 
 /**
  * Base database class for document storage and retrieval
@@ -14,6 +102,8 @@ class DB {
 	data = new Map()
 	/** @type {Map<string, DocumentStat>} */
 	meta = new Map()
+	/** @type {Set<string>} URIs of the documents changed by set and not pushed yet */
+	dirty = new Set()
 	/** @type {boolean} */
 	connected = false
 	/** @type {string} */
@@ -22,6 +112,32 @@ class DB {
 	cwd = "."
 	/** @type {DB[]} */
 	dbs
+	/** @type {Map<string, DB>} */
+	mounts = new Map()
+	/** @type {Map<string, () => void>} */
+	mountListeners = new Map()
+	/** @type {Map<string, Set<(event: ChangeEvent) => void>>} */
+	listeners = new Map()
+	/** @type {Map<string, DocumentIndex>} */
+	indexes = new Map()
+	/** @type {Formats} */
+	formats = new Formats()
+	/** @type {AccessPolicy | null} Access policy, every access is allowed without it */
+	policy = null
+	/** @type {import("./AccessPolicy.js").AccessSubject} Subject checked by the access policy */
+	subject = {}
+	/** @type {Versioning | null} Version history settings, no history is kept without them */
+	versioning = null
+	/** @type {CachePolicy | null} Limits of the loaded documents, unlimited without them */
+	cache = null
+	/** @type {Trash} Trash of the documents dropped with the trash option */
+	trash
+	/** @type {string} Name of the directory document inherited by every document below it */
+	inheritName = "_.json"
+	/** @type {Map<string, any>} Merged documents cached by fetchMerged */
+	merged = new Map()
+	/** @type {(() => void) | null} Unsubscribes invalidation of the merged documents */
+	unwatchMerged = null
 
 	/**
 	 * Creates a new DB instance from input object
@@ -30,7 +146,12 @@ class DB {
 	 * - working directory,
 	 * - data and metadata maps,
 	 * - connection status,
-	 * - attached databases.
+	 * - attached databases,
+	 * - access policy and its subject,
+	 * - version history settings,
+	 * - loaded documents cache limits,
+	 * - trash settings,
+	 * - name of the inherited directory documents.
 	 *
 	 * @param {object} input
 	 * @param {string} [input.root="."]
@@ -39,6 +160,12 @@ class DB {
 	 * @param {Map<string, DocumentEntry | false>} [input.data=new Map()]
 	 * @param {Map<string, DocumentStat>} [input.meta=new Map()]
 	 * @param {DB[]} [input.dbs=[]]
+	 * @param {AccessPolicy | object | null} [input.policy=null]
+	 * @param {import("./AccessPolicy.js").AccessSubject} [input.subject={}]
+	 * @param {Versioning | object | null} [input.versioning=null]
+	 * @param {CachePolicy | object | null} [input.cache=null]
+	 * @param {{ dir?: string }} [input.trash={}]
+	 * @param {string} [input.inheritName="_.json"]
 	 */
 	constructor(input = {}) {
 		const {
@@ -48,12 +175,27 @@ class DB {
 			meta = new Map(),
 			connected = false,
 			dbs = [],
+			policy = null,
+			subject = {},
+			versioning = null,
+			cache = null,
+			trash = {},
+			inheritName = "_.json",
 		} = input
 		this.root = root
 		this.cwd = cwd
 		this.data = data instanceof Map ? data : new Map(data)
 		this.meta = meta instanceof Map ? meta : new Map(meta)
 		this.connected = connected
+		this.policy = null === policy ? null : AccessPolicy.from(policy)
+		this.subject = subject
+		this.versioning = null === versioning ? null : Versioning.from(versioning)
+		this.cache = null === cache ? null : CachePolicy.from(cache)
+		this.trash = new Trash({ ...trash, db: this })
+		this.inheritName = String(inheritName)
+		if (this.cache) {
+			this.on("*", event => this.updateCache(event))
+		}
 		// Ensure that we have DB instances in the array
 		// For the base it is always [], so it is safe to reassign
 		// But for sub databases it must be initialized to array of DBs
@@ -81,28 +223,225 @@ class DB {
 	}
 
 	/**
-	 * Attaches another DB instance
+	 * Attaches another DB instance.
+	 * When mount path is provided every operation on URI under this path
+	 * is delegated to the attached database with the prefix removed,
+	 * for instance `db.attach(friendDB, "mnt/YaRas.love/pics")`.
 	 * @param {DB} db - Database to attach
+	 * @param {string} [mountPath] - Mount point for the attached database
 	 * @returns {void}
 	 */
-	attach(db) {
+	attach(db, mountPath) {
 		if (!(db instanceof DB)) {
 			throw new TypeError("It is possible to attach only DB or extended databases")
 		}
+		if (undefined !== mountPath) {
+			const path = Path.trim(mountPath)
+			if (!path) {
+				throw new TypeError("Mount path must not be the root of the database")
+			}
+			if (this.mounts.has(path)) {
+				throw new Error(["Mount point is already in use", path].join(": "))
+			}
+			this.mounts.set(path, db)
+			this.mountListeners.set(path, db.on("*", event => {
+				this.emit(event.type, {
+					...event,
+					uri: this.mountedPath(path, event.uri),
+					from: event.from && this.mountedPath(path, event.from),
+					to: event.to && this.mountedPath(path, event.to),
+				})
+			}))
+		}
 		this.dbs.push(db)
 	}
 
 	/**
-	 * Detaches a database
-	 * @param {DB} db - Database to detach
+	 * Detaches a database and unmounts it.
+	 * @param {DB|string} db - Database to detach or its mount path
 	 * @returns {DB[]|boolean} Array of detached database or false if not found
 	 */
 	detach(db) {
-		const index = this.dbs.findIndex((d) => d.root === db.root && d.cwd === db.cwd)
+		if ("string" === typeof db) {
+			const path = Path.trim(db)
+			const mounted = this.mounts.get(path)
+			if (!mounted) {
+				return false
+			}
+			this.unmount(path)
+			const index = this.dbs.indexOf(mounted)
+			return index < 0 ? [mounted] : this.dbs.splice(index, 1)
+		}
+		const index = this.dbs.indexOf(db)
 		if (index < 0) {
 			return false
 		}
-		return this.dbs.splice(index, 1)
+		const detached = this.dbs.splice(index, 1)
+		for (const [path, mounted] of this.mounts) {
+			if (mounted === db) {
+				this.unmount(path)
+			}
+		}
+		return detached
+	}
+
+	/**
+	 * Removes the mount point and stops forwarding its events.
+	 * @param {string} path - Mount path
+	 * @returns {void}
+	 */
+	unmount(path) {
+		this.mountListeners.get(path)?.()
+		this.mountListeners.delete(path)
+		this.mounts.delete(path)
+	}
+
+	/**
+	 * Finds the attached database mounted at the longest prefix of the URI.
+	 * @param {string} uri - Document URI
+	 * @returns {{ db: DB, uri: string, path: string } | null}
+	 * Mounted database, URI inside of it and the mount path, or null if URI is not mounted.
+	 */
+	mounted(uri) {
+		if (!this.mounts.size) {
+			return null
+		}
+		const path = Path.trim(uri)
+		let found = null
+		for (const [mount, db] of this.mounts) {
+			if (path !== mount && !path.startsWith(mount + "/")) continue
+			if (found && found.path.length > mount.length) continue
+			found = { db, uri: path.slice(mount.length + 1) || ".", path: mount }
+		}
+		return found
+	}
+
+	/**
+	 * Subscribes listener to the change events of the type,
+	 * "*" subscribes to all types.
+	 * @param {"set" | "drop" | "move" | "push" | "load" | "*"} type - Event type
+	 * @param {(event: ChangeEvent) => void} listener
+	 * @returns {() => void} Function to unsubscribe
+	 */
+	on(type, listener) {
+		const listeners = this.listeners.get(type) ?? new Set()
+		listeners.add(listener)
+		this.listeners.set(type, listeners)
+		return () => this.off(type, listener)
+	}
+
+	/**
+	 * Unsubscribes listener from the change events of the type.
+	 * @param {"set" | "drop" | "move" | "push" | "load" | "*"} type - Event type
+	 * @param {(event: ChangeEvent) => void} listener
+	 * @returns {boolean} False if listener was not subscribed
+	 */
+	off(type, listener) {
+		return this.listeners.get(type)?.delete(listener) ?? false
+	}
+
+	/**
+	 * Emits the change event to the listeners of its type and of all types.
+	 * @param {"set" | "drop" | "move" | "push" | "load"} type - Event type
+	 * @param {object} [input] - Event properties
+	 * @returns {ChangeEvent}
+	 */
+	emit(type, input = {}) {
+		const event = new ChangeEvent({ ...input, type })
+		for (const key of [type, "*"]) {
+			for (const listener of this.listeners.get(key) ?? []) {
+				listener(event)
+			}
+		}
+		return event
+	}
+
+	/**
+	 * Watches for the changes of the documents as an async iterator.
+	 * Listening starts immediately, so changes made before the first
+	 * iteration are not lost; breaking the loop stops watching.
+	 * @example
+	 * for await (const event of db.watch("posts/")) {
+	 * 	console.log(event.type, event.uri)
+	 * }
+	 * @param {string | ((event: ChangeEvent) => boolean)} [filter=""] URI prefix or callback
+	 * @returns {AsyncIterableIterator<ChangeEvent>}
+	 */
+	watch(filter = "") {
+		const prefix = "string" === typeof filter ? Path.trim(filter) : ""
+		/** @param {string} uri */
+		const under = (uri) => !prefix || uri === prefix || uri.startsWith(prefix + "/")
+		const match = "function" === typeof filter
+			? filter
+			: (/** @type {ChangeEvent} */ event) => [event.uri, event.from].some(
+				uri => uri && under(Path.trim(uri))
+			)
+		/** @type {ChangeEvent[]} */
+		const queue = []
+		/** @type {((result: IteratorResult<ChangeEvent, undefined>) => void) | null} */
+		let wake = null
+		let done = false
+		const off = this.on("*", event => {
+			if (!match(event)) return
+			if (wake) {
+				wake({ value: event, done: false })
+				wake = null
+			} else {
+				queue.push(event)
+			}
+		})
+		/** @type {AsyncIterableIterator<ChangeEvent>} */
+		const iterator = {
+			next: async () => {
+				if (queue.length) {
+					return { value: /** @type {ChangeEvent} */ (queue.shift()), done: false }
+				}
+				if (done) {
+					return { value: undefined, done: true }
+				}
+				return await new Promise(resolve => {
+					wake = resolve
+				})
+			},
+			return: async () => {
+				done = true
+				off()
+				queue.length = 0
+				wake?.({ value: undefined, done: true })
+				wake = null
+				return { value: undefined, done: true }
+			},
+			[Symbol.asyncIterator]: () => iterator,
+		}
+		return iterator
+	}
+
+	/**
+	 * Returns names of virtual directories leading to the mount points
+	 * right inside of the directory.
+	 * @param {string} uri - Directory URI
+	 * @returns {string[]}
+	 */
+	mountsIn(uri) {
+		const dir = Path.trim(uri)
+		const prefix = dir ? dir + "/" : ""
+		const names = new Set()
+		for (const mount of this.mounts.keys()) {
+			if (mount.startsWith(prefix)) {
+				names.add(mount.slice(prefix.length).split("/")[0])
+			}
+		}
+		return Array.from(names)
+	}
+
+	/**
+	 * Joins mount path with the URI of the mounted database.
+	 * @param {string} mount - Mount path
+	 * @param {string} uri - URI inside of the mounted database
+	 * @returns {string}
+	 */
+	mountedPath(mount, uri) {
+		return [mount, Path.trim(uri)].filter(Boolean).join("/")
 	}
 
 	/**
@@ -132,20 +471,86 @@ class DB {
 	 * @returns {string}
 	 */
 	extname(uri) {
-		const arr = uri.split(".")
+		const arr = String(uri).split("/").pop()?.split(".") ?? []
 		return arr.length > 1 ? `.${arr.pop()}` : ""
 	}
 
 	/**
-	 * Relative path resolver for file systems.
-	 * Must be implemented by platform specific code
-	 * @throws Not implemented in base class
-	 * @param {string} from Base directory path
-	 * @param {string} to Target directory path
-	 * @returns {string} Relative path
+	 * Registers format codec for the documents with the extension.
+	 * Built-in codecs are listed in Formats.
+	 * @example
+	 * db.registerFormat(".toml", { parse: TOML.parse, stringify: TOML.stringify })
+	 * @param {string} ext - Extension with or without leading dot, case insensitive
+	 * @param {import("./utils/formats.js").FormatCodec} codec
+	 * @returns {void}
+	 */
+	registerFormat(ext, codec) {
+		this.formats.register(ext, codec)
+	}
+
+	/**
+	 * Returns format codec of the document by its extension.
+	 * @param {string} uri
+	 * @returns {import("./utils/formats.js").FormatCodec | undefined}
+	 */
+	format(uri) {
+		return this.formats.get(this.extname(uri))
+	}
+
+	/**
+	 * Parses raw document content loaded from the storage.
+	 * Values that are not strings, empty strings and documents without codec
+	 * are returned as is.
+	 * @param {string} uri - Document URI
+	 * @param {any} raw - Raw document content
+	 * @returns {any}
+	 * @throws {Error} If the codec fails to parse the document
+	 */
+	decode(uri, raw) {
+		const codec = this.format(uri)
+		if (!codec || "string" !== typeof raw || "" === raw) {
+			return raw
+		}
+		try {
+			return codec.parse(raw)
+		} catch (/** @type {any} */ err) {
+			throw new Error(["Cannot parse document", uri, err.message].join(": "), { cause: err })
+		}
+	}
+
+	/**
+	 * Serializes document content before saving into the storage.
+	 * Documents without codec are returned as is.
+	 * @param {string} uri - Document URI
+	 * @param {any} document - Document content
+	 * @returns {any}
+	 */
+	encode(uri, document) {
+		const codec = this.format(uri)
+		return codec ? codec.stringify(document) : document
+	}
+
+	/**
+	 * Returns relative path from one URI to another, the root of the database is ".".
+	 * @param {string} from Base directory URI
+	 * @param {string} to Target URI
+	 * @returns {string} Relative path, empty for the same URI
+	 * @throws {Error} If any of URIs escapes above the root
 	 */
 	relative(from, to) {
-		throw new Error("Not implemented")
+		return Path.relative(from === this.root ? "." : from, to)
+	}
+
+	/**
+	 * Normalizes URI into the storage key relative to the root: no leading "./" or "/",
+	 * no trailing and duplicate slashes, "." and ".." segments resolved, empty for the root.
+	 * @param {string} uri
+	 * @returns {string}
+	 * @throws {Error} If the URI escapes above the root
+	 */
+	normalize(uri) {
+		const path = Path.resolve(uri)
+		return "." === path ? "" : path
 	}
 
 	/**
@@ -156,10 +561,27 @@ class DB {
 		return this.constructor.name + " " + this.root + " [" + this.encoding + "]"
 	}
 
+	/**
+	 * Creates path matchers of the filter.
+	 * @param {Function | string | string[] | Glob} filter - Glob pattern or callback
+	 * @returns {{ accept: (path: string) => boolean, descend: (path: string) => boolean }}
+	 * accept matches the path itself, descend matches directories that may contain matching paths
+	 */
+	matchers(filter) {
+		const glob = "function" === typeof filter ? null : Glob.from(filter)
+		/** @param {string} path */
+		const accept = (path) => glob ? glob.test(path) : /** @type {Function} */ (filter)(new FilterString(path))
+		/** @param {string} path */
+		const descend = (path) => glob ? glob.mayContain(path) : accept(path)
+		return { accept, descend }
+	}
+
 	/**
 	 * Reading the current directory or branch as async generator to follow progress.
 	 * For FetchDB it is loading of "index.txt" or "manifest.json".
 	 * For NodeFsDB it is loading readdirSync in a conditional recursion.
+	 * With concurrency above 1 sibling directories are listed in parallel ahead of reading,
+	 * entries are still yielded in the same order: directories, then documents, then subdirectories.
 	 * @async
 	 * @generator
 	 * @param {string} uri
@@ -167,34 +589,102 @@ class DB {
 	 * @param {number} [options.depth=0] Depth to read recursively
 	 * @param {boolean} [options.skipStat=false] Skip collecting statistics
 	 * @param {boolean} [options.skipSymbolicLink=false] Skip symbolic links
-	 * @param {Function} [options.filter=identity] Filter by pattern or callback
+	 * @param {boolean} [options.recursive=true] Read subdirectories
+	 * @param {Function | string | string[] | Glob} [options.filter=identity] Filter by glob pattern or callback,
+	 * directories that cannot contain paths matching the pattern are not read
+	 * @param {AbortSignal} [options.signal] Cancels reading before the next directory
+	 * @param {number} [options.concurrency=1] Maximum number of directories listed at once
 	 * @yields {DocumentEntry}
 	 * @returns {AsyncGenerator<DocumentEntry, void, unknown>}
+	 * @throws {AbortError} If the signal is aborted
+	 * @throws {TypeError} If concurrency is not a positive integer
 	 */
 	async *readDir(uri = ".", options = {}) {
 		const {
 			depth = 0,
 			skipStat = false,
 			skipSymbolicLink = false,
+			recursive = true,
 			filter = (uri) => true,
+			signal,
+			concurrency = 1,
 		} = options
+		if (!Number.isInteger(concurrency) || concurrency < 1) {
+			throw new TypeError(["Concurrency must be a positive integer", concurrency].join(": "))
+		}
+		AbortError.throwIfAborted(signal, uri)
+		const { accept, descend } = this.matchers(filter)
 		await this.ensureAccess(uri, "r")
-		if (!filter(new FilterString(uri))) {
+		const mount = this.mounted(uri)
+		if (mount) {
+			const inner = {
+				...options,
+				filter: (path) => {
+					const full = this.mountedPath(mount.path, String(path))
+					return accept(full) || descend(full)
+				},
+			}
+			for await (const entry of mount.db.readDir(mount.uri, inner)) {
+				const path = this.mountedPath(mount.path, entry.path)
+				if (accept(path)) {
+					yield new DocumentEntry({ ...entry, path })
+				}
+			}
 			return
 		}
-		const stat = await this.statDocument(uri)
-		if (stat.isDirectory) {
-			const entries = await this.listDir(uri, { depth, skipStat, skipSymbolicLink })
+		if (!accept(uri) && !descend(uri)) {
+			return
+		}
+		const listing = await this.loadListing(uri, { depth, skipStat, skipSymbolicLink, signal })
+		if (!listing.stat.isDirectory) {
+			const name = this.relative(this.root, uri)
+			if (!this.dirty.has(uri)) {
+				this.data.set(uri, false)
+				this.meta.set(uri, listing.stat)
+			}
+			if (accept(uri)) {
+				yield new DocumentEntry({ name, stat: listing.stat, depth, path: uri })
+			}
+			return
+		}
+		const db = this
+		const workers = pool(concurrency)
+		/**
+		 * @param {string} path
+		 * @param {number} level
+		 * @returns {Promise<{ stat: DocumentStat, entries: { name: string, stat: DocumentStat, path: string }[] }>}
+		 */
+		const read = async (path, level) => {
+			AbortError.throwIfAborted(signal, path)
+			await db.ensureAccess(path, "r")
+			return await db.loadListing(path, { depth: level, skipStat, skipSymbolicLink, signal })
+		}
+		/**
+		 * @param {number} level
+		 * @param {{ stat: DocumentStat, entries: { name: string, stat: DocumentStat, path: string }[] }} listing
+		 * @returns {AsyncGenerator<DocumentEntry, void, unknown>}
+		 */
+		async function* branch(level, listing) {
+			const subdirs = recursive ? listing.entries.filter(e => e.stat.isDirectory
+				&& !(skipSymbolicLink && e.stat.isSymbolicLink) && descend(e.path)) : []
+			const pending = subdirs.map(e => {
+				if (concurrency < 2 || db.mounted(e.path)) return null
+				const promise = workers.run(() => read(e.path, level + 1))
+				// rejection is thrown when the branch is reached
+				promise.catch(() => {})
+				return promise
+			})
 			const later = []
-			for (const entry of entries) {
-				let path = await this.resolve(uri, entry.name)
-				if (!filter(new FilterString(path))) {
+			for (const { name, stat, path } of listing.entries) {
+				if (!accept(path)) {
 					continue
 				}
-				this.data.set(path, false)
-				this.meta.set(path, entry.stat)
-				const element = new DocumentEntry({ name: entry.name, stat: entry.stat, depth, path })
-				if (entry.stat.isDirectory) {
+				if (!db.dirty.has(path)) {
+					db.data.set(path, false)
+					db.meta.set(path, stat)
+				}
+				const element = new DocumentEntry({ name, stat, depth: level, path })
+				if (stat.isDirectory) {
 					yield element
 				} else {
 					later.push(element)
@@ -203,23 +693,153 @@ class DB {
 			for (const entry of later) {
 				yield entry
 			}
-			for (const entry of entries) {
-				if (skipSymbolicLink && entry.stat.isSymbolicLink) {
+			for (let i = 0; i < subdirs.length; i++) {
+				const { path } = subdirs[i]
+				if (db.mounted(path)) {
+					yield* db.readDir(path, { ...options, depth: level + 1 })
 					continue
 				}
-				if (entry.stat.isDirectory) {
-					const path = await this.resolve(uri, entry.name)
-					yield* this.readDir(path, { depth: depth + 1, skipStat, skipSymbolicLink, filter })
-				}
+				yield* branch(level + 1, await (pending[i] ?? read(path, level + 1)))
 			}
+		}
+		try {
+			yield* branch(depth, listing)
+		} finally {
+			workers.clear()
+		}
+	}
+
+	/**
+	 * Loads the directory listing with resolved paths of its entries, including the mount points inside.
+	 * Stat is not a directory when the URI is a document.
+	 * @param {string} uri - Directory URI
+	 * @param {object} [options]
+	 * @param {number} [options.depth=0] - Depth of the directory
+	 * @param {boolean} [options.skipStat=false] - Skip collecting statistics
+	 * @param {boolean} [options.skipSymbolicLink=false] - Skip symbolic links
+	 * @param {AbortSignal} [options.signal] - Cancels listing
+	 * @returns {Promise<{ stat: DocumentStat, entries: { name: string, stat: DocumentStat, path: string }[] }>}
+	 * @throws {AbortError} If the signal is aborted
+	 */
+	async loadListing(uri, options = {}) {
+		const { depth = 0, skipStat = false, skipSymbolicLink = false, signal } = options
+		const virtual = this.mountsIn(uri)
+		let stat = await this.statDocument(uri)
+		/** @type {{name: string, stat: DocumentStat, isDirectory: boolean}[]} */
+		let entries = []
+		if (stat.isDirectory) {
+			entries = await this.listDir(uri, { depth, skipStat, skipSymbolicLink, signal })
+			AbortError.throwIfAborted(signal, uri)
+		} else if (virtual.length) {
+			stat = new DocumentStat({ isDirectory: true })
 		} else {
-			const name = this.relative(this.root, uri)
-			this.data.set(uri, false)
-			this.meta.set(uri, stat)
-			if (filter(new FilterString(uri))) {
-				yield new DocumentEntry({ name, stat, depth, path: uri })
+			return { stat, entries: [] }
+		}
+		for (const name of virtual) {
+			if (!entries.some(e => e.name === name)) {
+				entries.push({ name, stat: new DocumentStat({ isDirectory: true }), isDirectory: true })
+			}
+		}
+		const result = []
+		for (const { name, stat } of entries) {
+			result.push({ name, stat, path: await this.resolve(uri, name) })
+		}
+		return { stat, entries: result }
+	}
+
+	/**
+	 * Lists entries of the directory sorted and paginated, for instance to render folder views.
+	 * Names are compared in natural order, so "2.json" goes before "10.json".
+	 * @example
+	 * const first = await db.list("posts", { sort: "mtime", order: "desc", limit: 20 })
+	 * const next = await db.list("posts", { sort: "mtime", order: "desc", limit: 20, cursor: first.cursor })
+	 * @param {string} [uri="."] - Directory URI
+	 * @param {object} [options]
+	 * @param {"name" | "mtime" | "size" | "ext"} [options.sort="name"] - Sort field
+	 * @param {"asc" | "desc"} [options.order="asc"] - Sort order
+	 * @param {boolean} [options.dirsFirst=true] - Directories go before documents in any order
+	 * @param {number} [options.offset=0] - Number of entries to skip, after the cursor if provided
+	 * @param {number} [options.limit=0] - Maximum number of entries, 0 for unlimited
+	 * @param {string | null} [options.cursor=null] - Continuation cursor of the previous page
+	 * @returns {Promise<{ entries: DocumentEntry[], cursor: string | null, total: number }>}
+	 * Page of entries, cursor of the next page or null for the last one, total number of entries
+	 * @throws {TypeError} If sort, order or cursor is invalid
+	 */
+	async list(uri = ".", options = {}) {
+		const {
+			sort = "name",
+			order = "asc",
+			dirsFirst = true,
+			offset = 0,
+			limit = 0,
+			cursor = null,
+		} = options
+		if (!["name", "mtime", "size", "ext"].includes(sort)) {
+			throw new TypeError(["List sort must be one of [name, mtime, size, ext]", sort].join(": "))
+		}
+		if (!["asc", "desc"].includes(order)) {
+			throw new TypeError(["List order must be asc or desc", order].join(": "))
+		}
+		const collator = new Intl.Collator("en", { numeric: true })
+		/**
+		 * @param {DocumentEntry} entry
+		 * @returns {{ dir: boolean, key: string | number, name: string, path: string }}
+		 */
+		const sortable = (entry) => ({
+			dir: entry.isDirectory,
+			key: "mtime" === sort ? entry.stat.mtimeMs
+				: "size" === sort ? entry.stat.size
+				: "ext" === sort ? this.extname(entry.name)
+				: entry.name,
+			name: entry.name,
+			path: entry.path,
+		})
+		/**
+		 * @param {ReturnType<typeof sortable>} a
+		 * @param {ReturnType<typeof sortable>} b
+		 * @returns {number}
+		 */
+		const compare = (a, b) => {
+			if (dirsFirst && a.dir !== b.dir) {
+				return a.dir ? -1 : 1
+			}
+			let diff = "number" === typeof a.key && "number" === typeof b.key
+				? a.key - b.key : collator.compare(String(a.key), String(b.key))
+			if (!diff) diff = collator.compare(a.name, b.name)
+			if (!diff) diff = a.path < b.path ? -1 : a.path > b.path ? 1 : 0
+			return "desc" === order ? -diff : diff
+		}
+		/** @type {DocumentEntry[]} */
+		const entries = []
+		for await (const entry of this.readDir(uri, { recursive: false })) {
+			entries.push(entry)
+		}
+		const items = entries.map(entry => ({ entry, sortable: sortable(entry) }))
+		items.sort((a, b) => compare(a.sortable, b.sortable))
+		let start = 0
+		if (cursor) {
+			/** @type {any} */
+			let last
+			try {
+				last = JSON.parse(decodeURIComponent(cursor))
+			} catch {
+				last = null
 			}
+			if (!last || last.sort !== sort || last.order !== order || "string" !== typeof last.path) {
+				throw new TypeError(["Invalid list cursor", cursor].join(": "))
+			}
+			start = items.findIndex(item => compare(item.sortable, last) > 0)
+			if (start < 0) start = items.length
+		}
+		start += Math.max(0, Number(offset))
+		const end = limit > 0 ? start + Number(limit) : items.length
+		const page = items.slice(start, end)
+		let next = null
+		if (page.length && start + page.length < items.length) {
+			const last = page[page.length - 1].sortable
+			next = encodeURIComponent(JSON.stringify({ sort, order, ...last }))
 		}
+		return { entries: page.map(item => item.entry), cursor: next, total: items.length }
 	}
 
 	/**
@@ -246,18 +866,33 @@ class DB {
 	}
 
 	/**
-	 * Searches for URI matching condition
-	 * @param {string | ((key: string, value: any) => boolean)} uri - Search pattern or callback
+	 * Searches for URI matching condition.
+	 * Glob patterns are matched against paths of the documents while
+	 * reading the directories from the static prefix of the pattern.
+	 * @example
+	 * for await (const uri of db.find("src/**\/*.json")) console.log(uri)
+	 * @param {string | string[] | Glob | ((key: string, value: any) => boolean)} uri - Search pattern or callback
 	 * @param {number} [depth=0] - Maximum depth to search
+	 * @param {object} [options]
+	 * @param {AbortSignal} [options.signal] - Cancels the search
 	 * @yields {string} Full URI path of found documents
 	 * @returns {AsyncGenerator<string, void, unknown>}
+	 * @throws {AbortError} If the signal is aborted
 	 */
-	async *find(uri, depth = 0) {
+	async *find(uri, depth = 0, options = {}) {
+		const { signal } = options
 		await this.requireConnected()
+		if (uri instanceof Glob || Glob.isGlob(uri)) {
+			const glob = Glob.from(/** @type {string | string[] | Glob} */ (uri))
+			for await (const entry of this.readDir(glob.base || ".", { depth, filter: glob, signal })) {
+				yield entry.path
+			}
+			return
+		}
 		if (!this.loaded) {
 			// @todo fix by reading the directory and returning only uri for each element
 			// @ts-ignore
-			yield* this.readDir(this.root, { depth: depth + 1 })
+			yield* this.readDir(this.root, { depth: depth + 1, signal })
 			this.meta.set("?loaded", new DocumentStat())
 		}
 		if ("function" === typeof uri) {
@@ -267,120 +902,631 @@ class DB {
 				}
 			}
 		} else {
-			if (this.data.has(uri)) {
-				yield uri
+			if (this.data.has(String(uri))) {
+				yield String(uri)
 			}
 		}
 	}
 
 	/**
-	 * Connect to database
-	 * @abstract
-	 * @returns {Promise<void>}
-	 * Platform specific implementation of connecting to the database
+	 * Queries JSON documents under the prefix, other documents are skipped
+	 * as well as persisted indexes, version history and trash.
+	 * @example
+	 * const found = await db.query("posts", {
+	 * 	where: { "author/name": "Ярослав", date: { $gte: "2024-01-01" } },
+	 * 	select: ["title", "date"],
+	 * 	orderBy: { date: "desc" },
+	 * 	limit: 10,
+	 * })
+	 * @param {string | string[] | Glob} [prefix="."] Directory URI or glob pattern of the documents
+	 * @param {object} [options]
+	 * @param {object} [options.where={}] Filter conditions, see Query
+	 * @param {string | string[]} [options.select] Path of the value or list of paths to project
+	 * @param {string | string[] | Record<string, "asc" | "desc">} [options.orderBy] Sort paths
+	 * @param {number} [options.limit=-1] Maximum number of results
+	 * @param {number} [options.offset=0] Number of results to skip
+	 * @returns {Promise<Array<{ uri: string, value: any }>>} Matched URIs with projected values
 	 */
-	async connect() {
-		this.connected = true
+	async query(prefix = ".", options = {}) {
+		const query = Query.from(options)
+		const glob = prefix instanceof Glob || Glob.isGlob(prefix) ? Glob.from(prefix) : null
+		const dir = glob ? glob.base || "." : String(prefix)
+		const records = []
+		const candidates = this.indexedCandidates(dir, query.where)
+		if (candidates) {
+			const under = Path.trim(dir)
+			for (const uri of candidates) {
+				if (under && !uri.startsWith(under + "/")) continue
+				if (glob && !glob.test(uri)) continue
+				records.push({ uri, data: await this.get(uri) })
+			}
+			return query.run(records.filter(({ data }) => null !== data && "object" === typeof data))
+		}
+		for await (const entry of this.documentEntries(dir, glob ? { filter: glob } : {})) {
+			const data = await this.get(entry.path)
+			if (null === data || "object" !== typeof data) continue
+			records.push({ uri: entry.path, data })
+		}
+		return query.run(records)
 	}
 
 	/**
-	 * Gets document content
-	 * @param {string} uri - Document URI
-	 * @returns {Promise<any>} Document content
+	 * Returns URIs of the documents from the index which covers the directory
+	 * and the field with equality or range condition, or null if there is no such index.
+	 * @param {string} dir - Directory of the documents
+	 * @param {Record<string, any>} where - Query conditions
+	 * @returns {string[] | null}
 	 */
-	async get(uri) {
-		await this.ensureAccess(uri, "r")
-		if (!this.data.has(uri) || false === this.data.get(uri)) {
-			const data = await this.loadDocument(uri)
-			this.data.set(uri, data)
+	indexedCandidates(dir, where) {
+		const under = Path.trim(dir)
+		for (const index of this.indexes.values()) {
+			if (index.prefix && under !== index.prefix && !under.startsWith(index.prefix + "/")) continue
+			if (!Object.hasOwn(where, index.field)) continue
+			const condition = where[index.field]
+			if (!Query.isOperators(condition)) {
+				if (null === condition || "object" !== typeof condition) {
+					return index.find(condition)
+				}
+				continue
+			}
+			if (Object.hasOwn(condition, "$eq")) {
+				return index.find(condition.$eq)
+			}
+			if (Array.isArray(condition.$in)) {
+				return Array.from(new Set(condition.$in.flatMap(/** @param {any} v */ v => index.find(v))))
+			}
+			const range = {
+				gt: condition.$gt, gte: condition.$gte, lt: condition.$lt, lte: condition.$lte,
+			}
+			if (Object.values(range).some(v => undefined !== v)) {
+				return index.range(range)
+			}
 		}
-		return this.data.get(uri)
+		return null
 	}
 
 	/**
-	 * Sets document content
-	 * @param {string} uri - Document URI
-	 * @param {any} data - Document data
-	 * @returns {Promise<any>} Document content
+	 * Creates secondary index of the field values of the documents under the prefix.
+	 * The index is loaded from its persisted document when it has the same definition,
+	 * otherwise it is built by reading the documents.
+	 * It is kept up to date on set, drop and move, and persisted on push.
+	 * @example
+	 * await db.createIndex("byAuthor", { prefix: "posts", field: "author/name" })
+	 * const uris = await db.findBy("byAuthor", "Ярослав")
+	 * @param {string} name - Index name
+	 * @param {object} options
+	 * @param {string} [options.prefix="."] - Directory of the indexed documents
+	 * @param {string} options.field - Path of the indexed field
+	 * @returns {Promise<DocumentIndex>}
 	 */
-	async set(uri, data) {
-		await this.ensureAccess(uri, "w")
-		this.data.set(uri, data)
-		const meta = this.meta.has(uri) ? this.meta.get(uri) : {}
-		this.meta.set(uri, new DocumentStat({ ...meta, mtimeMs: Date.now() }))
-		return data
+	async createIndex(name, options) {
+		const { prefix = ".", field } = options
+		const exclude = [this.versioning?.dir ?? "", this.trash.dir]
+		let index = new DocumentIndex({ name, prefix: Path.trim(prefix), field, exclude })
+		const stat = await this.stat(index.uri)
+		const stored = stat?.exists ? await this.get(index.uri) : null
+		if (stored && stored.field === index.field && stored.prefix === index.prefix) {
+			index = DocumentIndex.from({ ...stored, exclude })
+		} else {
+			for await (const entry of this.documentEntries(index.prefix || ".")) {
+				if (!index.covers(entry.path)) continue
+				index.add(entry.path, await this.get(entry.path))
+			}
+			await this.set(index.uri, index.toJSON())
+			index.dirty = false
+		}
+		if (!this.indexes.size) {
+			this.on("*", event => this.updateIndexes(event))
+		}
+		this.indexes.set(index.name, index)
+		return index
 	}
 
 	/**
-	 * Gets document statistics
-	 * @param {string} uri - Document URI
-	 * @returns {Promise<DocumentStat | undefined>}
+	 * Removes the index and its persisted document.
+	 * @param {string} name - Index name
+	 * @returns {Promise<boolean>} False if index does not exist
 	 */
-	async stat(uri) {
-		await this.ensureAccess(uri, "r")
-		if (!this.meta.has(uri)) {
-			const stat = await this.statDocument(uri)
-			this.meta.set(uri, stat)
+	async dropIndex(name) {
+		const index = this.indexes.get(name)
+		if (!index) {
+			return false
 		}
-		return this.meta.get(uri)
+		this.indexes.delete(name)
+		this.data.delete(index.uri)
+		this.meta.delete(index.uri)
+		await this.dropDocument(index.uri)
+		return true
 	}
 
 	/**
-	 * Resolves path segments to absolute path
-	 * @note Must be overwritten by platform-specific implementation
-	 * @param  {...string} args - Path segments
-	 * @returns {Promise<string>} Resolved absolute path
+	 * Updates indexes with the change event.
+	 * @param {ChangeEvent} event
+	 * @returns {void}
 	 */
-	async resolve(...args) {
-		return args.filter(Boolean).join("/")
+	updateIndexes(event) {
+		for (const index of this.indexes.values()) {
+			if ("set" === event.type && index.covers(event.uri)) {
+				index.add(event.uri, event.data)
+			}
+			else if ("drop" === event.type) {
+				index.remove(event.uri)
+			}
+			else if ("move" === event.type) {
+				index.rename(event.from, event.to)
+			}
+		}
 	}
 
 	/**
-	 * Resolves path segments to absolute path synchronously
-	 * @param  {...string} args - Path segments
-	 * @returns {string} Resolved absolute path
+	 * Evicts loaded documents selected by the cache policy back to the
+	 * "known but not loaded" state, unsaved changes are never evicted.
+	 * @returns {string[]} Evicted URIs
 	 */
-	resolveSync(...args) {
-		return args.filter(Boolean).join("/")
+	evict() {
+		if (!this.cache) {
+			return []
+		}
+		const evicted = []
+		for (const uri of this.cache.evictable(uri => this.dirty.has(uri))) {
+			this.cache.forget(uri)
+			if (this.data.has(uri) && false !== this.data.get(uri)) {
+				this.data.set(uri, false)
+				evicted.push(uri)
+			}
+		}
+		return evicted
 	}
 
 	/**
-	 * Gets absolute path
-	 * @note Must be overwritten by platform-specific implementation
-	 * @param  {...string} args - Path segments
-	 * @returns {string} Absolute path
+	 * Stops tracking dropped and moved documents in the cache policy.
+	 * @param {ChangeEvent} event
+	 * @returns {void}
 	 */
-	absolute(...args) {
-		return this.resolveSync(this.cwd, ...args)
+	updateCache(event) {
+		if ("drop" === event.type) {
+			this.cache?.forget(event.uri)
+		}
+		else if ("move" === event.type) {
+			this.cache?.forget(event.from)
+		}
 	}
 
 	/**
-	 * Loads a document
-	 * @param {string} uri - Document URI
-	 * @param {any} [defaultValue=""] - Default value if document not found
-	 * @returns {Promise<any>}
+	 * Puts changed indexes into data to be saved with the next push.
+	 * @returns {void}
 	 */
-	async loadDocument(uri, defaultValue = "") {
-		await this.ensureAccess(uri, "r")
-		throw new Error("Not implemented")
+	flushIndexes() {
+		for (const index of this.indexes.values()) {
+			if (!index.dirty) continue
+			const meta = this.meta.get(index.uri) ?? {}
+			this.data.set(index.uri, /** @type {any} */ (index.toJSON()))
+			this.meta.set(index.uri, new DocumentStat({ ...meta, mtimeMs: Date.now() }))
+			this.dirty.add(index.uri)
+			index.dirty = false
+		}
 	}
 
 	/**
-	 * Saves a document
-	 * @param {string} uri - Document URI
-	 * @param {any} document - Document data
-	 * @returns {Promise<boolean>}
+	 * Finds URIs of the documents by the indexed value.
+	 * @param {string} name - Index name
+	 * @param {string | number | boolean | null} value - Field value
+	 * @returns {Promise<string[]>}
 	 */
-	async saveDocument(uri, document) {
-		await this.ensureAccess(uri, "w")
-		throw new Error("Not implemented")
+	async findBy(name, value) {
+		const index = this.indexes.get(name)
+		if (!index) {
+			throw new Error(["Index not found", name].join(": "))
+		}
+		return index.find(value)
 	}
 
 	/**
-	 * Creates DocumentStat for a specific document
-	 * @note Must be overwritten by platform-specific implementation
-	 * @param {string} uri - Document URI
-	 * @returns {Promise<DocumentStat>}
+	 * Finds URIs of the documents by the range of indexed values, ordered by value.
+	 * @param {string} name - Index name
+	 * @param {object} range
+	 * @param {any} [range.gt]
+	 * @param {any} [range.gte]
+	 * @param {any} [range.lt]
+	 * @param {any} [range.lte]
+	 * @returns {Promise<string[]>}
+	 */
+	async findRange(name, range) {
+		const index = this.indexes.get(name)
+		if (!index) {
+			throw new Error(["Index not found", name].join(": "))
+		}
+		return index.range(range)
+	}
+
+	/**
+	 * Connect to database
+	 * @abstract
+	 * @returns {Promise<void>}
+	 * Platform specific implementation of connecting to the database
+	 */
+	async connect() {
+		this.connected = true
+	}
+
+	/**
+	 * Gets document content
+	 * @param {string} uri - Document URI
+	 * @param {object} [options]
+	 * @param {boolean} [options.inherit=false] - Merges inherited directory documents, see fetchMerged
+	 * @param {boolean} [options.resolveRefs=false] - Replaces { $ref } values with referenced content, see resolveRefs
+	 * @param {number} [options.maxRefDepth=10] - Maximum number of nested references
+	 * @param {AbortSignal} [options.signal] - Cancels loading, the cache stays unchanged
+	 * @returns {Promise<any>} Document content
+	 * @throws {AbortError} If the signal is aborted
+	 */
+	async get(uri, options = {}) {
+		const { inherit = false, resolveRefs = false, maxRefDepth = 10, signal } = options
+		AbortError.throwIfAborted(signal, uri)
+		if (inherit) {
+			return await this.fetchMerged(uri, { resolveRefs, maxRefDepth, signal })
+		}
+		if (resolveRefs) {
+			const data = await this.get(uri, { signal })
+			return await this.resolveRefs(uri, data, { maxDepth: maxRefDepth, chain: [Path.trim(uri) + "#"], signal })
+		}
+		await this.ensureAccess(uri, "r")
+		const mount = this.mounted(uri)
+		if (mount) {
+			return await mount.db.get(mount.uri, { signal })
+		}
+		if (this.cache?.expired(uri) && !this.dirty.has(uri)) {
+			this.cache.forget(uri)
+			this.data.set(uri, false)
+		}
+		if (!this.data.has(uri) || false === this.data.get(uri)) {
+			const raw = await this.loadDocument(uri, "", { signal })
+			AbortError.throwIfAborted(signal, uri)
+			const data = this.decode(uri, raw)
+			this.data.set(uri, data)
+			this.emit("load", { uri, data })
+		}
+		const data = this.data.get(uri)
+		if (this.cache) {
+			this.cache.touch(uri, data)
+			this.evict()
+		}
+		return data
+	}
+
+	/**
+	 * Gets document content merged over the inherited directory documents.
+	 * Walks from the root down to the document and deep merges every directory document
+	 * (inheritName, "_.json" by default) with Data.merge, the document itself is merged last.
+	 * Results are cached until the document or any of its directory documents changes or is refreshed,
+	 * every call returns a copy of the cached result.
+	 * @example
+	 * // _.json: { "lang": "en", "nav": { "home": "/" } }
+	 * // blog/_.json: { "nav": { "blog": "/blog" } }
+	 * // blog/hello.json: { "title": "Hello" }
+	 * await db.fetchMerged("blog/hello.json")
+	 * // { lang: "en", nav: { home: "/", blog: "/blog" }, title: "Hello" }
+	 * @param {string} uri - Document URI
+	 * @param {object} [options]
+	 * @param {boolean} [options.resolveRefs=false] - Resolves references of every document before the merge,
+	 * relative to the document where they are defined, such results are not cached
+	 * @param {number} [options.maxRefDepth=10] - Maximum number of nested references
+	 * @param {AbortSignal} [options.signal] - Cancels loading of the documents
+	 * @returns {Promise<any>} Merged content, the document itself if it is not an object
+	 */
+	async fetchMerged(uri, options = {}) {
+		const { resolveRefs = false, maxRefDepth = 10, signal } = options
+		await this.ensureAccess(uri, "r")
+		const mount = this.mounted(uri)
+		if (mount) {
+			return await mount.db.fetchMerged(mount.uri, options)
+		}
+		const key = Path.trim(uri)
+		if (!resolveRefs && this.merged.has(key)) {
+			return structuredClone(this.merged.get(key))
+		}
+		if (!this.unwatchMerged) {
+			this.unwatchMerged = this.on("*", event => this.updateMerged(event))
+		}
+		/**
+		 * @param {string} uri
+		 * @returns {Promise<any>}
+		 */
+		const fetch = async (uri) => {
+			const data = await this.fetchInherited(uri, { signal })
+			if (!resolveRefs || undefined === data) {
+				return data
+			}
+			return await this.resolveRefs(uri, data, { maxDepth: maxRefDepth, chain: [uri + "#"], signal })
+		}
+		const dirs = key.split("/").slice(0, -1)
+		const levels = dirs.map((_, i) => [...dirs.slice(0, i + 1), this.inheritName].join("/"))
+		levels.unshift(this.inheritName)
+		let result = {}
+		for (const inherited of levels.filter(u => u !== key)) {
+			const data = await fetch(inherited)
+			if (isObject(data)) {
+				result = Data.merge(result, data)
+			}
+		}
+		const data = await fetch(key)
+		if (undefined !== data) {
+			result = isObject(data) ? Data.merge(result, data) : data
+		}
+		if (!resolveRefs) {
+			// callers get copies, so changing the result does not change the cache
+			this.merged.set(key, result)
+			return structuredClone(result)
+		}
+		return result
+	}
+
+	/**
+	 * Replaces `{ "$ref": "path/to/doc.json#/pointer" }` values with the referenced content, recursively.
+	 * Relative paths are resolved from the directory of the referring document with resolve(),
+	 * paths starting with "/" from the root, an empty path refers to the same document.
+	 * The pointer is a JSON pointer, the whole document is referenced without it.
+	 * @example
+	 * // posts/1.json: { "author": { "$ref": "../authors.json#/yaro" } }
+	 * await db.get("posts/1.json", { resolveRefs: true })
+	 * // { author: { name: "Yaro" } }
+	 * @param {string} uri - URI of the document containing the references
+	 * @param {any} data - Content with references, it is not changed
+	 * @param {object} [options]
+	 * @param {number} [options.maxDepth=10] - Maximum number of nested references
+	 * @param {string[]} [options.chain=[]] - References being resolved, "uri#pointer", to detect cycles
+	 * @param {AbortSignal} [options.signal] - Cancels loading of the referenced documents
+	 * @returns {Promise<any>} Content with resolved references
+	 * @throws {Error} If reference is circular, too deep or not found
+	 */
+	async resolveRefs(uri, data, options = {}) {
+		const { maxDepth = 10, chain = [], signal } = options
+		if (Array.isArray(data)) {
+			const result = []
+			for (const item of data) {
+				result.push(await this.resolveRefs(uri, item, options))
+			}
+			return result
+		}
+		if (!isObject(data)) {
+			return data
+		}
+		if ("string" === typeof data.$ref) {
+			const [path, pointer = ""] = data.$ref.split("#")
+			let target = Path.trim(uri)
+			if (path.startsWith("/")) {
+				target = Path.trim(path)
+			}
+			else if (path) {
+				const dir = Path.trim(uri).split("/").slice(0, -1).join("/")
+				target = Path.trim(await this.resolve(dir || ".", path))
+			}
+			const id = `${target}#${pointer}`
+			if (chain.includes(id)) {
+				throw new Error(["Circular reference", [...chain, id].join(" -> ")].join(": "))
+			}
+			if (chain.length > maxDepth) {
+				throw new Error(["Reference depth limit exceeded", maxDepth, id].join(": "))
+			}
+			await this.ensureAccess(target, "r")
+			const value = fromPointer(await this.fetchInherited(target, { signal }), pointer)
+			if (undefined === value) {
+				throw new Error(["Reference not found", id].join(": "))
+			}
+			return await this.resolveRefs(target, value, { maxDepth, chain: [...chain, id], signal })
+		}
+		/** @type {Record<string, any>} */
+		const result = {}
+		for (const [key, value] of Object.entries(data)) {
+			result[key] = await this.resolveRefs(uri, value, options)
+		}
+		return result
+	}
+
+	/**
+	 * Gets content of the existing document for the merge or the reference.
+	 * @param {string} uri - Document URI
+	 * @param {object} [options]
+	 * @param {AbortSignal} [options.signal]
+	 * @returns {Promise<any>} Document content or undefined if it does not exist
+	 */
+	async fetchInherited(uri, options = {}) {
+		const loaded = this.data.get(uri)
+		if (!this.data.has(uri) || false === loaded) {
+			const stat = await this.stat(uri)
+			if (!stat?.exists || stat.isDirectory) {
+				return undefined
+			}
+		}
+		return await this.get(uri, options)
+	}
+
+	/**
+	 * Invalidates merged documents affected by the change:
+	 * the changed document and, for a directory document, everything below its directory.
+	 * @param {ChangeEvent} event
+	 * @returns {void}
+	 */
+	updateMerged(event) {
+		for (const uri of [event.uri, event.from, event.to]) {
+			if (!uri) continue
+			const path = Path.trim(uri)
+			const segments = path.split("/")
+			if (segments[segments.length - 1] !== this.inheritName) {
+				this.merged.delete(path)
+				continue
+			}
+			const dir = segments.slice(0, -1).join("/")
+			for (const key of this.merged.keys()) {
+				if (!dir || key.startsWith(dir + "/")) {
+					this.merged.delete(key)
+				}
+			}
+		}
+	}
+
+	/**
+	 * Sets document content
+	 * @param {string} uri - Document URI
+	 * @param {any} data - Document data
+	 * @param {object} [options]
+	 * @param {AbortSignal} [options.signal] - Cancels the change before it is made
+	 * @returns {Promise<any>} Document content
+	 * @throws {AbortError} If the signal is aborted
+	 */
+	async set(uri, data, options = {}) {
+		const { signal } = options
+		AbortError.throwIfAborted(signal, uri)
+		await this.ensureAccess(uri, "w")
+		const mount = this.mounted(uri)
+		if (mount) {
+			return await mount.db.set(mount.uri, data, options)
+		}
+		this.data.set(uri, data)
+		const meta = this.meta.has(uri) ? this.meta.get(uri) : {}
+		const stat = new DocumentStat({ ...meta, mtimeMs: Date.now() })
+		this.meta.set(uri, stat)
+		this.dirty.add(uri)
+		if (this.cache) {
+			this.cache.touch(uri, data)
+			this.evict()
+		}
+		this.emit("set", { uri, data, stat })
+		return data
+	}
+
+	/**
+	 * Runs the callback with staged writes, that are visible inside of the transaction,
+	 * and commits them into data and meta maps at once when callback succeeds.
+	 * Nothing is committed if the callback throws. If pushing fails, the saved documents
+	 * get their previous content back, committed documents are rolled back and no events
+	 * are emitted.
+	 * @example
+	 * await db.transaction(async tx => {
+	 * 	const index = await tx.get("index.json")
+	 * 	await tx.set("items/1.json", item)
+	 * 	await tx.set("index.json", [...index, "items/1.json"])
+	 * }, { push: true })
+	 * @template T
+	 * @param {(tx: Transaction) => Promise<T>} fn - Transaction callback
+	 * @param {object} [options]
+	 * @param {boolean} [options.push=false] - Save committed documents to the storage
+	 * @returns {Promise<T>} Result of the callback
+	 */
+	async transaction(fn, options = {}) {
+		const { push = false } = options
+		const tx = new Transaction({ db: this })
+		let result
+		try {
+			result = await fn(tx)
+		} catch (err) {
+			tx.rollback()
+			throw err
+		}
+		tx.commit()
+		if (push) {
+			try {
+				await tx.push()
+			} catch (err) {
+				tx.rollback()
+				throw err
+			}
+		}
+		tx.notify()
+		return result
+	}
+
+	/**
+	 * Gets document statistics
+	 * @param {string} uri - Document URI
+	 * @returns {Promise<DocumentStat | undefined>}
+	 */
+	async stat(uri) {
+		await this.ensureAccess(uri, "r")
+		const mount = this.mounted(uri)
+		if (mount) {
+			return await mount.db.stat(mount.uri)
+		}
+		if (this.mountsIn(uri).length) {
+			const stat = await this.statDocument(uri)
+			return stat.isDirectory ? stat : new DocumentStat({ isDirectory: true })
+		}
+		if (!this.meta.has(uri)) {
+			const stat = await this.statDocument(uri)
+			this.meta.set(uri, stat)
+		}
+		return this.meta.get(uri)
+	}
+
+	/**
+	 * Resolves path segments into the URI relative to the root, see Path.resolve.
+	 * @param  {...string} args - Path segments
+	 * @returns {Promise<string>} Resolved URI, "." for the root
+	 * @throws {Error} If the path escapes above the root
+	 */
+	async resolve(...args) {
+		return this.resolveSync(...args)
+	}
+
+	/**
+	 * Resolves path segments into the URI relative to the root synchronously.
+	 * @param  {...string} args - Path segments
+	 * @returns {string} Resolved URI, "." for the root
+	 * @throws {Error} If the path escapes above the root
+	 */
+	resolveSync(...args) {
+		return Path.resolve(...args)
+	}
+
+	/**
+	 * Gets absolute path of the URI resolved from the current working directory,
+	 * prefixed with the root of the database.
+	 * @param  {...string} args - Path segments
+	 * @returns {string} Absolute path
+	 * @throws {Error} If the path escapes above the root
+	 */
+	absolute(...args) {
+		const uri = this.resolveSync(this.cwd, ...args)
+		if ("." === uri) {
+			return this.root
+		}
+		return [this.root.replace(/\/+$/, ""), uri].join("/")
+	}
+
+	/**
+	 * Loads a document
+	 * @param {string} uri - Document URI
+	 * @param {any} [defaultValue=""] - Default value if document not found
+	 * @param {object} [options]
+	 * @param {AbortSignal} [options.signal] - Cancels loading, platform implementations should pass it through
+	 * @returns {Promise<any>}
+	 */
+	async loadDocument(uri, defaultValue = "", options = {}) {
+		AbortError.throwIfAborted(options.signal, uri)
+		await this.ensureAccess(uri, "r")
+		throw new Error("Not implemented")
+	}
+
+	/**
+	 * Saves a document
+	 * @note Must be overwritten by platform specific application
+	 * @param {string} uri - Document URI
+	 * @param {any} document - Document content already serialized by encode()
+	 * @param {object} [options]
+	 * @param {AbortSignal} [options.signal] - Cancels saving, platform implementations should pass it through
+	 * @returns {Promise<boolean>}
+	 */
+	async saveDocument(uri, document, options = {}) {
+		AbortError.throwIfAborted(options.signal, uri)
+		await this.ensureAccess(uri, "w")
+		throw new Error("Not implemented")
+	}
+
+	/**
+	 * Creates DocumentStat for a specific document
+	 * @note Must be overwritten by platform-specific implementation
+	 * @param {string} uri - Document URI
+	 * @returns {Promise<DocumentStat>}
 	 */
 	async statDocument(uri) {
 		await this.ensureAccess(uri)
@@ -395,6 +1541,10 @@ class DB {
 	 */
 	async writeDocument(uri, chunk) {
 		await this.ensureAccess(uri, "w")
+		const mount = this.mounted(uri)
+		if (mount) {
+			return await mount.db.writeDocument(mount.uri, chunk)
+		}
 		return false
 	}
 
@@ -404,19 +1554,25 @@ class DB {
 	 * @param {string} uri - Document URI
 	 * @returns {Promise<boolean>}
 	 * Always returns false for base implementation not knowing
-	 * to implement delete on top of generic interface
+	 * to implement delete on top of generic interface.
+	 * Backends emit the "drop" event once the document is deleted.
 	 */
 	async dropDocument(uri) {
 		await this.ensureAccess(uri, "d")
+		const mount = this.mounted(uri)
+		if (mount) {
+			return await mount.db.dropDocument(mount.uri)
+		}
 		return false
 	}
 
 	/**
 	 * Ensures access for given URI and level
-	 * @note Must be overwritten by platform specific application
+	 * by the access policy for the current subject, if there is a policy.
 	 * @param {string} uri - Document URI
 	 * @param {string} [level='r'] Access level
 	 * @returns {Promise<boolean>}
+	 * @throws {AccessDeniedError} If the policy refuses the access
 	 */
 	async ensureAccess(uri, level = "r") {
 		if (!oneOf("r", "w", "d")(level)) {
@@ -427,48 +1583,903 @@ class DB {
 				"d = delete",
 			].join("\n"))
 		}
+		if (this.policy && !this.policy.allows(this.subject, Path.trim(uri), level)) {
+			throw new AccessDeniedError({ uri, level, subject: this.subject })
+		}
 		return true
 	}
 
 	/**
-	 * Synchronize data with persistent storage
+	 * Checks if the current subject has access to the document,
+	 * for instance to hide the actions in user interface.
+	 * Mounted documents must be allowed by both databases.
+	 * @param {string} uri - Document URI
+	 * @param {string} [level="r"] Access level
+	 * @returns {Promise<boolean>}
+	 */
+	async can(uri, level = "r") {
+		try {
+			await this.ensureAccess(uri, level)
+		} catch (err) {
+			if (err instanceof AccessDeniedError) return false
+			throw err
+		}
+		const mount = this.mounted(uri)
+		if (mount) {
+			return await mount.db.can(mount.uri, level)
+		}
+		return true
+	}
+
+	/**
+	 * Loads the access policy from the policy document of the database,
+	 * removes the policy when document does not exist.
+	 * @example
+	 * // .access.json
+	 * // { "rules": [{ "effect": "allow", "path": "**", "subject": "role:admin", "level": "rwd" }] }
+	 * await db.loadPolicy()
+	 * @param {string} [uri=".access.json"] - Policy document URI
+	 * @returns {Promise<AccessPolicy | null>}
+	 */
+	async loadPolicy(uri = AccessPolicy.URI) {
+		const doc = this.decode(uri, await this.loadDocument(uri, ""))
+		this.policy = doc ? AccessPolicy.from(doc) : null
+		return this.policy
+	}
+
+	/**
+	 * Stores the persisted content of the document into its history
+	 * before it is overwritten, when versioning is enabled.
+	 * Persisted indexes are not versioned.
+	 * @param {string} uri - Document URI
+	 * @returns {Promise<import("./Versioning.js").DocumentVersion | null>} Stored version or null
+	 */
+	async saveVersion(uri) {
+		if (!this.versioning?.covers(uri) || Path.trim(uri).startsWith(DocumentIndex.DIR + "/")) {
+			return null
+		}
+		const stat = await this.statDocument(uri)
+		if (!stat.exists || stat.isDirectory) {
+			return null
+		}
+		const data = this.decode(uri, await this.loadDocument(uri))
+		const versions = await this.loadVersions(uri)
+		const version = this.versioning.create(versions, data, stat)
+		const historyUri = this.versioning.uriOf(uri)
+		await this.saveDocument(historyUri, this.encode(historyUri, {
+			uri: Path.trim(uri),
+			versions: this.versioning.prune([...versions, version], version.timeMs),
+		}))
+		return version
+	}
+
+	/**
+	 * Loads versions of the document from the oldest to the newest.
+	 * @param {string} uri - Document URI
+	 * @returns {Promise<import("./Versioning.js").DocumentVersion[]>}
+	 */
+	async loadVersions(uri) {
+		if (!this.versioning) {
+			return []
+		}
+		const historyUri = this.versioning.uriOf(uri)
+		const stat = await this.statDocument(historyUri)
+		if (!stat.exists) {
+			return []
+		}
+		const versions = Versioning.parse(this.decode(historyUri, await this.loadDocument(historyUri)))
+		return this.versioning.prune(versions)
+	}
+
+	/**
+	 * Returns versions of the document from the newest to the oldest, without their content.
+	 * @example
+	 * const db = new DB({ versioning: { maxVersions: 20, maxAge: 30 * 24 * 60 * 60 * 1000 } })
+	 * const [last] = await db.history("index.json")
+	 * await db.revert("index.json", last.id)
+	 * @param {string} uri - Document URI
+	 * @returns {Promise<Array<{ id: string, timeMs: number, stat: DocumentStat }>>}
+	 */
+	async history(uri) {
+		await this.ensureAccess(uri, "r")
+		const mount = this.mounted(uri)
+		if (mount) {
+			return await mount.db.history(mount.uri)
+		}
+		const versions = await this.loadVersions(uri)
+		return versions.reverse().map(({ id, timeMs, stat }) => ({ id, timeMs, stat }))
+	}
+
+	/**
+	 * Returns content of the document version.
+	 * @param {string} uri - Document URI
+	 * @param {string} id - Version identifier
+	 * @returns {Promise<any>}
+	 * @throws {Error} If version does not exist
+	 */
+	async getVersion(uri, id) {
+		await this.ensureAccess(uri, "r")
+		const mount = this.mounted(uri)
+		if (mount) {
+			return await mount.db.getVersion(mount.uri, id)
+		}
+		const versions = await this.loadVersions(uri)
+		const version = versions.find(v => v.id === String(id))
+		if (!version) {
+			throw new Error(["Version not found", `${uri}#${id}`].join(": "))
+		}
+		return version.data
+	}
+
+	/**
+	 * Restores the document content from its version and saves it,
+	 * the replaced content becomes the newest version.
+	 * @param {string} uri - Document URI
+	 * @param {string} id - Version identifier
+	 * @returns {Promise<any>} Restored content
+	 * @throws {Error} If version does not exist
+	 */
+	async revert(uri, id) {
+		const data = await this.getVersion(uri, id)
+		await this.set(uri, data)
+		await this.push(uri)
+		return data
+	}
+
+	/**
+	 * Synchronizes documents under the prefix with another database.
+	 * - "push" mirrors our documents into theirs, including deletes;
+	 * - "pull" mirrors their documents into ours, including deletes;
+	 * - "both" copies missing documents both ways, nothing is deleted.
+	 * Documents that differ on both sides are conflicts in "both" direction,
+	 * and in one way directions when the changed document is newer than the source.
+	 * Conflicts are resolved by the newer mtime, always by one side, or by the callback.
+	 * @example
+	 * const plan = await fsDB.sync(fetchDB, { direction: "push", prefix: "posts", dryRun: true })
+	 * console.log(String(plan), plan.conflicts)
+	 * @param {DB} other - Database to synchronize with
+	 * @param {object} [options]
+	 * @param {"push" | "pull" | "both"} [options.direction="both"]
+	 * @param {string} [options.prefix="."] - Directory to synchronize
+	 * @param {"newer" | "ours" | "theirs" | ((conflict: import("./SyncPlan.js").SyncConflict) => any)} [options.conflict="newer"]
+	 * Conflict resolution, callback returns "ours", "theirs" or "skip"
+	 * @param {boolean} [options.dryRun=false] - Only compute the plan
+	 * @returns {Promise<SyncPlan>}
+	 */
+	async sync(other, options = {}) {
+		const {
+			direction = "both",
+			prefix = ".",
+			conflict = "newer",
+			dryRun = false,
+		} = options
+		if (!(other instanceof DB)) {
+			throw new TypeError("It is possible to sync only with DB or extended databases")
+		}
+		const plan = new SyncPlan({ direction })
+		const ours = await this.syncEntries(prefix)
+		const theirs = await other.syncEntries(prefix)
+		const uris = Array.from(new Set([...ours.keys(), ...theirs.keys()])).sort()
+		for (const uri of uris) {
+			const a = ours.get(uri)
+			const b = theirs.get(uri)
+			if (!b) {
+				plan.add("pull" === direction ? "delete" : "copy", uri, "pull" === direction ? "ours" : "theirs")
+				continue
+			}
+			if (!a) {
+				plan.add("push" === direction ? "delete" : "copy", uri, "push" === direction ? "theirs" : "ours")
+				continue
+			}
+			if (!await this.differs(other, uri, a, b)) {
+				continue
+			}
+			if ("push" === direction && a.mtimeMs >= b.mtimeMs) {
+				plan.add("update", uri, "theirs")
+				continue
+			}
+			if ("pull" === direction && b.mtimeMs >= a.mtimeMs) {
+				plan.add("update", uri, "ours")
+				continue
+			}
+			const found = { uri, ours: a, theirs: b, resolution: /** @type {"ours" | "theirs" | "skip"} */ ("skip") }
+			found.resolution = await this.resolveConflict(found, conflict)
+			plan.conflicts.push(found)
+			if ("skip" !== found.resolution) {
+				plan.add("update", uri, "ours" === found.resolution ? "theirs" : "ours")
+			}
+		}
+		if (!dryRun) {
+			await this.applySync(other, plan)
+		}
+		return plan
+	}
+
+	/**
+	 * Collects stats of the documents under the prefix for synchronization,
+	 * persisted indexes, version history and trash are skipped.
+	 * @param {string} prefix - Directory URI
+	 * @returns {Promise<Map<string, DocumentStat>>}
+	 */
+	async syncEntries(prefix) {
+		const result = new Map()
+		for await (const entry of this.documentEntries(prefix)) {
+			result.set(Path.trim(entry.path), entry.stat)
+		}
+		return result
+	}
+
+	/**
+	 * Reads existing documents under the prefix,
+	 * persisted indexes, version history and trash are skipped.
+	 * @param {string} prefix - Directory URI
+	 * @param {object} [options]
+	 * @param {Function | string | string[] | Glob} [options.filter] - Filter function or glob pattern, see readDir
+	 * @param {AbortSignal} [options.signal] - Cancels reading
+	 * @yields {DocumentEntry}
+	 * @returns {AsyncGenerator<DocumentEntry, void, unknown>}
+	 */
+	async *documentEntries(prefix, options = {}) {
+		const { filter, signal } = options
+		for await (const entry of this.readDir(prefix, { filter, signal })) {
+			if (entry.isDirectory || !entry.stat.exists || this.isInternal(entry.path)) continue
+			yield entry
+		}
+	}
+
+	/**
+	 * Checks if the URI is inside of the persisted indexes, version history or trash,
+	 * such documents are not enumerated as documents of the database.
+	 * @param {string} uri
+	 * @returns {boolean}
+	 */
+	isInternal(uri) {
+		const path = Path.trim(uri)
+		return [DocumentIndex.DIR, this.versioning?.dir, this.trash.dir]
+			.some(dir => dir && (path === dir || path.startsWith(dir + "/")))
+	}
+
+	/**
+	 * Checks if the document differs in two databases,
+	 * content is compared only when the sizes are equal and the mtimes are not.
+	 * @param {DB} other
+	 * @param {string} uri
+	 * @param {DocumentStat} ours
+	 * @param {DocumentStat} theirs
+	 * @returns {Promise<boolean>}
+	 */
+	async differs(other, uri, ours, theirs) {
+		if (ours.size !== theirs.size) {
+			return true
+		}
+		if (ours.mtimeMs === theirs.mtimeMs) {
+			return false
+		}
+		const [a, b] = [await this.get(uri), await other.get(uri)]
+		return JSON.stringify(a) !== JSON.stringify(b)
+	}
+
+	/**
+	 * Resolves the sync conflict by the policy.
+	 * @param {import("./SyncPlan.js").SyncConflict} conflict
+	 * @param {"newer" | "ours" | "theirs" | ((conflict: import("./SyncPlan.js").SyncConflict) => any)} policy
+	 * @returns {Promise<"ours" | "theirs" | "skip">}
+	 * @throws {TypeError} If policy or its result is not supported
+	 */
+	async resolveConflict(conflict, policy) {
+		/** @type {any} */
+		let result = policy
+		if ("function" === typeof policy) {
+			result = await policy(conflict)
+		} else if ("newer" === policy) {
+			const { ours, theirs } = conflict
+			result = ours.mtimeMs > theirs.mtimeMs ? "ours" : theirs.mtimeMs > ours.mtimeMs ? "theirs" : "skip"
+		}
+		if ("ours" !== result && "theirs" !== result && "skip" !== result) {
+			throw new TypeError(["Sync conflict resolution must be one of [ours, theirs, skip]", String(result)].join(": "))
+		}
+		return result
+	}
+
+	/**
+	 * Applies actions of the sync plan, documents are copied with get, set and push,
+	 * so the format codecs, access policy, events and history of each database apply.
+	 * @param {DB} other
+	 * @param {SyncPlan} plan
+	 * @returns {Promise<SyncPlan>}
+	 */
+	async applySync(other, plan) {
+		for (const { type, uri, target } of plan.actions) {
+			const [source, dest] = "theirs" === target ? [this, other] : [other, this]
+			if ("delete" === type) {
+				await dest.dropDocument(uri)
+				continue
+			}
+			await dest.set(uri, await source.get(uri))
+			await dest.push(uri)
+		}
+		plan.applied = true
+		return plan
+	}
+
+	/**
+	 * Exports documents under the prefix into a self-describing archive,
+	 * persisted indexes, version history and trash are skipped.
+	 * @example
+	 * const bundle = JSON.stringify(await db.export({ prefix: "posts", includeMeta: true }))
+	 * @param {object} [options]
+	 * @param {string} [options.prefix="."] - Directory URI
+	 * @param {boolean} [options.includeMeta=false] - Includes DocumentStat of every document
+	 * @param {AbortSignal} [options.signal] - Cancels export
+	 * @returns {Promise<Archive>}
+	 */
+	async export(options = {}) {
+		const { prefix = "." } = options
+		const archive = new Archive({ prefix })
+		for await (const doc of this.exportDocuments(options)) {
+			archive.documents.push(doc)
+		}
+		return archive
+	}
+
+	/**
+	 * Exports documents under the prefix as NDJSON lines of the archive,
+	 * documents are loaded one by one while the lines are consumed.
+	 * @example
+	 * for await (const line of db.exportStream({ prefix: "posts" })) stream.write(line)
+	 * @param {object} [options]
+	 * @param {string} [options.prefix="."] - Directory URI
+	 * @param {boolean} [options.includeMeta=false] - Includes DocumentStat of every document
+	 * @param {AbortSignal} [options.signal] - Cancels export
+	 * @yields {string} Line ending with a newline, the header goes first
+	 * @returns {AsyncGenerator<string, void, unknown>}
+	 */
+	async *exportStream(options = {}) {
+		const { prefix = "." } = options
+		yield JSON.stringify(new Archive({ prefix }).header) + "\n"
+		for await (const doc of this.exportDocuments(options)) {
+			yield JSON.stringify(doc) + "\n"
+		}
+	}
+
+	/**
+	 * Loads documents under the prefix as archive documents.
+	 * @param {object} [options]
+	 * @param {string} [options.prefix="."] - Directory URI
+	 * @param {boolean} [options.includeMeta=false] - Includes DocumentStat of every document
+	 * @param {AbortSignal} [options.signal] - Cancels export
+	 * @yields {import("./Archive.js").ArchiveDocument}
+	 * @returns {AsyncGenerator<import("./Archive.js").ArchiveDocument, void, unknown>}
+	 */
+	async *exportDocuments(options = {}) {
+		const { prefix = ".", includeMeta = false, signal } = options
+		for await (const entry of this.documentEntries(prefix, { signal })) {
+			const uri = Path.trim(entry.path)
+			const data = await this.get(uri, { signal })
+			yield Archive.document(uri, data, includeMeta ? entry.stat : undefined)
+		}
+	}
+
+	/**
+	 * Imports documents of the archive through set and push, so it can be restored into any backend.
+	 * Documents are imported one by one, those imported before an error stay saved.
+	 * @example
+	 * await db.import(bundle, { overwrite: "newer", prefixRemap: { posts: "archive/posts" } })
+	 * @param {Archive | object | string | Iterable<string> | AsyncIterable<string>} archive
+	 * JSON bundle, NDJSON text or its chunks
+	 * @param {object} [options]
+	 * @param {"replace" | "skip" | "newer" | "error"} [options.overwrite="replace"] - Policy for the existing documents,
+	 * documents exported without meta are never newer
+	 * @param {Record<string, string> | ((uri: string) => string)} [options.prefixRemap={}] - Maps prefixes
+	 * of the archived URIs, the longest matching prefix wins
+	 * @param {AbortSignal} [options.signal] - Cancels import of the remaining documents
+	 * @returns {Promise<string[]>} Imported URIs
+	 * @throws {TypeError} If archive is not supported
+	 * @throws {Error} If imported URI is outside of the root
+	 */
+	async import(archive, options = {}) {
+		const { overwrite = "replace", prefixRemap = {}, signal } = options
+		const result = []
+		for await (const doc of Archive.documents(archive)) {
+			const uri = this.remap(String(doc.uri), prefixRemap)
+			AbortError.throwIfAborted(signal, uri)
+			const target = this.mounted(uri)
+			const dest = target ? target.db : this
+			if (!await dest.canOverwrite(target ? target.uri : uri, Archive.stat(doc), overwrite)) {
+				continue
+			}
+			await this.set(uri, Archive.content(doc), { signal })
+			await this.push(uri, { signal })
+			result.push(uri)
+		}
+		return result
+	}
+
+	/**
+	 * Replaces the longest matching prefix of the URI.
+	 * @example
+	 * db.remap("posts/1.json", { posts: "archive/posts" }) // "archive/posts/1.json"
+	 * @param {string} uri
+	 * @param {Record<string, string> | ((uri: string) => string)} prefixRemap - Prefixes map or function
+	 * @returns {string} Resolved URI
+	 * @throws {Error} If URI is outside of the root
+	 */
+	remap(uri, prefixRemap) {
+		const path = Path.resolve(uri)
+		if ("function" === typeof prefixRemap) {
+			return Path.resolve(prefixRemap(path))
+		}
+		const segments = Path.segments(path)
+		let found = null
+		for (const [from, to] of Object.entries(prefixRemap)) {
+			const prefix = Path.segments(from)
+			if (prefix.length > segments.length || prefix.some((s, i) => s !== segments[i])) continue
+			if (!found || prefix.length > found.prefix.length) {
+				found = { prefix, to }
+			}
+		}
+		if (!found) {
+			return path
+		}
+		return Path.resolve(found.to, segments.slice(found.prefix.length).join("/"))
+	}
+
+	/**
+	 * Synchronize data with persistent storage,
+	 * including the mounted databases when no specific URI provided.
+	 * Aborted push keeps the saved documents clean and the rest of them unsaved.
 	 * @param {string|undefined} [uri] Optional specific URI to save
+	 * @param {object} [options]
+	 * @param {AbortSignal} [options.signal] - Cancels saving of the remaining documents
 	 * @returns {Promise<string[]>} Array of saved URIs
+	 * @throws {AbortError} If the signal is aborted
 	 */
-	async push(uri = undefined) {
+	async push(uri = undefined, options = {}) {
+		const { signal } = options
+		AbortError.throwIfAborted(signal, uri)
+		this.flushIndexes()
 		if (uri) {
 			await this.ensureAccess(uri, "w")
-		} else {
-			for (const [key] of this.data) {
-				await this.ensureAccess(key, "w")
+			const mount = this.mounted(uri)
+			if (mount) {
+				const changed = await mount.db.push(mount.uri, options)
+				return changed.map(key => this.mountedPath(mount.path, key))
 			}
 		}
-		const changed = []
+		/** @type {Array<[string, any]>} */
+		const pending = []
 		for (const [key, value] of this.data) {
+			if (uri && key !== uri) continue
 			const meta = this.meta.get(key) ?? { mtimeMs: 0 }
 			const stat = await this.statDocument(key)
-			if (meta.mtimeMs > stat.mtimeMs) {
-				changed.push(key)
-				await this.saveDocument(key, value)
+			if (this.dirty.has(key) || meta.mtimeMs > stat.mtimeMs) {
+				pending.push([key, value])
+			}
+		}
+		// only the documents to save need write access, the read ones are kept as is
+		for (const [key] of pending) {
+			await this.ensureAccess(key, "w")
+		}
+		const changed = []
+		for (const [key, value] of pending) {
+			AbortError.throwIfAborted(signal, key)
+			changed.push(key)
+			await this.saveVersion(key)
+			await this.saveDocument(key, this.encode(key, value), { signal })
+			this.dirty.delete(key)
+			this.emit("push", { uri: key, stat: this.meta.get(key) })
+		}
+		if (!uri) {
+			for (const [path, db] of this.mounts) {
+				const saved = await db.push(undefined, options)
+				changed.push(...saved.map(key => this.mountedPath(path, key)))
 			}
 		}
 		return changed
 	}
 
 	/**
-	 * Moves a document from one URI to another URI
+	 * Reloads stale cache from the persistent storage, the opposite of push.
+	 * Without URI refreshes every cached document, see refresh.
+	 * @param {string|undefined} [uri] Optional specific URI to refresh
+	 * @param {object} [options]
+	 * @param {boolean} [options.reload=false] Load changed documents at once instead of lazy reload on get
+	 * @returns {Promise<{ refreshed: string[], conflicts: string[] }>} Refreshed URIs
+	 * and URIs of the documents changed both in the storage and locally
+	 */
+	async pull(uri = undefined, options = {}) {
+		if (undefined === uri) {
+			return await this.refresh(".", options)
+		}
+		await this.ensureAccess(uri, "r")
+		const mount = this.mounted(uri)
+		if (mount) {
+			const { refreshed, conflicts } = await mount.db.pull(mount.uri, options)
+			return {
+				refreshed: refreshed.map(key => this.mountedPath(mount.path, key)),
+				conflicts: conflicts.map(key => this.mountedPath(mount.path, key)),
+			}
+		}
+		/** @type {{ refreshed: string[], conflicts: string[] }} */
+		const result = { refreshed: [], conflicts: [] }
+		await this.refreshDocument(uri, result, options)
+		return result
+	}
+
+	/**
+	 * Re-stats cached documents under the prefix and invalidates the ones
+	 * changed in the storage by mtime or size, removed documents are dropped from cache.
+	 * Documents changed locally and not pushed yet are never overwritten,
+	 * they are reported as conflicts when the storage has changed as well.
+	 * @example
+	 * const { refreshed, conflicts } = await db.refresh("posts")
+	 * @param {string} [prefix="."] Directory URI
+	 * @param {object} [options]
+	 * @param {boolean} [options.reload=false] Load changed documents at once instead of lazy reload on get
+	 * @returns {Promise<{ refreshed: string[], conflicts: string[] }>}
+	 */
+	async refresh(prefix = ".", options = {}) {
+		await this.ensureAccess(prefix, "r")
+		const mount = this.mounted(prefix)
+		if (mount) {
+			const { refreshed, conflicts } = await mount.db.refresh(mount.uri, options)
+			return {
+				refreshed: refreshed.map(key => this.mountedPath(mount.path, key)),
+				conflicts: conflicts.map(key => this.mountedPath(mount.path, key)),
+			}
+		}
+		const dir = Path.trim(prefix)
+		/** @param {string} path */
+		const under = (path) => !dir || path === dir || path.startsWith(dir + "/")
+		/** @type {{ refreshed: string[], conflicts: string[] }} */
+		const result = { refreshed: [], conflicts: [] }
+		for (const uri of Array.from(this.data.keys())) {
+			if (under(Path.trim(uri))) {
+				await this.refreshDocument(uri, result, options)
+			}
+		}
+		for (const [path, db] of this.mounts) {
+			if (!under(path)) continue
+			const { refreshed, conflicts } = await db.refresh(".", options)
+			result.refreshed.push(...refreshed.map(key => this.mountedPath(path, key)))
+			result.conflicts.push(...conflicts.map(key => this.mountedPath(path, key)))
+		}
+		return result
+	}
+
+	/**
+	 * Compares the cached stat of the document with the storage and invalidates it,
+	 * documents loaded without a stat only get the current one recorded.
+	 * Locally changed documents keep size and ctime of the version they are based on,
+	 * directories only get their stat updated.
+	 * @param {string} uri - Document URI
+	 * @param {{ refreshed: string[], conflicts: string[] }} result - Collected URIs
+	 * @param {object} [options]
+	 * @param {boolean} [options.reload=false]
+	 * @returns {Promise<void>}
+	 */
+	async refreshDocument(uri, result, options = {}) {
+		const { reload = false } = options
+		await this.ensureAccess(uri, "r")
+		const known = this.meta.get(uri)
+		const stat = await this.statDocument(uri)
+		if (stat.isDirectory) {
+			this.meta.set(uri, stat)
+			return
+		}
+		if (this.dirty.has(uri)) {
+			const base = known ?? new DocumentStat()
+			if (stat.exists && (stat.ctimeMs !== base.ctimeMs || stat.size !== base.size)) {
+				result.conflicts.push(uri)
+			}
+			return
+		}
+		// documents loaded without stat are compared from now on
+		if (!known) {
+			this.meta.set(uri, stat)
+			return
+		}
+		const changed = known.exists !== stat.exists
+			|| known.mtimeMs !== stat.mtimeMs || known.size !== stat.size
+		if (!changed) {
+			return
+		}
+		result.refreshed.push(uri)
+		if (!stat.exists) {
+			this.data.delete(uri)
+			this.meta.delete(uri)
+			this.emit("drop", { uri })
+			return
+		}
+		this.meta.set(uri, stat)
+		if (!reload) {
+			this.data.set(uri, false)
+			this.updateMerged(new ChangeEvent({ type: "load", uri }))
+			return
+		}
+		const data = this.decode(uri, await this.loadDocument(uri))
+		this.data.set(uri, data)
+		this.emit("load", { uri, data })
+	}
+
+	/**
+	 * Moves a document from one URI to another URI, the source is dropped.
+	 * Documents are moved between attached databases by copying into the target one.
+	 * Attached databases of the source and the target get "drop" and "set" events of their own URIs.
 	 * @param {string} from - Source URI
 	 * @param {string} to - Target URI
-	 * @returns {Promise<boolean>} Success status
+	 * @param {object} [options]
+	 * @param {"replace" | "skip" | "newer" | "error"} [options.overwrite="replace"] - Policy for the existing target
+	 * @returns {Promise<boolean>} False if source does not exist or target is kept
 	 */
-	async moveDocument(from, to) {
+	async moveDocument(from, to, options = {}) {
 		await this.ensureAccess(to, "w")
 		await this.ensureAccess(from, "r")
-		const data = await this.get(from)
-		await this.saveDocument(to, data)
+		await this.ensureAccess(from, "d")
+		const source = this.mounted(from)
+		const target = this.mounted(to)
+		if (source && source.db === target?.db) {
+			return await source.db.moveDocument(source.uri, target.uri, options)
+		}
+		const stat = await this.transfer(from, to, options)
+		if (!stat) {
+			return false
+		}
+		await this.dropDocument(from)
+		this.data.delete(from)
+		this.meta.delete(from)
+		this.dirty.delete(from)
+		this.emit("move", { uri: to, from, to, stat })
+		// attached databases see only their own side of the move
+		if (target) {
+			target.db.emit("set", { uri: target.uri, data: target.db.data.get(target.uri), stat })
+		}
 		return true
 	}
 
+	/**
+	 * Copies a document from one URI to another URI, also between attached databases.
+	 * @param {string} from - Source URI
+	 * @param {string} to - Target URI
+	 * @param {object} [options]
+	 * @param {"replace" | "skip" | "newer" | "error"} [options.overwrite="replace"] - Policy for the existing target
+	 * @returns {Promise<boolean>} False if source does not exist or target is kept
+	 */
+	async copyDocument(from, to, options = {}) {
+		await this.ensureAccess(to, "w")
+		await this.ensureAccess(from, "r")
+		const source = this.mounted(from)
+		const target = this.mounted(to)
+		if (source && source.db === target?.db) {
+			return await source.db.copyDocument(source.uri, target.uri, options)
+		}
+		const stat = await this.transfer(from, to, options)
+		if (!stat) {
+			return false
+		}
+		const dest = target ? target.db : this
+		const uri = target ? target.uri : to
+		dest.emit("set", { uri, data: dest.data.get(uri), stat })
+		return true
+	}
+
+	/**
+	 * Saves content of the source document into the target document,
+	 * in the attached database when the target is mounted.
+	 * @param {string} from - Source URI
+	 * @param {string} to - Target URI
+	 * @param {object} [options]
+	 * @param {"replace" | "skip" | "newer" | "error"} [options.overwrite="replace"]
+	 * @returns {Promise<DocumentStat | null>} Stat of the saved target or null if nothing is saved
+	 */
+	async transfer(from, to, options = {}) {
+		const { overwrite = "replace" } = options
+		const stat = await this.stat(from)
+		if (!stat?.exists || stat.isDirectory) {
+			return null
+		}
+		const target = this.mounted(to)
+		const dest = target ? target.db : this
+		const uri = target ? target.uri : to
+		if (!await dest.canOverwrite(uri, stat, overwrite)) {
+			return null
+		}
+		const data = await this.get(from)
+		await dest.saveVersion(uri)
+		await dest.saveDocument(uri, dest.encode(uri, data))
+		dest.data.set(uri, data)
+		dest.dirty.delete(uri)
+		const saved = await dest.statDocument(uri)
+		dest.meta.set(uri, saved)
+		return saved
+	}
+
+	/**
+	 * Checks the overwrite policy for the target document.
+	 * @param {string} uri - Target URI
+	 * @param {DocumentStat} stat - Stat of the source document
+	 * @param {"replace" | "skip" | "newer" | "error"} [overwrite="replace"]
+	 * - replace: always overwrite,
+	 * - skip: keep existing target,
+	 * - newer: overwrite only by the newer source,
+	 * - error: throw if target exists.
+	 * @returns {Promise<boolean>} True if target can be written
+	 * @throws {Error} If target exists and policy is "error"
+	 */
+	async canOverwrite(uri, stat, overwrite = "replace") {
+		if (!["replace", "skip", "newer", "error"].includes(overwrite)) {
+			throw new TypeError(["Overwrite policy must be one of [replace, skip, newer, error]", overwrite].join(": "))
+		}
+		if ("replace" === overwrite) {
+			return true
+		}
+		const existing = await this.statDocument(uri)
+		if (!existing.exists) {
+			return true
+		}
+		if ("error" === overwrite) {
+			throw new Error(["Document already exists", uri].join(": "))
+		}
+		return "newer" === overwrite && stat.mtimeMs > existing.mtimeMs
+	}
+
+	/**
+	 * Moves a document or a directory recursively.
+	 * @example
+	 * await db.move("drafts/2024", "posts/2024", { overwrite: "error" })
+	 * @param {string} from - Source URI
+	 * @param {string} to - Target URI
+	 * @param {object} [options]
+	 * @param {"replace" | "skip" | "newer" | "error"} [options.overwrite="replace"] - Policy for the existing targets
+	 * @returns {Promise<string[]>} URIs of the moved documents at the target
+	 */
+	async move(from, to, options = {}) {
+		return await this.eachTarget(from, to, (source, target) => this.moveDocument(source, target, options))
+	}
+
+	/**
+	 * Copies a document or a directory recursively.
+	 * @param {string} from - Source URI
+	 * @param {string} to - Target URI
+	 * @param {object} [options]
+	 * @param {"replace" | "skip" | "newer" | "error"} [options.overwrite="replace"] - Policy for the existing targets
+	 * @returns {Promise<string[]>} URIs of the copied documents at the target
+	 */
+	async copy(from, to, options = {}) {
+		return await this.eachTarget(from, to, (source, target) => this.copyDocument(source, target, options))
+	}
+
+	/**
+	 * Renames a document or a directory inside of its parent directory.
+	 * @param {string} uri - Source URI
+	 * @param {string} name - New name
+	 * @param {object} [options]
+	 * @param {"replace" | "skip" | "newer" | "error"} [options.overwrite="replace"] - Policy for the existing targets
+	 * @returns {Promise<string[]>} URIs of the renamed documents
+	 */
+	async rename(uri, name, options = {}) {
+		if (!name || String(name).includes("/")) {
+			throw new TypeError(["Name must not be empty or contain slashes", name].join(": "))
+		}
+		const parent = Path.trim(uri).split("/").slice(0, -1)
+		return await this.move(uri, [...parent, name].join("/"), options)
+	}
+
+	/**
+	 * Drops a document or a directory, optionally into the trash to restore it later.
+	 * Documents that are set but not pushed yet are dropped from memory as well.
+	 * @example
+	 * await db.drop("drafts", { recursive: true, trash: true })
+	 * const [entry] = (await db.trash.list()).slice(-1)
+	 * await db.trash.restore(entry.id)
+	 * @param {string} uri - Document or directory URI
+	 * @param {object} [options]
+	 * @param {boolean} [options.recursive=false] - Drops directory with all its documents
+	 * @param {boolean} [options.trash=false] - Moves documents into the trash instead of dropping them
+	 * @returns {Promise<string[]>} URIs of the dropped documents
+	 * @throws {Error} If directory has documents and it is not dropped recursively
+	 */
+	async drop(uri, options = {}) {
+		const { recursive = false, trash = false } = options
+		await this.ensureAccess(uri, "d")
+		const mount = this.mounted(uri)
+		if (mount) {
+			const dropped = await mount.db.drop(mount.uri, options)
+			return dropped.map(key => this.mountedPath(mount.path, key))
+		}
+		const stat = await this.stat(uri)
+		if (!stat?.exists) {
+			return []
+		}
+		let uris = [Path.trim(uri)]
+		const dirs = []
+		if (stat.isDirectory) {
+			uris = []
+			dirs.push(uri)
+			// internal documents are dropped only with their own directory
+			const internal = this.isInternal(uri)
+			for await (const entry of this.readDir(uri)) {
+				if (!internal && this.isInternal(entry.path)) continue
+				if (entry.isDirectory) dirs.push(entry.path)
+				else uris.push(Path.trim(entry.path))
+			}
+			const prefix = Path.trim(uri) ? Path.trim(uri) + "/" : ""
+			for (const key of this.dirty) {
+				if (key.startsWith(prefix) && !uris.includes(key) && (internal || !this.isInternal(key))) uris.push(key)
+			}
+			if (uris.length && !recursive) {
+				throw new Error(["Directory is not empty, drop it recursively", uri].join(": "))
+			}
+		}
+		/** @type {string[]} */
+		const result = []
+		if (trash) {
+			const entry = await this.trash.put(uri, uris.filter(key => !this.trash.covers(key)))
+			result.push(...entry.documents)
+		}
+		else {
+			for (const key of uris) {
+				if (await this.dropDocument(key)) {
+					result.push(key)
+				}
+			}
+		}
+		// documents set but never pushed exist only in memory
+		for (const key of uris) {
+			if (!this.dirty.has(key)) {
+				continue
+			}
+			this.data.delete(key)
+			this.meta.delete(key)
+			this.dirty.delete(key)
+			if (!result.includes(key)) {
+				result.push(key)
+			}
+			this.emit("drop", { uri: key })
+		}
+		// listed directories are not pushed back
+		for (const dir of dirs) {
+			if (!this.trash.covers(dir)) {
+				this.data.delete(dir)
+				this.meta.delete(dir)
+			}
+		}
+		return result
+	}
+
+	/**
+	 * Applies the operation to the document or to every document of the directory
+	 * with the corresponding target URI.
+	 * @param {string} from - Source URI
+	 * @param {string} to - Target URI
+	 * @param {(source: string, target: string) => Promise<boolean>} fn - Operation
+	 * @returns {Promise<string[]>} Target URIs of succeeded operations
+	 * @throws {Error} If directory is moved or copied into itself
+	 */
+	async eachTarget(from, to, fn) {
+		const source = Path.trim(from)
+		const target = Path.trim(to)
+		const stat = await this.stat(from)
+		if (!stat?.isDirectory) {
+			return await fn(from, to) ? [to] : []
+		}
+		if (source === target || !source || target.startsWith(source + "/")) {
+			throw new Error(["Cannot move or copy directory into itself", `${from} -> ${to}`].join(": "))
+		}
+		const uris = []
+		for await (const entry of this.readDir(from)) {
+			if (!entry.isDirectory) uris.push(Path.trim(entry.path))
+		}
+		const result = []
+		for (const uri of uris) {
+			const dest = [target, uri.slice(source.length + 1)].filter(Boolean).join("/")
+			if (await fn(uri, dest)) {
+				result.push(dest)
+			}
+		}
+		return result
+	}
+
 	/**
 	 * Disconnect from database
 	 * @returns {Promise<void>}
@@ -484,24 +2495,74 @@ class DB {
 	 * @param {number} [options.depth] - Depth to list
 	 * @param {boolean} [options.skipStat] - Skip statistics collection
 	 * @param {boolean} [options.skipSymbolicLink] - Skip symbolic links
+	 * @param {AbortSignal} [options.signal] - Cancels listing, platform implementations should pass it through
 	 * @returns {Promise<{name: string, stat: DocumentStat, isDirectory: boolean}[]>} Directory entries
 	 */
-	async listDir(uri, { depth = 0, skipStat = false, skipSymbolicLink = false } = {}) {
+	async listDir(uri, { depth = 0, skipStat = false, skipSymbolicLink = false, signal } = {}) {
 		throw new Error("Not implemented")
 	}
 
 	/**
-	 * Push stream of progress state
+	 * Walks directories depth first in the order of readDir, one listing at a time.
+	 * Every directory has a share of the whole walk: the root has 1 and the share of a directory
+	 * is split equally by its own listing and its subdirectories, so the sum of shares
+	 * of the walked listings grows monotonically up to 1.
 	 * @param {string} uri - Starting URI
+	 * @param {object} [options]
+	 * @param {Function | string | string[] | Glob} [options.filter] - Filter function or glob pattern
+	 * @param {boolean} [options.skipStat=false] - Skip statistics
+	 * @param {boolean} [options.skipSymbolicLink=false] - Skip symbolic links
+	 * @param {AbortSignal} [options.signal] - Cancels the walk before the next directory
+	 * @yields {{ uri: string, entries: DocumentEntry[], share: number }} Accepted entries of the directory
+	 * @returns {AsyncGenerator<{ uri: string, entries: DocumentEntry[], share: number }, void, unknown>}
+	 * @throws {AbortError} If the signal is aborted
+	 */
+	async *walk(uri, options = {}) {
+		const {
+			filter = () => true,
+			skipStat = false,
+			skipSymbolicLink = false,
+			signal,
+		} = options
+		const { accept, descend } = this.matchers(filter)
+		/** @param {any} path */
+		const pass = (path) => accept(String(path)) || descend(String(path))
+		const stack = [{ uri: String(uri), share: 1, depth: 0 }]
+		while (stack.length) {
+			const dir = /** @type {{ uri: string, share: number, depth: number }} */ (stack.pop())
+			/** @type {DocumentEntry[]} */
+			const entries = []
+			const options = { depth: dir.depth, skipStat, skipSymbolicLink, recursive: false, filter: pass, signal }
+			for await (const entry of this.readDir(dir.uri, options)) {
+				entries.push(entry)
+			}
+			const subdirs = entries.filter(e => e.isDirectory && e.path !== dir.uri
+				&& !(skipSymbolicLink && e.isSymbolicLink) && descend(e.path))
+			const share = dir.share / (subdirs.length + 1)
+			for (let i = subdirs.length - 1; i >= 0; i--) {
+				stack.push({ uri: subdirs[i].path, share, depth: dir.depth + 1 })
+			}
+			yield { uri: dir.uri, entries: entries.filter(e => accept(e.path)), share }
+		}
+	}
+
+	/**
+	 * Push stream of progress state.
+	 * Progress grows monotonically from 0 to 1 by the completed directories of the walk,
+	 * or by the processed entries when they are counted with the pre-count pass.
+	 * @param {string | string[] | Glob} uri - Starting URI or glob pattern to search from its static prefix
 	 * @param {object} options - Stream options
-	 * @param {Function} [options.filter] - Filter function
+	 * @param {Function | string | string[] | Glob} [options.filter] - Filter function or glob pattern, also applied to the glob URI
 	 * @param {number} [options.limit] - Limit number of entries
 	 * @param {'name'|'mtime'|'size'} [options.sort] - Sort criteria
 	 * @param {'asc'|'desc'} [options.order] - Sort order
 	 * @param {boolean} [options.skipStat] - Skip statistics
 	 * @param {boolean} [options.skipSymbolicLink] - Skip symbolic links
+	 * @param {boolean} [options.precount=false] - Counts entries before streaming for more accurate progress
+	 * @param {AbortSignal} [options.signal] - Cancels the stream before the next directory
 	 * @yields {StreamEntry} Progress state
 	 * @returns {AsyncGenerator<StreamEntry, void, unknown>}
+	 * @throws {AbortError} If the signal is aborted
 	 */
 	async *findStream(uri, options = {}) {
 		const {
@@ -511,122 +2572,118 @@ class DB {
 			order = "asc",
 			skipStat = false,
 			skipSymbolicLink = false,
+			precount = false,
+			signal,
 		} = options
 		/** @type {Map<string, DocumentEntry>} */
-		let dirs = new Map()
+		const dirs = new Map()
 		/** @type {Map<string, DocumentEntry>} */
-		let top = new Map()
+		const top = new Map()
 		/** @type {Map<string, Error | null>} */
-		let errors = new Map()
+		const errors = new Map()
 
+		/**
+		 * @param {DocumentEntry} a
+		 * @param {DocumentEntry} b
+		 * @returns {number}
+		 */
 		const sortFn = (a, b) => {
 			if (sort === "name") {
 				return order === "asc" ? a.name.localeCompare(b.name) : b.name.localeCompare(a.name)
 			}
 			if (sort === "mtime") {
-				return order === "asc" ? a.stat.mtime - b.stat.mtime : b.stat.mtime - a.stat.mtime
+				return order === "asc" ? a.stat.mtimeMs - b.stat.mtimeMs : b.stat.mtimeMs - a.stat.mtimeMs
 			}
 			if (sort === "size") {
 				return order === "asc" ? a.stat.size - b.stat.size : b.stat.size - a.stat.size
 			}
 			return 0
 		}
-
-		/**
-		 * !!! INCORRECT PROGRESS CALCULATION !!!
-		 * @param {DocumentEntry[]} files
-		 * @returns {number}
-		 */
-		function getProgress(files) {
-			let progress = 0
-
-			/** @type {DocumentEntry} */
-			const last = files[files.length - 2] ?? null
-			const recent = files[files.length - 1]
-			if (recent.stat.isDirectory) {
-				dirs.set(recent.path, recent)
-			} else {
-				if ("" !== recent.parent && !dirs.has(recent.parent)) {
-					throw new Error(["Directory not found", recent.parent].join(": "))
-				}
-			}
-			if (last?.parent && last.parent !== recent.parent && dirs.has(last.parent)) {
-				const dir = dirs.get(last.parent)
-				if (dir) {
-					dir.fulfilled = true
-					const topDir = top.get(dir.name)
-					if (topDir) {
-						topDir.fulfilled = true
-					}
-				}
-			}
-			if (recent.depth > 0) {
-				// Calculate progress based on fulfillment of subdirectories the same way as top level directories.
-				// Find the top-level directory for this recent file.
-				let topLevelDirName = recent.name
-				/** @type {DocumentEntry | undefined} */
-				let dir = recent
-				while (dir?.parent && dirs.has(dir.parent)) {
-					dir = dirs.get(dir.parent)
-					if (dir) {
-						topLevelDirName = dir.name
-					}
-				}
-				// Mark the top-level directory as fulfilled if all its subdirectories are fulfilled.
-				if (top.has(topLevelDirName)) {
-					const topDir = top.get(topLevelDirName)
-					if (topDir) {
-						// Find all directories under this top-level directory.
-						const subDirs = Array.from(dirs.values()).filter(
-							d =>
-								d.name !== topLevelDirName &&
-								(d.parent === topLevelDirName || d.name.startsWith(topLevelDirName + "/"))
-						)
-						const allFulfilled =
-							subDirs.length > 0 && subDirs.every(d => d.fulfilled)
-						if (allFulfilled) {
-							topDir.fulfilled = true
-						}
-					}
-				}
-				const fulfilledDirs = Array.from(top.values()).filter(dir => dir.fulfilled)
-				progress = top.size ? fulfilledDirs.length / top.size : 0
-			}
-			else if (recent.stat.isDirectory) {
-				top.set(recent.name, recent)
-			}
-			// Calculate progress based on the number of fulfilled directories
-			const fulfilledDirs = Array.from(dirs.values()).filter(dir => dir.fulfilled)
-			progress = dirs.size ? fulfilledDirs.length / dirs.size : 0
-			return progress
-		}
 		const totalSize = { dirs: 0, files: 0 }
+		const processed = { dirs: 0, files: 0, bytes: 0 }
 
-		await this.ensureAccess(uri)
+		const glob = uri instanceof Glob || Glob.isGlob(uri) ? Glob.from(uri) : null
+		const dir = glob ? glob.base || "." : String(uri)
+		await this.ensureAccess(dir)
+		const walkOptions = { skipStat, skipSymbolicLink, filter: glob ?? filter, signal }
+		// the glob of the URI selects the walk, the filter narrows its entries
+		const { accept } = this.matchers(glob ? filter : () => true)
 
-		const files = []
-		for await (const file of this.readDir(uri, { skipStat, skipSymbolicLink, filter })) {
-			files.push(file)
+		let total = 0
+		if (precount) {
+			for await (const { entries } of this.walk(dir, walkOptions)) {
+				total += entries.filter(e => accept(e.path)).length
+			}
+		}
+		const started = Date.now()
+		/** @type {DocumentEntry[]} */
+		const found = []
+		/** @type {DocumentEntry[]} */
+		const sorted = []
+		let done = 0
+		let progress = 0
+		/**
+		 * @param {DocumentEntry} file
+		 * @param {boolean} last
+		 * @returns {StreamEntry}
+		 */
+		const next = (file, last) => {
+			found.push(file)
 			if (file.stat.error) {
 				errors.set(file.path, file.stat.error)
 			}
 			if (file.stat.isDirectory) {
 				dirs.set(file.path, file)
+				if (0 === file.depth) {
+					top.set(file.name, file)
+				}
 				totalSize.dirs += file.stat.size
+			} else {
+				++processed.files
+				processed.bytes += file.stat.size
 			}
 			totalSize.files += file.stat.isFile ? file.stat.size : 0
-			const progress = getProgress(files)
-			const entry = new StreamEntry({
+			const current = precount && total > 0 ? found.length / total : done
+			progress = last ? 1 : Math.min(1, Math.max(progress, current))
+			const elapsed = Date.now() - started
+			return new StreamEntry({
 				file,
-				files: files.sort(sortFn),
+				found,
+				sorted,
+				count: found.length,
+				compare: sortFn,
 				dirs,
 				top,
 				errors,
 				progress,
-				totalSize,
+				totalSize: { ...totalSize },
+				processed: { ...processed },
+				elapsed,
+				throughput: elapsed > 0 ? processed.bytes * 1000 / elapsed : 0,
+				eta: progress > 0 ? elapsed * (1 - progress) / progress : Infinity,
 			})
-			yield entry
-			if (limit > 0 && files.length >= limit) break
+		}
+		/** @type {DocumentEntry | null} */
+		let pending = null
+		for await (const listing of this.walk(dir, walkOptions)) {
+			++processed.dirs
+			done += listing.share
+			const listed = dirs.get(listing.uri)
+			if (listed) {
+				listed.fulfilled = true
+			}
+			// the last entry waits for the next listing to know if it is the last one of the walk
+			for (const entry of listing.entries) {
+				if (!accept(entry.path)) continue
+				if (pending) {
+					yield next(pending, false)
+					if (limit > 0 && found.length >= limit) return
+				}
+				pending = entry
+			}
+		}
+		if (pending) {
+			yield next(pending, true)
 		}
 	}
 
@@ -1,6 +1,10 @@
 import { suite, describe, it, beforeEach } from 'node:test'
 import assert from 'node:assert/strict'
-import DB, { DocumentEntry, DocumentStat, StreamEntry } from './index.js'
+import DB, {
+	DocumentEntry, DocumentStat, StreamEntry, MemoryDB, ChangeEvent, DocumentIndex, AccessPolicy, AccessDeniedError,
+	AbortError, Archive,
+} from './index.js'
+import { resolveCases, rejectedCases, relativeCases, absoluteCases } from './utils/path.cases.js'
 
 class MockDB extends DB {
 	constructor(input = {}) {
@@ -162,6 +166,202 @@ suite("DB", () => {
 			assert.strictEqual(db.dbs.length, 1)
 			assert.strictEqual(db.dbs[0], db2)
 		})
+
+		it('should detach by identity databases sharing the same root', () => {
+			db.attach(db1, 'one')
+			db.attach(db2, 'two')
+			assert.strictEqual(db1.root, db2.root)
+			const result = db.detach(db2)
+			assert.deepStrictEqual(result, [db2])
+			assert.deepStrictEqual(db.dbs, [db1])
+			assert.deepStrictEqual(Array.from(db.mounts.keys()), ['one'])
+			assert.strictEqual(db.detach(new MockDB()), false)
+		})
+	})
+
+	describe('mounts', () => {
+		/** @type {MemoryDB} */
+		let home
+		/** @type {MemoryDB} */
+		let pics
+
+		beforeEach(() => {
+			home = new MemoryDB({ storage: { 'index.txt': 'Home', 'mnt/readme.md': '# Mounts' } })
+			pics = new MemoryDB({ storage: { 'cat.jpg': 'meow', 'dogs/rex.jpg': 'woof' } })
+			home.attach(pics, 'mnt/YaRas.love/pics')
+		})
+
+		it('should register mount point', () => {
+			assert.strictEqual(home.dbs[0], pics)
+			assert.strictEqual(home.mounts.get('mnt/YaRas.love/pics'), pics)
+			assert.deepStrictEqual(home.mounted('./mnt/YaRas.love/pics/dogs/rex.jpg'), {
+				db: pics, uri: 'dogs/rex.jpg', path: 'mnt/YaRas.love/pics',
+			})
+			assert.strictEqual(home.mounted('mnt/YaRas.love/picsX'), null)
+		})
+
+		it('should reject busy and root mount points', () => {
+			assert.throws(() => home.attach(new MemoryDB(), 'mnt/YaRas.love/pics/'), /already in use/)
+			assert.throws(() => home.attach(new MemoryDB(), '/'), TypeError)
+		})
+
+		it('should delegate get, set and stat', async () => {
+			assert.strictEqual(await home.get('mnt/YaRas.love/pics/cat.jpg'), 'meow')
+			await home.set('mnt/YaRas.love/pics/new.jpg', 'new')
+			assert.strictEqual(pics.data.get('new.jpg'), 'new')
+			assert.strictEqual(home.data.has('mnt/YaRas.love/pics/new.jpg'), false)
+			const stat = await home.stat('mnt/YaRas.love/pics/cat.jpg')
+			assert.strictEqual(stat.isFile, true)
+			assert.strictEqual((await home.stat('mnt/YaRas.love')).isDirectory, true)
+		})
+
+		it('should push mounted databases', async () => {
+			await new Promise(resolve => setTimeout(resolve, 2))
+			await home.set('mnt/YaRas.love/pics/new.jpg', 'new')
+			await home.set('index.txt', 'Home!')
+			const changed = await home.push()
+			assert.deepStrictEqual(changed, ['index.txt', 'mnt/YaRas.love/pics/new.jpg'])
+			assert.strictEqual(pics.storage.get('new.jpg'), 'new')
+		})
+
+		it('should push only the specific document', async () => {
+			await home.set('mnt/YaRas.love/pics/new.jpg', 'new')
+			await home.set('index.txt', 'Home!')
+			assert.deepStrictEqual(await home.push('mnt/YaRas.love/pics/new.jpg'), ['mnt/YaRas.love/pics/new.jpg'])
+			assert.strictEqual(home.storage.get('index.txt'), 'Home')
+		})
+
+		it('should drop and move documents inside of the mount', async () => {
+			assert.strictEqual(await home.moveDocument('mnt/YaRas.love/pics/cat.jpg', 'mnt/YaRas.love/pics/old/cat.jpg'), true)
+			assert.ok(pics.storage.has('old/cat.jpg'))
+			assert.strictEqual(await home.dropDocument('mnt/YaRas.love/pics/old/cat.jpg'), true)
+			assert.strictEqual(pics.storage.has('old/cat.jpg'), false)
+		})
+
+		it('should list mount points as directories', async () => {
+			const entries = []
+			for await (const entry of home.readDir('.')) {
+				entries.push(String(entry))
+			}
+			assert.deepStrictEqual(entries, [
+				'D mnt',
+				'F index.txt',
+				'D mnt/YaRas.love',
+				'F mnt/readme.md',
+				'D mnt/YaRas.love/pics',
+				'D mnt/YaRas.love/pics/dogs',
+				'F mnt/YaRas.love/pics/cat.jpg',
+				'F mnt/YaRas.love/pics/dogs/rex.jpg',
+			])
+		})
+
+		it('should filter mounted entries by full path', async () => {
+			const entries = []
+			const filter = (path) => !String(path).endsWith('cat.jpg')
+			for await (const entry of home.readDir('mnt/YaRas.love/pics', { filter })) {
+				entries.push(entry.path)
+			}
+			assert.deepStrictEqual(entries, ['mnt/YaRas.love/pics/dogs', 'mnt/YaRas.love/pics/dogs/rex.jpg'])
+		})
+
+		it('should detach by mount path', async () => {
+			const result = home.detach('mnt/YaRas.love/pics')
+			assert.deepStrictEqual(result, [pics])
+			assert.strictEqual(home.mounts.size, 0)
+			assert.strictEqual(home.dbs.length, 0)
+			assert.strictEqual(await home.get('mnt/YaRas.love/pics/cat.jpg'), '')
+			assert.strictEqual(home.detach('mnt/YaRas.love/pics'), false)
+		})
+
+		it('should unmount detached database', () => {
+			home.detach(pics)
+			assert.strictEqual(home.mounts.size, 0)
+		})
+	})
+
+	describe('events', () => {
+		/** @type {MemoryDB} */
+		let mem
+
+		beforeEach(() => {
+			mem = new MemoryDB({ storage: { 'a.txt': 'A', 'posts/1.json': { title: 'One' } } })
+		})
+
+		it('should emit typed change events', async () => {
+			const events = []
+			mem.on('*', event => events.push(event))
+			await mem.get('a.txt')
+			await mem.set('b.txt', 'B')
+			await mem.push()
+			await mem.moveDocument('b.txt', 'c.txt')
+			await mem.drop('c.txt')
+			assert.ok(events.every(e => e instanceof ChangeEvent))
+			assert.deepStrictEqual(events.map(String), [
+				'load a.txt',
+				'set b.txt',
+				'push b.txt',
+				'move b.txt -> c.txt',
+				'drop c.txt',
+			])
+			assert.strictEqual(events[1].data, 'B')
+		})
+
+		it('should subscribe to the specific type and unsubscribe', async () => {
+			const events = []
+			const off = mem.on('set', event => events.push(event.uri))
+			await mem.get('a.txt')
+			await mem.set('b.txt', 'B')
+			off()
+			await mem.set('c.txt', 'C')
+			assert.deepStrictEqual(events, ['b.txt'])
+			assert.strictEqual(mem.off('set', () => {}), false)
+		})
+
+		it('should forward events of mounted databases with prefix', async () => {
+			const events = []
+			const pics = new MemoryDB()
+			mem.attach(pics, 'mnt/pics')
+			mem.on('set', event => events.push(event.uri))
+			await mem.set('mnt/pics/cat.jpg', 'meow')
+			mem.detach('mnt/pics')
+			await pics.set('dog.jpg', 'woof')
+			assert.deepStrictEqual(events, ['mnt/pics/cat.jpg'])
+		})
+
+		it('should emit set events after transaction commit', async () => {
+			const events = []
+			mem.on('set', event => events.push(event.uri))
+			await mem.transaction(async tx => {
+				await tx.set('x.txt', 'X')
+				assert.deepStrictEqual(events, [])
+			})
+			assert.deepStrictEqual(events, ['x.txt'])
+		})
+
+		it('should watch changes under the prefix', async () => {
+			const watcher = mem.watch('posts')
+			await mem.set('a.txt', 'AA')
+			await mem.set('posts/2.json', { title: 'Two' })
+			await mem.drop('posts/1.json')
+			const events = []
+			for await (const event of watcher) {
+				events.push(String(event))
+				if (events.length >= 2) break
+			}
+			assert.deepStrictEqual(events, ['set posts/2.json', 'drop posts/1.json'])
+			assert.strictEqual(mem.listeners.get('*').size, 0)
+		})
+
+		it('should wait for the next change', async () => {
+			const watcher = mem.watch(event => 'drop' === event.type)
+			const next = watcher.next()
+			await mem.set('a.txt', 'AA')
+			await mem.drop('a.txt')
+			const { value } = await next
+			assert.strictEqual(String(value), 'drop a.txt')
+			await watcher.return()
+			assert.deepStrictEqual(await watcher.next(), { value: undefined, done: true })
+		})
 	})
 
 	describe('extract', () => {
@@ -209,9 +409,43 @@ suite("DB", () => {
 	})
 
 	describe('relative', () => {
-		it('should throw not implemented error', () => {
+		it('should return relative path', () => {
+			const baseDb = new DB()
+			for (const [from, to, expected] of relativeCases) {
+				assert.strictEqual(baseDb.relative(from, to), expected, `${from} -> ${to}`)
+			}
+			assert.strictEqual(new DB({ root: '/data' }).relative('/data', 'docs/a.txt'), 'docs/a.txt')
+		})
+	})
+
+	describe('path algebra', () => {
+		it('should resolve paths by the shared matrix', async () => {
+			const baseDb = new DB()
+			for (const [args, expected] of resolveCases) {
+				assert.strictEqual(baseDb.resolveSync(...args), expected, args.join(', '))
+				assert.strictEqual(await baseDb.resolve(...args), expected, args.join(', '))
+			}
+		})
+
+		it('should reject paths above the root', () => {
+			const baseDb = new DB()
+			for (const args of rejectedCases) {
+				assert.throws(() => baseDb.resolveSync(...args), /Path is outside of the root/, args.join(', '))
+			}
+			assert.throws(() => baseDb.absolute('../a.txt'), /outside of the root/)
+		})
+
+		it('should combine root and cwd into absolute paths', () => {
+			for (const [input, args, expected] of absoluteCases) {
+				assert.strictEqual(new DB(input).absolute(...args), expected, args.join(', '))
+			}
+		})
+
+		it('should normalize storage keys', () => {
 			const baseDb = new DB()
-			assert.throws(() => baseDb.relative('from', 'to'), /not implemented/i)
+			assert.strictEqual(baseDb.normalize('./a//b/'), 'a/b')
+			assert.strictEqual(baseDb.normalize('.'), '')
+			assert.throws(() => baseDb.normalize('../a'), /outside of the root/)
 		})
 	})
 
@@ -335,6 +569,1375 @@ suite("DB", () => {
 		})
 	})
 
+	describe('glob patterns', () => {
+		/** @type {MemoryDB} */
+		let mem
+		/** @type {string[]} */
+		let listed
+
+		beforeEach(() => {
+			mem = new MemoryDB({
+				storage: {
+					'readme.txt': 'Readme',
+					'src/a.json': '{}',
+					'src/a.txt': 'A',
+					'src/deep/b.json': '{}',
+					'lib/c.json': '{}',
+					'lib/deep/d.json': '{}',
+				}
+			})
+			listed = []
+			const listDir = mem.listDir.bind(mem)
+			mem.listDir = async (uri, options) => {
+				listed.push(uri)
+				return await listDir(uri, options)
+			}
+		})
+
+		it('should find documents by glob pattern', async () => {
+			const results = []
+			for await (const uri of mem.find('src/**/*.json')) {
+				results.push(uri)
+			}
+			assert.deepStrictEqual(results, ['src/a.json', 'src/deep/b.json'])
+			assert.deepStrictEqual(listed, ['src', 'src/deep'])
+		})
+
+		it('should find documents by list of patterns', async () => {
+			const results = []
+			for await (const uri of mem.find(['**/*.json', '!**/deep/**'])) {
+				results.push(uri)
+			}
+			assert.deepStrictEqual(results, ['lib/c.json', 'src/a.json'])
+		})
+
+		it('should filter readDir by glob and prune directories', async () => {
+			const results = []
+			for await (const entry of mem.readDir('.', { filter: '{readme,src/a}.txt' })) {
+				results.push(entry.path)
+			}
+			assert.deepStrictEqual(results, ['readme.txt', 'src/a.txt'])
+			assert.deepStrictEqual(listed, ['.', 'src'])
+		})
+
+		it('should stream documents matching glob', async () => {
+			const results = []
+			for await (const entry of mem.findStream('*.txt')) {
+				results.push(entry.file.path)
+			}
+			assert.deepStrictEqual(results, ['readme.txt'])
+		})
+
+		it('should match glob in mounted databases by full path', async () => {
+			mem.attach(new MemoryDB({ storage: { 'x/e.json': '{}', 'f.txt': 'F' } }), 'mnt')
+			const results = []
+			for await (const uri of mem.find('mnt/**/*.json')) {
+				results.push(uri)
+			}
+			assert.deepStrictEqual(results, ['mnt/x/e.json'])
+		})
+	})
+
+	describe('query', () => {
+		it('should query JSON documents under the prefix', async () => {
+			const mem = new MemoryDB({
+				storage: {
+					'posts/1.json': { title: 'One', author: { name: 'Ярослав' }, date: '2024-01-02' },
+					'posts/2.json': { title: 'Two', author: { name: 'Олена' }, date: '2024-03-01' },
+					'posts/3.json': { title: 'Three', author: { name: 'Ярослав' }, date: '2024-02-01' },
+					'posts/readme.txt': 'Not a JSON',
+					'pages/about.json': { title: 'About', author: { name: 'Ярослав' } },
+				}
+			})
+			const found = await mem.query('posts', {
+				where: { 'author/name': 'Ярослав' },
+				select: ['title', 'date'],
+				orderBy: { date: 'desc' },
+			})
+			assert.deepStrictEqual(found, [
+				{ uri: 'posts/3.json', value: { title: 'Three', date: '2024-02-01' } },
+				{ uri: 'posts/1.json', value: { title: 'One', date: '2024-01-02' } },
+			])
+			const all = await mem.query('**/*.json', { where: { 'author/name': 'Ярослав' }, select: 'title', limit: 2, orderBy: 'title' })
+			assert.deepStrictEqual(all.map(r => r.value), ['About', 'One'])
+		})
+
+		it('should skip persisted indexes, trash and version history', async () => {
+			const mem = new MemoryDB({
+				storage: {
+					'a.json': { title: 'A' },
+					'b.json': { title: 'B' },
+				},
+				versioning: {},
+			})
+			await mem.createIndex('byTitle', { field: 'title' })
+			await mem.set('a.json', { title: 'AA' })
+			await mem.push()
+			await mem.drop('b.json', { trash: true })
+			const found = await mem.query('.', { select: 'title' })
+			assert.deepStrictEqual(found, [{ uri: 'a.json', value: 'AA' }])
+			const index = await mem.createIndex('all', { field: 'title' })
+			assert.deepStrictEqual(Array.from(index.uris.keys()), ['a.json'])
+		})
+	})
+
+	describe('indexes', () => {
+		/** @type {MemoryDB} */
+		let mem
+
+		beforeEach(() => {
+			mem = new MemoryDB({
+				storage: {
+					'posts/1.json': { author: { name: 'Ярослав' }, views: 10 },
+					'posts/2.json': { author: { name: 'Олена' }, views: 30 },
+					'posts/3.json': { author: { name: 'Ярослав' }, views: 20 },
+					'pages/about.json': { author: { name: 'Ярослав' } },
+				}
+			})
+		})
+
+		it('should build index and find by value', async () => {
+			const index = await mem.createIndex('byAuthor', { prefix: 'posts', field: 'author/name' })
+			assert.ok(index instanceof DocumentIndex)
+			assert.deepStrictEqual(await mem.findBy('byAuthor', 'Ярослав'), ['posts/1.json', 'posts/3.json'])
+			assert.deepStrictEqual(await mem.findBy('byAuthor', 'Nobody'), [])
+			await assert.rejects(mem.findBy('missing', 'x'), /Index not found: missing/)
+		})
+
+		it('should keep index up to date on set, drop and move', async () => {
+			await mem.createIndex('byAuthor', { prefix: 'posts', field: 'author/name' })
+			await mem.set('posts/4.json', { author: { name: 'Олена' } })
+			await mem.set('posts/1.json', { author: { name: 'Олена' } })
+			await mem.drop('posts/2.json')
+			await mem.moveDocument('posts/3.json', 'posts/5.json')
+			assert.deepStrictEqual(await mem.findBy('byAuthor', 'Олена'), ['posts/4.json', 'posts/1.json'])
+			assert.deepStrictEqual(await mem.findBy('byAuthor', 'Ярослав'), ['posts/5.json'])
+			await mem.moveDocument('posts/5.json', 'pages/5.json')
+			assert.deepStrictEqual(await mem.findBy('byAuthor', 'Ярослав'), [])
+		})
+
+		it('should update index, cache and merged documents on dropDocument and sync deletes', async () => {
+			const db = new MemoryDB({
+				storage: {
+					'posts/_.json': { lang: 'uk' },
+					'posts/1.json': { author: { name: 'Ярослав' } },
+					'posts/2.json': { author: { name: 'Олена' } },
+				},
+				cache: { maxEntries: 10 },
+			})
+			await db.createIndex('byAuthor', { prefix: 'posts', field: 'author/name' })
+			assert.strictEqual((await db.fetchMerged('posts/2.json')).lang, 'uk')
+			assert.ok(db.merged.has('posts/2.json'))
+			await db.get('posts/1.json')
+			assert.ok(db.cache?.entries.has('posts/1.json'))
+
+			await db.dropDocument('posts/1.json')
+			assert.deepStrictEqual(await db.findBy('byAuthor', 'Ярослав'), [])
+			assert.strictEqual(db.cache?.entries.has('posts/1.json'), false)
+
+			const theirs = new MemoryDB({ storage: { 'posts/_.json': { lang: 'uk' } } })
+			await db.sync(theirs, { direction: 'pull' })
+			assert.strictEqual(db.storage.has('posts/2.json'), false)
+			assert.deepStrictEqual(await db.findBy('byAuthor', 'Олена'), [])
+			assert.strictEqual(db.merged.has('posts/2.json'), false)
+		})
+
+		it('should scan ranges', async () => {
+			await mem.createIndex('views', { prefix: 'posts', field: 'views' })
+			assert.deepStrictEqual(await mem.findRange('views', { gte: 15 }), ['posts/3.json', 'posts/2.json'])
+		})
+
+		it('should persist index on push and load it back', async () => {
+			await mem.createIndex('byAuthor', { prefix: 'posts', field: 'author/name' })
+			await new Promise(resolve => setTimeout(resolve, 2))
+			await mem.set('posts/4.json', { author: { name: 'Олена' } })
+			const changed = await mem.push()
+			assert.ok(changed.includes('.indexes/byAuthor.json'))
+			const stored = JSON.parse(mem.storage.get('.indexes/byAuthor.json'))
+			assert.deepStrictEqual(stored.entries, [
+				['Ярослав', ['posts/1.json', 'posts/3.json']],
+				['Олена', ['posts/2.json', 'posts/4.json']],
+			])
+
+			const copy = new MemoryDB({ storage: mem.storage })
+			let read = 0
+			copy.loadDocument = async (uri, defaultValue) => {
+				++read
+				return await MemoryDB.prototype.loadDocument.call(copy, uri, defaultValue)
+			}
+			await copy.createIndex('byAuthor', { prefix: 'posts', field: 'author/name' })
+			assert.strictEqual(read, 1)
+			assert.deepStrictEqual(await copy.findBy('byAuthor', 'Олена'), ['posts/2.json', 'posts/4.json'])
+		})
+
+		it('should use index in queries', async () => {
+			await mem.createIndex('byAuthor', { prefix: 'posts', field: 'author/name' })
+			await mem.createIndex('views', { prefix: 'posts', field: 'views' })
+			let listed = 0
+			const listDir = mem.listDir.bind(mem)
+			mem.listDir = async (uri, options) => {
+				++listed
+				return await listDir(uri, options)
+			}
+			const byAuthor = await mem.query('posts', { where: { 'author/name': 'Ярослав' }, select: 'views' })
+			assert.deepStrictEqual(byAuthor.map(r => r.value), [10, 20])
+			const byViews = await mem.query('posts', { where: { views: { $gt: 15 } }, orderBy: 'views' })
+			assert.deepStrictEqual(byViews.map(r => r.uri), ['posts/3.json', 'posts/2.json'])
+			assert.strictEqual(listed, 0)
+		})
+
+		it('should drop index', async () => {
+			await mem.createIndex('byAuthor', { prefix: 'posts', field: 'author/name' })
+			await mem.push()
+			assert.strictEqual(await mem.dropIndex('byAuthor'), true)
+			assert.strictEqual(mem.storage.has('.indexes/byAuthor.json'), false)
+			assert.strictEqual(await mem.dropIndex('byAuthor'), false)
+		})
+	})
+
+	describe('formats', () => {
+		it('should parse documents by extension on get', async () => {
+			const mem = new MemoryDB({
+				storage: {
+					'data.json': '{"a":1}',
+					'rows.csv': 'name,age\nAlice,30\n',
+					'rows.tsv': 'name\tage\nBob\t25\n',
+					'log.ndjson': '{"n":1}\n{"n":2}\n',
+					'config.yaml': 'name: App\ntags:\n  - a\n',
+					'notes.txt': 'plain',
+					'image.bin': 'raw',
+				},
+			})
+			assert.deepStrictEqual(await mem.get('data.json'), { a: 1 })
+			assert.deepStrictEqual(await mem.get('rows.csv'), [{ name: 'Alice', age: '30' }])
+			assert.deepStrictEqual(await mem.get('rows.tsv'), [{ name: 'Bob', age: '25' }])
+			assert.deepStrictEqual(await mem.get('log.ndjson'), [{ n: 1 }, { n: 2 }])
+			assert.deepStrictEqual(await mem.get('config.yaml'), { name: 'App', tags: ['a'] })
+			assert.strictEqual(await mem.get('notes.txt'), 'plain')
+			assert.strictEqual(await mem.get('image.bin'), 'raw')
+			assert.strictEqual(await mem.get('missing.json'), '')
+		})
+
+		it('should serialize documents by extension on save', async () => {
+			const mem = new MemoryDB()
+			await mem.set('config.yml', { name: 'App' })
+			await mem.set('rows.csv', [{ a: 1, b: 2 }])
+			await mem.push()
+			assert.strictEqual(mem.storage.get('config.yml'), 'name: App\n')
+			assert.strictEqual(mem.storage.get('rows.csv'), 'a,b\n1,2\n')
+			assert.strictEqual(mem.stats.get('rows.csv')?.size, 8)
+		})
+
+		it('should parse raw chunk written to the document', async () => {
+			const mem = new MemoryDB()
+			await mem.writeDocument('data.json', '[1,2]')
+			assert.strictEqual(mem.storage.get('data.json'), '[1,2]')
+			assert.deepStrictEqual(await mem.get('data.json'), [1, 2])
+		})
+
+		it('should use registered formats', async () => {
+			const mem = new MemoryDB({ storage: { 'a.LIST': 'x;y' } })
+			mem.registerFormat('list', {
+				parse: raw => raw.split(';'),
+				stringify: value => value.join(';'),
+			})
+			assert.deepStrictEqual(await mem.get('a.LIST'), ['x', 'y'])
+			await mem.set('b.list', ['1', '2'])
+			await mem.push('b.list')
+			assert.strictEqual(mem.storage.get('b.list'), '1;2')
+			await mem.copy('b.list', 'c.list')
+			await mem.drop('b.list', { trash: true })
+			assert.strictEqual(mem.storage.get('c.list'), '1;2')
+			const [entry] = await mem.trash.list()
+			assert.strictEqual(mem.storage.get(`.trash/${entry.id}/b.list`), '1;2')
+		})
+
+		it('should report parse errors with the document URI', async () => {
+			const mem = new MemoryDB({ storage: { 'broken.json': '{' } })
+			await assert.rejects(() => mem.get('broken.json'), /Cannot parse document: broken\.json/)
+		})
+	})
+
+	describe('access policy', () => {
+		const rules = [
+			{ effect: 'allow', path: '**', subject: '*', level: 'r' },
+			{ effect: 'allow', path: 'posts', subject: 'role:editor', level: 'rwd' },
+			{ effect: 'deny', path: 'posts/locked.json', subject: '*', level: 'wd' },
+		]
+
+		it('should allow everything without policy', async () => {
+			const mem = new MemoryDB()
+			assert.strictEqual(mem.policy, null)
+			assert.strictEqual(await mem.can('any.txt', 'd'), true)
+		})
+
+		it('should refuse access with AccessDeniedError', async () => {
+			const mem = new MemoryDB({ policy: { rules }, subject: { user: 'guest' } })
+			assert.ok(mem.policy instanceof AccessPolicy)
+			await mem.set('posts/1.json', {}).then(
+				() => assert.fail('should throw'),
+				err => {
+					assert.ok(err instanceof AccessDeniedError)
+					assert.strictEqual(err.uri, 'posts/1.json')
+					assert.strictEqual(err.level, 'w')
+				}
+			)
+			assert.strictEqual(await mem.get('posts/1.json'), '')
+		})
+
+		it('should check the parent policy before mounted databases', async () => {
+			const mem = new MemoryDB({
+				policy: { rules: [{ effect: 'allow', path: '**', level: 'rwd' }, { effect: 'deny', path: 'mnt', level: 'rwd' }] },
+			})
+			const inner = new MemoryDB({ storage: { 'x.json': '{"x":1}' } })
+			mem.attach(inner, 'mnt')
+			assert.strictEqual(await mem.can('mnt/x.json'), false)
+			await assert.rejects(() => mem.get('mnt/x.json'), AccessDeniedError)
+			await assert.rejects(() => mem.set('mnt/x.json', {}), AccessDeniedError)
+			await assert.rejects(() => mem.dropDocument('mnt/x.json'), AccessDeniedError)
+			await assert.rejects(() => mem.drop('mnt/x.json'), AccessDeniedError)
+			await assert.rejects(() => mem.stat('mnt/x.json'), AccessDeniedError)
+			assert.strictEqual(inner.storage.has('x.json'), true)
+		})
+
+		it('should check access with can', async () => {
+			const mem = new MemoryDB({ policy: { rules }, subject: { user: 'ann', roles: ['editor'] } })
+			assert.strictEqual(await mem.can('posts/1.json', 'w'), true)
+			assert.strictEqual(await mem.can('./posts/locked.json', 'w'), false)
+			assert.strictEqual(await mem.can('posts/locked.json', 'r'), true)
+			assert.strictEqual(await mem.can('index.json', 'w'), false)
+			await assert.rejects(() => mem.can('index.json', 'x'), TypeError)
+			mem.subject = {}
+			assert.strictEqual(await mem.can('posts/1.json', 'w'), false)
+		})
+
+		it('should check access of mounted database by its own policy', async () => {
+			const mem = new MemoryDB()
+			const mounted = new MemoryDB({ policy: { rules }, subject: { roles: ['editor'] } })
+			mem.attach(mounted, 'mnt')
+			assert.strictEqual(await mem.can('mnt/posts/1.json', 'w'), true)
+			assert.strictEqual(await mem.can('mnt/other.json', 'w'), false)
+			await assert.rejects(() => mem.set('mnt/other.json', 1), AccessDeniedError)
+		})
+
+		it('should load policy from the document', async () => {
+			const mem = new MemoryDB({
+				storage: { '.access.json': { rules }, 'posts/1.json': { title: 'One' } },
+				subject: { user: 'guest' },
+			})
+			assert.strictEqual(await mem.loadPolicy(), mem.policy)
+			assert.deepStrictEqual(await mem.get('posts/1.json'), { title: 'One' })
+			await assert.rejects(() => mem.dropDocument('posts/1.json'), AccessDeniedError)
+			mem.storage.delete('.access.json')
+			assert.strictEqual(await mem.loadPolicy(), null)
+			assert.strictEqual(await mem.dropDocument('posts/1.json'), true)
+		})
+	})
+
+	describe('versioning', () => {
+		const tick = () => new Promise(resolve => setTimeout(resolve, 2))
+
+		it('should keep no history without versioning', async () => {
+			const mem = new MemoryDB({ storage: { 'a.json': { v: 1 } } })
+			await tick()
+			await mem.set('a.json', { v: 2 })
+			await mem.push()
+			assert.deepStrictEqual(await mem.history('a.json'), [])
+			assert.deepStrictEqual(Array.from(mem.storage.keys()), ['a.json'])
+		})
+
+		it('should store previous versions on push', async () => {
+			const mem = new MemoryDB({ storage: { 'a.json': { v: 1 } }, versioning: {} })
+			await tick()
+			await mem.set('a.json', { v: 2 })
+			await mem.push()
+			await tick()
+			await mem.set('a.json', { v: 3 })
+			await mem.push()
+			const history = await mem.history('a.json')
+			assert.strictEqual(history.length, 2)
+			assert.ok(history[0].timeMs >= history[1].timeMs)
+			assert.ok(history[0].stat instanceof DocumentStat)
+			assert.deepStrictEqual(await mem.getVersion('a.json', history[0].id), { v: 2 })
+			assert.deepStrictEqual(await mem.getVersion('a.json', history[1].id), { v: 1 })
+			assert.ok(mem.storage.has('.history/a.json.json'))
+			await assert.rejects(() => mem.getVersion('a.json', 'missing'), /Version not found: a\.json#missing/)
+		})
+
+		it('should keep version history out of indexes, queries and dropped directories', async () => {
+			const mem = new MemoryDB({ storage: { 'a.json': { v: 1 } }, versioning: {} })
+			await mem.createIndex('byV', { field: 'v' })
+			await tick()
+			await mem.set('a.json', { v: 2 })
+			await mem.push()
+			assert.ok(mem.storage.has('.history/a.json.json'))
+			await mem.moveDocument('a.json', '.history/b.json')
+			assert.deepStrictEqual(await mem.findBy('byV', 2), [])
+			await mem.moveDocument('.history/b.json', 'a.json')
+			const index = await mem.createIndex('all', { field: 'uri' })
+			assert.deepStrictEqual(Array.from(index.uris.keys()), [])
+			assert.deepStrictEqual(await mem.query('.', { where: { uri: 'a.json' } }), [])
+			assert.deepStrictEqual(await mem.drop('.', { recursive: true }), ['a.json'])
+			assert.ok(mem.storage.has('.history/a.json.json'))
+		})
+
+		it('should not version new documents', async () => {
+			const mem = new MemoryDB({ versioning: {} })
+			await mem.set('new.json', { v: 1 })
+			await mem.push()
+			assert.deepStrictEqual(await mem.history('new.json'), [])
+		})
+
+		it('should revert to the version', async () => {
+			const mem = new MemoryDB({ storage: { 'a.txt': 'one' }, versioning: {} })
+			await tick()
+			await mem.writeDocument('a.txt', 'two')
+			const [version] = await mem.history('a.txt')
+			await tick()
+			assert.strictEqual(await mem.revert('a.txt', version.id), 'one')
+			assert.strictEqual(mem.storage.get('a.txt'), 'one')
+			const history = await mem.history('a.txt')
+			assert.strictEqual(history.length, 2)
+			assert.strictEqual(await mem.getVersion('a.txt', history[0].id), 'two')
+		})
+
+		it('should apply retention limits', async () => {
+			const mem = new MemoryDB({ storage: { 'a.txt': '0' }, versioning: { maxVersions: 2 } })
+			for (let i = 1; i <= 4; i++) {
+				await mem.writeDocument('a.txt', String(i))
+			}
+			const history = await mem.history('a.txt')
+			assert.strictEqual(history.length, 2)
+			assert.strictEqual(await mem.getVersion('a.txt', history[0].id), '3')
+			assert.strictEqual(await mem.getVersion('a.txt', history[1].id), '2')
+		})
+
+		it('should version documents pushed by transaction', async () => {
+			const mem = new MemoryDB({ storage: { 'a.json': [1] }, versioning: {} })
+			await mem.transaction(async tx => {
+				await tx.set('a.json', [1, 2])
+			}, { push: true })
+			const [version] = await mem.history('a.json')
+			assert.deepStrictEqual(await mem.getVersion('a.json', version.id), [1])
+		})
+
+		it('should use history of the mounted database', async () => {
+			const mem = new MemoryDB()
+			const mounted = new MemoryDB({ storage: { 'a.txt': 'A' }, versioning: {} })
+			mem.attach(mounted, 'mnt')
+			await mem.writeDocument('mnt/a.txt', 'B')
+			const [version] = await mem.history('mnt/a.txt')
+			assert.strictEqual(await mem.getVersion('mnt/a.txt', version.id), 'A')
+		})
+	})
+
+	describe('sync', () => {
+		/**
+		 * @param {MemoryDB} db
+		 * @param {string} uri
+		 * @param {number} mtimeMs
+		 */
+		const touch = (db, uri, mtimeMs) => {
+			const stat = db.stats.get(uri)
+			if (stat) stat.mtimeMs = mtimeMs
+		}
+
+		it('should copy missing documents both ways', async () => {
+			const ours = new MemoryDB({ storage: { 'a.txt': 'A', 'same.txt': 'S' } })
+			const theirs = new MemoryDB({ storage: { 'b.txt': 'B', 'same.txt': 'S' } })
+			const plan = await ours.sync(theirs)
+			assert.deepStrictEqual(plan.actions, [
+				{ type: 'copy', uri: 'a.txt', target: 'theirs' },
+				{ type: 'copy', uri: 'b.txt', target: 'ours' },
+			])
+			assert.strictEqual(plan.applied, true)
+			assert.strictEqual(theirs.storage.get('a.txt'), 'A')
+			assert.strictEqual(ours.storage.get('b.txt'), 'B')
+			const again = await ours.sync(theirs)
+			assert.strictEqual(again.empty, true)
+		})
+
+		it('should mirror with deletes in push and pull directions', async () => {
+			const ours = new MemoryDB({ storage: { 'a.txt': 'A', 'x.txt': 'new' } })
+			const theirs = new MemoryDB({ storage: { 'b.txt': 'B', 'x.txt': 'old' } })
+			touch(theirs, 'x.txt', 1)
+			const pushed = await ours.sync(theirs, { direction: 'push' })
+			assert.deepStrictEqual(pushed.actions, [
+				{ type: 'copy', uri: 'a.txt', target: 'theirs' },
+				{ type: 'delete', uri: 'b.txt', target: 'theirs' },
+				{ type: 'update', uri: 'x.txt', target: 'theirs' },
+			])
+			assert.deepStrictEqual(Array.from(theirs.storage.keys()).sort(), ['a.txt', 'x.txt'])
+			assert.strictEqual(theirs.storage.get('x.txt'), 'new')
+
+			const other = new MemoryDB({ storage: { 'c.txt': 'C' } })
+			const pulled = await ours.sync(other, { direction: 'pull' })
+			assert.deepStrictEqual(pulled.actionsOn('theirs'), [])
+			assert.deepStrictEqual(Array.from(ours.storage.keys()), ['c.txt'])
+		})
+
+		it('should only plan in dry run', async () => {
+			const ours = new MemoryDB({ storage: { 'a.txt': 'A' } })
+			const theirs = new MemoryDB()
+			const plan = await ours.sync(theirs, { dryRun: true })
+			assert.strictEqual(plan.actions.length, 1)
+			assert.strictEqual(plan.applied, false)
+			assert.strictEqual(theirs.storage.size, 0)
+		})
+
+		it('should resolve conflicts by the newer version', async () => {
+			const ours = new MemoryDB({ storage: { 'a.json': { v: 'ours' }, 'b.json': { v: 'ours!' } } })
+			const theirs = new MemoryDB({ storage: { 'a.json': { v: 'theirs' }, 'b.json': { v: 'theirs' } } })
+			touch(ours, 'a.json', 100)
+			touch(theirs, 'a.json', 200)
+			touch(ours, 'b.json', 300)
+			touch(theirs, 'b.json', 200)
+			const plan = await ours.sync(theirs)
+			assert.deepStrictEqual(plan.conflicts.map(c => [c.uri, c.resolution]), [['a.json', 'theirs'], ['b.json', 'ours']])
+			assert.deepStrictEqual(await ours.get('a.json'), { v: 'theirs' })
+			assert.deepStrictEqual(JSON.parse(theirs.storage.get('b.json')), { v: 'ours!' })
+		})
+
+		it('should report conflicts of newer target in one way sync', async () => {
+			const ours = new MemoryDB({ storage: { 'a.txt': 'old' } })
+			const theirs = new MemoryDB({ storage: { 'a.txt': 'newer' } })
+			touch(ours, 'a.txt', 100)
+			touch(theirs, 'a.txt', 200)
+			const kept = await ours.sync(theirs, { direction: 'push', conflict: 'theirs' })
+			assert.strictEqual(kept.conflicts.length, 1)
+			assert.deepStrictEqual(kept.actions, [{ type: 'update', uri: 'a.txt', target: 'ours' }])
+			assert.strictEqual(ours.storage.get('a.txt'), 'newer')
+		})
+
+		it('should resolve conflicts with callback', async () => {
+			const ours = new MemoryDB({ storage: { 'a.txt': 'one', 'b.txt': 'two' } })
+			const theirs = new MemoryDB({ storage: { 'a.txt': 'ONE', 'b.txt': 'TWO' } })
+			touch(ours, 'a.txt', 100)
+			touch(ours, 'b.txt', 100)
+			const seen = []
+			const plan = await ours.sync(theirs, {
+				conflict: async (conflict) => {
+					seen.push(conflict.uri)
+					return 'a.txt' === conflict.uri ? 'ours' : 'skip'
+				},
+			})
+			assert.deepStrictEqual(seen, ['a.txt', 'b.txt'])
+			assert.deepStrictEqual(plan.actions, [{ type: 'update', uri: 'a.txt', target: 'theirs' }])
+			assert.strictEqual(theirs.storage.get('a.txt'), 'one')
+			assert.strictEqual(theirs.storage.get('b.txt'), 'TWO')
+			await assert.rejects(() => ours.sync(theirs, { conflict: () => 'maybe' }), TypeError)
+		})
+
+		it('should skip equal content with different mtime and sync only the prefix', async () => {
+			const ours = new MemoryDB({ storage: { 'posts/a.txt': 'A', 'posts/b.txt': 'B', 'other.txt': 'O' } })
+			const theirs = new MemoryDB({ storage: { 'posts/a.txt': 'A' } })
+			touch(theirs, 'posts/a.txt', 1)
+			const plan = await ours.sync(theirs, { prefix: 'posts' })
+			assert.deepStrictEqual(plan.actions, [{ type: 'copy', uri: 'posts/b.txt', target: 'theirs' }])
+			assert.strictEqual(theirs.storage.has('other.txt'), false)
+			await assert.rejects(() => ours.sync(/** @type {any} */ ({})), TypeError)
+		})
+	})
+
+	describe('pull and refresh', () => {
+		/**
+		 * Changes the stored document keeping its size, so only mtime tells the change.
+		 * @param {MemoryDB} db
+		 * @param {string} key
+		 * @param {string} raw
+		 */
+		const rewrite = (db, key, raw) => {
+			const mtimeMs = db.stats.get(key)?.mtimeMs ?? 0
+			db.store(key, raw).mtimeMs = mtimeMs + 1000
+		}
+
+		it('should track dirty documents until push', async () => {
+			const mem = new MemoryDB()
+			await mem.set('a.txt', 'A')
+			assert.deepStrictEqual(Array.from(mem.dirty), ['a.txt'])
+			await mem.push()
+			assert.strictEqual(mem.dirty.size, 0)
+		})
+
+		it('should push dirty documents set in the same millisecond as saved', async () => {
+			const mem = new MemoryDB()
+			for (let i = 0; i < 5; i++) {
+				await mem.set('a.txt', String(i))
+				await mem.push()
+				assert.strictEqual(mem.storage.get('a.txt'), String(i))
+			}
+		})
+
+		it('should keep dirty documents while reading directory', async () => {
+			const mem = new MemoryDB({ storage: { 'a.json': { v: 1 } } })
+			await mem.set('a.json', { v: 2 })
+			for await (const entry of mem.readDir('.')) {
+				assert.strictEqual(entry.path, 'a.json')
+			}
+			assert.deepStrictEqual(mem.data.get('a.json'), { v: 2 })
+			await mem.push()
+			assert.deepStrictEqual(JSON.parse(mem.storage.get('a.json')), { v: 2 })
+		})
+
+		it('should record stat of documents loaded without it as unchanged', async () => {
+			const mem = new MemoryDB({ storage: { 'a.json': { v: 1 } } })
+			assert.deepStrictEqual(await mem.get('a.json'), { v: 1 })
+			assert.strictEqual(mem.meta.has('a.json'), false)
+			assert.deepStrictEqual(await mem.refresh(), { refreshed: [], conflicts: [] })
+			assert.strictEqual(mem.meta.get('a.json')?.mtimeMs, mem.stats.get('a.json')?.mtimeMs)
+			assert.deepStrictEqual(mem.data.get('a.json'), { v: 1 })
+		})
+
+		it('should invalidate documents changed in the storage', async () => {
+			const mem = new MemoryDB({ storage: { 'a.json': { v: 1 }, 'b.json': { v: 1 } } })
+			assert.deepStrictEqual(await mem.get('a.json'), { v: 1 })
+			assert.deepStrictEqual(await mem.get('b.json'), { v: 1 })
+			assert.deepStrictEqual(await mem.refresh(), { refreshed: [], conflicts: [] })
+			rewrite(mem, 'a.json', '{"v":2}')
+			const result = await mem.pull()
+			assert.deepStrictEqual(result, { refreshed: ['a.json'], conflicts: [] })
+			assert.strictEqual(mem.data.get('a.json'), false)
+			assert.deepStrictEqual(await mem.get('a.json'), { v: 2 })
+			assert.deepStrictEqual(mem.data.get('b.json'), { v: 1 })
+		})
+
+		it('should reload at once and drop removed documents', async () => {
+			const mem = new MemoryDB({ storage: { 'posts/a.txt': 'A', 'posts/b.txt': 'B', 'c.txt': 'C' } })
+			for (const uri of ['posts/a.txt', 'posts/b.txt', 'c.txt']) await mem.get(uri)
+			await mem.refresh()
+			const events = []
+			mem.on('*', event => events.push(String(event)))
+			rewrite(mem, 'posts/a.txt', 'a')
+			mem.storage.delete('posts/b.txt')
+			mem.stats.delete('posts/b.txt')
+			rewrite(mem, 'c.txt', 'c')
+			const result = await mem.refresh('posts', { reload: true })
+			assert.deepStrictEqual(result, { refreshed: ['posts/a.txt', 'posts/b.txt'], conflicts: [] })
+			assert.strictEqual(mem.data.get('posts/a.txt'), 'a')
+			assert.strictEqual(mem.data.has('posts/b.txt'), false)
+			assert.deepStrictEqual(events, ['load posts/a.txt', 'drop posts/b.txt'])
+			assert.deepStrictEqual(await mem.pull('c.txt'), { refreshed: ['c.txt'], conflicts: [] })
+		})
+
+		it('should report dirty documents changed in the storage as conflicts', async () => {
+			const mem = new MemoryDB({ storage: { 'a.txt': 'A', 'b.txt': 'B' } })
+			await mem.get('a.txt')
+			await mem.get('b.txt')
+			await mem.refresh()
+			await mem.set('a.txt', 'local')
+			await mem.set('b.txt', 'local')
+			const ctimeMs = mem.stats.get('a.txt')?.ctimeMs ?? 0
+			mem.store('a.txt', 'R').ctimeMs = ctimeMs + 1000
+			const result = await mem.pull()
+			assert.deepStrictEqual(result, { refreshed: [], conflicts: ['a.txt'] })
+			assert.strictEqual(mem.data.get('a.txt'), 'local')
+			assert.strictEqual(mem.data.get('b.txt'), 'local')
+		})
+
+		it('should refresh mounted databases', async () => {
+			const mem = new MemoryDB()
+			const mounted = new MemoryDB({ storage: { 'a.txt': 'A' } })
+			mem.attach(mounted, 'mnt')
+			assert.strictEqual(await mem.get('mnt/a.txt'), 'A')
+			assert.deepStrictEqual(await mem.pull(), { refreshed: [], conflicts: [] })
+			rewrite(mounted, 'a.txt', 'B')
+			assert.deepStrictEqual(await mem.pull(), { refreshed: ['mnt/a.txt'], conflicts: [] })
+			assert.strictEqual(await mem.get('mnt/a.txt'), 'B')
+			rewrite(mounted, 'a.txt', 'C')
+			assert.deepStrictEqual(await mem.pull('mnt/a.txt'), { refreshed: ['mnt/a.txt'], conflicts: [] })
+		})
+	})
+
+	describe('cache policy', () => {
+		const storage = { 'a.txt': 'A', 'b.txt': 'B', 'c.txt': 'C', 'd.txt': 'D' }
+
+		it('should evict least recently used documents to not loaded state', async () => {
+			const mem = new MemoryDB({ storage, cache: { maxEntries: 2 } })
+			await mem.get('a.txt')
+			await mem.get('b.txt')
+			await mem.get('a.txt')
+			await mem.get('c.txt')
+			assert.strictEqual(mem.data.get('b.txt'), false)
+			assert.strictEqual(mem.data.get('a.txt'), 'A')
+			assert.strictEqual(mem.data.get('c.txt'), 'C')
+			assert.strictEqual(await mem.get('b.txt'), 'B')
+			assert.strictEqual(mem.data.get('a.txt'), false)
+		})
+
+		it('should never evict unsaved changes', async () => {
+			const mem = new MemoryDB({ storage, cache: { maxEntries: 1 } })
+			await mem.set('a.txt', 'changed')
+			await mem.get('b.txt')
+			await mem.get('c.txt')
+			assert.strictEqual(mem.data.get('a.txt'), 'changed')
+			assert.strictEqual(mem.data.get('b.txt'), false)
+			await mem.push()
+			await mem.get('d.txt')
+			assert.strictEqual(mem.data.get('a.txt'), false)
+			assert.strictEqual(mem.storage.get('a.txt'), 'changed')
+		})
+
+		it('should limit approximate bytes', async () => {
+			const mem = new MemoryDB({ storage: { 'big.txt': 'x'.repeat(100), 'small.txt': 'y' }, cache: { maxBytes: 150 } })
+			await mem.get('big.txt')
+			await mem.get('small.txt')
+			assert.strictEqual(mem.data.get('big.txt'), false)
+			assert.strictEqual(mem.cache?.bytes, 2)
+		})
+
+		it('should reload expired documents', async () => {
+			const mem = new MemoryDB({ storage, cache: { ttl: 5 } })
+			assert.strictEqual(await mem.get('a.txt'), 'A')
+			mem.storage.set('a.txt', 'A2')
+			assert.strictEqual(await mem.get('a.txt'), 'A')
+			await new Promise(resolve => setTimeout(resolve, 10))
+			assert.strictEqual(await mem.get('a.txt'), 'A2')
+		})
+
+		it('should forget dropped documents', async () => {
+			const mem = new MemoryDB({ storage, cache: { maxEntries: 10 } })
+			await mem.get('a.txt')
+			await mem.get('b.txt')
+			await mem.drop('a.txt')
+			await mem.moveDocument('b.txt', 'e.txt')
+			assert.strictEqual(mem.cache?.entries.size, 0)
+			assert.deepStrictEqual(mem.evict(), [])
+		})
+	})
+
+	describe('move and copy', () => {
+		const storage = {
+			'docs/a.txt': 'A',
+			'docs/deep/b.txt': 'B',
+			'docs/c.txt': 'C',
+			'other.txt': 'O',
+		}
+
+		it('should copy document keeping the source', async () => {
+			const mem = new MemoryDB({ storage })
+			assert.strictEqual(await mem.copyDocument('docs/a.txt', 'copy.txt'), true)
+			assert.strictEqual(mem.storage.get('docs/a.txt'), 'A')
+			assert.strictEqual(await mem.get('copy.txt'), 'A')
+			assert.strictEqual(mem.dirty.has('copy.txt'), false)
+			assert.strictEqual(await mem.copyDocument('missing.txt', 'copy2.txt'), false)
+		})
+
+		it('should apply overwrite policy', async () => {
+			const mem = new MemoryDB({ storage })
+			assert.strictEqual(await mem.copyDocument('docs/a.txt', 'other.txt', { overwrite: 'skip' }), false)
+			assert.strictEqual(mem.storage.get('other.txt'), 'O')
+			await assert.rejects(
+				() => mem.moveDocument('docs/a.txt', 'other.txt', { overwrite: 'error' }),
+				/Document already exists: other.txt/
+			)
+			assert.strictEqual(mem.storage.get('docs/a.txt'), 'A')
+			await assert.rejects(() => mem.copyDocument('docs/a.txt', 'x.txt', { overwrite: 'merge' }), TypeError)
+			await new Promise(resolve => setTimeout(resolve, 2))
+			await mem.set('fresh.txt', 'F')
+			await mem.push()
+			assert.strictEqual(await mem.copyDocument('docs/a.txt', 'fresh.txt', { overwrite: 'newer' }), false)
+			assert.strictEqual(await mem.copyDocument('fresh.txt', 'docs/a.txt', { overwrite: 'newer' }), true)
+			assert.strictEqual(mem.storage.get('docs/a.txt'), 'F')
+			assert.strictEqual(await mem.moveDocument('other.txt', 'docs/c.txt'), true)
+			assert.strictEqual(mem.storage.get('docs/c.txt'), 'O')
+		})
+
+		it('should move directory recursively', async () => {
+			const mem = new MemoryDB({ storage })
+			await mem.get('docs/a.txt')
+			const moved = await mem.move('docs', 'archive/docs')
+			assert.deepStrictEqual(moved.sort(), ['archive/docs/a.txt', 'archive/docs/c.txt', 'archive/docs/deep/b.txt'])
+			assert.strictEqual(mem.storage.has('docs/a.txt'), false)
+			assert.strictEqual(mem.data.has('docs/a.txt'), false)
+			assert.strictEqual(await mem.get('archive/docs/deep/b.txt'), 'B')
+			assert.strictEqual((await mem.stat('docs/a.txt')).exists, false)
+		})
+
+		it('should copy directory recursively', async () => {
+			const mem = new MemoryDB({ storage })
+			const copied = await mem.copy('docs/', 'backup')
+			assert.deepStrictEqual(copied.sort(), ['backup/a.txt', 'backup/c.txt', 'backup/deep/b.txt'])
+			assert.strictEqual(mem.storage.get('docs/deep/b.txt'), 'B')
+			assert.strictEqual(mem.storage.get('backup/deep/b.txt'), 'B')
+		})
+
+		it('should refuse to move directory into itself', async () => {
+			const mem = new MemoryDB({ storage })
+			await assert.rejects(() => mem.move('docs', 'docs/deep/docs'), /Cannot move or copy directory into itself/)
+			await assert.rejects(() => mem.copy('docs', 'docs'), /into itself/)
+		})
+
+		it('should rename document and directory', async () => {
+			const mem = new MemoryDB({ storage })
+			assert.deepStrictEqual(await mem.rename('docs/a.txt', 'z.txt'), ['docs/z.txt'])
+			assert.deepStrictEqual(await mem.rename('docs/deep', 'flat'), ['docs/flat/b.txt'])
+			assert.strictEqual(mem.storage.get('docs/flat/b.txt'), 'B')
+			await assert.rejects(() => mem.rename('docs/z.txt', 'a/b.txt'), TypeError)
+		})
+
+		it('should move documents between attached databases', async () => {
+			const home = new MemoryDB({ storage: { 'local.txt': 'L' } })
+			const remote = new MemoryDB({ storage: { 'docs/r.txt': 'R' } })
+			home.attach(remote, 'mnt/remote')
+			assert.strictEqual(await home.moveDocument('local.txt', 'mnt/remote/local.txt'), true)
+			assert.strictEqual(home.storage.has('local.txt'), false)
+			assert.strictEqual(remote.storage.get('local.txt'), 'L')
+			assert.deepStrictEqual(await home.move('mnt/remote/docs', 'imported'), ['imported/r.txt'])
+			assert.strictEqual(home.storage.get('imported/r.txt'), 'R')
+			assert.strictEqual(remote.storage.has('docs/r.txt'), false)
+		})
+
+		it('should emit events and keep fresh stat in attached databases', async () => {
+			const home = new MemoryDB({ storage: { 'local.txt': 'L', 'copy.txt': 'C' } })
+			const remote = new MemoryDB({ storage: { 'old.txt': 'OLD CONTENT' } })
+			home.attach(remote, 'mnt/remote')
+			const events = []
+			remote.on('*', event => events.push(`${event.type} ${event.uri}`))
+			assert.strictEqual((await remote.stat('old.txt')).size, 11)
+			assert.strictEqual(await home.moveDocument('local.txt', 'mnt/remote/old.txt'), true)
+			assert.strictEqual((await remote.stat('old.txt')).size, 1)
+			assert.strictEqual(await home.copyDocument('copy.txt', 'mnt/remote/copy.txt'), true)
+			assert.strictEqual(await home.moveDocument('mnt/remote/copy.txt', 'back.txt'), true)
+			assert.deepStrictEqual(events, ['set old.txt', 'set copy.txt', 'drop copy.txt'])
+		})
+	})
+
+	describe('drop and trash', () => {
+		const storage = {
+			'docs/a.txt': 'A',
+			'docs/deep/b.txt': 'B',
+			'other.txt': 'O',
+		}
+
+		it('should drop document', async () => {
+			const mem = new MemoryDB({ storage })
+			assert.deepStrictEqual(await mem.drop('other.txt'), ['other.txt'])
+			assert.strictEqual(mem.storage.has('other.txt'), false)
+			assert.deepStrictEqual(await mem.drop('missing.txt'), [])
+		})
+
+		it('should require recursive option for directories', async () => {
+			const mem = new MemoryDB({ storage })
+			await assert.rejects(() => mem.drop('docs'), /Directory is not empty, drop it recursively: docs/)
+			const dropped = await mem.drop('docs', { recursive: true })
+			assert.deepStrictEqual(dropped.sort(), ['docs/a.txt', 'docs/deep/b.txt'])
+			assert.strictEqual(mem.storage.has('docs/deep/b.txt'), false)
+			assert.strictEqual(mem.data.has('docs/a.txt'), false)
+		})
+
+		it('should move dropped documents into trash and restore them', async () => {
+			const mem = new MemoryDB({ storage })
+			await mem.get('docs/a.txt')
+			await mem.drop('docs', { recursive: true, trash: true })
+			assert.strictEqual(mem.storage.has('docs/a.txt'), false)
+			assert.strictEqual(mem.data.has('docs/a.txt'), false)
+			const [entry] = await mem.trash.list()
+			assert.strictEqual(entry.uri, 'docs')
+			assert.deepStrictEqual(entry.documents.sort(), ['docs/a.txt', 'docs/deep/b.txt'])
+			assert.ok(entry.timeMs > 0)
+			assert.strictEqual(mem.storage.get(`.trash/${entry.id}/docs/deep/b.txt`), 'B')
+			await mem.set('docs/a.txt', 'new A')
+			await mem.push()
+			await assert.rejects(() => mem.trash.restore(entry.id), /Document already exists: docs\/a.txt/)
+			assert.deepStrictEqual(await mem.trash.restore(entry.id, { overwrite: 'skip' }), {
+				restored: ['docs/deep/b.txt'],
+				remaining: ['docs/a.txt'],
+			})
+			assert.strictEqual(await mem.get('docs/deep/b.txt'), 'B')
+			assert.strictEqual(await mem.get('docs/a.txt'), 'new A')
+			assert.deepStrictEqual((await mem.trash.list()).map(e => e.documents), [['docs/a.txt']])
+			assert.strictEqual(mem.storage.get(`.trash/${entry.id}/docs/a.txt`), 'A')
+			assert.deepStrictEqual(await mem.trash.restore(entry.id, { overwrite: 'replace' }), {
+				restored: ['docs/a.txt'],
+				remaining: [],
+			})
+			assert.strictEqual(await mem.get('docs/a.txt'), 'A')
+			assert.deepStrictEqual(await mem.trash.list(), [])
+		})
+
+		it('should keep trash out of itself and of sync', async () => {
+			const mem = new MemoryDB({ storage, trash: { dir: '.bin' } })
+			await mem.drop('other.txt', { trash: true })
+			const dropped = await mem.drop('.', { recursive: true, trash: true })
+			assert.deepStrictEqual(dropped.sort(), ['docs/a.txt', 'docs/deep/b.txt'])
+			assert.strictEqual((await mem.trash.list()).length, 2)
+			assert.deepStrictEqual(Array.from((await mem.syncEntries('.')).keys()), [])
+			assert.strictEqual((await mem.trash.empty()).length, 2)
+			assert.deepStrictEqual(Array.from(mem.storage.keys()), ['.bin/index.json'])
+		})
+
+		it('should emit drop once for every dropped document', async () => {
+			const mem = new MemoryDB({ storage })
+			const events = []
+			mem.on('drop', event => events.push(event.uri))
+			await mem.drop('docs', { recursive: true })
+			assert.deepStrictEqual(events.sort(), ['docs/a.txt', 'docs/deep/b.txt'])
+			await mem.dropDocument('other.txt')
+			assert.deepStrictEqual(events, ['docs/a.txt', 'docs/deep/b.txt', 'other.txt'])
+			await mem.dropDocument('other.txt')
+			assert.strictEqual(events.length, 3)
+		})
+
+		it('should drop documents that are set but not pushed', async () => {
+			const mem = new MemoryDB({ storage })
+			const events = []
+			mem.on('drop', event => events.push(event.uri))
+			await mem.set('draft.txt', 'D')
+			await mem.set('docs/new.txt', 'N')
+			assert.deepStrictEqual(await mem.drop('draft.txt'), ['draft.txt'])
+			assert.strictEqual(mem.data.has('draft.txt'), false)
+			assert.strictEqual(mem.meta.has('draft.txt'), false)
+			assert.strictEqual(mem.dirty.has('draft.txt'), false)
+			assert.deepStrictEqual(events, ['draft.txt'])
+			const dropped = await mem.drop('docs', { recursive: true, trash: true })
+			assert.deepStrictEqual(dropped.sort(), ['docs/a.txt', 'docs/deep/b.txt', 'docs/new.txt'])
+			assert.strictEqual(mem.dirty.size, 0)
+			assert.deepStrictEqual(await mem.push(), [])
+			assert.strictEqual(mem.storage.has('draft.txt'), false)
+			const [entry] = await mem.trash.list()
+			assert.strictEqual(mem.storage.get(`.trash/${entry.id}/docs/new.txt`), 'N')
+			assert.deepStrictEqual((await mem.trash.restore(entry.id)).restored.sort(), ['docs/a.txt', 'docs/deep/b.txt', 'docs/new.txt'])
+			assert.strictEqual(await mem.get('docs/new.txt'), 'N')
+		})
+
+		it('should drop in attached databases', async () => {
+			const home = new MemoryDB()
+			const remote = new MemoryDB({ storage: { 'docs/r.txt': 'R' } })
+			home.attach(remote, 'mnt/remote')
+			assert.deepStrictEqual(await home.drop('mnt/remote/docs', { recursive: true, trash: true }), ['mnt/remote/docs/r.txt'])
+			assert.strictEqual((await remote.trash.list()).length, 1)
+			assert.deepStrictEqual(await home.trash.list(), [])
+		})
+	})
+
+	describe('inherited documents', () => {
+		const storage = {
+			'_.json': { lang: 'en', nav: { home: '/' }, tags: ['site'] },
+			'blog/_.json': { nav: { blog: '/blog' }, tags: ['blog'] },
+			'blog/2024/hello.json': { title: 'Hello', lang: 'uk' },
+			'blog/note.txt': 'Plain text',
+		}
+
+		it('should merge directory documents from the root down', async () => {
+			const mem = new MemoryDB({ storage })
+			assert.deepStrictEqual(await mem.fetchMerged('blog/2024/hello.json'), {
+				lang: 'uk', nav: { home: '/', blog: '/blog' }, tags: ['blog'], title: 'Hello',
+			})
+			assert.deepStrictEqual(await mem.get('./blog/2024/hello.json', { inherit: true }), {
+				lang: 'uk', nav: { home: '/', blog: '/blog' }, tags: ['blog'], title: 'Hello',
+			})
+			assert.deepStrictEqual(await mem.get('blog/2024/hello.json'), { title: 'Hello', lang: 'uk' })
+		})
+
+		it('should return inherited content for missing and the document itself for not objects', async () => {
+			const mem = new MemoryDB({ storage })
+			assert.deepStrictEqual(await mem.fetchMerged('blog/missing.json'), {
+				lang: 'en', nav: { home: '/', blog: '/blog' }, tags: ['blog'],
+			})
+			assert.strictEqual(await mem.fetchMerged('blog/note.txt'), 'Plain text')
+			assert.deepStrictEqual(await mem.fetchMerged('_.json'), storage['_.json'])
+			assert.strictEqual(mem.data.has('blog/2024/_.json'), false)
+		})
+
+		it('should return copies and forget merges of the refreshed documents', async () => {
+			const mem = new MemoryDB({ storage })
+			const merged = await mem.fetchMerged('blog/2024/hello.json')
+			merged.nav.home = '/changed'
+			assert.strictEqual((await mem.fetchMerged('blog/2024/hello.json')).nav.home, '/')
+			await new Promise(resolve => setTimeout(resolve, 2))
+			mem.store('_.json', '{"lang":"fr","nav":{"home":"/fr"}}')
+			const { refreshed } = await mem.refresh()
+			assert.ok(refreshed.includes('_.json'))
+			assert.strictEqual((await mem.fetchMerged('blog/2024/hello.json')).nav.home, '/fr')
+		})
+
+		it('should invalidate cache when any ancestor changes', async () => {
+			const mem = new MemoryDB({ storage })
+			const first = await mem.fetchMerged('blog/2024/hello.json')
+			assert.ok(mem.merged.has('blog/2024/hello.json'))
+			assert.deepStrictEqual(await mem.fetchMerged('blog/2024/hello.json'), first)
+			await mem.fetchMerged('blog/missing.json')
+			await mem.set('blog/_.json', { nav: { blog: '/news' } })
+			assert.strictEqual(mem.merged.size, 0)
+			assert.deepStrictEqual((await mem.fetchMerged('blog/2024/hello.json')).nav, { home: '/', blog: '/news' })
+			await mem.set('blog/2024/_.json', { lang: 'de', draft: true })
+			const merged = await mem.fetchMerged('blog/2024/hello.json')
+			assert.strictEqual(merged.draft, true)
+			assert.strictEqual(merged.lang, 'uk')
+			await mem.set('blog/2024/hello.json', { title: 'Hi' })
+			assert.strictEqual((await mem.fetchMerged('blog/2024/hello.json')).lang, 'de')
+			await mem.drop('_.json')
+			assert.strictEqual((await mem.fetchMerged('blog/2024/hello.json')).nav.home, undefined)
+		})
+
+		it('should use configured directory document name', async () => {
+			const mem = new MemoryDB({
+				storage: { 'index.json': { a: 1 }, 'docs/index.json': { b: 2 }, 'docs/x.json': { c: 3 } },
+				inheritName: 'index.json',
+			})
+			assert.deepStrictEqual(await mem.fetchMerged('docs/x.json'), { a: 1, b: 2, c: 3 })
+		})
+	})
+
+	describe('references', () => {
+		const storage = {
+			'authors.json': { yaro: { name: 'Yaro', licence: { $ref: 'licences/mit.json' } } },
+			'licences/mit.json': { id: 'MIT', 'a/b': { '~x': 1 } },
+			'posts/1.json': {
+				title: 'One',
+				author: { $ref: '../authors.json#/yaro' },
+				tags: [{ $ref: '/licences/mit.json#/id' }, 'plain'],
+				self: { $ref: '#/title' },
+				escaped: { $ref: '../licences/mit.json#/a~1b/~0x' },
+			},
+			'loop/a.json': { next: { $ref: 'b.json' } },
+			'loop/b.json': { next: { $ref: 'a.json' } },
+			'loop/self.json': { me: { $ref: '#' } },
+			'broken.json': { missing: { $ref: 'authors.json#/nobody' } },
+		}
+
+		it('should resolve references recursively', async () => {
+			const mem = new MemoryDB({ storage })
+			assert.deepStrictEqual(await mem.get('posts/1.json', { resolveRefs: true }), {
+				title: 'One',
+				author: { name: 'Yaro', licence: { id: 'MIT', 'a/b': { '~x': 1 } } },
+				tags: ['MIT', 'plain'],
+				self: 'One',
+				escaped: 1,
+			})
+			assert.deepStrictEqual((await mem.get('posts/1.json')).author, { $ref: '../authors.json#/yaro' })
+		})
+
+		it('should detect circular references', async () => {
+			const mem = new MemoryDB({ storage })
+			await assert.rejects(
+				() => mem.get('loop/a.json', { resolveRefs: true }),
+				/Circular reference: loop\/a.json# -> loop\/b.json# -> loop\/a.json#/
+			)
+			await assert.rejects(() => mem.get('loop/self.json', { resolveRefs: true }), /Circular reference/)
+		})
+
+		it('should limit depth and report missing references', async () => {
+			const mem = new MemoryDB({ storage })
+			await assert.rejects(
+				() => mem.get('posts/1.json', { resolveRefs: true, maxRefDepth: 1 }),
+				/Reference depth limit exceeded: 1: licences\/mit.json#/
+			)
+			await assert.rejects(() => mem.get('broken.json', { resolveRefs: true }), /Reference not found: authors.json#\/nobody/)
+			await mem.set('broken.json', { missing: { $ref: 'nothing.json' } })
+			await assert.rejects(() => mem.get('broken.json', { resolveRefs: true }), /Reference not found: nothing.json#/)
+		})
+
+		it('should check access to every referenced document', async () => {
+			const mem = new MemoryDB({
+				storage,
+				policy: [
+					{ effect: 'allow', path: '**', level: 'r' },
+					{ effect: 'deny', path: 'licences', level: 'r' },
+				],
+			})
+			await assert.rejects(() => mem.get('posts/1.json', { resolveRefs: true }), AccessDeniedError)
+		})
+
+		it('should resolve references in inherited content', async () => {
+			const mem = new MemoryDB({
+				storage: {
+					'_.json': { menu: { $ref: 'menus/main.json' } },
+					'menus/main.json': ['home', 'blog'],
+					'blog/post.json': { title: 'Post', author: { $ref: 'authors/me.json' } },
+					'blog/authors/me.json': { name: 'Me' },
+				},
+			})
+			assert.deepStrictEqual(await mem.get('blog/post.json', { inherit: true, resolveRefs: true }), {
+				menu: ['home', 'blog'], title: 'Post', author: { name: 'Me' },
+			})
+			assert.strictEqual(mem.merged.size, 0)
+		})
+	})
+
+	describe('list', () => {
+		const storage = {
+			'posts/10.json': '{"n":10}',
+			'posts/2.json': '{"n":2}',
+			'posts/1.json': '{"n":1, "long": true}',
+			'posts/b.md': '# B',
+			'posts/archive/old.json': '{}',
+			'posts/drafts/new.json': '{}',
+		}
+		/** @param {{ entries: DocumentEntry[] }} page */
+		const names = (page) => page.entries.map(e => e.name)
+
+		it('should list directory entries in natural order with directories first', async () => {
+			const mem = new MemoryDB({ storage })
+			const page = await mem.list('posts')
+			assert.deepStrictEqual(names(page), ['archive', 'drafts', '1.json', '2.json', '10.json', 'b.md'])
+			assert.strictEqual(page.total, 6)
+			assert.strictEqual(page.cursor, null)
+			assert.strictEqual(page.entries[2].path, 'posts/1.json')
+			assert.ok(page.entries[2] instanceof DocumentEntry)
+		})
+
+		it('should sort by fields and order', async () => {
+			const mem = new MemoryDB({ storage })
+			assert.deepStrictEqual(
+				names(await mem.list('posts', { order: 'desc', dirsFirst: false })),
+				['drafts', 'b.md', 'archive', '10.json', '2.json', '1.json'],
+			)
+			assert.deepStrictEqual(
+				names(await mem.list('posts', { sort: 'size', order: 'desc' })).slice(2),
+				['1.json', '10.json', '2.json', 'b.md'],
+			)
+			assert.deepStrictEqual(
+				names(await mem.list('posts', { sort: 'ext', order: 'desc' })).slice(2),
+				['b.md', '10.json', '2.json', '1.json'],
+			)
+			await new Promise(resolve => setTimeout(resolve, 2))
+			await mem.set('posts/2.json', { n: 22 })
+			await mem.push()
+			assert.strictEqual(names(await mem.list('posts', { sort: 'mtime', order: 'desc' }))[2], '2.json')
+			await assert.rejects(() => mem.list('posts', { sort: 'title' }), TypeError)
+			await assert.rejects(() => mem.list('posts', { order: 'up' }), TypeError)
+		})
+
+		it('should paginate with offset, limit and cursor', async () => {
+			const mem = new MemoryDB({ storage })
+			assert.deepStrictEqual(names(await mem.list('posts', { offset: 1, limit: 2 })), ['drafts', '1.json'])
+			const first = await mem.list('posts', { limit: 4 })
+			assert.deepStrictEqual(names(first), ['archive', 'drafts', '1.json', '2.json'])
+			assert.strictEqual(typeof first.cursor, 'string')
+			await mem.set('posts/0.json', {})
+			await mem.push()
+			const second = await mem.list('posts', { limit: 4, cursor: first.cursor })
+			assert.deepStrictEqual(names(second), ['10.json', 'b.md'])
+			assert.strictEqual(second.total, 7)
+			assert.strictEqual(second.cursor, null)
+			await assert.rejects(() => mem.list('posts', { sort: 'size', cursor: first.cursor }), /Invalid list cursor/)
+			await assert.rejects(() => mem.list('posts', { cursor: '%%' }), TypeError)
+		})
+	})
+
+	describe('abort signal', () => {
+		const storage = {
+			'a.json': '{"a":1}',
+			'b.json': '{"b":2}',
+			'dir/c.json': '{"c":3}',
+			'dir/deep/d.json': '{"d":4}',
+		}
+
+		it('should reject with AbortError before loading', async () => {
+			const mem = new MemoryDB({ storage })
+			const controller = new AbortController()
+			controller.abort('stop')
+			const err = await mem.get('a.json', { signal: controller.signal }).catch(e => e)
+			assert.ok(err instanceof AbortError)
+			assert.strictEqual(err.message, 'Operation aborted: a.json')
+			assert.strictEqual(err.cause, 'stop')
+			assert.strictEqual(mem.data.has('a.json'), false)
+			await assert.rejects(() => mem.set('a.json', {}, { signal: controller.signal }), AbortError)
+			assert.strictEqual(mem.dirty.has('a.json'), false)
+		})
+
+		it('should not cache the document loaded after abort', async () => {
+			const controller = new AbortController()
+			class SlowDB extends MemoryDB {
+				async loadDocument(uri, defaultValue = '', options = {}) {
+					const raw = await super.loadDocument(uri, defaultValue, options)
+					controller.abort()
+					return raw
+				}
+			}
+			const mem = new SlowDB({ storage })
+			await assert.rejects(() => mem.get('a.json', { signal: controller.signal }), AbortError)
+			assert.strictEqual(mem.data.has('a.json'), false)
+			assert.deepStrictEqual(await mem.get('a.json'), { a: 1 })
+		})
+
+		it('should keep unsaved documents dirty when push is aborted', async () => {
+			const controller = new AbortController()
+			class SlowDB extends MemoryDB {
+				async saveDocument(uri, document, options = {}) {
+					const result = await super.saveDocument(uri, document, options)
+					controller.abort()
+					return result
+				}
+			}
+			const mem = new SlowDB()
+			await mem.set('a.json', { a: 1 })
+			await mem.set('b.json', { b: 2 })
+			await assert.rejects(() => mem.push(undefined, { signal: controller.signal }), AbortError)
+			assert.strictEqual(mem.dirty.has('a.json'), false)
+			assert.strictEqual(mem.dirty.has('b.json'), true)
+			assert.strictEqual(mem.storage.has('b.json'), false)
+			assert.deepStrictEqual(await mem.push(), ['b.json'])
+		})
+
+		it('should stop reading directories', async () => {
+			const mem = new MemoryDB({ storage })
+			const controller = new AbortController()
+			const paths = []
+			await assert.rejects(async () => {
+				for await (const entry of mem.readDir('.', { signal: controller.signal })) {
+					paths.push(entry.path)
+					if ('dir' === entry.path) controller.abort()
+				}
+			}, AbortError)
+			assert.ok(paths.includes('dir'))
+			assert.ok(!paths.includes('dir/c.json'))
+		})
+
+		it('should stop find and findStream', async () => {
+			const mem = new MemoryDB({ storage })
+			const controller = new AbortController()
+			controller.abort()
+			await assert.rejects(async () => {
+				for await (const uri of mem.find('**/*.json', 0, { signal: controller.signal })) {
+					assert.fail(uri)
+				}
+			}, AbortError)
+			const streaming = new AbortController()
+			const found = []
+			await assert.rejects(async () => {
+				for await (const entry of mem.findStream('.', { signal: streaming.signal })) {
+					found.push(entry.file.path)
+					streaming.abort()
+				}
+			}, AbortError)
+			assert.ok(found.length > 0 && found.length < 6)
+		})
+	})
+
+	describe('concurrent reading', () => {
+		const storage = {}
+		for (const dir of ['a', 'b', 'c', 'd', 'e']) {
+			storage[`${dir}/1.json`] = '{}'
+			storage[`${dir}/sub/2.json`] = '{}'
+			storage[`${dir}/sub/deep/3.json`] = '{}'
+		}
+		storage['root.json'] = '{}'
+
+		class SlowDB extends MemoryDB {
+			active = 0
+			maxActive = 0
+			async listDir(uri, options = {}) {
+				this.maxActive = Math.max(this.maxActive, ++this.active)
+				await new Promise(resolve => setTimeout(resolve, 'c' === uri ? 10 : 1))
+				--this.active
+				return await super.listDir(uri, options)
+			}
+		}
+
+		const read = async (db, options = {}) => {
+			const result = []
+			for await (const entry of db.readDir('.', options)) {
+				result.push(`${entry.depth}:${entry.path}`)
+			}
+			return result
+		}
+
+		it('should yield entries in the same order as sequential reading', async () => {
+			const expected = await read(new SlowDB({ storage }))
+			assert.strictEqual(expected.length, 31)
+			const db = new SlowDB({ storage })
+			assert.deepStrictEqual(await read(db, { concurrency: 3 }), expected)
+			assert.strictEqual(db.maxActive, 3)
+			const filtered = await read(new SlowDB({ storage }), { concurrency: 4, filter: '*/sub/**' })
+			assert.deepStrictEqual(filtered, await read(new SlowDB({ storage }), { filter: '*/sub/**' }))
+			assert.strictEqual(filtered.length, 20)
+		})
+
+		it('should keep one listing at a time by default', async () => {
+			const db = new SlowDB({ storage })
+			await read(db)
+			assert.strictEqual(db.maxActive, 1)
+		})
+
+		it('should throw listing errors in the order of reading', async () => {
+			class FailingDB extends SlowDB {
+				async listDir(uri, options = {}) {
+					if ('e' === uri) throw new Error('Listing failed: e')
+					return await super.listDir(uri, options)
+				}
+			}
+			const paths = []
+			await assert.rejects(async () => {
+				for await (const entry of new FailingDB({ storage }).readDir('.', { concurrency: 5 })) {
+					paths.push(entry.path)
+				}
+			}, /Listing failed: e/)
+			assert.ok(paths.includes('d/sub/deep/3.json'))
+		})
+
+		it('should reject invalid concurrency', async () => {
+			await assert.rejects(() => read(new MemoryDB({ storage }), { concurrency: 0 }), TypeError)
+			await assert.rejects(() => read(new MemoryDB({ storage }), { concurrency: 1.5 }), TypeError)
+		})
+	})
+
+	describe('export and import', () => {
+		const storage = {
+			'posts/1.json': '{"title":"One"}',
+			'posts/2.json': '{"title":"Two"}',
+			'posts/logo.bin': new Uint8Array([0, 1, 255]),
+			'readme.md': '# Readme',
+		}
+
+		it('should export documents into JSON bundle', async () => {
+			const mem = new MemoryDB({ storage, versioning: { limit: 2 } })
+			await mem.set('posts/1.json', { title: 'First' })
+			await mem.push()
+			const archive = await mem.export({ prefix: 'posts' })
+			assert.ok(archive instanceof Archive)
+			const bundle = JSON.parse(JSON.stringify(archive))
+			assert.strictEqual(bundle.format, 'nan0web-db')
+			assert.strictEqual(bundle.prefix, 'posts')
+			assert.deepStrictEqual(bundle.documents.map(d => d.uri), ['posts/1.json', 'posts/2.json', 'posts/logo.bin'])
+			assert.deepStrictEqual(bundle.documents[0], { uri: 'posts/1.json', data: { title: 'First' } })
+			assert.strictEqual(bundle.documents[2].encoding, 'base64')
+			const all = await mem.export({ includeMeta: true })
+			assert.strictEqual(all.documents.length, 4)
+			assert.ok(all.documents.every(d => d.meta.mtimeMs > 0))
+		})
+
+		it('should stream NDJSON lines while exporting', async () => {
+			const mem = new MemoryDB({ storage })
+			const lines = []
+			for await (const line of mem.exportStream({ includeMeta: true })) {
+				lines.push(line)
+			}
+			assert.strictEqual(lines.length, 5)
+			assert.strictEqual(JSON.parse(lines[0]).format, 'nan0web-db')
+			const copy = new MemoryDB()
+			assert.deepStrictEqual(await copy.import(lines), ['readme.md', 'posts/1.json', 'posts/2.json', 'posts/logo.bin'])
+			assert.deepStrictEqual(await copy.get('posts/2.json'), { title: 'Two' })
+			assert.deepStrictEqual(copy.storage.get('posts/logo.bin'), new Uint8Array([0, 1, 255]))
+			assert.strictEqual(copy.storage.get('readme.md'), '# Readme')
+		})
+
+		it('should import with prefix remap and overwrite policy', async () => {
+			const archive = await new MemoryDB({ storage }).export({ includeMeta: true })
+			const mem = new MemoryDB({ storage: { 'blog/1.json': '{"title":"Kept"}' } })
+			const imported = await mem.import(JSON.stringify(archive), {
+				overwrite: 'skip',
+				prefixRemap: { posts: 'blog', '.': 'root' },
+			})
+			assert.deepStrictEqual(imported, ['root/readme.md', 'blog/2.json', 'blog/logo.bin'])
+			assert.deepStrictEqual(await mem.get('blog/1.json'), { title: 'Kept' })
+			await assert.rejects(
+				() => mem.import(archive, { overwrite: 'error', prefixRemap: uri => `blog/${uri.split('/').pop()}` }),
+				/Document already exists: blog\/1.json/,
+			)
+			const newer = await mem.import(archive, { overwrite: 'newer', prefixRemap: { posts: 'blog' } })
+			assert.deepStrictEqual(newer, ['readme.md'])
+		})
+
+		it('should reject URIs outside of the root', async () => {
+			const mem = new MemoryDB()
+			const archive = { format: 'nan0web-db', version: 1, documents: [{ uri: '../etc/passwd', data: 'x' }] }
+			await assert.rejects(() => mem.import(archive), /Path is outside of the root/)
+			await assert.rejects(() => mem.import(archive.documents), TypeError)
+		})
+	})
+
 	describe('connect', () => {
 		it('should set connected to true', async () => {
 			assert.strictEqual(db.connected, false)
@@ -457,6 +2060,8 @@ suite("DB", () => {
 				['file2.txt', 'content2']
 			])
 			const dbInstance = new MockDB({ data: mockData })
+			dbInstance.dirty.add('file1.txt')
+			dbInstance.dirty.add('file2.txt')
 
 			await dbInstance.push()
 
@@ -464,6 +2069,19 @@ suite("DB", () => {
 			assert.ok(dbInstance.accessLevels.find(a => a.uri === 'file2.txt' && a.level === 'w'))
 		})
 
+		it('should not require write access to the documents that were only read', async () => {
+			const policy = {
+				rules: [
+					{ effect: 'allow', path: '**', level: 'r' },
+					{ effect: 'allow', path: 'own/**', level: 'rw' },
+				],
+			}
+			const mem = new MemoryDB({ storage: { 'public/a.json': '{}' }, policy })
+			await mem.get('public/a.json')
+			await mem.set('own/b.json', { b: 1 })
+			assert.deepStrictEqual(await mem.push(), ['own/b.json'])
+		})
+
 		it('should call ensureAccess for specific document', async () => {
 			const dbInstance = new MockDB()
 
@@ -502,6 +2120,112 @@ suite("DB", () => {
 
 			assert.ok(entries[0] instanceof StreamEntry)
 		})
+
+		const storage = {
+			'a/1.txt': '1',
+			'a/deep/2.txt': '22',
+			'a/deep/deeper/3.txt': '333',
+			'b/4.txt': '4444',
+			'c/empty/.keep': '',
+			'5.txt': '55555',
+		}
+
+		it('should stream monotonic progress up to 1', async () => {
+			const mem = new MemoryDB({ storage })
+			const entries = []
+			for await (const entry of mem.findStream('.')) {
+				entries.push(entry)
+			}
+			const progress = entries.map(e => e.progress)
+			assert.deepStrictEqual(progress, [...progress].sort((a, b) => a - b))
+			assert.ok(progress[0] > 0)
+			assert.strictEqual(progress[progress.length - 1], 1)
+			assert.strictEqual(entries.length, 12)
+			const last = entries[entries.length - 1]
+			assert.deepStrictEqual(last.processed, { dirs: 7, files: 6, bytes: 15 })
+			assert.strictEqual(last.eta, 0)
+			assert.ok(last.throughput >= 0)
+			assert.ok(last.dirs.get('a/deep')?.fulfilled)
+			assert.deepStrictEqual(Array.from(last.top.keys()), ['a', 'b', 'c'])
+		})
+
+		it('should stream from nested directory without errors', async () => {
+			const mem = new MemoryDB({ storage })
+			const paths = []
+			for await (const entry of mem.findStream('a/deep', { filter: '**/*.txt' })) {
+				paths.push(entry.file.path)
+			}
+			assert.deepStrictEqual(paths, ['a/deep/2.txt', 'a/deep/deeper/3.txt'])
+		})
+
+		it('should apply filter to the entries of glob URI', async () => {
+			const mem = new MemoryDB({ storage })
+			const paths = []
+			const filter = (path) => !path.includes('deep')
+			for await (const entry of mem.findStream('**/*.txt', { filter, precount: true })) {
+				paths.push(entry.file.path)
+				assert.ok(entry.progress <= 1)
+			}
+			assert.deepStrictEqual(paths.sort(), ['5.txt', 'a/1.txt', 'b/4.txt'])
+			const globbed = []
+			for await (const entry of mem.findStream('a/**', { filter: '**/*.txt' })) {
+				globbed.push(entry.file.path)
+			}
+			assert.deepStrictEqual(globbed.sort(), ['a/1.txt', 'a/deep/2.txt', 'a/deep/deeper/3.txt'])
+		})
+
+		it('should use pre-count pass for progress by entries', async () => {
+			const mem = new MemoryDB({ storage })
+			const progress = []
+			for await (const entry of mem.findStream('**/*.txt', { precount: true })) {
+				progress.push(entry.progress)
+			}
+			assert.deepStrictEqual(progress, [1, 2, 3, 4, 5].map(i => i / 5))
+		})
+
+		it('should share stream state between entries', async () => {
+			const mem = new MemoryDB({ storage })
+			const entries = []
+			for await (const entry of mem.findStream('.', { sort: 'name', order: 'desc' })) {
+				entries.push(entry)
+			}
+			assert.strictEqual(entries[0].found, entries[11].found)
+			assert.strictEqual(entries[0].dirs, entries[11].dirs)
+			assert.strictEqual(entries[2].count, 3)
+			assert.deepStrictEqual(entries[2].files.map(f => f.name), ['c', 'b', 'a'])
+			assert.deepStrictEqual(entries[11].files.map(f => f.name).slice(0, 3), ['empty', 'deeper', 'deep'])
+			assert.strictEqual(entries[2].totalSize.files, 0)
+			assert.strictEqual(entries[11].totalSize.files, 15)
+		})
+
+		it('should read files of every entry without copying them', async () => {
+			const many = {}
+			for (let i = 0; i < 2000; i++) {
+				many[`docs/${String(i).padStart(4, '0')}.txt`] = 'x'
+			}
+			const mem = new MemoryDB({ storage: many })
+			let previous = null
+			let count = 0
+			for await (const entry of mem.findStream('docs', { sort: 'name', order: 'desc' })) {
+				const { files } = entry
+				assert.strictEqual(files.length, ++count)
+				if (previous) assert.strictEqual(files, previous)
+				previous = files
+			}
+			assert.strictEqual(previous[0].name, '1999.txt')
+			assert.strictEqual(previous[1999].name, '0000.txt')
+		})
+
+		it('should stop at the limit', async () => {
+			const mem = new MemoryDB({ storage })
+			const entries = []
+			for await (const entry of mem.findStream('.', { limit: 3 })) {
+				entries.push(entry)
+			}
+			assert.strictEqual(entries.length, 3)
+			assert.ok(entries[2].progress < 1)
+			assert.ok(Number.isFinite(entries[2].eta))
+		})
 	})
 
 	describe('from', () => {
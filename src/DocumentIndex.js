@@ -0,0 +1,213 @@
+import Query from "./utils/query.js"
+import Path from "./utils/path.js"
+
+/**
+ * Secondary index of the document field values to the document URIs.
+ * Array fields are indexed by every item, only scalar values are indexed.
+ * @class
+ */
+class DocumentIndex {
+	/** @type {string} Directory of the persisted indexes */
+	static DIR = ".indexes"
+
+	/** @type {string} */
+	name
+	/** @type {string} */
+	prefix
+	/** @type {string} */
+	field
+	/** @type {string[]} Directories of the internal documents that are never indexed, such as version history */
+	exclude
+	/** @type {Map<string | number | boolean | null, Set<string>>} */
+	values = new Map()
+	/** @type {Map<string, Array<string | number | boolean | null>>} */
+	uris = new Map()
+	/** @type {boolean} Changed since the last persist */
+	dirty = false
+
+	/**
+	 * Creates a new DocumentIndex instance
+	 * @param {object} input
+	 * @param {string} input.name Index name
+	 * @param {string} [input.prefix=""] Directory of the indexed documents
+	 * @param {string} input.field Path of the indexed field, see Query.value
+	 * @param {Array<[any, string[]]>} [input.entries=[]] Persisted values with their URIs
+	 * @param {string[]} [input.exclude=[]] Directories of the internal documents that are never indexed
+	 */
+	constructor(input) {
+		const {
+			name,
+			prefix = "",
+			field,
+			entries = [],
+			exclude = [],
+		} = input
+		if (!name || !field) {
+			throw new TypeError("Index requires name and field")
+		}
+		this.name = String(name)
+		this.prefix = Path.trim(prefix)
+		this.field = String(field)
+		this.exclude = exclude.map(Path.trim).filter(Boolean)
+		for (const [value, uris] of entries) {
+			for (const uri of uris) {
+				this.put(value, uri)
+			}
+		}
+	}
+
+	/**
+	 * URI of the document where index is persisted.
+	 * @returns {string}
+	 */
+	get uri() {
+		return `${DocumentIndex.DIR}/${this.name}.json`
+	}
+
+	/**
+	 * Checks if the document belongs to the indexed directory
+	 * and is not inside of the persisted indexes or excluded directories.
+	 * @param {string} uri
+	 * @returns {boolean}
+	 */
+	covers(uri) {
+		const path = Path.trim(uri)
+		if ([DocumentIndex.DIR, ...this.exclude].some(dir => path === dir || path.startsWith(dir + "/"))) {
+			return false
+		}
+		return !this.prefix || path.startsWith(this.prefix + "/")
+	}
+
+	/**
+	 * Adds value of the URI.
+	 * @param {string | number | boolean | null} value
+	 * @param {string} uri
+	 * @returns {void}
+	 */
+	put(value, uri) {
+		const uris = this.values.get(value) ?? new Set()
+		uris.add(uri)
+		this.values.set(value, uris)
+		const values = this.uris.get(uri) ?? []
+		if (!values.includes(value)) {
+			values.push(value)
+		}
+		this.uris.set(uri, values)
+	}
+
+	/**
+	 * Indexes the document replacing its previous values.
+	 * @param {string} uri
+	 * @param {any} doc
+	 * @returns {void}
+	 */
+	add(uri, doc) {
+		uri = Path.trim(uri)
+		this.remove(uri)
+		const value = Query.value(doc, this.field)
+		for (const item of Array.isArray(value) ? value : [value]) {
+			if (null === item || ["string", "number", "boolean"].includes(typeof item)) {
+				this.put(item, uri)
+			}
+		}
+		this.dirty = true
+	}
+
+	/**
+	 * Removes the document from the index.
+	 * @param {string} uri
+	 * @returns {boolean} False if document was not indexed
+	 */
+	remove(uri) {
+		uri = Path.trim(uri)
+		const values = this.uris.get(uri)
+		if (!values) {
+			return false
+		}
+		for (const value of values) {
+			const uris = this.values.get(value)
+			uris?.delete(uri)
+			if (!uris?.size) {
+				this.values.delete(value)
+			}
+		}
+		this.uris.delete(uri)
+		this.dirty = true
+		return true
+	}
+
+	/**
+	 * Moves values of the document to another URI.
+	 * @param {string} from
+	 * @param {string} to
+	 * @returns {void}
+	 */
+	rename(from, to) {
+		from = Path.trim(from)
+		to = Path.trim(to)
+		const values = this.uris.get(from) ?? []
+		this.remove(from)
+		if (this.covers(to)) {
+			for (const value of values) {
+				this.put(value, to)
+			}
+		}
+		this.dirty = true
+	}
+
+	/**
+	 * Finds URIs of the documents with the value.
+	 * @param {string | number | boolean | null} value
+	 * @returns {string[]}
+	 */
+	find(value) {
+		return Array.from(this.values.get(value) ?? [])
+	}
+
+	/**
+	 * Finds URIs of the documents with the values in range, ordered by value.
+	 * Only values of the same type as the bounds are compared.
+	 * @param {object} range
+	 * @param {any} [range.gt]
+	 * @param {any} [range.gte]
+	 * @param {any} [range.lt]
+	 * @param {any} [range.lte]
+	 * @returns {string[]}
+	 */
+	range(range) {
+		const condition = Object.fromEntries(
+			Object.entries(range)
+				.filter(([, v]) => undefined !== v)
+				.map(([op, v]) => ["$" + op, v])
+		)
+		const values = Array.from(this.values.keys())
+			.filter(value => !Object.keys(condition).length || Query.matchValue(value, condition))
+			.sort(Query.compareValues)
+		return values.flatMap(value => this.find(value))
+	}
+
+	/**
+	 * Returns the persisted representation of the index.
+	 * @returns {{ name: string, prefix: string, field: string, entries: Array<[any, string[]]> }}
+	 */
+	toJSON() {
+		return {
+			name: this.name,
+			prefix: this.prefix,
+			field: this.field,
+			entries: Array.from(this.values.entries()).map(([value, uris]) => [value, Array.from(uris)]),
+		}
+	}
+
+	/**
+	 * Creates DocumentIndex from input or returns existing instance.
+	 * @param {object|DocumentIndex} input
+	 * @returns {DocumentIndex}
+	 */
+	static from(input) {
+		if (input instanceof DocumentIndex) return input
+		return new DocumentIndex(/** @type {any} */ (input))
+	}
+}
+
+export default DocumentIndex
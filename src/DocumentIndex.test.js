@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import DocumentIndex from './DocumentIndex.js'
+
+describe('DocumentIndex', () => {
+	it('should require name and field', () => {
+		assert.throws(() => new DocumentIndex({ name: 'x' }), TypeError)
+	})
+
+	it('should index scalar and array values', () => {
+		const index = new DocumentIndex({ name: 'tags', prefix: './posts/', field: 'tags' })
+		assert.strictEqual(index.prefix, 'posts')
+		assert.strictEqual(index.uri, '.indexes/tags.json')
+		index.add('posts/1.json', { tags: ['news', 'ua'] })
+		index.add('./posts/2.json', { tags: 'news' })
+		index.add('posts/3.json', { tags: [{ nested: true }] })
+		assert.deepStrictEqual(index.find('news'), ['posts/1.json', 'posts/2.json'])
+		assert.deepStrictEqual(index.find('ua'), ['posts/1.json'])
+		assert.deepStrictEqual(index.find('missing'), [])
+		assert.strictEqual(index.dirty, true)
+	})
+
+	it('should replace, remove and rename documents', () => {
+		const index = new DocumentIndex({ name: 'author', field: 'author/name' })
+		index.add('a.json', { author: { name: 'A' } })
+		index.add('a.json', { author: { name: 'B' } })
+		assert.deepStrictEqual(index.find('A'), [])
+		assert.deepStrictEqual(index.find('B'), ['a.json'])
+		index.rename('a.json', 'b.json')
+		assert.deepStrictEqual(index.find('B'), ['b.json'])
+		assert.strictEqual(index.remove('b.json'), true)
+		assert.strictEqual(index.remove('b.json'), false)
+		assert.strictEqual(index.values.size, 0)
+	})
+
+	it('should cover documents under prefix except indexes', () => {
+		const index = new DocumentIndex({ name: 'x', field: 'x' })
+		assert.strictEqual(index.covers('a.json'), true)
+		assert.strictEqual(index.covers('.indexes/x.json'), false)
+		const posts = new DocumentIndex({ name: 'x', field: 'x', prefix: 'posts' })
+		assert.strictEqual(posts.covers('posts/a.json'), true)
+		assert.strictEqual(posts.covers('postsX/a.json'), false)
+		const excluded = new DocumentIndex({ name: 'x', field: 'x', exclude: ['.history/', '.trash'] })
+		assert.strictEqual(excluded.covers('.history/a.json.json'), false)
+		assert.strictEqual(excluded.covers('.trash/1/a.json'), false)
+		assert.strictEqual(excluded.covers('history/a.json'), true)
+	})
+
+	it('should scan ranges ordered by value', () => {
+		const index = new DocumentIndex({ name: 'views', field: 'views' })
+		index.add('a', { views: 30 })
+		index.add('b', { views: 10 })
+		index.add('c', { views: 20 })
+		index.add('d', { views: '15' })
+		assert.deepStrictEqual(index.range({ gte: 10, lt: 30 }), ['b', 'c'])
+		assert.deepStrictEqual(index.range({ gt: 10 }), ['c', 'a'])
+		assert.deepStrictEqual(index.range({}), ['b', 'd', 'c', 'a'])
+	})
+
+	it('should restore from persisted representation', () => {
+		const index = new DocumentIndex({ name: 'tags', field: 'tags' })
+		index.add('1.json', { tags: ['a', 'b'] })
+		const restored = DocumentIndex.from(JSON.parse(JSON.stringify(index)))
+		assert.deepStrictEqual(restored.find('b'), ['1.json'])
+		assert.deepStrictEqual(restored.uris.get('1.json'), ['a', 'b'])
+		assert.strictEqual(restored.dirty, false)
+		assert.strictEqual(DocumentIndex.from(index), index)
+	})
+})
@@ -35,6 +35,8 @@ class DocumentStat {
 	/** @type {boolean} */
 	isBlockDevice
 	/** @type {boolean} */
+	isCharacterDevice
+	/** @type {boolean} */
 	isDirectory
 	/** @type {boolean} */
 	isFile
@@ -66,6 +68,7 @@ class DocumentStat {
 	 * @param {number} [input.size=0]
 	 * @param {number} [input.uid=0]
 	 * @param {boolean} [input.isBlockDevice=false]
+	 * @param {boolean} [input.isCharacterDevice=false]
 	 * @param {boolean} [input.isDirectory=false]
 	 * @param {boolean} [input.isFile=false]
 	 * @param {boolean} [input.isFIFO=false]
@@ -90,6 +93,7 @@ class DocumentStat {
 			rdev = 0,
 			uid = 0,
 			isBlockDevice = false,
+			isCharacterDevice = false,
 			isDirectory = false,
 			isFile = false,
 			isFIFO = false,
@@ -114,6 +118,8 @@ class DocumentStat {
 		// @ts-ignore
 		this.isBlockDevice = "function" === typeof isBlockDevice ? isBlockDevice.bind(input)() : isBlockDevice
 		// @ts-ignore
+		this.isCharacterDevice = "function" === typeof isCharacterDevice ? isCharacterDevice.bind(input)() : isCharacterDevice
+		// @ts-ignore
 		this.isDirectory = "function" === typeof isDirectory ? isDirectory.bind(input)() : isDirectory
 		// @ts-ignore
 		this.isFile = "function" === typeof isFile ? isFile.bind(input)() : isFile
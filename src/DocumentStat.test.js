@@ -20,6 +20,7 @@ describe('DocumentStat', () => {
 		assert.strictEqual(stat.rdev, 0)
 		assert.strictEqual(stat.uid, 0)
 		assert.strictEqual(stat.isBlockDevice, false)
+		assert.strictEqual(stat.isCharacterDevice, false)
 		assert.strictEqual(stat.isDirectory, false)
 		assert.strictEqual(stat.isFile, false)
 		assert.strictEqual(stat.isFIFO, false)
@@ -46,10 +47,12 @@ describe('DocumentStat', () => {
 	it('should handle function values for type checks', () => {
 		const stat = new DocumentStat({
 			isFile: () => true,
-			isDirectory: () => false
+			isDirectory: () => false,
+			isCharacterDevice: () => false,
 		})
 
 		assert.strictEqual(stat.isFile, true)
+		assert.strictEqual(stat.isCharacterDevice, false)
 		assert.strictEqual(stat.isDirectory, false)
 	})
 
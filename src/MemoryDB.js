@@ -0,0 +1,291 @@
+import DB from "./DB.js"
+import AbortError from "./AbortError.js"
+import DocumentStat from "./DocumentStat.js"
+
+/** @typedef {import("./AbortError.js").AbortSignal} AbortSignal */
+
+/**
+ * Calculates approximate size of the document in bytes.
+ * @param {any} document
+ * @returns {number}
+ */
+function sizeOf(document) {
+	if (document instanceof Uint8Array) {
+		return document.byteLength
+	}
+	const str = "string" === typeof document ? document : JSON.stringify(document) ?? ""
+	let size = 0
+	for (const char of str) {
+		const code = /** @type {number} */ (char.codePointAt(0))
+		size += code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4
+	}
+	return size
+}
+
+/**
+ * In-memory database that keeps documents in the storage Map
+ * with the real DocumentStat bookkeeping.
+ * Works as a reference backend, a test double and a scratch database.
+ * @class
+ */
+class MemoryDB extends DB {
+	/** @type {Map<string, any>} */
+	storage = new Map()
+	/** @type {Map<string, DocumentStat>} */
+	stats = new Map()
+
+	/**
+	 * Creates a new MemoryDB instance.
+	 * Documents provided in the storage are treated as already saved,
+	 * values other than strings are serialized with the format codecs.
+	 * @param {object} input
+	 * @param {string} [input.root="."]
+	 * @param {string} [input.cwd="."]
+	 * @param {boolean} [input.connected=false]
+	 * @param {Map<string, any>} [input.data=new Map()]
+	 * @param {Map<string, DocumentStat>} [input.meta=new Map()]
+	 * @param {DB[]} [input.dbs=[]]
+	 * @param {import("./AccessPolicy.js").default | object | null} [input.policy=null]
+	 * @param {import("./AccessPolicy.js").AccessSubject} [input.subject={}]
+	 * @param {import("./Versioning.js").default | object | null} [input.versioning=null]
+	 * @param {import("./CachePolicy.js").default | object | null} [input.cache=null]
+	 * @param {{ dir?: string }} [input.trash={}]
+	 * @param {string} [input.inheritName="_.json"]
+	 * @param {Map<string, any> | Array<[string, any]> | object} [input.storage=new Map()] Predefined documents
+	 */
+	constructor(input = {}) {
+		super(input)
+		const {
+			storage = new Map(),
+		} = input
+		const entries = storage instanceof Map || Array.isArray(storage)
+			? Array.from(storage) : Object.entries(storage)
+		for (const [uri, document] of entries) {
+			const raw = "string" === typeof document ? document : this.encode(uri, document)
+			this.store(this.normalize(uri), raw)
+		}
+	}
+
+	/**
+	 * Puts raw content into the storage keeping the birth time of the previous content.
+	 * @param {string} key - Storage key
+	 * @param {any} raw - Serialized document
+	 * @returns {DocumentStat}
+	 */
+	store(key, raw) {
+		const prev = this.stats.get(key)
+		const now = Date.now()
+		const stat = new DocumentStat({
+			isFile: true,
+			size: sizeOf(raw),
+			atimeMs: now,
+			btimeMs: prev?.btimeMs || now,
+			ctimeMs: now,
+			mtimeMs: now,
+		})
+		this.storage.set(key, raw)
+		this.stats.set(key, stat)
+		return stat
+	}
+
+	/**
+	 * Returns keys of the documents stored under the directory.
+	 * @param {string} uri Directory URI
+	 * @returns {string[]}
+	 */
+	keysOf(uri) {
+		const dir = this.normalize(uri)
+		const prefix = dir ? dir + "/" : ""
+		return Array.from(this.storage.keys()).filter(key => key.startsWith(prefix))
+	}
+
+	/**
+	 * Loads a document from the storage
+	 * @param {string} uri - Document URI
+	 * @param {any} [defaultValue=""] - Default value if document not found
+	 * @param {object} [options]
+	 * @param {AbortSignal} [options.signal] - Cancels loading
+	 * @returns {Promise<any>}
+	 */
+	async loadDocument(uri, defaultValue = "", options = {}) {
+		AbortError.throwIfAborted(options.signal, uri)
+		await this.ensureAccess(uri, "r")
+		const key = this.normalize(uri)
+		if (!this.storage.has(key)) {
+			return defaultValue
+		}
+		const stat = this.stats.get(key)
+		if (stat) {
+			stat.atimeMs = Date.now()
+		}
+		return this.storage.get(key)
+	}
+
+	/**
+	 * Saves a document into the storage keeping its birth time.
+	 * @param {string} uri - Document URI
+	 * @param {any} document - Document content already serialized by encode()
+	 * @param {object} [options]
+	 * @param {AbortSignal} [options.signal] - Cancels saving
+	 * @returns {Promise<boolean>}
+	 */
+	async saveDocument(uri, document, options = {}) {
+		AbortError.throwIfAborted(options.signal, uri)
+		await this.ensureAccess(uri, "w")
+		const stat = this.store(this.normalize(uri), document)
+		this.meta.set(uri, stat)
+		return true
+	}
+
+	/**
+	 * Overwrites the document content with the raw chunk,
+	 * the cached data gets the chunk parsed by the format codec.
+	 * @param {string} uri - Document URI
+	 * @param {string} chunk - Data to write
+	 * @returns {Promise<boolean>}
+	 */
+	async writeDocument(uri, chunk) {
+		if (this.mounted(uri)) {
+			return await super.writeDocument(uri, chunk)
+		}
+		await this.ensureAccess(uri, "w")
+		await this.saveVersion(uri)
+		const stat = this.store(this.normalize(uri), chunk)
+		const data = this.decode(uri, chunk)
+		this.meta.set(uri, stat)
+		this.data.set(uri, data)
+		this.dirty.delete(uri)
+		if (this.cache) {
+			this.cache.touch(uri, data)
+			this.evict()
+		}
+		this.emit("set", { uri, data, stat })
+		return true
+	}
+
+	/**
+	 * Creates DocumentStat for a document or directory.
+	 * Directories exist while they have documents inside.
+	 * @param {string} uri - Document URI
+	 * @returns {Promise<DocumentStat>}
+	 */
+	async statDocument(uri) {
+		await this.ensureAccess(uri, "r")
+		const key = this.normalize(uri)
+		const stat = this.stats.get(key)
+		if (stat) {
+			return stat
+		}
+		const children = this.keysOf(key)
+		if (!key || children.length) {
+			const stats = children.map(k => /** @type {DocumentStat} */ (this.stats.get(k)))
+			return new DocumentStat({
+				isDirectory: true,
+				btimeMs: stats.reduce((acc, s) => Math.min(acc, s.btimeMs), stats[0]?.btimeMs ?? 0),
+				ctimeMs: stats.reduce((acc, s) => Math.max(acc, s.ctimeMs), 0),
+				mtimeMs: stats.reduce((acc, s) => Math.max(acc, s.mtimeMs), 0),
+			})
+		}
+		return new DocumentStat()
+	}
+
+	/**
+	 * Lists direct children of the directory sorted by name.
+	 * @param {string} uri - Directory URI
+	 * @param {object} [options]
+	 * @param {AbortSignal} [options.signal] - Cancels listing
+	 * @returns {Promise<{name: string, stat: DocumentStat, isDirectory: boolean}[]>}
+	 */
+	async listDir(uri, options = {}) {
+		AbortError.throwIfAborted(options.signal, uri)
+		await this.ensureAccess(uri, "r")
+		const dir = this.normalize(uri)
+		const prefix = dir ? dir + "/" : ""
+		const names = new Set()
+		for (const key of this.keysOf(dir)) {
+			names.add(key.slice(prefix.length).split("/")[0])
+		}
+		const result = []
+		for (const name of Array.from(names).sort()) {
+			const stat = await this.statDocument(prefix + name)
+			result.push({ name, stat, isDirectory: stat.isDirectory })
+		}
+		return result
+	}
+
+	/**
+	 * Deletes a document, or a directory with all documents inside, from the storage and the cache.
+	 * @param {string} uri - Document or directory URI
+	 * @returns {Promise<boolean>} False if document or directory does not exist
+	 */
+	async dropDocument(uri) {
+		if (this.mounted(uri)) {
+			return await super.dropDocument(uri)
+		}
+		await this.ensureAccess(uri, "d")
+		const key = this.normalize(uri)
+		const isDirectory = !this.storage.has(key)
+		// the root of the database is never dropped as a directory
+		const uris = isDirectory ? (key ? this.keysOf(key) : []) : [uri]
+		if (!uris.length) {
+			return false
+		}
+		for (const path of uris) {
+			const stored = this.normalize(path)
+			this.storage.delete(stored)
+			this.stats.delete(stored)
+			this.data.delete(path)
+			this.meta.delete(path)
+			this.dirty.delete(path)
+			this.emit("drop", { uri: path })
+		}
+		if (isDirectory) {
+			this.data.delete(uri)
+			this.meta.delete(uri)
+		}
+		return true
+	}
+
+	/**
+	 * Moves a document inside of the storage keeping its birth time.
+	 * @param {string} from - Source URI
+	 * @param {string} to - Target URI
+	 * @param {object} [options]
+	 * @param {"replace" | "skip" | "newer" | "error"} [options.overwrite="replace"] - Policy for the existing target
+	 * @returns {Promise<boolean>} False if source document does not exist or target is kept
+	 */
+	async moveDocument(from, to, options = {}) {
+		if (this.mounted(from) || this.mounted(to)) {
+			return await super.moveDocument(from, to, options)
+		}
+		const { overwrite = "replace" } = options
+		await this.ensureAccess(to, "w")
+		await this.ensureAccess(from, "r")
+		await this.ensureAccess(from, "d")
+		const source = this.normalize(from)
+		const target = this.normalize(to)
+		const stat = this.stats.get(source)
+		if (!stat || source === target || !await this.canOverwrite(to, stat, overwrite)) {
+			return false
+		}
+		await this.saveVersion(to)
+		const moved = new DocumentStat({ ...stat, ctimeMs: Date.now() })
+		this.storage.set(target, this.storage.get(source))
+		this.stats.set(target, moved)
+		this.storage.delete(source)
+		this.stats.delete(source)
+		if (this.data.has(from)) {
+			this.data.set(to, /** @type {any} */ (this.data.get(from)))
+			this.data.delete(from)
+		}
+		if (this.dirty.delete(from)) {
+			this.dirty.add(to)
+		}
+		this.meta.set(to, moved)
+		this.meta.delete(from)
+		this.emit("move", { uri: to, from, to, stat: moved })
+		return true
+	}
+}
+
+export default MemoryDB
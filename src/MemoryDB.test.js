@@ -0,0 +1,144 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import MemoryDB from './MemoryDB.js'
+import DB from './DB.js'
+import DocumentEntry from './DocumentEntry.js'
+import { resolveCases, rejectedCases, relativeCases } from './utils/path.cases.js'
+
+describe('MemoryDB', () => {
+	/** @type {MemoryDB} */
+	let db
+
+	beforeEach(() => {
+		db = new MemoryDB({
+			storage: new Map([
+				['index.json', { title: 'Home' }],
+				['docs/a.txt', 'Alpha'],
+				['docs/b.txt', 'Beta'],
+				['docs/deep/c.md', '# C'],
+			])
+		})
+	})
+
+	it('should extend DB', () => {
+		assert.ok(db instanceof DB)
+		assert.ok(MemoryDB.from({}) instanceof MemoryDB)
+	})
+
+	it('should accept storage as an object', () => {
+		const db = new MemoryDB({ storage: { 'a.txt': 'A' } })
+		assert.strictEqual(db.storage.get('a.txt'), 'A')
+	})
+
+	it('should get predefined documents', async () => {
+		assert.deepStrictEqual(await db.get('index.json'), { title: 'Home' })
+		assert.strictEqual(await db.get('./docs/a.txt'), 'Alpha')
+	})
+
+	it('should return default value for missing document', async () => {
+		assert.strictEqual(await db.loadDocument('missing.txt'), '')
+		assert.strictEqual(await db.loadDocument('missing.txt', null), null)
+	})
+
+	it('should save documents on push with stat bookkeeping', async () => {
+		const before = await db.statDocument('docs/a.txt')
+		await new Promise(resolve => setTimeout(resolve, 2))
+		await db.set('docs/a.txt', 'Alpha!')
+		await db.set('new.txt', 'Новий')
+		const changed = await db.push()
+		assert.deepStrictEqual(changed.sort(), ['docs/a.txt', 'new.txt'])
+		assert.strictEqual(db.storage.get('docs/a.txt'), 'Alpha!')
+
+		const stat = await db.statDocument('docs/a.txt')
+		assert.strictEqual(stat.size, 6)
+		assert.strictEqual(stat.btimeMs, before.btimeMs)
+		assert.ok(stat.ctimeMs >= before.ctimeMs)
+		assert.strictEqual((await db.statDocument('new.txt')).size, 10)
+		assert.deepStrictEqual(await db.push(), [])
+	})
+
+	it('should stat directories and missing documents', async () => {
+		const dir = await db.statDocument('docs')
+		assert.strictEqual(dir.isDirectory, true)
+		assert.strictEqual((await db.statDocument('.')).isDirectory, true)
+		const missing = await db.statDocument('missing.txt')
+		assert.strictEqual(missing.exists, false)
+	})
+
+	it('should list directory with subdirectories', async () => {
+		const entries = await db.listDir('docs')
+		assert.deepStrictEqual(entries.map(e => [e.name, e.isDirectory]), [
+			['a.txt', false],
+			['b.txt', false],
+			['deep', true],
+		])
+	})
+
+	it('should read directory recursively', async () => {
+		const entries = []
+		for await (const entry of db.readDir('.')) {
+			entries.push(entry)
+		}
+		assert.ok(entries.every(e => e instanceof DocumentEntry))
+		assert.deepStrictEqual(entries.map(e => e.path), [
+			'docs', 'index.json', 'docs/deep', 'docs/a.txt', 'docs/b.txt', 'docs/deep/c.md',
+		])
+	})
+
+	it('should write document with overwrite', async () => {
+		assert.strictEqual(await db.writeDocument('docs/a.txt', 'A'), true)
+		assert.strictEqual(db.storage.get('docs/a.txt'), 'A')
+		assert.strictEqual(await db.get('docs/a.txt'), 'A')
+	})
+
+	it('should drop documents', async () => {
+		await db.get('docs/a.txt')
+		assert.strictEqual(await db.dropDocument('docs/a.txt'), true)
+		assert.strictEqual(db.storage.has('docs/a.txt'), false)
+		assert.strictEqual(db.data.has('docs/a.txt'), false)
+		assert.strictEqual(await db.dropDocument('docs/a.txt'), false)
+	})
+
+	it('should drop directories with documents inside', async () => {
+		const events = []
+		db.on('drop', event => events.push(event.uri))
+		for await (const entry of db.readDir('docs')) entry
+		assert.strictEqual(await db.dropDocument('docs/'), true)
+		assert.deepStrictEqual(events.sort(), ['docs/a.txt', 'docs/b.txt', 'docs/deep/c.md'])
+		assert.deepStrictEqual(Array.from(db.storage.keys()), ['index.json'])
+		assert.strictEqual(db.data.has('docs/deep/c.md'), false)
+		assert.strictEqual((await db.statDocument('docs')).exists, false)
+		assert.strictEqual(await db.dropDocument('docs'), false)
+		assert.strictEqual(await db.dropDocument('.'), false)
+		assert.ok(db.storage.has('index.json'))
+	})
+
+	it('should move documents keeping birth time', async () => {
+		const stat = await db.statDocument('docs/a.txt')
+		assert.strictEqual(await db.moveDocument('docs/a.txt', 'archive/a.txt'), true)
+		assert.strictEqual(db.storage.has('docs/a.txt'), false)
+		assert.strictEqual(await db.get('archive/a.txt'), 'Alpha')
+		assert.strictEqual((await db.statDocument('archive/a.txt')).btimeMs, stat.btimeMs)
+		assert.strictEqual(await db.moveDocument('missing.txt', 'other.txt'), false)
+	})
+
+	it('should resolve and relate paths', async () => {
+		assert.strictEqual(await db.resolve('.', 'docs'), 'docs')
+		assert.strictEqual(db.resolveSync('docs/', '../index.json'), 'index.json')
+		assert.strictEqual(db.relative('docs/deep', 'docs/a.txt'), '../a.txt')
+		assert.strictEqual(db.relative('.', 'docs/a.txt'), 'docs/a.txt')
+	})
+
+	it('should pass the shared path matrix', async () => {
+		for (const [args, expected] of resolveCases) {
+			assert.strictEqual(db.resolveSync(...args), expected, args.join(', '))
+		}
+		for (const args of rejectedCases) {
+			assert.throws(() => db.resolveSync(...args), /outside of the root/, args.join(', '))
+		}
+		for (const [from, to, expected] of relativeCases) {
+			assert.strictEqual(db.relative(from, to), expected, `${from} -> ${to}`)
+		}
+		await assert.rejects(() => db.statDocument('../outside.txt'), /outside of the root/)
+	})
+})
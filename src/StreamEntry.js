@@ -1,54 +1,146 @@
 import DocumentEntry from "./DocumentEntry.js"
 
 /**
- * Represents a stream entry with progress information
+ * Represents a stream entry with progress information.
+ * Entries of the same stream share their state instead of copying it:
+ * found documents are kept in a shared list in order of discovery, and the shared sorted list
+ * gets entries found since the last request merged in only when `files` are requested,
+ * so streaming without reading `files` does not sort at all.
+ * `files` of the latest entry, `dirs`, `top` and `errors` are live views of the stream state,
+ * they keep growing while the stream goes on, copy them to keep the current state.
  * @class
  */
 class StreamEntry {
 	/** @type {DocumentEntry} */
 	file
-	/** @type {DocumentEntry[]} */
-	files
-	/** @type {Map<string, DocumentEntry>} */
+	/** @type {DocumentEntry[]} Found entries in order of discovery, shared by the stream */
+	found
+	/** @type {DocumentEntry[]} Found entries merged so far in sort order, shared by the stream */
+	sorted
+	/** @type {number} Number of found entries visible to this entry */
+	count
+	/** @type {((a: DocumentEntry, b: DocumentEntry) => number) | null} Sort order of files */
+	compare
+	/** @type {DocumentEntry[] | null} Visible files of the earlier entry, built on the first request */
+	visible = null
+	/** @type {Map<string, DocumentEntry>} Found directories, live */
 	dirs
-	/** @type {Map<string, DocumentEntry>} */
+	/** @type {Map<string, DocumentEntry>} Found directories of the first level by their names, live */
 	top
-	/** @type {Map<string, Error | null>} */
+	/** @type {Map<string, Error | null>} Errors by paths, live */
 	errors
 	/** @type {number} */
 	progress
 	/** @type {{ dirs: number, files: number }} */
 	totalSize
+	/** @type {{ dirs: number, files: number, bytes: number }} Listed directories, streamed files and their bytes */
+	processed
+	/** @type {number} Milliseconds since the stream started */
+	elapsed
+	/** @type {number} Processed bytes per second */
+	throughput
+	/** @type {number} Estimated milliseconds left, Infinity until there is any progress */
+	eta
 
 	/**
 	 * Creates a new StreamEntry instance
 	 * @param {object} input
 	 * @param {DocumentEntry|object} [input.file={}]
-	 * @param {DocumentEntry[]|object[]} [input.files=[]]
+	 * @param {DocumentEntry[]|object[]} [input.files=[]] Found entries, converted and copied
+	 * @param {DocumentEntry[] | null} [input.found=null] Shared found entries, used as is instead of files
+	 * @param {DocumentEntry[] | null} [input.sorted=null] Shared sorted list of the first found entries, used as is
+	 * @param {number} [input.count] Number of visible found entries, all by default
+	 * @param {((a: DocumentEntry, b: DocumentEntry) => number) | null} [input.compare=null] Sort order of files
 	 * @param {Map<string, DocumentEntry>} [input.dirs=new Map()]
 	 * @param {Map<string, DocumentEntry>} [input.top=new Map()]
 	 * @param {Map<string, Error | null>} [input.errors=new Map()]
 	 * @param {number} [input.progress=0]
 	 * @param {{ dirs: number, files: number }} [input.totalSize={ dirs: 0, files: 0 }]
+	 * @param {{ dirs: number, files: number, bytes: number }} [input.processed={ dirs: 0, files: 0, bytes: 0 }]
+	 * @param {number} [input.elapsed=0]
+	 * @param {number} [input.throughput=0]
+	 * @param {number} [input.eta=Infinity]
 	 */
 	constructor(input = {}) {
 		const {
 			file = {},
 			files = [],
+			found = null,
+			sorted = null,
+			count,
+			compare = null,
 			dirs = new Map(),
 			top = new Map(),
 			errors = new Map(),
 			progress = 0,
-			totalSize = { dirs: 0, files: 0 }
+			totalSize = { dirs: 0, files: 0 },
+			processed = { dirs: 0, files: 0, bytes: 0 },
+			elapsed = 0,
+			throughput = 0,
+			eta = Infinity,
 		} = input
 
 		this.file = DocumentEntry.from(file)
-		this.files = files.map(f => DocumentEntry.from(f))
-		this.dirs = new Map(dirs)
-		this.top = new Map(top)
-		this.errors = new Map(errors)
+		this.found = found ?? files.map(f => DocumentEntry.from(f))
+		this.count = undefined === count ? this.found.length : Number(count)
+		this.compare = compare
+		this.sorted = sorted ?? []
+		this.dirs = dirs instanceof Map ? dirs : new Map(dirs)
+		this.top = top instanceof Map ? top : new Map(top)
+		this.errors = errors instanceof Map ? errors : new Map(errors)
 		this.progress = Number(progress)
 		this.totalSize = totalSize
+		this.processed = processed
+		this.elapsed = Number(elapsed)
+		this.throughput = Number(throughput)
+		this.eta = Number(eta)
+	}
+
+	/**
+	 * Found entries visible to this entry in the sort order.
+	 * The latest entry of the stream returns the shared sorted list without copying,
+	 * an earlier entry builds its own list once on the first request.
+	 * @returns {DocumentEntry[]}
+	 */
+	get files() {
+		StreamEntry.merge(this.found, this.sorted, this.compare)
+		if (this.count >= this.sorted.length) {
+			return this.sorted
+		}
+		if (!this.visible) {
+			const seen = new Set(this.found.slice(0, this.count))
+			this.visible = this.sorted.filter(f => seen.has(f))
+		}
+		return this.visible
+	}
+
+	/**
+	 * Merges found entries missing in the sorted list into it in place:
+	 * the new entries are sorted once and merged from the end, equal entries keep discovery order.
+	 * @param {DocumentEntry[]} found - Entries in order of discovery
+	 * @param {DocumentEntry[]} sorted - Sorted list of the first `sorted.length` found entries
+	 * @param {((a: DocumentEntry, b: DocumentEntry) => number) | null} compare
+	 * @returns {DocumentEntry[]} The sorted list
+	 */
+	static merge(found, sorted, compare) {
+		if (sorted.length >= found.length) {
+			return sorted
+		}
+		const added = found.slice(sorted.length)
+		if (compare) {
+			added.sort(compare)
+		}
+		let i = sorted.length - 1
+		let j = added.length - 1
+		sorted.length = found.length
+		for (let k = sorted.length - 1; j >= 0; k--) {
+			if (compare && i >= 0 && compare(sorted[i], added[j]) > 0) {
+				sorted[k] = sorted[i--]
+			} else {
+				sorted[k] = added[j--]
+			}
+		}
+		return sorted
 	}
 }
 
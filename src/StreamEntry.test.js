@@ -14,6 +14,9 @@ describe('StreamEntry', () => {
 		assert.strictEqual(entry.errors.size, 0)
 		assert.strictEqual(entry.progress, 0)
 		assert.deepStrictEqual(entry.totalSize, { dirs: 0, files: 0 })
+		assert.deepStrictEqual(entry.processed, { dirs: 0, files: 0, bytes: 0 })
+		assert.strictEqual(entry.throughput, 0)
+		assert.strictEqual(entry.eta, Infinity)
 	})
 
 	it('should set properties from constructor', () => {
@@ -53,6 +56,54 @@ describe('StreamEntry', () => {
 		assert.ok(entry.files[0] instanceof DocumentEntry)
 	})
 	
+	it('should share found entries and read visible files in sort order', () => {
+		const found = ['c.txt', 'a.txt', 'b.txt'].map(name => new DocumentEntry({ name }))
+		const compare = (a, b) => a.name.localeCompare(b.name)
+		const sorted = []
+		const dirs = new Map()
+		const earlier = new StreamEntry({ found, sorted, count: 2, compare, dirs })
+		const latest = new StreamEntry({ found, sorted, count: 3, compare, dirs })
+		assert.strictEqual(latest.found, found)
+		assert.strictEqual(latest.dirs, dirs)
+		assert.strictEqual(latest.files, sorted)
+		assert.deepStrictEqual(latest.files.map(f => f.name), ['a.txt', 'b.txt', 'c.txt'])
+		assert.deepStrictEqual(earlier.files.map(f => f.name), ['a.txt', 'c.txt'])
+		assert.strictEqual(earlier.files, earlier.files)
+		assert.deepStrictEqual(found.map(f => f.name), ['c.txt', 'a.txt', 'b.txt'])
+	})
+
+	it('should merge new entries into sorted list keeping discovery order of equal ones', () => {
+		const compare = (a, b) => a.stat.size - b.stat.size
+		const found = [3, 1, 2].map((size, i) => new DocumentEntry({ name: `a${i}`, stat: { size } }))
+		const sorted = StreamEntry.merge(found, [], compare)
+		assert.deepStrictEqual(sorted.map(f => f.name), ['a1', 'a2', 'a0'])
+		found.push(...[2, 0, 3].map((size, i) => new DocumentEntry({ name: `b${i}`, stat: { size } })))
+		assert.strictEqual(StreamEntry.merge(found, sorted, compare), sorted)
+		assert.deepStrictEqual(sorted.map(f => f.name), ['b1', 'a1', 'a2', 'b0', 'a0', 'b2'])
+		found.push(new DocumentEntry({ name: 'c' }))
+		assert.deepStrictEqual(StreamEntry.merge(found, sorted.slice(), null).map(f => f.name).slice(-2), ['b2', 'c'])
+	})
+
+	it('should stream 100k entries without sorting and sort them once', () => {
+		let compared = 0
+		const compare = (a, b) => (++compared, a.stat.size - b.stat.size)
+		const total = 100_000
+		const found = []
+		const sorted = []
+		let entry = new StreamEntry()
+		for (let i = 0; i < total; i++) {
+			found.push(new DocumentEntry({ name: String(i), stat: { size: (i * 7919) % total } }))
+			entry = new StreamEntry({ file: found[i], found, sorted, compare })
+		}
+		assert.strictEqual(compared, 0)
+		assert.strictEqual(entry.files.length, total)
+		assert.ok(compared <= total * Math.log2(total), `${compared} comparisons`)
+		assert.ok(sorted.every((f, i) => 0 === i || sorted[i - 1].stat.size <= f.stat.size))
+		compared = 0
+		assert.strictEqual(entry.files, sorted)
+		assert.strictEqual(compared, 0)
+	})
+
 	it('should handle string representations', () => {
 		const fileEntry = new DocumentEntry({ name: 'file.txt', stat: { isFile: true } })
 		const dirEntry = new DocumentEntry({ name: 'directory', stat: { isDirectory: true } })
@@ -0,0 +1,106 @@
+import DocumentStat from "./DocumentStat.js"
+
+/**
+ * @typedef {object} SyncAction
+ * @property {"copy" | "update" | "delete"} type
+ * @property {string} uri Document URI, the same in both databases
+ * @property {"ours" | "theirs"} target Database that is changed by the action
+ */
+
+/**
+ * @typedef {object} SyncConflict
+ * @property {string} uri Document URI
+ * @property {DocumentStat} ours Stat of our document
+ * @property {DocumentStat} theirs Stat of their document
+ * @property {"ours" | "theirs" | "skip"} resolution Version that wins, or skip to keep both
+ */
+
+/**
+ * Plan of the synchronization between two databases:
+ * actions to apply and conflicts with their resolutions.
+ * @class
+ */
+class SyncPlan {
+	/** @type {"push" | "pull" | "both"} */
+	direction
+	/** @type {SyncAction[]} */
+	actions = []
+	/** @type {SyncConflict[]} */
+	conflicts = []
+	/** @type {boolean} */
+	applied = false
+
+	/**
+	 * Creates a new SyncPlan instance
+	 * @param {object} input
+	 * @param {"push" | "pull" | "both"} [input.direction="both"]
+	 * @param {SyncAction[]} [input.actions=[]]
+	 * @param {SyncConflict[]} [input.conflicts=[]]
+	 * @param {boolean} [input.applied=false]
+	 */
+	constructor(input = {}) {
+		const {
+			direction = "both",
+			actions = [],
+			conflicts = [],
+			applied = false,
+		} = input
+		if (!["push", "pull", "both"].includes(direction)) {
+			throw new TypeError(["Sync direction must be one of [push, pull, both]", direction].join(": "))
+		}
+		this.direction = direction
+		this.actions = actions.map(action => ({ ...action }))
+		this.conflicts = conflicts.map(conflict => ({ ...conflict }))
+		this.applied = Boolean(applied)
+	}
+
+	/**
+	 * Adds the action to the plan.
+	 * @param {"copy" | "update" | "delete"} type
+	 * @param {string} uri
+	 * @param {"ours" | "theirs"} target
+	 * @returns {SyncAction}
+	 */
+	add(type, uri, target) {
+		const action = { type, uri, target }
+		this.actions.push(action)
+		return action
+	}
+
+	/**
+	 * Returns actions changing the database.
+	 * @param {"ours" | "theirs"} target
+	 * @returns {SyncAction[]}
+	 */
+	actionsOn(target) {
+		return this.actions.filter(action => action.target === target)
+	}
+
+	/**
+	 * Checks if there is nothing to apply.
+	 * @returns {boolean}
+	 */
+	get empty() {
+		return 0 === this.actions.length
+	}
+
+	/**
+	 * Get string representation of the plan, one action per line
+	 * @returns {string}
+	 */
+	toString() {
+		return this.actions.map(({ type, uri, target }) => [type, target, uri].join(" ")).join("\n")
+	}
+
+	/**
+	 * Creates SyncPlan from input or returns existing instance.
+	 * @param {object|SyncPlan} input
+	 * @returns {SyncPlan}
+	 */
+	static from(input) {
+		if (input instanceof SyncPlan) return input
+		return new SyncPlan(input)
+	}
+}
+
+export default SyncPlan
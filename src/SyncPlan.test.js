@@ -0,0 +1,28 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import SyncPlan from './SyncPlan.js'
+
+describe('SyncPlan', () => {
+	it('should create instance with default values', () => {
+		const plan = new SyncPlan()
+		assert.strictEqual(plan.direction, 'both')
+		assert.deepStrictEqual(plan.actions, [])
+		assert.deepStrictEqual(plan.conflicts, [])
+		assert.strictEqual(plan.applied, false)
+		assert.strictEqual(plan.empty, true)
+	})
+
+	it('should validate direction', () => {
+		assert.throws(() => new SyncPlan({ direction: /** @type {any} */ ('sideways') }), TypeError)
+	})
+
+	it('should add actions and list them by target', () => {
+		const plan = SyncPlan.from({ direction: 'push' })
+		plan.add('copy', 'a.txt', 'theirs')
+		plan.add('delete', 'b.txt', 'ours')
+		assert.strictEqual(plan.empty, false)
+		assert.deepStrictEqual(plan.actionsOn('ours'), [{ type: 'delete', uri: 'b.txt', target: 'ours' }])
+		assert.strictEqual(String(plan), 'copy theirs a.txt\ndelete ours b.txt')
+		assert.strictEqual(SyncPlan.from(plan), plan)
+	})
+})
@@ -0,0 +1,218 @@
+import DB from "./DB.js"
+import DocumentStat from "./DocumentStat.js"
+import AccessDeniedError from "./AccessDeniedError.js"
+import AbortError from "./AbortError.js"
+import Tar from "./utils/tar.js"
+import Path from "./utils/path.js"
+
+/** @typedef {import("./AbortError.js").AbortSignal} AbortSignal */
+
+/** @type {number} Maximum number of symbolic links followed while loading a document */
+const MAX_LINKS = 8
+
+/**
+ * Read-only database over a tar archive, documents are read from the archive
+ * without extracting them, any write or delete is refused by ensureAccess.
+ * Directories missing in the archive are implied by the paths of their documents.
+ * @example
+ * const db = new TarDB({ file: "dataset.tar" })
+ * for await (const uri of db.find("**\/*.json")) console.info(uri, await db.get(uri))
+ * @class
+ */
+class TarDB extends DB {
+	/** @type {Uint8Array | null} Archive content */
+	buffer
+	/** @type {string} Path of the local archive file, loaded on connect */
+	file
+	/** @type {Map<string, import("./utils/tar.js").TarEntry>} Entries by their paths */
+	entries = new Map()
+	/** @type {Map<string, Set<string>>} Names of the children by directory paths, "" for the root */
+	children = new Map()
+
+	/**
+	 * Creates a new TarDB instance.
+	 * @param {object} input
+	 * @param {string} [input.root="."]
+	 * @param {string} [input.cwd="."]
+	 * @param {boolean} [input.connected=false]
+	 * @param {import("./AccessPolicy.js").default | object | null} [input.policy=null]
+	 * @param {import("./AccessPolicy.js").AccessSubject} [input.subject={}]
+	 * @param {import("./CachePolicy.js").default | object | null} [input.cache=null]
+	 * @param {string} [input.inheritName="_.json"]
+	 * @param {Uint8Array | ArrayBuffer | null} [input.buffer=null] Archive content
+	 * @param {string} [input.file=""] Path of the local archive file, used when there is no buffer
+	 * @throws {Error} If the archive buffer cannot be parsed
+	 */
+	constructor(input = {}) {
+		super(input)
+		const {
+			buffer = null,
+			file = "",
+		} = input
+		this.buffer = buffer instanceof ArrayBuffer ? new Uint8Array(buffer) : buffer
+		this.file = String(file)
+		if (this.buffer) {
+			this.index(Tar.parse(this.buffer))
+		}
+	}
+
+	/**
+	 * Loads and indexes the archive file when there is no buffer.
+	 * @returns {Promise<void>}
+	 * @throws {TypeError} If there is neither buffer nor file
+	 * @throws {Error} If the archive cannot be parsed
+	 */
+	async connect() {
+		if (!this.buffer) {
+			if (!this.file) {
+				throw new TypeError("TarDB requires buffer or file of the archive")
+			}
+			// loaded only for the local files, so the buffer works in browsers
+			const fs = "node:fs/promises"
+			const { readFile } = /** @type {{ readFile: (path: string) => Promise<Uint8Array> }} */ (await import(fs))
+			this.buffer = new Uint8Array(await readFile(this.file))
+			this.index(Tar.parse(this.buffer))
+		}
+		await super.connect()
+	}
+
+	/**
+	 * Indexes entries and their directories, the last entry of the same path wins as in tar.
+	 * @param {import("./utils/tar.js").TarEntry[]} entries
+	 * @returns {void}
+	 */
+	index(entries) {
+		this.entries.clear()
+		this.children.clear()
+		this.children.set("", new Set())
+		for (const entry of entries) {
+			this.entries.set(entry.path, entry)
+			const segments = entry.path.split("/")
+			for (let i = 0; i < segments.length; i++) {
+				const dir = segments.slice(0, i).join("/")
+				if (!this.children.has(dir)) {
+					this.children.set(dir, new Set())
+				}
+				/** @type {Set<string>} */ (this.children.get(dir)).add(segments[i])
+			}
+			if ("5" === entry.type && !this.children.has(entry.path)) {
+				this.children.set(entry.path, new Set())
+			}
+		}
+	}
+
+	/**
+	 * Refuses every access level except reading, then checks the access policy.
+	 * @param {string} uri - Document URI
+	 * @param {string} [level="r"] Access level
+	 * @returns {Promise<boolean>}
+	 * @throws {AccessDeniedError} If the level is not "r" or the policy refuses the access
+	 */
+	async ensureAccess(uri, level = "r") {
+		await super.ensureAccess(uri, level)
+		if ("r" !== level) {
+			throw new AccessDeniedError({ uri, level, subject: this.subject })
+		}
+		return true
+	}
+
+	/**
+	 * Nothing to save, documents of the archive cannot be changed.
+	 * @param {string|undefined} [uri]
+	 * @param {object} [options]
+	 * @returns {Promise<string[]>}
+	 */
+	async push(uri = undefined, options = {}) {
+		return []
+	}
+
+	/**
+	 * Creates DocumentStat of the archive entry or the implied directory.
+	 * Mode, owner, size and modification time come from the entry header,
+	 * its type flag is mapped onto the type fields.
+	 * @param {string} uri - Document URI
+	 * @returns {Promise<DocumentStat>}
+	 */
+	async statDocument(uri) {
+		await this.requireConnected()
+		await this.ensureAccess(uri, "r")
+		const key = this.normalize(uri)
+		const entry = this.entries.get(key)
+		if (entry) {
+			return new DocumentStat({
+				mode: entry.mode,
+				uid: entry.uid,
+				gid: entry.gid,
+				size: entry.size,
+				mtimeMs: entry.mtimeMs,
+				blksize: Tar.BLOCK,
+				blocks: Math.ceil(entry.size / Tar.BLOCK),
+				isFile: "0" === entry.type || "1" === entry.type,
+				isDirectory: "5" === entry.type,
+				isSymbolicLink: "2" === entry.type,
+				isCharacterDevice: "3" === entry.type,
+				isBlockDevice: "4" === entry.type,
+				isFIFO: "6" === entry.type,
+			})
+		}
+		if (this.children.has(key)) {
+			return new DocumentStat({ isDirectory: true, blksize: Tar.BLOCK })
+		}
+		return new DocumentStat()
+	}
+
+	/**
+	 * Loads content of the archive entry following the links,
+	 * valid UTF-8 content is loaded as text and any other as bytes.
+	 * @param {string} uri - Document URI
+	 * @param {any} [defaultValue=""] - Default value if document not found
+	 * @param {object} [options]
+	 * @param {AbortSignal} [options.signal] - Cancels loading
+	 * @returns {Promise<any>}
+	 * @throws {AbortError} If the signal is aborted
+	 */
+	async loadDocument(uri, defaultValue = "", options = {}) {
+		AbortError.throwIfAborted(options.signal, uri)
+		await this.requireConnected()
+		await this.ensureAccess(uri, "r")
+		let entry = this.entries.get(this.normalize(uri))
+		for (let i = 0; entry && ("1" === entry.type || "2" === entry.type); i++) {
+			if (i >= MAX_LINKS) {
+				throw new Error(["Too many links", uri].join(": "))
+			}
+			const target = "1" === entry.type
+				? Path.resolve(entry.linkname)
+				: Path.resolve(Path.dirname(entry.path), entry.linkname)
+			entry = this.entries.get(target)
+		}
+		if (!entry || "0" !== entry.type) {
+			return defaultValue
+		}
+		const bytes = /** @type {Uint8Array} */ (this.buffer).slice(entry.offset, entry.offset + entry.size)
+		return Tar.text(bytes) ?? bytes
+	}
+
+	/**
+	 * Lists direct children of the directory sorted by name.
+	 * @param {string} uri - Directory URI
+	 * @param {object} [options]
+	 * @param {AbortSignal} [options.signal] - Cancels listing
+	 * @returns {Promise<{name: string, stat: DocumentStat, isDirectory: boolean}[]>}
+	 * @throws {AbortError} If the signal is aborted
+	 */
+	async listDir(uri, options = {}) {
+		AbortError.throwIfAborted(options.signal, uri)
+		await this.requireConnected()
+		await this.ensureAccess(uri, "r")
+		const dir = this.normalize(uri)
+		const prefix = dir ? dir + "/" : ""
+		const result = []
+		for (const name of Array.from(this.children.get(dir) ?? []).sort()) {
+			const stat = await this.statDocument(prefix + name)
+			result.push({ name, stat, isDirectory: stat.isDirectory })
+		}
+		return result
+	}
+}
+
+export default TarDB
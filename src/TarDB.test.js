@@ -0,0 +1,166 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { writeFile, mkdtemp, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import TarDB from './TarDB.js'
+import MemoryDB from './MemoryDB.js'
+import AccessDeniedError from './AccessDeniedError.js'
+import Tar from './utils/tar.js'
+
+const encoder = new TextEncoder()
+
+const header = ({ name = '', type = '0', size = 0, mode = 0o644, uid = 1000, gid = 100, mtime = 1700000000, linkname = '', prefix = '' }) => {
+	const block = new Uint8Array(512)
+	const put = (str, offset) => block.set(encoder.encode(str), offset)
+	const octal = (n, offset, length) => put(n.toString(8).padStart(length - 1, '0') + '\0', offset)
+	put(name, 0)
+	octal(mode, 100, 8)
+	octal(uid, 108, 8)
+	octal(gid, 116, 8)
+	octal(size, 124, 12)
+	octal(mtime, 136, 12)
+	put('        ', 148)
+	put(type, 156)
+	put(linkname, 157)
+	put('ustar\0', 257)
+	put('00', 263)
+	put(prefix, 345)
+	put(Tar.checksum(block).toString(8).padStart(6, '0') + '\0 ', 148)
+	return block
+}
+
+const paxRecords = (records) => Object.entries(records).map(([key, value]) => {
+	const record = ` ${key}=${value}\n`
+	let length = encoder.encode(record).length
+	length += String(length + String(length).length).length
+	return length + record
+}).join('')
+
+const pack = (entries) => {
+	const blocks = []
+	for (const { content = '', ...entry } of entries) {
+		const bytes = 'string' === typeof content ? encoder.encode(content) : content
+		blocks.push(header({ ...entry, size: bytes.length }))
+		const padded = new Uint8Array(Math.ceil(bytes.length / 512) * 512)
+		padded.set(bytes)
+		blocks.push(padded)
+	}
+	blocks.push(new Uint8Array(1024))
+	const result = new Uint8Array(blocks.reduce((acc, b) => acc + b.length, 0))
+	let offset = 0
+	for (const block of blocks) {
+		result.set(block, offset)
+		offset += block.length
+	}
+	return result
+}
+
+const longName = 'long/' + 'x'.repeat(120) + '.txt'
+
+const archive = pack([
+	{ name: 'data/', type: '5', mode: 0o755 },
+	{ name: 'data/a.json', content: '{"title":"A"}', uid: 501, gid: 20, mtime: 1600000000 },
+	{ name: 'data/notes.txt', content: 'Привіт' },
+	{ name: 'logo.bin', content: new Uint8Array([0xff, 0xfe, 0x00]) },
+	{ name: 'c.txt', prefix: 'deep/dir', content: 'C' },
+	{ name: 'link.json', type: '2', linkname: 'data/a.json', mode: 0o777 },
+	{ name: 'hard.json', type: '1', linkname: 'data/a.json' },
+	{ name: 'PaxHeader', type: 'x', content: paxRecords({ path: longName, mtime: '1700000000.5' }) },
+	{ name: 'long/truncated', content: 'Long' },
+	{ name: '././@LongLink', type: 'L', content: 'gnu/' + 'y'.repeat(110) + '\0' },
+	{ name: 'gnu/truncated', content: 'GNU' },
+])
+
+describe('TarDB', () => {
+	it('should list and read documents of the archive', async () => {
+		const db = new TarDB({ buffer: archive })
+		const paths = []
+		for await (const entry of db.readDir('.')) {
+			paths.push(entry.path)
+		}
+		assert.deepStrictEqual(paths.slice(0, 4), ['data', 'deep', 'gnu', 'long'])
+		assert.ok(paths.includes('deep/dir/c.txt'))
+		assert.ok(paths.includes(longName))
+		assert.deepStrictEqual(await db.get('data/a.json'), { title: 'A' })
+		assert.strictEqual(await db.get('data/notes.txt'), 'Привіт')
+		assert.strictEqual(await db.get('deep/dir/c.txt'), 'C')
+		assert.deepStrictEqual(await db.loadDocument('logo.bin'), new Uint8Array([0xff, 0xfe, 0x00]))
+		assert.strictEqual(await db.loadDocument('missing.txt', null), null)
+		assert.strictEqual(await db.loadDocument('data', null), null)
+	})
+
+	it('should map entry headers onto DocumentStat', async () => {
+		const db = new TarDB({ buffer: archive })
+		const stat = await db.statDocument('data/a.json')
+		assert.strictEqual(stat.mode, 0o644)
+		assert.strictEqual(stat.uid, 501)
+		assert.strictEqual(stat.gid, 20)
+		assert.strictEqual(stat.size, 13)
+		assert.strictEqual(stat.mtimeMs, 1600000000000)
+		assert.strictEqual(stat.isFile, true)
+		const dir = await db.statDocument('data')
+		assert.strictEqual(dir.isDirectory, true)
+		assert.strictEqual(dir.mode, 0o755)
+		const implied = await db.statDocument('deep/dir')
+		assert.strictEqual(implied.isDirectory, true)
+		assert.strictEqual(implied.exists, true)
+		assert.strictEqual((await db.statDocument('link.json')).isSymbolicLink, true)
+		assert.strictEqual((await db.statDocument(longName)).mtimeMs, 1700000000500)
+		assert.strictEqual((await db.statDocument('missing.txt')).exists, false)
+		const devices = new TarDB({ buffer: pack([{ name: 'dev/tty', type: '3' }, { name: 'dev/sda', type: '4' }]) })
+		assert.strictEqual((await devices.statDocument('dev/tty')).isCharacterDevice, true)
+		assert.strictEqual((await devices.statDocument('dev/tty')).isFile, false)
+		assert.strictEqual((await devices.statDocument('dev/sda')).isCharacterDevice, false)
+	})
+
+	it('should follow symbolic and hard links', async () => {
+		const db = new TarDB({ buffer: archive })
+		assert.deepStrictEqual(await db.get('link.json'), { title: 'A' })
+		assert.deepStrictEqual(await db.get('hard.json'), { title: 'A' })
+	})
+
+	it('should read pax and GNU long names', async () => {
+		const db = new TarDB({ buffer: archive })
+		assert.strictEqual(await db.get(longName), 'Long')
+		assert.strictEqual(await db.get('gnu/' + 'y'.repeat(110)), 'GNU')
+		assert.strictEqual((await db.statDocument('long/truncated')).exists, false)
+	})
+
+	it('should refuse writes', async () => {
+		const db = new TarDB({ buffer: archive })
+		await assert.rejects(() => db.set('data/a.json', {}), AccessDeniedError)
+		await assert.rejects(() => db.dropDocument('data/a.json'), /Access denied: d data\/a.json/)
+		await assert.rejects(() => db.saveDocument('new.json', {}), AccessDeniedError)
+		await db.get('data/a.json')
+		assert.deepStrictEqual(await db.push(), [])
+	})
+
+	it('should work as mounted database', async () => {
+		const mem = new MemoryDB({ storage: { 'index.json': '{}' } })
+		mem.attach(new TarDB({ buffer: archive }), 'dataset')
+		assert.deepStrictEqual(await mem.get('dataset/data/a.json'), { title: 'A' })
+		await assert.rejects(() => mem.set('dataset/data/a.json', {}), AccessDeniedError)
+	})
+
+	it('should load the local archive file', async () => {
+		const dir = await mkdtemp(join(tmpdir(), 'tardb-'))
+		try {
+			const file = join(dir, 'data.tar')
+			await writeFile(file, archive)
+			const db = new TarDB({ file })
+			assert.deepStrictEqual(await db.get('data/a.json'), { title: 'A' })
+		} finally {
+			await rm(dir, { recursive: true })
+		}
+		await assert.rejects(() => new TarDB().connect(), TypeError)
+	})
+
+	it('should reject corrupted archives', () => {
+		const broken = archive.slice()
+		broken[0] = 0x41
+		assert.throws(() => new TarDB({ buffer: broken }), /Invalid tar header checksum: 0/)
+		assert.throws(() => Tar.parse(archive.slice(0, 1030)), /Unexpected end of tar archive: 512/)
+		assert.deepStrictEqual(Tar.parse(pack([{ name: '../etc/passwd', content: 'x' }, { name: 'ok.txt', content: 'ok' }])).map(e => e.path), ['ok.txt'])
+	})
+})
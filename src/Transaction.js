@@ -0,0 +1,226 @@
+import DocumentStat from "./DocumentStat.js"
+
+/** @typedef {import("./DB.js").default} DB */
+
+/**
+ * Set of staged writes applied to the database at once.
+ * Staged documents are visible through the transaction only,
+ * until it is committed.
+ * @class
+ */
+class Transaction {
+	/** @type {DB} */
+	db
+	/** @type {Map<string, any>} */
+	data = new Map()
+	/** @type {"pending" | "committed" | "rolledBack"} */
+	state = "pending"
+	/**
+	 * Previous values of the committed documents to roll back.
+	 * @type {Array<{ db: DB, uri: string, data: any, meta: DocumentStat | undefined, exists: boolean, dirty: boolean }>}
+	 */
+	snapshot = []
+
+	/**
+	 * Creates a new Transaction instance
+	 * @param {object} input
+	 * @param {DB} input.db Database to commit into
+	 */
+	constructor(input) {
+		const { db } = input
+		this.db = db
+	}
+
+	/**
+	 * Returns the database and URI inside of it where the document must be written,
+	 * including the mounted databases.
+	 * @param {string} uri
+	 * @returns {{ db: DB, uri: string }}
+	 */
+	target(uri) {
+		const mount = this.db.mounted(uri)
+		return mount ? { db: mount.db, uri: mount.uri } : { db: this.db, uri }
+	}
+
+	/**
+	 * Throws an error when transaction is already committed or rolled back.
+	 * @returns {void}
+	 */
+	requirePending() {
+		if ("pending" !== this.state) {
+			throw new Error(["Transaction is already finished", this.state].join(": "))
+		}
+	}
+
+	/**
+	 * Gets document content, staged or from the database.
+	 * @param {string} uri - Document URI
+	 * @returns {Promise<any>}
+	 */
+	async get(uri) {
+		if (this.data.has(uri)) {
+			return this.data.get(uri)
+		}
+		return await this.db.get(uri)
+	}
+
+	/**
+	 * Stages document content, checking the access policy of the database
+	 * and of the mounted database the document belongs to.
+	 * @param {string} uri - Document URI
+	 * @param {any} data - Document data
+	 * @returns {Promise<any>} Document content
+	 * @throws {import("./AccessDeniedError.js").default} If any of the policies refuses writing
+	 */
+	async set(uri, data) {
+		this.requirePending()
+		await this.db.ensureAccess(uri, "w")
+		const target = this.target(uri)
+		if (target.db !== this.db) {
+			await target.db.ensureAccess(target.uri, "w")
+		}
+		this.data.set(uri, data)
+		return data
+	}
+
+	/**
+	 * Applies all staged documents to the database data and meta maps at once.
+	 * @returns {string[]} Committed URIs
+	 */
+	commit() {
+		this.requirePending()
+		const now = Date.now()
+		for (const [uri, data] of this.data) {
+			const { db, uri: key } = this.target(uri)
+			this.snapshot.push({
+				db,
+				uri: key,
+				data: db.data.get(key),
+				meta: db.meta.get(key),
+				exists: db.data.has(key),
+				dirty: db.dirty.has(key),
+			})
+			const meta = db.meta.get(key) ?? {}
+			db.data.set(key, data)
+			db.meta.set(key, new DocumentStat({ ...meta, mtimeMs: now }))
+			db.dirty.add(key)
+		}
+		this.state = "committed"
+		return Array.from(this.data.keys())
+	}
+
+	/**
+	 * Saves committed documents into the persistent storage.
+	 * If any document fails to save, the documents and version histories saved before it
+	 * get their previous content back and no push events are emitted, so the storage is left as it was.
+	 * @returns {Promise<string[]>} Saved URIs
+	 * @throws {Error} If saving fails, with the failed URIs when previous content cannot be restored
+	 */
+	async push() {
+		if ("committed" !== this.state) {
+			throw new Error("Transaction must be committed before push")
+		}
+		/** @type {Array<{ db: DB, uri: string, exists: boolean, data: any }>} */
+		const saved = []
+		/** @type {Array<{ db: DB, uri: string }>} */
+		const pushed = []
+		try {
+			for (const [uri, data] of this.data) {
+				const { db, uri: key } = this.target(uri)
+				const previous = await this.backup(db, key)
+				const history = db.versioning ? await this.backup(db, db.versioning.uriOf(key)) : null
+				if (await db.saveVersion(key) && history) {
+					saved.push(history)
+				}
+				await db.saveDocument(key, db.encode(key, data))
+				saved.push(previous)
+				pushed.push({ db, uri: key })
+			}
+		} catch (err) {
+			const failed = await this.restore(saved)
+			if (failed.length) {
+				throw new Error(["Transaction is partially pushed", failed.join(", ")].join(": "), { cause: err })
+			}
+			throw err
+		}
+		for (const { db, uri } of pushed) {
+			db.dirty.delete(uri)
+			db.emit("push", { uri, stat: db.meta.get(uri) })
+		}
+		return Array.from(this.data.keys())
+	}
+
+	/**
+	 * Reads raw content of the document to restore it when push fails.
+	 * @param {DB} db
+	 * @param {string} uri - Document URI in the database
+	 * @returns {Promise<{ db: DB, uri: string, exists: boolean, data: any }>}
+	 */
+	async backup(db, uri) {
+		const stat = await db.statDocument(uri)
+		return { db, uri, exists: stat.exists, data: stat.exists ? await db.loadDocument(uri) : undefined }
+	}
+
+	/**
+	 * Saves previous raw content of the pushed documents back into the storage,
+	 * documents that did not exist are dropped.
+	 * @param {Array<{ db: DB, uri: string, exists: boolean, data: any }>} saved
+	 * @returns {Promise<string[]>} URIs that cannot be restored
+	 */
+	async restore(saved) {
+		const failed = []
+		for (const { db, uri, exists, data } of saved.reverse()) {
+			try {
+				if (exists) {
+					await db.saveDocument(uri, data)
+				} else {
+					await db.dropDocument(uri)
+				}
+			} catch {
+				failed.push(uri)
+			}
+		}
+		return failed
+	}
+
+	/**
+	 * Emits set events for the committed documents.
+	 * @returns {void}
+	 */
+	notify() {
+		for (const [uri, data] of this.data) {
+			const { db, uri: key } = this.target(uri)
+			db.emit("set", { uri: key, data, stat: db.meta.get(key) })
+		}
+	}
+
+	/**
+	 * Discards staged documents and restores the database maps
+	 * if transaction has been already committed.
+	 * @returns {void}
+	 */
+	rollback() {
+		for (const { db, uri, data, meta, exists, dirty } of this.snapshot.reverse()) {
+			if (exists) {
+				db.data.set(uri, data)
+			} else {
+				db.data.delete(uri)
+			}
+			if (meta) {
+				db.meta.set(uri, meta)
+			} else {
+				db.meta.delete(uri)
+			}
+			if (dirty) {
+				db.dirty.add(uri)
+			} else {
+				db.dirty.delete(uri)
+			}
+		}
+		this.snapshot = []
+		this.data.clear()
+		this.state = "rolledBack"
+	}
+}
+
+export default Transaction
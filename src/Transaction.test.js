@@ -0,0 +1,186 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import MemoryDB from './MemoryDB.js'
+import Transaction from './Transaction.js'
+import AccessDeniedError from './AccessDeniedError.js'
+
+describe('Transaction', () => {
+	/** @type {MemoryDB} */
+	let db
+
+	beforeEach(() => {
+		db = new MemoryDB({
+			storage: {
+				'index.json': ['items/1.json'],
+				'items/1.json': { title: 'First' },
+			}
+		})
+	})
+
+	it('should stage writes visible only inside of the transaction', async () => {
+		await db.transaction(async tx => {
+			assert.ok(tx instanceof Transaction)
+			await tx.set('items/2.json', { title: 'Second' })
+			assert.deepStrictEqual(await tx.get('items/2.json'), { title: 'Second' })
+			assert.strictEqual(db.data.has('items/2.json'), false)
+			assert.deepStrictEqual(await tx.get('items/1.json'), { title: 'First' })
+		})
+		assert.deepStrictEqual(await db.get('items/2.json'), { title: 'Second' })
+		assert.ok(db.meta.get('items/2.json').mtimeMs > 0)
+	})
+
+	it('should return result of the callback', async () => {
+		const result = await db.transaction(async tx => {
+			await tx.set('a.txt', 'A')
+			return 'done'
+		})
+		assert.strictEqual(result, 'done')
+	})
+
+	it('should discard writes when callback throws', async () => {
+		await assert.rejects(db.transaction(async tx => {
+			const index = await tx.get('index.json')
+			await tx.set('items/2.json', { title: 'Second' })
+			await tx.set('index.json', [...index, 'items/2.json'])
+			throw new Error('Broken')
+		}), /Broken/)
+		assert.deepStrictEqual(await db.get('index.json'), ['items/1.json'])
+		assert.strictEqual(db.data.has('items/2.json'), false)
+	})
+
+	it('should push committed documents', async () => {
+		await db.transaction(async tx => {
+			await tx.set('items/2.json', { title: 'Second' })
+			await tx.set('index.json', ['items/1.json', 'items/2.json'])
+		}, { push: true })
+		assert.deepStrictEqual(JSON.parse(db.storage.get('index.json')), ['items/1.json', 'items/2.json'])
+		assert.deepStrictEqual(JSON.parse(db.storage.get('items/2.json')), { title: 'Second' })
+		assert.strictEqual(db.dirty.size, 0)
+	})
+
+	it('should roll back data and meta when push fails', async () => {
+		const original = await db.get('index.json')
+		const meta = db.meta.get('index.json')
+		db.saveDocument = async () => {
+			throw new Error('Disk is full')
+		}
+		await assert.rejects(db.transaction(async tx => {
+			await tx.set('index.json', [])
+			await tx.set('items/2.json', { title: 'Second' })
+		}, { push: true }), /Disk is full/)
+		assert.strictEqual(db.data.get('index.json'), original)
+		assert.strictEqual(db.meta.get('index.json'), meta)
+		assert.strictEqual(db.data.has('items/2.json'), false)
+		assert.strictEqual(db.meta.has('items/2.json'), false)
+		assert.strictEqual(db.dirty.size, 0)
+	})
+
+	it('should restore saved documents and emit no push when push fails', async () => {
+		const saveDocument = db.saveDocument.bind(db)
+		db.saveDocument = async (uri, document) => {
+			if ('items/3.json' === uri) {
+				throw new Error('Disk is full')
+			}
+			return await saveDocument(uri, document)
+		}
+		const events = []
+		db.on('*', event => events.push(`${event.type} ${event.uri}`))
+		await assert.rejects(db.transaction(async tx => {
+			await tx.set('index.json', [])
+			await tx.set('items/2.json', { title: 'Second' })
+			await tx.set('items/3.json', { title: 'Third' })
+		}, { push: true }), /Disk is full/)
+		assert.deepStrictEqual(JSON.parse(db.storage.get('index.json')), ['items/1.json'])
+		assert.strictEqual(db.storage.has('items/2.json'), false)
+		// the document created by the failed push is dropped back
+		assert.deepStrictEqual(events, ['drop items/2.json'])
+		assert.deepStrictEqual(await db.get('index.json'), ['items/1.json'])
+	})
+
+	it('should restore version history when push fails', async () => {
+		db = new MemoryDB({
+			storage: { 'a.json': { v: 1 }, 'b.json': { v: 1 }, '.history/b.json': { uri: 'b.json', versions: [] } },
+			versioning: {},
+		})
+		const history = db.storage.get('.history/b.json')
+		const saveDocument = db.saveDocument.bind(db)
+		db.saveDocument = async (uri, document) => {
+			if ('c.json' === uri) {
+				throw new Error('Disk is full')
+			}
+			return await saveDocument(uri, document)
+		}
+		await assert.rejects(db.transaction(async tx => {
+			await tx.set('a.json', { v: 2 })
+			await tx.set('b.json', { v: 2 })
+			await tx.set('c.json', { v: 2 })
+		}, { push: true }), /Disk is full/)
+		assert.strictEqual(db.storage.has('.history/a.json'), false)
+		assert.strictEqual(db.storage.get('.history/b.json'), history)
+		assert.deepStrictEqual(await db.history('a.json'), [])
+		assert.deepStrictEqual(JSON.parse(db.storage.get('b.json')), { v: 1 })
+	})
+
+	it('should report documents that cannot be restored', async () => {
+		db.dropDocument = async () => {
+			throw new Error('Read-only')
+		}
+		const saveDocument = MemoryDB.prototype.saveDocument.bind(db)
+		let calls = 0
+		db.saveDocument = async (uri, document) => {
+			if (++calls > 1) {
+				throw new Error('Disk is full')
+			}
+			return await saveDocument(uri, document)
+		}
+		await assert.rejects(db.transaction(async tx => {
+			await tx.set('items/2.json', { title: 'Second' })
+			await tx.set('items/3.json', { title: 'Third' })
+		}, { push: true }), /Transaction is partially pushed: items\/2.json/)
+		assert.ok(db.storage.has('items/2.json'))
+	})
+
+	it('should commit into mounted databases', async () => {
+		const mounted = new MemoryDB()
+		db.attach(mounted, 'mnt')
+		await db.transaction(async tx => {
+			await tx.set('mnt/a.txt', 'A')
+		}, { push: true })
+		assert.strictEqual(mounted.data.get('a.txt'), 'A')
+		assert.strictEqual(mounted.storage.get('a.txt'), 'A')
+	})
+
+	it('should check the parent policy before mounted databases', async () => {
+		const parent = new MemoryDB({
+			policy: { rules: [{ effect: 'allow', path: '**', level: 'rwd' }, { effect: 'deny', path: 'mnt/**', level: 'w' }] },
+		})
+		const mounted = new MemoryDB()
+		parent.attach(mounted, 'mnt')
+		await assert.rejects(parent.transaction(async tx => {
+			await tx.set('mnt/a.txt', 'A')
+		}, { push: true }), AccessDeniedError)
+		assert.strictEqual(mounted.data.has('a.txt'), false)
+		assert.strictEqual(mounted.storage.has('a.txt'), false)
+	})
+
+	it('should refuse writes when finished', async () => {
+		let saved
+		await db.transaction(async tx => {
+			saved = tx
+		})
+		await assert.rejects(saved.set('a.txt', 'A'), /already finished: committed/)
+	})
+
+	it('should check write access while staging', async () => {
+		db.ensureAccess = async (uri, level) => {
+			if ('w' === level && uri.startsWith('items/')) {
+				throw new Error('Access denied')
+			}
+			return true
+		}
+		await assert.rejects(db.transaction(async tx => {
+			await tx.set('items/3.json', {})
+		}), /Access denied/)
+		assert.strictEqual(db.data.has('items/3.json'), false)
+	})
+})
@@ -0,0 +1,197 @@
+import Path from "./utils/path.js"
+
+/**
+ * @typedef {object} TrashEntry
+ * @property {string} id Entry identifier, unique within the trash
+ * @property {string} uri Original URI of the dropped document or directory
+ * @property {number} timeMs Time of the deletion
+ * @property {string[]} documents Original URIs of the dropped documents
+ */
+
+/**
+ * Trash of the database, documents dropped with `db.drop(uri, { trash: true })`
+ * are moved into the trash directory, for instance ".trash/1700000000000/posts/1.json",
+ * and recorded in its index document ".trash/index.json" with the original path
+ * and the deletion time, so they can be restored or emptied later.
+ * @class
+ */
+class Trash {
+	/** @type {string} Index document name inside of the trash directory */
+	static INDEX = "index.json"
+
+	/** @type {import("./DB.js").default} */
+	db
+	/** @type {string} Directory of the trashed documents */
+	dir
+
+	/**
+	 * Creates a new Trash instance
+	 * @param {object} input
+	 * @param {import("./DB.js").default} input.db Database of the trash
+	 * @param {string} [input.dir=".trash"] Directory of the trashed documents
+	 */
+	constructor(input) {
+		const {
+			db,
+			dir = ".trash",
+		} = input
+		this.db = db
+		this.dir = Path.trim(dir)
+		if (!this.dir) {
+			throw new TypeError("Trash directory must not be the root of the database")
+		}
+	}
+
+	/**
+	 * URI of the trash index document.
+	 * @returns {string}
+	 */
+	get indexUri() {
+		return `${this.dir}/${Trash.INDEX}`
+	}
+
+	/**
+	 * URI of the trashed document.
+	 * @param {string} id Entry identifier
+	 * @param {string} uri Original URI of the document
+	 * @returns {string}
+	 */
+	uriOf(id, uri) {
+		return `${this.dir}/${id}/${Path.trim(uri)}`
+	}
+
+	/**
+	 * Checks if the document is inside of the trash.
+	 * @param {string} uri
+	 * @returns {boolean}
+	 */
+	covers(uri) {
+		const path = Path.trim(uri)
+		return path === this.dir || path.startsWith(this.dir + "/")
+	}
+
+	/**
+	 * Returns entries from the oldest to the newest.
+	 * @returns {Promise<TrashEntry[]>}
+	 */
+	async list() {
+		const stat = await this.db.statDocument(this.indexUri)
+		if (!stat.exists) {
+			return []
+		}
+		const doc = this.db.decode(this.indexUri, await this.db.loadDocument(this.indexUri))
+		const entries = Array.isArray(doc?.entries) ? doc.entries : []
+		return entries.map(/** @param {any} e */ e => ({
+			id: String(e.id),
+			uri: String(e.uri),
+			timeMs: Number(e.timeMs),
+			documents: Array.isArray(e.documents) ? e.documents.map(String) : [],
+		}))
+	}
+
+	/**
+	 * Moves documents into the trash as a single entry, unsaved documents are saved into it.
+	 * @param {string} uri Original URI of the dropped document or directory
+	 * @param {string[]} documents Original URIs of the documents
+	 * @param {number} [timeMs=Date.now()] Time of the deletion
+	 * @returns {Promise<TrashEntry>}
+	 */
+	async put(uri, documents, timeMs = Date.now()) {
+		const entries = await this.list()
+		const ids = new Set(entries.map(e => e.id))
+		let id = String(timeMs)
+		for (let i = 1; ids.has(id); i++) {
+			id = `${timeMs}-${i}`
+		}
+		/** @type {TrashEntry} */
+		const entry = { id, uri: Path.trim(uri), timeMs, documents: [] }
+		for (const doc of documents) {
+			const target = this.uriOf(id, doc)
+			if (await this.db.moveDocument(doc, target)) {
+				entry.documents.push(Path.trim(doc))
+			}
+			else if (this.db.dirty.has(doc)) {
+				// document is set but not pushed, so its content is only in memory
+				await this.db.saveDocument(target, this.db.encode(target, this.db.data.get(doc)))
+				entry.documents.push(Path.trim(doc))
+			}
+		}
+		await this.save([...entries, entry])
+		return entry
+	}
+
+	/**
+	 * Moves documents of the entry back to their original URIs and removes the entry.
+	 * Documents that are not restored, for instance skipped by the overwrite policy,
+	 * stay in the entry and are reported as remaining.
+	 * @example
+	 * const { restored, remaining } = await db.trash.restore(entry.id, { overwrite: "skip" })
+	 * @param {string} id Entry identifier
+	 * @param {object} [options]
+	 * @param {"replace" | "skip" | "newer" | "error"} [options.overwrite="error"] - Policy for the existing documents
+	 * @returns {Promise<{ restored: string[], remaining: string[] }>} Original URIs of restored and remaining documents
+	 * @throws {Error} If entry is not found
+	 */
+	async restore(id, options = {}) {
+		const { overwrite = "error" } = options
+		const entries = await this.list()
+		const entry = entries.find(e => e.id === String(id))
+		if (!entry) {
+			throw new Error(["Trash entry not found", id].join(": "))
+		}
+		/** @type {{ restored: string[], remaining: string[] }} */
+		const result = { restored: [], remaining: [] }
+		for (const uri of entry.documents) {
+			if (await this.db.moveDocument(this.uriOf(entry.id, uri), uri, { overwrite })) {
+				result.restored.push(uri)
+			}
+			else {
+				result.remaining.push(uri)
+			}
+		}
+		entry.documents = result.remaining
+		await this.save(entries.filter(e => e !== entry || e.documents.length))
+		return result
+	}
+
+	/**
+	 * Drops trashed documents permanently.
+	 * @param {object} [options]
+	 * @param {number} [options.olderThan=0] Drops only entries older than this number of milliseconds
+	 * @param {number} [options.now=Date.now()]
+	 * @returns {Promise<TrashEntry[]>} Removed entries
+	 */
+	async empty(options = {}) {
+		const { olderThan = 0, now = Date.now() } = options
+		const entries = await this.list()
+		const removed = entries.filter(e => now - e.timeMs >= olderThan)
+		for (const entry of removed) {
+			for (const uri of entry.documents) {
+				await this.db.dropDocument(this.uriOf(entry.id, uri))
+			}
+		}
+		await this.save(entries.filter(e => !removed.includes(e)))
+		return removed
+	}
+
+	/**
+	 * Saves entries into the trash index document.
+	 * @param {TrashEntry[]} entries
+	 * @returns {Promise<void>}
+	 */
+	async save(entries) {
+		await this.db.saveDocument(this.indexUri, this.db.encode(this.indexUri, { entries }))
+	}
+
+	/**
+	 * Creates Trash from input or returns existing instance.
+	 * @param {object|Trash} input
+	 * @returns {Trash}
+	 */
+	static from(input) {
+		if (input instanceof Trash) return input
+		return new Trash(/** @type {any} */ (input))
+	}
+}
+
+export default Trash
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import Trash from './Trash.js'
+import MemoryDB from './MemoryDB.js'
+
+describe('Trash', () => {
+	it('should create instance with defaults', () => {
+		const db = new MemoryDB()
+		const trash = new Trash({ db })
+		assert.strictEqual(trash.dir, '.trash')
+		assert.strictEqual(trash.indexUri, '.trash/index.json')
+		assert.strictEqual(trash.uriOf('1', './a/b.txt'), '.trash/1/a/b.txt')
+		assert.strictEqual(Trash.from(trash), trash)
+		assert.throws(() => new Trash({ db, dir: '/' }), TypeError)
+	})
+
+	it('should check if document is inside of the trash', () => {
+		const trash = new Trash({ db: new MemoryDB(), dir: 'bin/' })
+		assert.strictEqual(trash.covers('bin/1/a.txt'), true)
+		assert.strictEqual(trash.covers('bin'), true)
+		assert.strictEqual(trash.covers('binary.txt'), false)
+	})
+
+	it('should put, list and restore entries', async () => {
+		const db = new MemoryDB({ storage: { 'a.txt': 'A', 'b.txt': 'B' } })
+		const trash = new Trash({ db })
+		const first = await trash.put('a.txt', ['a.txt'], 1000)
+		const second = await trash.put('b.txt', ['b.txt', 'missing.txt'], 1000)
+		assert.strictEqual(first.id, '1000')
+		assert.strictEqual(second.id, '1000-1')
+		assert.deepStrictEqual(second.documents, ['b.txt'])
+		assert.strictEqual(db.storage.get('.trash/1000-1/b.txt'), 'B')
+		assert.deepStrictEqual((await trash.list()).map(e => e.uri), ['a.txt', 'b.txt'])
+		assert.deepStrictEqual(await trash.restore('1000'), { restored: ['a.txt'], remaining: [] })
+		assert.strictEqual(db.storage.get('a.txt'), 'A')
+		assert.deepStrictEqual((await trash.list()).map(e => e.id), ['1000-1'])
+		await assert.rejects(() => trash.restore('1000'), /Trash entry not found: 1000/)
+	})
+
+	it('should empty entries older than the age', async () => {
+		const db = new MemoryDB({ storage: { 'a.txt': 'A', 'b.txt': 'B' } })
+		const trash = new Trash({ db })
+		await trash.put('a.txt', ['a.txt'], 1000)
+		await trash.put('b.txt', ['b.txt'], 5000)
+		const removed = await trash.empty({ olderThan: 3000, now: 6000 })
+		assert.deepStrictEqual(removed.map(e => e.uri), ['a.txt'])
+		assert.strictEqual(db.storage.has('.trash/1000/a.txt'), false)
+		assert.strictEqual(db.storage.has('.trash/5000/b.txt'), true)
+		assert.deepStrictEqual((await trash.empty()).map(e => e.uri), ['b.txt'])
+		assert.deepStrictEqual(await trash.list(), [])
+	})
+})
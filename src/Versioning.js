@@ -0,0 +1,126 @@
+import DocumentStat from "./DocumentStat.js"
+import Path from "./utils/path.js"
+
+/**
+ * @typedef {object} DocumentVersion
+ * @property {string} id Version identifier, unique within the document history
+ * @property {number} timeMs Time when the version was replaced
+ * @property {DocumentStat} stat Stat of the replaced content
+ * @property {any} data Replaced content
+ */
+
+/**
+ * Versioning settings and retention of the document history.
+ * History of the document is persisted as a single document in the history directory,
+ * for instance ".history/posts/1.json.json" for "posts/1.json".
+ * @class
+ */
+class Versioning {
+	/** @type {string} Directory of the persisted history */
+	dir
+	/** @type {number} Maximum number of versions per document, 0 for unlimited */
+	maxVersions
+	/** @type {number} Maximum age of versions in milliseconds, 0 for unlimited */
+	maxAge
+
+	/**
+	 * Creates a new Versioning instance
+	 * @param {object} input
+	 * @param {string} [input.dir=".history"] Directory of the persisted history
+	 * @param {number} [input.maxVersions=10] Maximum number of versions per document, 0 for unlimited
+	 * @param {number} [input.maxAge=0] Maximum age of versions in milliseconds, 0 for unlimited
+	 */
+	constructor(input = {}) {
+		const {
+			dir = ".history",
+			maxVersions = 10,
+			maxAge = 0,
+		} = input
+		this.dir = Path.trim(dir)
+		this.maxVersions = Math.max(0, Number(maxVersions))
+		this.maxAge = Math.max(0, Number(maxAge))
+		if (!this.dir) {
+			throw new TypeError("History directory must not be the root of the database")
+		}
+	}
+
+	/**
+	 * URI of the history document of the document.
+	 * @param {string} uri
+	 * @returns {string}
+	 */
+	uriOf(uri) {
+		return `${this.dir}/${Path.trim(uri)}.json`
+	}
+
+	/**
+	 * Checks if the document is versioned, the history itself is not.
+	 * @param {string} uri
+	 * @returns {boolean}
+	 */
+	covers(uri) {
+		const path = Path.trim(uri)
+		return "" !== path && path !== this.dir && !path.startsWith(this.dir + "/")
+	}
+
+	/**
+	 * Creates the version of the replaced content with identifier unique in the versions.
+	 * @param {DocumentVersion[]} versions
+	 * @param {any} data
+	 * @param {DocumentStat} stat
+	 * @param {number} [timeMs=Date.now()]
+	 * @returns {DocumentVersion}
+	 */
+	create(versions, data, stat, timeMs = Date.now()) {
+		const ids = new Set(versions.map(v => v.id))
+		let id = String(timeMs)
+		for (let i = 1; ids.has(id); i++) {
+			id = `${timeMs}-${i}`
+		}
+		return { id, timeMs, stat: new DocumentStat({ ...stat }), data }
+	}
+
+	/**
+	 * Applies retention limits keeping the newest versions.
+	 * @param {DocumentVersion[]} versions Versions from the oldest to the newest
+	 * @param {number} [now=Date.now()]
+	 * @returns {DocumentVersion[]}
+	 */
+	prune(versions, now = Date.now()) {
+		let result = versions
+		if (this.maxAge > 0) {
+			result = result.filter(v => now - v.timeMs <= this.maxAge)
+		}
+		if (this.maxVersions > 0 && result.length > this.maxVersions) {
+			result = result.slice(-this.maxVersions)
+		}
+		return result
+	}
+
+	/**
+	 * Restores versions from the persisted history document.
+	 * @param {any} doc
+	 * @returns {DocumentVersion[]}
+	 */
+	static parse(doc) {
+		const versions = Array.isArray(doc?.versions) ? doc.versions : []
+		return versions.map(/** @param {any} v */ v => ({
+			id: String(v.id),
+			timeMs: Number(v.timeMs),
+			stat: DocumentStat.from(v.stat ?? {}),
+			data: v.data,
+		}))
+	}
+
+	/**
+	 * Creates Versioning from input or returns existing instance.
+	 * @param {object|Versioning} input
+	 * @returns {Versioning}
+	 */
+	static from(input) {
+		if (input instanceof Versioning) return input
+		return new Versioning(input)
+	}
+}
+
+export default Versioning
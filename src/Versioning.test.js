@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import Versioning from './Versioning.js'
+import DocumentStat from './DocumentStat.js'
+
+describe('Versioning', () => {
+	it('should create instance with default values', () => {
+		const versioning = new Versioning()
+		assert.strictEqual(versioning.dir, '.history')
+		assert.strictEqual(versioning.maxVersions, 10)
+		assert.strictEqual(versioning.maxAge, 0)
+		assert.throws(() => new Versioning({ dir: './' }), TypeError)
+	})
+
+	it('should map documents to history documents', () => {
+		const versioning = new Versioning({ dir: './.history/' })
+		assert.strictEqual(versioning.uriOf('./posts/1.json'), '.history/posts/1.json.json')
+		assert.strictEqual(versioning.covers('posts/1.json'), true)
+		assert.strictEqual(versioning.covers('.history/posts/1.json.json'), false)
+		assert.strictEqual(versioning.covers('.history'), false)
+	})
+
+	it('should create unique version identifiers', () => {
+		const versioning = new Versioning()
+		const stat = new DocumentStat({ size: 3, mtimeMs: 1 })
+		const first = versioning.create([], 'a', stat, 1_000)
+		const second = versioning.create([first], 'b', stat, 1_000)
+		const third = versioning.create([first, second], 'c', stat, 1_000)
+		assert.deepStrictEqual([first.id, second.id, third.id], ['1000', '1000-1', '1000-2'])
+		assert.notStrictEqual(first.stat, stat)
+		assert.strictEqual(first.stat.size, 3)
+	})
+
+	it('should prune versions by count and age', () => {
+		const stat = new DocumentStat()
+		const versions = [1, 2, 3, 4].map(t => ({ id: String(t), timeMs: t * 1_000, stat, data: t }))
+		assert.deepStrictEqual(new Versioning({ maxVersions: 2 }).prune(versions).map(v => v.id), ['3', '4'])
+		assert.deepStrictEqual(new Versioning({ maxVersions: 0, maxAge: 1_500 }).prune(versions, 4_000).map(v => v.id), ['3', '4'])
+		assert.strictEqual(new Versioning({ maxVersions: 0 }).prune(versions).length, 4)
+	})
+
+	it('should parse persisted history document', () => {
+		const versions = Versioning.parse(JSON.parse(JSON.stringify({
+			versions: [{ id: 1, timeMs: 5, stat: new DocumentStat({ size: 2 }), data: { a: 1 } }],
+		})))
+		assert.strictEqual(versions[0].id, '1')
+		assert.ok(versions[0].stat instanceof DocumentStat)
+		assert.strictEqual(versions[0].stat.size, 2)
+		assert.deepStrictEqual(versions[0].data, { a: 1 })
+		assert.deepStrictEqual(Versioning.parse(''), [])
+	})
+})
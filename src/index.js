@@ -1,11 +1,33 @@
 import DB from "./DB.js"
+import MemoryDB from "./MemoryDB.js"
+import TarDB from "./TarDB.js"
+import Transaction from "./Transaction.js"
+import DocumentIndex from "./DocumentIndex.js"
+import AccessPolicy from "./AccessPolicy.js"
+import AccessDeniedError from "./AccessDeniedError.js"
+import AbortError from "./AbortError.js"
+import Versioning from "./Versioning.js"
+import SyncPlan from "./SyncPlan.js"
+import CachePolicy from "./CachePolicy.js"
+import Trash from "./Trash.js"
+import Archive from "./Archive.js"
+import ChangeEvent from "./ChangeEvent.js"
 import DocumentEntry from "./DocumentEntry.js"
 import DocumentStat from "./DocumentStat.js"
 import StreamEntry from "./StreamEntry.js"
 import Data from "./utils/data.js"
+import Glob from "./utils/glob.js"
+import Query from "./utils/query.js"
+import Formats from "./utils/formats.js"
+import CSV from "./utils/csv.js"
+import YAML from "./utils/yaml.js"
+import Path from "./utils/path.js"
+import Tar from "./utils/tar.js"
 
 export {
-	DocumentEntry, DocumentStat, StreamEntry, Data, DB
+	DocumentEntry, DocumentStat, StreamEntry, Data, DB, MemoryDB, TarDB, Transaction,
+	ChangeEvent, Glob, Query, DocumentIndex, Formats, CSV, YAML, AccessPolicy, AccessDeniedError,
+	Versioning, SyncPlan, CachePolicy, Trash, Path, AbortError, Archive, Tar,
 }
 
 export default DB
\ No newline at end of file
@@ -0,0 +1,128 @@
+/**
+ * Delimiter-separated values (CSV, TSV) parsing and serialization.
+ * The first row is a header, rows become objects with the header keys.
+ * @class
+ */
+class CSV {
+	/** @type {string} */
+	static DELIMITER = ","
+	/** @type {string} */
+	static QUOTE = "\""
+
+	/**
+	 * Parses text into the list of rows as arrays of cells.
+	 * Quoted cells may contain delimiters, new lines and doubled quotes.
+	 * @static
+	 * @param {string} text - Text to parse.
+	 * @param {string} [delimiter=","] - Cell delimiter.
+	 * @returns {string[][]} Rows of cells.
+	 */
+	static rows(text, delimiter = CSV.DELIMITER) {
+		const quote = CSV.QUOTE
+		/** @type {string[][]} */
+		const rows = []
+		/** @type {string[]} */
+		let row = []
+		let cell = ""
+		let quoted = false
+		let started = false
+		for (let i = 0; i < text.length; i++) {
+			const char = text[i]
+			if (quoted) {
+				if (quote === char && quote === text[i + 1]) {
+					cell += quote
+					++i
+				} else if (quote === char) {
+					quoted = false
+				} else {
+					cell += char
+				}
+				continue
+			}
+			if (quote === char && "" === cell) {
+				quoted = true
+				started = true
+			} else if (delimiter === char) {
+				row.push(cell)
+				cell = ""
+				started = true
+			} else if ("\n" === char || "\r" === char) {
+				if ("\r" === char && "\n" === text[i + 1]) ++i
+				row.push(cell)
+				rows.push(row)
+				row = []
+				cell = ""
+				started = false
+			} else {
+				cell += char
+				started = true
+			}
+		}
+		if (started || row.length) {
+			row.push(cell)
+			rows.push(row)
+		}
+		return rows
+	}
+
+	/**
+	 * Parses text with the header row into the list of objects.
+	 * @static
+	 * @param {string} text - Text to parse.
+	 * @param {string} [delimiter=","] - Cell delimiter.
+	 * @returns {Array<Record<string, string>>} Rows as objects.
+	 */
+	static parse(text, delimiter = CSV.DELIMITER) {
+		const [header = [], ...rows] = CSV.rows(String(text), delimiter)
+		return rows.map(row => Object.fromEntries(header.map((key, i) => [key, row[i] ?? ""])))
+	}
+
+	/**
+	 * Quotes the cell when it contains delimiter, quote or new line.
+	 * @static
+	 * @param {any} value - Cell value.
+	 * @param {string} [delimiter=","] - Cell delimiter.
+	 * @returns {string} Serialized cell.
+	 */
+	static cell(value, delimiter = CSV.DELIMITER) {
+		const quote = CSV.QUOTE
+		const str = null === value || undefined === value ? ""
+			: "object" === typeof value ? JSON.stringify(value) : String(value)
+		if (str.includes(delimiter) || str.includes(quote) || /[\r\n]/.test(str)) {
+			return quote + str.replaceAll(quote, quote + quote) + quote
+		}
+		return str
+	}
+
+	/**
+	 * Serializes list of objects with the header row of all their keys,
+	 * or list of arrays as rows.
+	 * @static
+	 * @param {Array<Record<string, any> | any[]>} rows - Rows to serialize.
+	 * @param {string} [delimiter=","] - Cell delimiter.
+	 * @returns {string} Serialized text.
+	 */
+	static stringify(rows, delimiter = CSV.DELIMITER) {
+		/** @param {any[]} row */
+		const line = (row) => row.map(value => CSV.cell(value, delimiter)).join(delimiter)
+		if (rows.every(row => Array.isArray(row))) {
+			return rows.map(row => line(/** @type {any[]} */ (row)) + "\n").join("")
+		}
+		/** @type {string[]} */
+		const header = []
+		for (const row of rows) {
+			for (const key of Object.keys(row)) {
+				if (!header.includes(key)) header.push(key)
+			}
+		}
+		return [
+			line(header),
+			...rows.map(row => line(header.map(key => /** @type {Record<string, any>} */ (row)[key]))),
+		].map(str => str + "\n").join("")
+	}
+}
+
+export const parse = CSV.parse
+export const stringify = CSV.stringify
+
+export default CSV
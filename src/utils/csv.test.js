@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import CSV, { parse, stringify } from './csv.js'
+
+describe('CSV', () => {
+	it('should parse rows with the header into objects', () => {
+		const text = 'name,age\nAlice,30\nBob,25\n'
+		assert.deepStrictEqual(parse(text), [
+			{ name: 'Alice', age: '30' },
+			{ name: 'Bob', age: '25' },
+		])
+	})
+
+	it('should parse quoted cells with delimiters, quotes and new lines', () => {
+		const text = 'a,b\r\n"x, y","say ""hi"""\r\n"multi\nline",\r\n'
+		assert.deepStrictEqual(CSV.rows(text), [
+			['a', 'b'],
+			['x, y', 'say "hi"'],
+			['multi\nline', ''],
+		])
+	})
+
+	it('should fill missing cells with empty strings', () => {
+		assert.deepStrictEqual(parse('a,b,c\n1'), [{ a: '1', b: '', c: '' }])
+		assert.deepStrictEqual(parse(''), [])
+	})
+
+	it('should stringify objects with the union of keys as header', () => {
+		const text = stringify([{ a: 1, b: 'x,y' }, { c: { d: 1 } }])
+		assert.strictEqual(text, 'a,b,c\n1,"x,y",\n,,"{""d"":1}"\n')
+	})
+
+	it('should stringify arrays as rows', () => {
+		assert.strictEqual(stringify([['a', 'b'], [1, null]]), 'a,b\n1,\n')
+	})
+
+	it('should use custom delimiter', () => {
+		const text = stringify([{ a: 'x,y', b: 'tab\there' }], '\t')
+		assert.strictEqual(text, 'a\tb\nx,y\t"tab\there"\n')
+		assert.deepStrictEqual(parse(text, '\t'), [{ a: 'x,y', b: 'tab\there' }])
+	})
+})
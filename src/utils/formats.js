@@ -0,0 +1,135 @@
+import CSV from "./csv.js"
+import YAML from "./yaml.js"
+
+/**
+ * @typedef {object} FormatCodec
+ * @property {(raw: string) => any} parse Converts raw document text into the value
+ * @property {(value: any) => string} stringify Converts the value into raw document text
+ */
+
+/**
+ * Registry of the document format codecs chosen by the file extension.
+ * Built-in codecs: .json, .ndjson, .jsonl, .csv, .tsv, .txt, .md, .yaml, .yml.
+ * @class
+ */
+class Formats {
+	/** @type {Record<string, FormatCodec>} */
+	static DEFAULTS = {
+		".json": {
+			parse: raw => JSON.parse(raw),
+			stringify: value => JSON.stringify(value, null, "\t"),
+		},
+		".ndjson": {
+			parse: raw => raw.split(/\r?\n/).filter(line => "" !== line.trim()).map(line => JSON.parse(line)),
+			stringify: value => [value].flat().map(item => JSON.stringify(item) + "\n").join(""),
+		},
+		".csv": {
+			parse: raw => CSV.parse(raw, ","),
+			stringify: value => CSV.stringify(value, ","),
+		},
+		".tsv": {
+			parse: raw => CSV.parse(raw, "\t"),
+			stringify: value => CSV.stringify(value, "\t"),
+		},
+		".txt": {
+			parse: raw => raw,
+			stringify: value => String(value ?? ""),
+		},
+		".yaml": {
+			parse: raw => YAML.parse(raw),
+			stringify: value => YAML.stringify(value),
+		},
+	}
+
+	/** @type {Record<string, string>} Extensions sharing the codec of another extension */
+	static ALIASES = {
+		".jsonl": ".ndjson",
+		".md": ".txt",
+		".yml": ".yaml",
+	}
+
+	/** @type {Map<string, FormatCodec>} */
+	codecs = new Map()
+
+	/**
+	 * Creates a new Formats registry with the built-in codecs.
+	 * @param {object} [input]
+	 * @param {Record<string, FormatCodec>} [input.codecs={}] Additional or replacing codecs
+	 */
+	constructor(input = {}) {
+		const {
+			codecs = {},
+		} = input
+		for (const [ext, codec] of Object.entries(Formats.DEFAULTS)) {
+			this.register(ext, codec)
+		}
+		for (const [ext, target] of Object.entries(Formats.ALIASES)) {
+			this.register(ext, Formats.DEFAULTS[target])
+		}
+		for (const [ext, codec] of Object.entries(codecs)) {
+			this.register(ext, codec)
+		}
+	}
+
+	/**
+	 * Registers the codec for the extension, replacing the previous one.
+	 * @param {string} ext - Extension with or without leading dot, case insensitive
+	 * @param {FormatCodec} codec
+	 * @returns {void}
+	 */
+	register(ext, codec) {
+		if ("function" !== typeof codec?.parse || "function" !== typeof codec?.stringify) {
+			throw new TypeError("Format codec requires parse and stringify functions")
+		}
+		this.codecs.set(Formats.normalize(ext), codec)
+	}
+
+	/**
+	 * Removes the codec of the extension.
+	 * @param {string} ext
+	 * @returns {boolean} False if there was no codec
+	 */
+	unregister(ext) {
+		return this.codecs.delete(Formats.normalize(ext))
+	}
+
+	/**
+	 * Returns codec of the extension.
+	 * @param {string} ext - Extension with or without leading dot, case insensitive
+	 * @returns {FormatCodec | undefined}
+	 */
+	get(ext) {
+		return ext ? this.codecs.get(Formats.normalize(ext)) : undefined
+	}
+
+	/**
+	 * Checks if there is a codec of the extension.
+	 * @param {string} ext
+	 * @returns {boolean}
+	 */
+	has(ext) {
+		return undefined !== this.get(ext)
+	}
+
+	/**
+	 * Normalizes extension into lower case with leading dot.
+	 * @param {string} ext
+	 * @returns {string}
+	 */
+	static normalize(ext) {
+		const str = String(ext).toLowerCase()
+		return str.startsWith(".") ? str : "." + str
+	}
+
+	/**
+	 * Creates Formats from input or returns existing instance.
+	 * @param {object|Formats} input
+	 * @returns {Formats}
+	 */
+	static from(input) {
+		if (input instanceof Formats) return input
+		return new Formats(input)
+	}
+}
+
+export default Formats
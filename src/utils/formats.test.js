@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import Formats from './formats.js'
+
+describe('Formats', () => {
+	it('should provide built-in codecs', () => {
+		const formats = new Formats()
+		for (const ext of ['.json', '.ndjson', '.jsonl', '.csv', '.tsv', '.txt', '.md', '.yaml', '.yml']) {
+			assert.ok(formats.has(ext), ext)
+		}
+		assert.strictEqual(formats.has('.bin'), false)
+		assert.strictEqual(formats.get(''), undefined)
+	})
+
+	it('should normalize extensions', () => {
+		const formats = new Formats()
+		assert.strictEqual(formats.get('JSON'), formats.get('.json'))
+		assert.strictEqual(formats.get('.YML'), formats.get('.yaml'))
+	})
+
+	it('should roundtrip NDJSON', () => {
+		const codec = new Formats().get('.ndjson')
+		const text = codec?.stringify([{ a: 1 }, 'b'])
+		assert.strictEqual(text, '{"a":1}\n"b"\n')
+		assert.deepStrictEqual(codec?.parse(text + '\n'), [{ a: 1 }, 'b'])
+	})
+
+	it('should register and unregister codecs', () => {
+		const codec = { parse: (/** @type {string} */ raw) => raw.split(';'), stringify: (/** @type {string[]} */ value) => value.join(';') }
+		const formats = new Formats({ codecs: { list: codec } })
+		assert.strictEqual(formats.get('.list'), codec)
+		assert.strictEqual(formats.unregister('.LIST'), true)
+		assert.strictEqual(formats.has('.list'), false)
+		assert.throws(() => formats.register('.bad', /** @type {any} */ ({ parse: () => 1 })), TypeError)
+	})
+})
@@ -0,0 +1,276 @@
+/**
+ * Glob patterns matching for the document paths.
+ * Supports `*`, `**`, `?`, `{a,b}`, character classes `[a-z]`, `[!a-z]`
+ * and negation with leading `!`.
+ * Wildcards do not match segments starting with a dot, unless the `dot` option is set
+ * or the pattern segment starts with a dot itself.
+ * @class
+ */
+class Glob {
+	/** @type {string[]} */
+	patterns
+	/** @type {boolean} */
+	dot
+	/** @type {Array<Array<RegExp | null>>} Segment matchers, null stands for `**` */
+	include = []
+	/** @type {Array<Array<RegExp | null>>} */
+	exclude = []
+
+	/**
+	 * Creates a new Glob instance
+	 * @param {string | string[]} patterns - Pattern or list of patterns, negated with leading "!"
+	 * @param {object} [options]
+	 * @param {boolean} [options.dot=false] - Match segments starting with a dot by wildcards
+	 */
+	constructor(patterns, options = {}) {
+		const { dot = false } = options
+		this.patterns = (Array.isArray(patterns) ? patterns : [patterns]).map(String)
+		this.dot = Boolean(dot)
+		for (const pattern of this.patterns) {
+			const negated = pattern.startsWith("!")
+			const target = negated ? this.exclude : this.include
+			for (const expanded of Glob.expand(negated ? pattern.slice(1) : pattern)) {
+				target.push(Glob.split(expanded).map(s => "**" === s ? null : this.compile(s)))
+			}
+		}
+		if (!this.include.length) {
+			this.include.push([null])
+		}
+	}
+
+	/**
+	 * Static directory prefix of the patterns, where the search can start from.
+	 * For instance "src/data" for "src/data/**\/*.json".
+	 * @returns {string}
+	 */
+	get base() {
+		/** @type {string[] | null} */
+		let common = null
+		for (const pattern of this.patterns) {
+			if (pattern.startsWith("!")) continue
+			const segments = Glob.split(pattern).slice(0, -1)
+			const index = segments.findIndex(s => Glob.isGlob(s))
+			const literal = index < 0 ? segments : segments.slice(0, index)
+			if (null === common) {
+				common = literal
+				continue
+			}
+			let i = 0
+			while (i < common.length && common[i] === literal[i]) {
+				++i
+			}
+			common = common.slice(0, i)
+		}
+		return (common ?? []).join("/")
+	}
+
+	/**
+	 * Compiles single path segment into regular expression.
+	 * @param {string} segment
+	 * @returns {RegExp}
+	 */
+	compile(segment) {
+		let source = ""
+		for (let i = 0; i < segment.length; i++) {
+			const char = segment[i]
+			if ("\\" === char && i + 1 < segment.length) {
+				source += Glob.escape(segment[++i])
+			}
+			else if ("*" === char) {
+				source += "[^/]*"
+			}
+			else if ("?" === char) {
+				source += "[^/]"
+			}
+			else if ("[" === char) {
+				const end = segment.indexOf("]", i + 2)
+				if (end < 0) {
+					source += "\\["
+					continue
+				}
+				let range = segment.slice(i + 1, end)
+				if ("!" === range[0] || "^" === range[0]) {
+					range = "^" + range.slice(1)
+				}
+				source += "[" + range + "]"
+				i = end
+			}
+			else {
+				source += Glob.escape(char)
+			}
+		}
+		const hidden = this.dot || segment.startsWith(".") ? "" : "(?!\\.)"
+		return new RegExp("^" + hidden + source + "$")
+	}
+
+	/**
+	 * Checks if the path matches the patterns.
+	 * @param {string} path
+	 * @returns {boolean}
+	 */
+	test(path) {
+		const segments = Glob.split(String(path))
+		return this.include.some(matchers => this.matchSegments(matchers, segments))
+			&& !this.exclude.some(matchers => this.matchSegments(matchers, segments))
+	}
+
+	/**
+	 * Checks if the directory may contain paths matching the patterns,
+	 * used to prune unrelated branches while walking the tree.
+	 * @param {string} dir
+	 * @returns {boolean}
+	 */
+	mayContain(dir) {
+		const segments = Glob.split(String(dir))
+		return this.include.some(matchers => this.matchPrefix(matchers, segments))
+	}
+
+	/**
+	 * Matches all path segments with the segment matchers.
+	 * @param {Array<RegExp | null>} matchers
+	 * @param {string[]} segments
+	 * @param {number} [m=0]
+	 * @param {number} [s=0]
+	 * @returns {boolean}
+	 */
+	matchSegments(matchers, segments, m = 0, s = 0) {
+		if (m === matchers.length) {
+			return s === segments.length
+		}
+		const matcher = matchers[m]
+		if (null === matcher) {
+			if (this.matchSegments(matchers, segments, m + 1, s)) {
+				return true
+			}
+			return s < segments.length && this.matchesAny(segments[s])
+				&& this.matchSegments(matchers, segments, m, s + 1)
+		}
+		return s < segments.length && matcher.test(segments[s])
+			&& this.matchSegments(matchers, segments, m + 1, s + 1)
+	}
+
+	/**
+	 * Matches directory segments as a prefix of the path with the segment matchers.
+	 * @param {Array<RegExp | null>} matchers
+	 * @param {string[]} segments
+	 * @param {number} [m=0]
+	 * @param {number} [s=0]
+	 * @returns {boolean}
+	 */
+	matchPrefix(matchers, segments, m = 0, s = 0) {
+		if (s === segments.length) {
+			return true
+		}
+		if (m === matchers.length) {
+			return false
+		}
+		const matcher = matchers[m]
+		if (null === matcher) {
+			return this.matchPrefix(matchers, segments, m + 1, s)
+				|| (this.matchesAny(segments[s]) && this.matchPrefix(matchers, segments, m, s + 1))
+		}
+		return matcher.test(segments[s]) && this.matchPrefix(matchers, segments, m + 1, s + 1)
+	}
+
+	/**
+	 * Checks if the `**` can consume the segment, hidden segments are skipped
+	 * unless the dot option is set.
+	 * @param {string} segment
+	 * @returns {boolean}
+	 */
+	matchesAny(segment) {
+		return this.dot || !segment.startsWith(".")
+	}
+
+	/**
+	 * Splits the path into segments skipping empty and "." segments.
+	 * @param {string} path
+	 * @returns {string[]}
+	 */
+	static split(path) {
+		return path.split("/").filter(s => "" !== s && "." !== s)
+	}
+
+	/**
+	 * Escapes regular expression special characters.
+	 * @param {string} str
+	 * @returns {string}
+	 */
+	static escape(str) {
+		return str.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&")
+	}
+
+	/**
+	 * Expands braces into the list of patterns, "{a,b}.txt" into ["a.txt", "b.txt"].
+	 * @param {string} pattern
+	 * @returns {string[]}
+	 */
+	static expand(pattern) {
+		let depth = 0
+		let start = -1
+		for (let i = 0; i < pattern.length; i++) {
+			const char = pattern[i]
+			if ("\\" === char) {
+				++i
+				continue
+			}
+			if ("{" === char) {
+				if (0 === depth++) start = i
+			}
+			else if ("}" === char && depth > 0 && 0 === --depth) {
+				const options = []
+				let level = 0
+				let from = start + 1
+				for (let j = start + 1; j < i; j++) {
+					if ("\\" === pattern[j]) ++j
+					else if ("{" === pattern[j]) ++level
+					else if ("}" === pattern[j]) --level
+					else if ("," === pattern[j] && 0 === level) {
+						options.push(pattern.slice(from, j))
+						from = j + 1
+					}
+				}
+				options.push(pattern.slice(from, i))
+				if (options.length < 2) {
+					return Glob.expand(pattern.slice(0, start) + "\\{" + options[0] + "\\}" + pattern.slice(i + 1))
+				}
+				const head = pattern.slice(0, start)
+				const tail = pattern.slice(i + 1)
+				return options.flatMap(option => Glob.expand(head + option + tail))
+			}
+		}
+		return [pattern]
+	}
+
+	/**
+	 * Checks if the string contains glob special characters.
+	 * @param {any} str
+	 * @returns {boolean}
+	 */
+	static isGlob(str) {
+		if (Array.isArray(str)) return true
+		if ("string" !== typeof str) return false
+		return str.startsWith("!") || /(^|[^\\])[*?[{]/.test(str)
+	}
+
+	/**
+	 * Creates Glob from pattern or returns existing instance.
+	 * @param {string | string[] | Glob} input
+	 * @returns {Glob}
+	 */
+	static from(input) {
+		if (input instanceof Glob) return input
+		return new Glob(input)
+	}
+}
+
+/**
+ * Checks if the path matches the glob pattern.
+ * @param {string | string[]} pattern
+ * @param {string} path
+ * @returns {boolean}
+ */
+export const match = (pattern, path) => Glob.from(pattern).test(path)
+export const isGlob = Glob.isGlob
+
+export default Glob
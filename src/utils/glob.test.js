@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import Glob, { match, isGlob } from './glob.js'
+
+describe('Glob', () => {
+	it('should match single segment wildcards', () => {
+		assert.strictEqual(match('*.txt', 'a.txt'), true)
+		assert.strictEqual(match('*.txt', './a.txt'), true)
+		assert.strictEqual(match('*.txt', 'dir/a.txt'), false)
+		assert.strictEqual(match('file?.md', 'file1.md'), true)
+		assert.strictEqual(match('file?.md', 'file12.md'), false)
+	})
+
+	it('should match globstar across directories', () => {
+		assert.strictEqual(match('src/**/*.json', 'src/a.json'), true)
+		assert.strictEqual(match('src/**/*.json', 'src/a/b/c.json'), true)
+		assert.strictEqual(match('src/**/*.json', 'lib/a.json'), false)
+		assert.strictEqual(match('**', 'any/path/here'), true)
+	})
+
+	it('should expand braces', () => {
+		assert.deepStrictEqual(Glob.expand('{a,b}/*.{js,ts}'), ['a/*.js', 'a/*.ts', 'b/*.js', 'b/*.ts'])
+		assert.deepStrictEqual(Glob.expand('x{a,{b,c}}'), ['xa', 'xb', 'xc'])
+		assert.strictEqual(match('*.{jpg,png}', 'cat.png'), true)
+		assert.strictEqual(match('{src,lib}/**', 'lib/a/b'), true)
+		assert.strictEqual(match('{one}.txt', '{one}.txt'), true)
+	})
+
+	it('should match character classes', () => {
+		assert.strictEqual(match('[abc].txt', 'b.txt'), true)
+		assert.strictEqual(match('[a-c].txt', 'd.txt'), false)
+		assert.strictEqual(match('[!a-c].txt', 'd.txt'), true)
+		assert.strictEqual(match('[^a-c].txt', 'a.txt'), false)
+	})
+
+	it('should negate patterns', () => {
+		assert.strictEqual(match('!*.md', 'a.txt'), true)
+		assert.strictEqual(match('!*.md', 'a.md'), false)
+		const glob = new Glob(['**/*.json', '!**/secret/**'])
+		assert.strictEqual(glob.test('a/b.json'), true)
+		assert.strictEqual(glob.test('a/secret/b.json'), false)
+	})
+
+	it('should skip hidden segments unless dot option is set', () => {
+		assert.strictEqual(match('*', '.env'), false)
+		assert.strictEqual(match('**/*.json', '.history/a.json'), false)
+		assert.strictEqual(match('.history/*.json', '.history/a.json'), true)
+		assert.strictEqual(new Glob('**/*.json', { dot: true }).test('.history/a.json'), true)
+	})
+
+	it('should escape special characters', () => {
+		assert.strictEqual(match('a\\*.txt', 'a*.txt'), true)
+		assert.strictEqual(match('a\\*.txt', 'ab.txt'), false)
+		assert.strictEqual(match('a+b.txt', 'a+b.txt'), true)
+	})
+
+	it('should detect directories that may contain matches', () => {
+		const glob = new Glob('src/**/*.json')
+		assert.strictEqual(glob.mayContain('.'), true)
+		assert.strictEqual(glob.mayContain('src'), true)
+		assert.strictEqual(glob.mayContain('src/a/b'), true)
+		assert.strictEqual(glob.mayContain('lib'), false)
+		assert.strictEqual(new Glob('a/b/*.txt').mayContain('a/c'), false)
+	})
+
+	it('should return static base directory', () => {
+		assert.strictEqual(new Glob('src/data/**/*.json').base, 'src/data')
+		assert.strictEqual(new Glob('*.txt').base, '')
+		assert.strictEqual(new Glob('docs/readme.md').base, 'docs')
+		assert.strictEqual(new Glob(['src/a/*.js', 'src/b/*.js', '!src/a/x.js']).base, 'src')
+	})
+
+	it('should detect glob strings', () => {
+		assert.strictEqual(isGlob('*.txt'), true)
+		assert.strictEqual(isGlob('{a,b}'), true)
+		assert.strictEqual(isGlob('a/b.txt'), false)
+		assert.strictEqual(isGlob('a\\*.txt'), false)
+		assert.strictEqual(isGlob(['a.txt']), true)
+		assert.strictEqual(isGlob(() => true), false)
+	})
+
+	it('should create from existing instance', () => {
+		const glob = new Glob('*.txt')
+		assert.strictEqual(Glob.from(glob), glob)
+		assert.ok(Glob.from('*.md') instanceof Glob)
+	})
+})
@@ -0,0 +1,70 @@
+/**
+ * Shared matrix of the path algebra cases for the database backends,
+ * every backend is expected to pass them with its resolveSync, absolute and relative.
+ * @example
+ * import { resolveCases } from "@nan0web/db/path.cases"
+ * for (const [args, expected] of resolveCases) {
+ * 	assert.strictEqual(db.resolveSync(...args), expected)
+ * }
+ */
+
+/** @type {Array<[string[], string]>} Arguments of resolveSync and the expected URI */
+export const resolveCases = [
+	[[], "."],
+	[["."], "."],
+	[["./"], "."],
+	[["/"], "."],
+	[["a"], "a"],
+	[["./a"], "a"],
+	[["a/"], "a"],
+	[["a//b"], "a/b"],
+	[["./a//b/"], "a/b"],
+	[["a/./b"], "a/b"],
+	[["a/b/.."], "a"],
+	[["a/b/../.."], "."],
+	[["a", "b"], "a/b"],
+	[["a/b", "c"], "a/b/c"],
+	[["a/", "/b"], "b"],
+	[["a", "", "b"], "a/b"],
+	[["docs/", "../index.json"], "index.json"],
+	[["docs", "deep/../a.txt"], "docs/a.txt"],
+	[["/docs", "./a.txt"], "docs/a.txt"],
+	[["docs", "/posts", "1.json"], "posts/1.json"],
+	[["a/../b/../c"], "c"],
+	[[".hidden/./file"], ".hidden/file"],
+	[["a..b/c"], "a..b/c"],
+]
+
+/** @type {string[][]} Arguments of resolveSync escaping above the root */
+export const rejectedCases = [
+	[".."],
+	["../a"],
+	["a/../.."],
+	["a", "../../b"],
+	["/", ".."],
+	["./docs/../../etc/passwd"],
+]
+
+/** @type {Array<[string, string, string]>} Arguments of relative and the expected path */
+export const relativeCases = [
+	[".", "a.txt", "a.txt"],
+	[".", "docs/a.txt", "docs/a.txt"],
+	["docs", "docs/a.txt", "a.txt"],
+	["docs/", "./docs//a.txt", "a.txt"],
+	["docs/deep", "docs/a.txt", "../a.txt"],
+	["docs/deep", "posts/1.json", "../../posts/1.json"],
+	["docs", "docs", ""],
+	["docs/a", "docs", ".."],
+	["a/b/c", ".", "../../.."],
+]
+
+/** @type {Array<[{ root: string, cwd: string }, string[], string]>} Database, arguments of absolute and the expected path */
+export const absoluteCases = [
+	[{ root: ".", cwd: "." }, ["a.txt"], "./a.txt"],
+	[{ root: ".", cwd: "." }, [], "."],
+	[{ root: "/data", cwd: "." }, ["docs//a.txt"], "/data/docs/a.txt"],
+	[{ root: "/data/", cwd: "docs" }, ["a.txt"], "/data/docs/a.txt"],
+	[{ root: "/data", cwd: "docs/deep" }, ["../a.txt"], "/data/docs/a.txt"],
+	[{ root: "/data", cwd: "docs" }, ["/posts/1.json"], "/data/posts/1.json"],
+	[{ root: "https://example.com/db", cwd: "." }, ["a.json"], "https://example.com/db/a.json"],
+]
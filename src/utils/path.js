@@ -0,0 +1,161 @@
+/**
+ * Platform independent POSIX-style path algebra of the document URIs.
+ * URIs are relative to the root of the database, "." is the root itself,
+ * leading "/" also refers to the root, so the paths never escape above it.
+ * @class
+ */
+class Path {
+	/**
+	 * Normalizes the path: removes duplicate and trailing slashes, resolves "." and ".." segments.
+	 * Leading ".." segments of relative paths are kept, absolute paths are kept absolute.
+	 * @example
+	 * Path.normalize("./a//b/../c/") // "a/c"
+	 * Path.normalize("/a/./b") // "/a/b"
+	 * Path.normalize("") // "."
+	 * @param {string} path
+	 * @returns {string}
+	 */
+	static normalize(path) {
+		const str = String(path)
+		const absolute = str.startsWith("/")
+		/** @type {string[]} */
+		const result = []
+		for (const segment of str.split("/")) {
+			if ("" === segment || "." === segment) continue
+			if (".." === segment) {
+				if (result.length && ".." !== result[result.length - 1]) {
+					result.pop()
+				} else if (!absolute) {
+					result.push(segment)
+				}
+				continue
+			}
+			result.push(segment)
+		}
+		const joined = result.join("/")
+		if (absolute) {
+			return "/" + joined
+		}
+		return joined || "."
+	}
+
+	/**
+	 * Joins path segments and normalizes the result.
+	 * @param  {...string} args
+	 * @returns {string}
+	 */
+	static join(...args) {
+		return Path.normalize(args.filter(s => "" !== s && undefined !== s && null !== s).join("/"))
+	}
+
+	/**
+	 * Resolves path segments from left to right into the URI relative to the root,
+	 * segment starting with "/" starts again from the root.
+	 * @example
+	 * Path.resolve("docs", "../index.json") // "index.json"
+	 * Path.resolve("docs", "/index.json") // "index.json"
+	 * Path.resolve("docs/") // "docs"
+	 * Path.resolve() // "."
+	 * @param  {...string} args
+	 * @returns {string} URI without leading slash, "." for the root
+	 * @throws {Error} If the path escapes above the root
+	 */
+	static resolve(...args) {
+		/** @type {string[]} */
+		const result = []
+		for (const arg of args) {
+			const str = String(arg ?? "")
+			if (str.startsWith("/")) {
+				result.length = 0
+			}
+			for (const segment of str.split("/")) {
+				if ("" === segment || "." === segment) continue
+				if (".." === segment) {
+					if (!result.length) {
+						throw new Error(["Path is outside of the root", args.join(", ")].join(": "))
+					}
+					result.pop()
+					continue
+				}
+				result.push(segment)
+			}
+		}
+		return result.join("/") || "."
+	}
+
+	/**
+	 * Returns relative path from one URI to another, both are resolved from the root.
+	 * @example
+	 * Path.relative("docs/deep", "docs/a.txt") // "../a.txt"
+	 * Path.relative(".", "docs/a.txt") // "docs/a.txt"
+	 * Path.relative("docs", "docs") // ""
+	 * @param {string} from
+	 * @param {string} to
+	 * @returns {string} Relative path, empty for the same URI
+	 */
+	static relative(from, to) {
+		const source = Path.segments(from)
+		const target = Path.segments(to)
+		let i = 0
+		while (i < source.length && i < target.length && source[i] === target[i]) {
+			++i
+		}
+		return [
+			...source.slice(i).map(() => ".."),
+			...target.slice(i),
+		].join("/")
+	}
+
+	/**
+	 * Returns directory of the URI, "." for the documents in the root.
+	 * @param {string} path
+	 * @returns {string}
+	 */
+	static dirname(path) {
+		const segments = Path.segments(path)
+		return segments.slice(0, -1).join("/") || "."
+	}
+
+	/**
+	 * Returns the last segment of the URI, empty for the root.
+	 * @param {string} path
+	 * @returns {string}
+	 */
+	static basename(path) {
+		return Path.segments(path).pop() ?? ""
+	}
+
+	/**
+	 * Removes empty and "." segments from the URI without resolving "..",
+	 * the root of the database is an empty string.
+	 * @example
+	 * Path.trim("./a//b/") // "a/b"
+	 * Path.trim(".") // ""
+	 * @param {string} uri
+	 * @returns {string}
+	 */
+	static trim(uri) {
+		return String(uri).split("/").filter(s => "" !== s && "." !== s).join("/")
+	}
+
+	/**
+	 * Returns segments of the resolved URI, empty array for the root.
+	 * @param {string} path
+	 * @returns {string[]}
+	 * @throws {Error} If the path escapes above the root
+	 */
+	static segments(path) {
+		const resolved = Path.resolve(path)
+		return "." === resolved ? [] : resolved.split("/")
+	}
+}
+
+export const normalize = Path.normalize
+export const join = Path.join
+export const resolve = Path.resolve
+export const relative = Path.relative
+export const dirname = Path.dirname
+export const basename = Path.basename
+export const trim = Path.trim
+
+export default Path
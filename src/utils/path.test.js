@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import Path, { normalize, join, resolve, relative, dirname, basename, trim } from './path.js'
+import { resolveCases, rejectedCases, relativeCases } from './path.cases.js'
+
+describe('Path', () => {
+	it('should normalize paths', () => {
+		assert.strictEqual(normalize('./a//b/../c/'), 'a/c')
+		assert.strictEqual(normalize('/a/./b/'), '/a/b')
+		assert.strictEqual(normalize(''), '.')
+		assert.strictEqual(normalize('a/../..'), '..')
+		assert.strictEqual(normalize('../../a'), '../../a')
+		assert.strictEqual(normalize('/..'), '/')
+	})
+
+	it('should trim empty and current segments without resolving', () => {
+		assert.strictEqual(trim('./a//b/'), 'a/b')
+		assert.strictEqual(trim('/a/./b'), 'a/b')
+		assert.strictEqual(trim('.'), '')
+		assert.strictEqual(trim('a/../b'), 'a/../b')
+	})
+
+	it('should join segments', () => {
+		assert.strictEqual(join('a', '', 'b/', '/c'), 'a/b/c')
+		assert.strictEqual(join('/root', '../x'), '/x')
+		assert.strictEqual(join(), '.')
+	})
+
+	it('should resolve the shared matrix', () => {
+		for (const [args, expected] of resolveCases) {
+			assert.strictEqual(resolve(...args), expected, args.join(', '))
+		}
+	})
+
+	it('should reject paths above the root', () => {
+		for (const args of rejectedCases) {
+			assert.throws(() => Path.resolve(...args), /Path is outside of the root/, args.join(', '))
+		}
+	})
+
+	it('should return relative paths of the shared matrix', () => {
+		for (const [from, to, expected] of relativeCases) {
+			assert.strictEqual(relative(from, to), expected, `${from} -> ${to}`)
+		}
+	})
+
+	it('should return directory and base name', () => {
+		assert.strictEqual(dirname('docs/deep/a.txt'), 'docs/deep')
+		assert.strictEqual(dirname('./a.txt'), '.')
+		assert.strictEqual(dirname('.'), '.')
+		assert.strictEqual(basename('docs/deep/'), 'deep')
+		assert.strictEqual(basename('.'), '')
+	})
+})
@@ -0,0 +1,284 @@
+import Data from "./data.js"
+
+/**
+ * Declarative query over JSON documents.
+ * Field paths use the Data divider syntax, for instance "author/name".
+ *
+ * Conditions of the where:
+ * - `{ field: value }` equality, array fields match when they include the value;
+ * - `{ field: { $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $regex, $options } }`;
+ * - `{ $and: [...], $or: [...], $not: {...} }` logical combinations.
+ * @class
+ */
+class Query {
+	/** @type {object} */
+	where
+	/** @type {string | string[] | undefined} */
+	select
+	/** @type {Array<[string, "asc" | "desc"]>} */
+	orderBy
+	/** @type {number} */
+	limit
+	/** @type {number} */
+	offset
+
+	/**
+	 * Creates a new Query instance
+	 * @param {object} input
+	 * @param {object} [input.where={}] Filter conditions
+	 * @param {string | string[]} [input.select] Path of the value or list of paths to project
+	 * @param {string | string[] | Record<string, "asc" | "desc">} [input.orderBy=[]] Sort paths
+	 * @param {number} [input.limit=-1] Maximum number of results, -1 for no limit
+	 * @param {number} [input.offset=0] Number of results to skip
+	 */
+	constructor(input = {}) {
+		const {
+			where = {},
+			select = undefined,
+			orderBy = [],
+			limit = -1,
+			offset = 0,
+		} = input
+		this.where = where
+		this.select = select
+		this.orderBy = "string" === typeof orderBy || Array.isArray(orderBy)
+			? [orderBy].flat().map(path => [path, "asc"])
+			: Object.entries(orderBy).map(([path, order]) => [path, "desc" === order ? "desc" : "asc"])
+		this.limit = Number(limit)
+		this.offset = Number(offset)
+	}
+
+	/**
+	 * Checks if the document matches the where conditions.
+	 * @param {any} doc
+	 * @returns {boolean}
+	 */
+	test(doc) {
+		return Query.match(doc, this.where)
+	}
+
+	/**
+	 * Projects the document into selected values.
+	 * @param {any} doc
+	 * @returns {any}
+	 */
+	project(doc) {
+		if (undefined === this.select) {
+			return doc
+		}
+		if ("string" === typeof this.select) {
+			return Query.value(doc, this.select)
+		}
+		/** @type {Record<string, any>} */
+		const flat = {}
+		for (const path of this.select) {
+			flat[path] = Query.value(doc, path)
+		}
+		return Data.unflatten(flat)
+	}
+
+	/**
+	 * Compares two documents by the orderBy paths.
+	 * @param {any} a
+	 * @param {any} b
+	 * @returns {number}
+	 */
+	compare(a, b) {
+		for (const [path, order] of this.orderBy) {
+			const result = Query.compareValues(Query.value(a, path), Query.value(b, path))
+			if (0 !== result) {
+				return "desc" === order ? -result : result
+			}
+		}
+		return 0
+	}
+
+	/**
+	 * Filters, sorts, paginates and projects the documents.
+	 * @param {Iterable<{ uri: string, data: any }>} records
+	 * @returns {Array<{ uri: string, value: any }>}
+	 */
+	run(records) {
+		let found = Array.from(records).filter(({ data }) => this.test(data))
+		if (this.orderBy.length) {
+			found.sort((a, b) => this.compare(a.data, b.data))
+		}
+		const end = this.limit < 0 ? undefined : this.offset + this.limit
+		return found.slice(this.offset, end).map(({ uri, data }) => ({ uri, value: this.project(data) }))
+	}
+
+	/**
+	 * Returns value of the document by the path.
+	 * Array items are addressed as "[0]" (Data.ARRAY_WRAPPER) or "0".
+	 * @param {any} doc
+	 * @param {string} path
+	 * @returns {any}
+	 */
+	static value(doc, path) {
+		const [open = "", close = ""] = Data.ARRAY_WRAPPER
+		let acc = doc
+		for (let key of String(path).split(Data.OBJECT_DIVIDER)) {
+			if (null === acc || "object" !== typeof acc) {
+				return undefined
+			}
+			if (Array.isArray(acc) && key.startsWith(open) && key.endsWith(close)) {
+				key = key.slice(open.length, key.length - close.length)
+			}
+			acc = acc[key]
+		}
+		return acc
+	}
+
+	/**
+	 * Checks if the document matches the conditions.
+	 * @param {any} doc
+	 * @param {object} where
+	 * @returns {boolean}
+	 */
+	static match(doc, where) {
+		for (const [key, condition] of Object.entries(where)) {
+			if ("$and" === key) {
+				if (!condition.every(/** @param {object} c */ c => Query.match(doc, c))) return false
+			}
+			else if ("$or" === key) {
+				if (!condition.some(/** @param {object} c */ c => Query.match(doc, c))) return false
+			}
+			else if ("$not" === key) {
+				if (Query.match(doc, condition)) return false
+			}
+			else if (!Query.matchValue(Query.value(doc, key), condition)) {
+				return false
+			}
+		}
+		return true
+	}
+
+	/**
+	 * Checks if the value matches the condition or the operators.
+	 * @param {any} value
+	 * @param {any} condition
+	 * @returns {boolean}
+	 */
+	static matchValue(value, condition) {
+		if (!Query.isOperators(condition)) {
+			return Query.equals(value, condition)
+		}
+		for (const [op, arg] of Object.entries(condition)) {
+			if (!Query.operate(op, value, arg, condition)) {
+				return false
+			}
+		}
+		return true
+	}
+
+	/**
+	 * Applies single operator.
+	 * @param {string} op
+	 * @param {any} value
+	 * @param {any} arg
+	 * @param {Record<string, any>} condition All operators of the field
+	 * @returns {boolean}
+	 */
+	static operate(op, value, arg, condition) {
+		switch (op) {
+			case "$eq": return Query.equals(value, arg)
+			case "$ne": return !Query.equals(value, arg)
+			case "$gt": return Query.comparable(value, arg) && Query.compareValues(value, arg) > 0
+			case "$gte": return Query.comparable(value, arg) && Query.compareValues(value, arg) >= 0
+			case "$lt": return Query.comparable(value, arg) && Query.compareValues(value, arg) < 0
+			case "$lte": return Query.comparable(value, arg) && Query.compareValues(value, arg) <= 0
+			case "$in": return arg.some(/** @param {any} a */ a => Query.equals(value, a))
+			case "$nin": return !arg.some(/** @param {any} a */ a => Query.equals(value, a))
+			case "$exists": return (undefined !== value) === Boolean(arg)
+			case "$regex": {
+				const regex = arg instanceof RegExp ? arg : new RegExp(arg, condition.$options ?? "")
+				const values = Array.isArray(value) ? value : [value]
+				return values.some(v => "string" === typeof v && regex.test(v))
+			}
+			case "$options": return true
+			case "$not": return !Query.matchValue(value, arg)
+		}
+		throw new TypeError(["Unknown query operator", op].join(": "))
+	}
+
+	/**
+	 * Checks if the condition is an object of operators.
+	 * @param {any} condition
+	 * @returns {boolean}
+	 */
+	static isOperators(condition) {
+		if (null === condition || "object" !== typeof condition || Array.isArray(condition)) {
+			return false
+		}
+		if (condition instanceof RegExp || condition instanceof Date) {
+			return false
+		}
+		const keys = Object.keys(condition)
+		return keys.length > 0 && keys.every(key => key.startsWith("$"))
+	}
+
+	/**
+	 * Checks equality of the value and expected, array values match when they include expected.
+	 * @param {any} value
+	 * @param {any} expected
+	 * @returns {boolean}
+	 */
+	static equals(value, expected) {
+		if (expected instanceof RegExp) {
+			return "string" === typeof value && expected.test(value)
+		}
+		if (Array.isArray(value) && !Array.isArray(expected)) {
+			return value.some(v => Query.equals(v, expected))
+		}
+		if (value instanceof Date || expected instanceof Date) {
+			return Query.comparable(value, expected) && 0 === Query.compareValues(value, expected)
+		}
+		if ("object" === typeof value && "object" === typeof expected && null !== value && null !== expected) {
+			return JSON.stringify(value) === JSON.stringify(expected)
+		}
+		return value === expected
+	}
+
+	/**
+	 * Checks if two values can be compared, numbers with numbers, strings with strings.
+	 * @param {any} a
+	 * @param {any} b
+	 * @returns {boolean}
+	 */
+	static comparable(a, b) {
+		const type = (/** @type {any} */ v) => v instanceof Date ? "number" : typeof v
+		return undefined !== a && null !== a && type(a) === type(b)
+	}
+
+	/**
+	 * Compares two values, undefined and null go last, strings are compared naturally.
+	 * @param {any} a
+	 * @param {any} b
+	 * @returns {number}
+	 */
+	static compareValues(a, b) {
+		const missingA = undefined === a || null === a
+		const missingB = undefined === b || null === b
+		if (missingA || missingB) {
+			return missingA === missingB ? 0 : missingA ? 1 : -1
+		}
+		if ("string" === typeof a && "string" === typeof b) {
+			return a.localeCompare(b, undefined, { numeric: true })
+		}
+		const x = a instanceof Date ? a.getTime() : a
+		const y = b instanceof Date ? b.getTime() : b
+		return x < y ? -1 : x > y ? 1 : 0
+	}
+
+	/**
+	 * Creates Query from input or returns existing instance.
+	 * @param {object|Query} input
+	 * @returns {Query}
+	 */
+	static from(input) {
+		if (input instanceof Query) return input
+		return new Query(input)
+	}
+}
+
+export default Query
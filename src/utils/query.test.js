@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import Query from './query.js'
+import Data from './data.js'
+
+const post = {
+	title: 'Hello',
+	views: 10,
+	tags: ['news', 'ua'],
+	author: { name: 'Ярослав', langs: ['uk', 'en'] },
+	date: '2024-05-01',
+}
+
+describe('Query', () => {
+	it('should create instance with default values', () => {
+		const query = new Query()
+		assert.deepStrictEqual(query.where, {})
+		assert.strictEqual(query.select, undefined)
+		assert.deepStrictEqual(query.orderBy, [])
+		assert.strictEqual(query.limit, -1)
+		assert.strictEqual(query.offset, 0)
+	})
+
+	it('should read nested values by path', () => {
+		assert.strictEqual(Query.value(post, 'author/name'), 'Ярослав')
+		assert.strictEqual(Query.value(post, 'author/langs/[1]'), 'en')
+		assert.strictEqual(Query.value(post, 'author/langs/0'), 'uk')
+		assert.strictEqual(Query.value(post, 'title/length/x'), undefined)
+		assert.strictEqual(Query.value(post, 'missing/name'), undefined)
+	})
+
+	it('should respect custom object divider', () => {
+		Data.setObjectDivider('.')
+		try {
+			assert.strictEqual(Query.value(post, 'author.name'), 'Ярослав')
+		} finally {
+			Data.resetObjectDivider()
+		}
+	})
+
+	it('should match equality and array inclusion', () => {
+		assert.ok(Query.match(post, { title: 'Hello', 'author/name': 'Ярослав' }))
+		assert.ok(Query.match(post, { tags: 'ua' }))
+		assert.ok(Query.match(post, { tags: ['news', 'ua'] }))
+		assert.ok(!Query.match(post, { tags: 'en' }))
+	})
+
+	it('should match comparison operators', () => {
+		assert.ok(Query.match(post, { views: { $gt: 5, $lte: 10 } }))
+		assert.ok(!Query.match(post, { views: { $lt: 10 } }))
+		assert.ok(Query.match(post, { date: { $gte: '2024-01-01' } }))
+		assert.ok(!Query.match(post, { views: { $gt: '5' } }))
+		assert.ok(Query.match(post, { views: { $ne: 11 } }))
+	})
+
+	it('should match in, exists and regex operators', () => {
+		assert.ok(Query.match(post, { 'author/name': { $in: ['Ярослав', 'Олена'] } }))
+		assert.ok(Query.match(post, { views: { $nin: [1, 2] } }))
+		assert.ok(Query.match(post, { draft: { $exists: false }, title: { $exists: true } }))
+		assert.ok(Query.match(post, { title: { $regex: '^hel', $options: 'i' } }))
+		assert.ok(Query.match(post, { tags: { $regex: /^u/ } }))
+		assert.ok(Query.match(post, { title: /llo$/ }))
+	})
+
+	it('should combine conditions with logical operators', () => {
+		assert.ok(Query.match(post, { $or: [{ views: 1 }, { tags: 'news' }] }))
+		assert.ok(!Query.match(post, { $and: [{ views: 10 }, { tags: 'en' }] }))
+		assert.ok(Query.match(post, { $not: { title: 'Bye' } }))
+		assert.ok(Query.match(post, { views: { $not: { $gt: 100 } } }))
+	})
+
+	it('should throw on unknown operator', () => {
+		assert.throws(() => Query.match(post, { views: { $near: 1 } }), /Unknown query operator: \$near/)
+	})
+
+	it('should project selected paths', () => {
+		assert.strictEqual(new Query({ select: 'author/name' }).project(post), 'Ярослав')
+		assert.deepStrictEqual(new Query({ select: ['title', 'author/name'] }).project(post), {
+			title: 'Hello', author: { name: 'Ярослав' },
+		})
+		assert.strictEqual(new Query().project(post), post)
+	})
+
+	it('should sort, paginate and project records', () => {
+		const records = [
+			{ uri: 'a.json', data: { n: 'item 10', rank: 1 } },
+			{ uri: 'b.json', data: { n: 'item 2', rank: 2 } },
+			{ uri: 'c.json', data: { n: 'item 1', rank: 2 } },
+			{ uri: 'd.json', data: { rank: 3 } },
+		]
+		const byName = new Query({ orderBy: 'n', select: 'n' }).run(records)
+		assert.deepStrictEqual(byName.map(r => r.value), ['item 1', 'item 2', 'item 10', undefined])
+		const page = new Query({
+			where: { rank: { $gte: 2 } },
+			orderBy: { rank: 'desc', n: 'asc' },
+			offset: 1,
+			limit: 1,
+		}).run(records)
+		assert.deepStrictEqual(page.map(r => r.uri), ['c.json'])
+	})
+})
@@ -0,0 +1,207 @@
+import Path from "./path.js"
+
+/**
+ * @typedef {object} TarEntry
+ * @property {string} path Path inside of the archive without leading "./" and trailing slash
+ * @property {string} type Type flag: "0" file, "1" hard link, "2" symbolic link,
+ * "3" character device, "4" block device, "5" directory, "6" FIFO
+ * @property {number} mode Permission bits
+ * @property {number} uid
+ * @property {number} gid
+ * @property {number} size Content size in bytes
+ * @property {number} mtimeMs Modification time
+ * @property {string} linkname Target of the link
+ * @property {number} offset Offset of the content in the archive
+ */
+
+/**
+ * UTF-8 decoder of the runtime, both Node.js and browsers have it as a global.
+ * @type {new (label?: string, options?: { fatal?: boolean }) => { decode: (input: Uint8Array) => string }}
+ */
+const TextDecoder = /** @type {any} */ (globalThis).TextDecoder
+
+const decoder = new TextDecoder()
+
+/**
+ * Reads null terminated string field of the header.
+ * @param {Uint8Array} bytes
+ * @param {number} start
+ * @param {number} length
+ * @returns {string}
+ */
+function field(bytes, start, length) {
+	const slice = bytes.subarray(start, start + length)
+	const end = slice.indexOf(0)
+	return decoder.decode(end < 0 ? slice : slice.subarray(0, end))
+}
+
+/**
+ * Reads numeric field of the header: octal text or base-256 for the big values.
+ * @param {Uint8Array} bytes
+ * @param {number} start
+ * @param {number} length
+ * @returns {number}
+ */
+function numeric(bytes, start, length) {
+	if (bytes[start] & 0x80) {
+		let value = bytes[start] & 0x7f
+		for (let i = start + 1; i < start + length; i++) {
+			value = value * 256 + bytes[i]
+		}
+		return value
+	}
+	const str = field(bytes, start, length).trim()
+	return str ? parseInt(str, 8) : 0
+}
+
+/**
+ * POSIX ustar archive parsing with pax extended headers
+ * and GNU long names, for reading archives without extracting them.
+ * @class
+ */
+class Tar {
+	/** @type {number} Size of the header and content blocks */
+	static BLOCK = 512
+
+	/**
+	 * Calculates checksum of the header, its checksum field is counted as spaces.
+	 * @param {Uint8Array} header - Header block
+	 * @returns {number}
+	 */
+	static checksum(header) {
+		let sum = 0
+		for (let i = 0; i < Tar.BLOCK; i++) {
+			sum += i >= 148 && i < 156 ? 0x20 : header[i]
+		}
+		return sum
+	}
+
+	/**
+	 * Resolves path of the entry inside of the archive.
+	 * @param {string} path
+	 * @returns {string | null} Resolved path or null if it points outside of the archive root
+	 */
+	static resolve(path) {
+		try {
+			return Path.resolve(path)
+		} catch {
+			return null
+		}
+	}
+
+	/**
+	 * Decodes content of the entry as UTF-8 text.
+	 * @param {Uint8Array} bytes
+	 * @returns {string | null} Text or null if content is not valid UTF-8
+	 */
+	static text(bytes) {
+		try {
+			return new TextDecoder("utf-8", { fatal: true }).decode(bytes)
+		} catch {
+			return null
+		}
+	}
+
+	/**
+	 * Parses pax extended header records "<length> <key>=<value>\n".
+	 * @param {Uint8Array} bytes - Content of the pax header
+	 * @returns {Record<string, string>}
+	 * @throws {Error} If record is malformed
+	 */
+	static pax(bytes) {
+		/** @type {Record<string, string>} */
+		const result = {}
+		let offset = 0
+		while (offset < bytes.length) {
+			const space = bytes.indexOf(0x20, offset)
+			const length = parseInt(decoder.decode(bytes.subarray(offset, space)), 10)
+			if (space < 0 || !(length > 0) || offset + length > bytes.length) {
+				throw new Error(["Invalid pax header record", offset].join(": "))
+			}
+			const record = decoder.decode(bytes.subarray(space + 1, offset + length - 1))
+			const eq = record.indexOf("=")
+			result[record.slice(0, eq)] = record.slice(eq + 1)
+			offset += length
+		}
+		return result
+	}
+
+	/**
+	 * Parses entries of the archive, pax and GNU long name headers are applied
+	 * to the following entry and are not returned.
+	 * Entries with paths outside of the archive root, such as "../etc/passwd", are skipped.
+	 * @example
+	 * const entries = Tar.parse(new Uint8Array(await readFile("data.tar")))
+	 * // [{ path: "posts/1.json", type: "0", size: 15, offset: 512, ... }]
+	 * @param {Uint8Array} bytes - Archive content
+	 * @returns {TarEntry[]}
+	 * @throws {Error} If header checksum is invalid or archive is truncated
+	 */
+	static parse(bytes) {
+		const { BLOCK } = Tar
+		/** @type {TarEntry[]} */
+		const result = []
+		/** @type {Record<string, string>} */
+		let globals = {}
+		/** @type {Record<string, string>} */
+		let local = {}
+		let offset = 0
+		while (offset + BLOCK <= bytes.length) {
+			const header = bytes.subarray(offset, offset + BLOCK)
+			if (header.every(b => 0 === b)) {
+				break
+			}
+			if (Tar.checksum(header) !== numeric(header, 148, 8)) {
+				throw new Error(["Invalid tar header checksum", offset].join(": "))
+			}
+			const type = String.fromCharCode(header[156] || 0x30)
+			const start = offset + BLOCK
+			let size = numeric(header, 124, 12)
+			if ("x" !== type && "g" !== type && local.size) {
+				size = Number(local.size)
+			}
+			if (start + size > bytes.length) {
+				throw new Error(["Unexpected end of tar archive", offset].join(": "))
+			}
+			offset = start + Math.ceil(size / BLOCK) * BLOCK
+			const content = bytes.subarray(start, start + size)
+			if ("x" === type) {
+				local = { ...local, ...Tar.pax(content) }
+				continue
+			}
+			if ("g" === type) {
+				globals = { ...globals, ...Tar.pax(content) }
+				continue
+			}
+			if ("L" === type || "K" === type) {
+				local = { ...local, ["L" === type ? "path" : "linkpath"]: field(content, 0, size) }
+				continue
+			}
+			const ext = { ...globals, ...local }
+			local = {}
+			const magic = field(header, 257, 6)
+			const prefix = magic.startsWith("ustar") ? field(header, 345, 155) : ""
+			const name = field(header, 0, 100)
+			const path = Tar.resolve(ext.path ?? (prefix ? prefix + "/" + name : name))
+			if (null === path || "." === path) {
+				continue
+			}
+			result.push({
+				path,
+				type: "7" === type ? "0" : type,
+				mode: numeric(header, 100, 8),
+				uid: ext.uid ? Number(ext.uid) : numeric(header, 108, 8),
+				gid: ext.gid ? Number(ext.gid) : numeric(header, 116, 8),
+				size: "5" === type ? 0 : size,
+				mtimeMs: ext.mtime ? Math.round(Number(ext.mtime) * 1000) : numeric(header, 136, 12) * 1000,
+				linkname: ext.linkpath ?? field(header, 157, 100),
+				offset: start,
+			})
+		}
+		return result
+	}
+}
+
+export const parse = Tar.parse
+
+export default Tar
@@ -0,0 +1,150 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import Tar, { parse } from './tar.js'
+
+const encoder = new TextEncoder()
+
+const header = ({ name = '', type = '0', size = 0, mode = 0o644, uid = 1000, gid = 100, mtime = 1700000000, linkname = '', prefix = '', base256 = false }) => {
+	const block = new Uint8Array(512)
+	const put = (str, offset) => block.set(encoder.encode(str), offset)
+	const octal = (n, offset, length) => put(n.toString(8).padStart(length - 1, '0') + '\0', offset)
+	put(name, 0)
+	octal(mode, 100, 8)
+	octal(uid, 108, 8)
+	octal(gid, 116, 8)
+	if (base256) {
+		block[124] = 0x80
+		for (let i = 135, n = size; i > 124; i--, n = Math.floor(n / 256)) {
+			block[i] = n % 256
+		}
+	} else {
+		octal(size, 124, 12)
+	}
+	octal(mtime, 136, 12)
+	put(type, 156)
+	put(linkname, 157)
+	put('ustar\0', 257)
+	put('00', 263)
+	put(prefix, 345)
+	put(Tar.checksum(block).toString(8).padStart(6, '0') + '\0 ', 148)
+	return block
+}
+
+const record = (key, value) => {
+	const line = ` ${key}=${value}\n`
+	let length = encoder.encode(line).length
+	length += String(length + String(length).length).length
+	return length + line
+}
+
+const pax = (records) => Object.entries(records).map(([key, value]) => record(key, value)).join('')
+
+const pack = (entries) => {
+	const blocks = []
+	for (const { content = '', size, ...entry } of entries) {
+		const bytes = 'string' === typeof content ? encoder.encode(content) : content
+		blocks.push(header({ ...entry, size: size ?? bytes.length }))
+		const padded = new Uint8Array(Math.ceil(bytes.length / 512) * 512)
+		padded.set(bytes)
+		blocks.push(padded)
+	}
+	blocks.push(new Uint8Array(1024))
+	const result = new Uint8Array(blocks.reduce((acc, b) => acc + b.length, 0))
+	let offset = 0
+	for (const block of blocks) {
+		result.set(block, offset)
+		offset += block.length
+	}
+	return result
+}
+
+describe('Tar', () => {
+	it('should parse ustar entries with prefix and content offsets', () => {
+		const bytes = pack([
+			{ name: 'docs/', type: '5', mode: 0o755 },
+			{ name: 'a.txt', prefix: 'docs', content: 'Hello', uid: 501, gid: 20, mtime: 1600000000 },
+			{ name: './b.txt', type: '7', content: 'B' },
+			{ name: 'dev/tty', type: '3' },
+			{ name: 'link', type: '2', linkname: 'docs/a.txt' },
+		])
+		const entries = parse(bytes)
+		assert.deepStrictEqual(entries.map(e => [e.path, e.type]), [
+			['docs', '5'], ['docs/a.txt', '0'], ['b.txt', '0'], ['dev/tty', '3'], ['link', '2'],
+		])
+		const [dir, file] = entries
+		assert.strictEqual(dir.mode, 0o755)
+		assert.strictEqual(file.uid, 501)
+		assert.strictEqual(file.gid, 20)
+		assert.strictEqual(file.size, 5)
+		assert.strictEqual(file.mtimeMs, 1600000000000)
+		assert.strictEqual(new TextDecoder().decode(bytes.subarray(file.offset, file.offset + file.size)), 'Hello')
+		assert.strictEqual(entries[4].linkname, 'docs/a.txt')
+	})
+
+	it('should reject invalid header checksum', () => {
+		const bytes = pack([{ name: 'a.txt', content: 'A' }, { name: 'b.txt', content: 'B' }])
+		bytes[1024 + 1] = 0x41
+		assert.throws(() => Tar.parse(bytes), /Invalid tar header checksum: 1024/)
+	})
+
+	it('should reject truncated archives', () => {
+		const bytes = pack([{ name: 'a.txt', content: 'x'.repeat(600) }])
+		assert.throws(() => Tar.parse(bytes.slice(0, 1000)), /Unexpected end of tar archive: 0/)
+		assert.deepStrictEqual(Tar.parse(bytes.slice(0, 1536)).map(e => e.path), ['a.txt'])
+		assert.deepStrictEqual(Tar.parse(new Uint8Array(0)), [])
+	})
+
+	it('should apply pax extended and global headers', () => {
+		const longName = 'long/' + 'x'.repeat(150) + '.txt'
+		const entries = Tar.parse(pack([
+			{ name: 'pax_global_header', type: 'g', content: pax({ uid: '7' }) },
+			{ name: 'PaxHeader', type: 'x', content: pax({ path: longName, mtime: '1700000000.25', size: '4', linkpath: 'target' }) },
+			{ name: 'truncated', content: 'Long' },
+			{ name: 'short.txt', content: 'S', uid: 1 },
+		]))
+		assert.deepStrictEqual(entries.map(e => e.path), [longName, 'short.txt'])
+		assert.strictEqual(entries[0].mtimeMs, 1700000000250)
+		assert.strictEqual(entries[0].size, 4)
+		assert.strictEqual(entries[0].linkname, 'target')
+		assert.strictEqual(entries[0].uid, 7)
+		assert.strictEqual(entries[1].uid, 7)
+		assert.deepStrictEqual(Tar.pax(encoder.encode(pax({ path: 'Привіт.txt' }))), { path: 'Привіт.txt' })
+		assert.throws(() => Tar.pax(encoder.encode('99 path=x\n')), /Invalid pax header record: 0/)
+	})
+
+	it('should apply GNU long names and long link names', () => {
+		const name = 'gnu/' + 'y'.repeat(110)
+		const link = 'gnu/' + 'z'.repeat(110)
+		const entries = Tar.parse(pack([
+			{ name: '././@LongLink', type: 'L', content: name + '\0' },
+			{ name: '././@LongLink', type: 'K', content: link + '\0' },
+			{ name: 'truncated', type: '2', linkname: 'truncated' },
+			{ name: 'next.txt', content: 'N' },
+		]))
+		assert.deepStrictEqual(entries.map(e => [e.path, e.linkname]), [[name, link], ['next.txt', '']])
+	})
+
+	it('should read base-256 numeric fields', () => {
+		const bytes = pack([{ name: 'big.txt', content: 'x'.repeat(700), base256: true }])
+		const [entry] = Tar.parse(bytes)
+		assert.strictEqual(entry.size, 700)
+		const huge = header({ name: 'huge.bin', size: 2 ** 33 + 5, base256: true })
+		assert.throws(() => Tar.parse(huge), /Unexpected end of tar archive: 0/)
+	})
+
+	it('should skip entries outside of the archive root', () => {
+		const entries = Tar.parse(pack([
+			{ name: '../etc/passwd', content: 'x' },
+			{ name: 'a/../../b.txt', content: 'x' },
+			{ name: './', type: '5' },
+			{ name: 'safe/../ok.txt', content: 'ok' },
+		]))
+		assert.deepStrictEqual(entries.map(e => e.path), ['ok.txt'])
+		assert.strictEqual(Tar.resolve('../x'), null)
+	})
+
+	it('should decode UTF-8 text or return null for binary content', () => {
+		assert.strictEqual(Tar.text(encoder.encode('Привіт')), 'Привіт')
+		assert.strictEqual(Tar.text(new Uint8Array([0xff, 0xfe])), null)
+	})
+})
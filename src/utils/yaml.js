@@ -0,0 +1,433 @@
+/**
+ * Minimal YAML subset parsing and serialization:
+ * block mappings and sequences by indentation, flow collections `[a, b]` and `{a: 1}`,
+ * plain and quoted scalars, literal `|` and folded `>` block scalars, comments.
+ * Anchors, aliases, tags and multiple documents are not supported.
+ * @class
+ */
+class YAML {
+	/** @type {number} */
+	static INDENT = 2
+
+	/**
+	 * Parses YAML text into the value.
+	 * @static
+	 * @param {string} text - YAML text.
+	 * @returns {any} Parsed value.
+	 * @throws {SyntaxError} If indentation does not match or the line is not a part of the collection.
+	 */
+	static parse(text) {
+		// document markers are blanked to keep line numbers for errors
+		const lines = String(text).replace(/\r\n?/g, "\n").split("\n")
+			.map(line => /^(---|\.\.\.)\s*(#.*)?$/.test(line) ? "" : line)
+		const state = { lines, i: 0 }
+		YAML.skip(state)
+		if (state.i >= lines.length) {
+			return null
+		}
+		const result = YAML.block(state, YAML.indentOf(lines[state.i]))
+		YAML.skip(state)
+		if (state.i < lines.length) {
+			YAML.fail(state, "Unexpected content")
+		}
+		return result
+	}
+
+	/**
+	 * Throws the parse error for the current line.
+	 * @static
+	 * @param {{ lines: string[], i: number }} state
+	 * @param {string} message
+	 * @returns {never}
+	 * @throws {SyntaxError}
+	 */
+	static fail(state, message) {
+		throw new SyntaxError([`${message} at line ${state.i + 1}`, state.lines[state.i].trim()].join(": "))
+	}
+
+	/**
+	 * Moves the state to the next meaningful line skipping blank lines and comments.
+	 * @static
+	 * @param {{ lines: string[], i: number }} state
+	 * @returns {void}
+	 */
+	static skip(state) {
+		while (state.i < state.lines.length && /^\s*(#.*)?$/.test(state.lines[state.i])) {
+			++state.i
+		}
+	}
+
+	/**
+	 * Returns number of leading spaces.
+	 * @static
+	 * @param {string} line
+	 * @returns {number}
+	 */
+	static indentOf(line) {
+		return line.length - line.trimStart().length
+	}
+
+	/**
+	 * Parses block collection or scalar starting at the current line.
+	 * @static
+	 * @param {{ lines: string[], i: number }} state
+	 * @param {number} indent
+	 * @returns {any}
+	 */
+	static block(state, indent) {
+		const content = YAML.uncomment(state.lines[state.i].trim())
+		if (YAML.isItem(content)) {
+			return YAML.sequence(state, indent)
+		}
+		if (YAML.splitPair(content)) {
+			return YAML.mapping(state, indent)
+		}
+		++state.i
+		return YAML.scalar(content)
+	}
+
+	/**
+	 * Checks if the line content is a sequence item.
+	 * @static
+	 * @param {string} content
+	 * @returns {boolean}
+	 */
+	static isItem(content) {
+		return "-" === content || content.startsWith("- ")
+	}
+
+	/**
+	 * Parses block sequence.
+	 * @static
+	 * @param {{ lines: string[], i: number }} state
+	 * @param {number} indent
+	 * @returns {any[]}
+	 */
+	static sequence(state, indent) {
+		const result = []
+		while (state.i < state.lines.length) {
+			const line = state.lines[state.i]
+			const content = YAML.uncomment(line.trim())
+			if (YAML.indentOf(line) > indent) YAML.fail(state, "Unexpected indentation")
+			if (YAML.indentOf(line) < indent || !YAML.isItem(content)) break
+			const rest = content.slice(1).trimStart()
+			if ("" === rest) {
+				++state.i
+				result.push(YAML.nested(state, indent))
+			}
+			else if (YAML.splitPair(rest) || YAML.isItem(rest)) {
+				const offset = indent + line.trimStart().indexOf(rest)
+				state.lines[state.i] = " ".repeat(offset) + rest
+				result.push(YAML.block(state, offset))
+			}
+			else if (/^[|>][-+]?$/.test(rest)) {
+				++state.i
+				result.push(YAML.blockScalar(state, indent, rest))
+			}
+			else {
+				++state.i
+				result.push(YAML.scalar(rest))
+			}
+			YAML.skip(state)
+		}
+		return result
+	}
+
+	/**
+	 * Parses block mapping.
+	 * @static
+	 * @param {{ lines: string[], i: number }} state
+	 * @param {number} indent
+	 * @returns {Record<string, any>}
+	 */
+	static mapping(state, indent) {
+		/** @type {Record<string, any>} */
+		const result = {}
+		while (state.i < state.lines.length) {
+			const line = state.lines[state.i]
+			if (YAML.indentOf(line) > indent) YAML.fail(state, "Unexpected indentation")
+			if (YAML.indentOf(line) < indent) break
+			const content = YAML.uncomment(line.trim())
+			const pair = YAML.splitPair(content)
+			if (!pair || YAML.isItem(content)) YAML.fail(state, "Expected key: value pair")
+			const [key, value] = pair
+			++state.i
+			if ("" === value) {
+				YAML.skip(state)
+				const next = state.lines[state.i] ?? ""
+				const sameLevelItem = YAML.indentOf(next) === indent && YAML.isItem(next.trim())
+				result[key] = sameLevelItem ? YAML.sequence(state, indent) : YAML.nested(state, indent)
+			}
+			else if (/^[|>][-+]?$/.test(value)) {
+				result[key] = YAML.blockScalar(state, indent, value)
+			}
+			else {
+				result[key] = YAML.scalar(value)
+			}
+			YAML.skip(state)
+		}
+		return result
+	}
+
+	/**
+	 * Parses nested block deeper than indent, or null if there is none.
+	 * @static
+	 * @param {{ lines: string[], i: number }} state
+	 * @param {number} indent
+	 * @returns {any}
+	 */
+	static nested(state, indent) {
+		YAML.skip(state)
+		if (state.i >= state.lines.length) {
+			return null
+		}
+		const next = YAML.indentOf(state.lines[state.i])
+		return next > indent ? YAML.block(state, next) : null
+	}
+
+	/**
+	 * Parses literal "|" or folded ">" block scalar.
+	 * @static
+	 * @param {{ lines: string[], i: number }} state
+	 * @param {number} indent Indent of the parent
+	 * @param {string} header Block indicator with optional chomping
+	 * @returns {string}
+	 */
+	static blockScalar(state, indent, header) {
+		const lines = []
+		let level = -1
+		while (state.i < state.lines.length) {
+			const line = state.lines[state.i]
+			if ("" !== line.trim()) {
+				const current = YAML.indentOf(line)
+				if (current <= indent) break
+				if (level < 0) level = current
+			}
+			lines.push(line.slice(Math.max(level, 0)))
+			++state.i
+		}
+		while (lines.length && "" === lines[lines.length - 1].trim()) {
+			lines.pop()
+		}
+		const text = header.startsWith(">")
+			? lines.reduce((acc, line, i) => {
+				if (0 === i) return line
+				if ("" === line || acc.endsWith("\n")) return acc + "\n" + line
+				return acc + " " + line
+			}, "")
+			: lines.join("\n")
+		if (header.endsWith("-")) {
+			return text
+		}
+		return text + "\n"
+	}
+
+	/**
+	 * Removes trailing comment outside of quotes.
+	 * @static
+	 * @param {string} content
+	 * @returns {string}
+	 */
+	static uncomment(content) {
+		let quote = ""
+		for (let i = 0; i < content.length; i++) {
+			const char = content[i]
+			if (quote) {
+				if ("\\" === char && "\"" === quote) ++i
+				else if (char === quote) quote = ""
+			}
+			else if ("\"" === char || "'" === char) {
+				if (0 === i || /[\s[{,:]/.test(content[i - 1])) quote = char
+			}
+			else if ("#" === char && (0 === i || /\s/.test(content[i - 1]))) {
+				return content.slice(0, i).trimEnd()
+			}
+		}
+		return content
+	}
+
+	/**
+	 * Splits "key: value" pair outside of quotes and flow collections.
+	 * @static
+	 * @param {string} content
+	 * @returns {[string, string] | null}
+	 */
+	static splitPair(content) {
+		let quote = ""
+		let depth = 0
+		for (let i = 0; i < content.length; i++) {
+			const char = content[i]
+			if (quote) {
+				if ("\\" === char && "\"" === quote) ++i
+				else if (char === quote) quote = ""
+			}
+			else if (("\"" === char || "'" === char) && 0 === i) quote = char
+			else if ("[" === char || "{" === char) ++depth
+			else if ("]" === char || "}" === char) --depth
+			else if (":" === char && 0 === depth && (i + 1 === content.length || " " === content[i + 1])) {
+				const key = content.slice(0, i).trim()
+				return [String(YAML.scalar(key) ?? key), content.slice(i + 1).trim()]
+			}
+		}
+		return null
+	}
+
+	/**
+	 * Splits flow collection content by top level commas.
+	 * @static
+	 * @param {string} content
+	 * @returns {string[]}
+	 */
+	static splitFlow(content) {
+		const result = []
+		let quote = ""
+		let depth = 0
+		let from = 0
+		for (let i = 0; i < content.length; i++) {
+			const char = content[i]
+			if (quote) {
+				if ("\\" === char && "\"" === quote) ++i
+				else if (char === quote) quote = ""
+			}
+			else if ("\"" === char || "'" === char) quote = char
+			else if ("[" === char || "{" === char) ++depth
+			else if ("]" === char || "}" === char) --depth
+			else if ("," === char && 0 === depth) {
+				result.push(content.slice(from, i).trim())
+				from = i + 1
+			}
+		}
+		const last = content.slice(from).trim()
+		if (last) result.push(last)
+		return result
+	}
+
+	/**
+	 * Parses scalar or flow collection.
+	 * @static
+	 * @param {string} content
+	 * @returns {any}
+	 */
+	static scalar(content) {
+		const str = content.trim()
+		if (str.startsWith("[") && str.endsWith("]")) {
+			return YAML.splitFlow(str.slice(1, -1)).map(item => YAML.scalar(item))
+		}
+		if (str.startsWith("{") && str.endsWith("}")) {
+			/** @type {Record<string, any>} */
+			const result = {}
+			for (const item of YAML.splitFlow(str.slice(1, -1))) {
+				const pair = YAML.splitPair(item) ?? [item, ""]
+				result[pair[0]] = "" === pair[1] ? null : YAML.scalar(pair[1])
+			}
+			return result
+		}
+		if (str.startsWith("\"") && str.endsWith("\"") && str.length > 1) {
+			return JSON.parse(str.replace(/\\'/g, "'"))
+		}
+		if (str.startsWith("'") && str.endsWith("'") && str.length > 1) {
+			return str.slice(1, -1).replaceAll("''", "'")
+		}
+		if (["", "~", "null", "Null", "NULL"].includes(str)) return null
+		if (["true", "True", "TRUE"].includes(str)) return true
+		if (["false", "False", "FALSE"].includes(str)) return false
+		if (/^[-+]?(\d[\d_]*(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/.test(str)) {
+			return Number(str.replaceAll("_", ""))
+		}
+		if (/^0x[\da-fA-F]+$/.test(str)) return parseInt(str, 16)
+		if (/^[-+]?\.(inf|Inf|INF)$/.test(str)) return str.startsWith("-") ? -Infinity : Infinity
+		if (/^\.(nan|NaN|NAN)$/.test(str)) return NaN
+		return str
+	}
+
+	/**
+	 * Serializes the string, quoted when it could be read as another type.
+	 * @static
+	 * @param {string} str
+	 * @returns {string}
+	 */
+	static quote(str) {
+		const plain = /^[^\s\-?:,[\]{}#&*!|>'"%@`]([^:#\n]|:(?! )|(?<! )#)*$/.test(str)
+			&& !/\s$/.test(str)
+			&& !str.endsWith(":")
+			&& "string" === typeof YAML.scalar(str)
+		return plain ? str : JSON.stringify(str)
+	}
+
+	/**
+	 * Serializes the value into YAML text.
+	 * @static
+	 * @param {any} value - Value to serialize.
+	 * @param {number} [indent=0] - Current indentation (used recursively).
+	 * @returns {string} YAML text.
+	 */
+	static stringify(value, indent = 0) {
+		const pad = " ".repeat(indent)
+		if (Array.isArray(value)) {
+			if (!value.length) return pad + "[]\n"
+			return value.map(item => {
+				if (YAML.isCollection(item)) {
+					const nested = YAML.stringify(item, indent + YAML.INDENT)
+					return pad + "-" + nested.slice(indent + 1)
+				}
+				return pad + "- " + YAML.inline(item, indent + YAML.INDENT) + "\n"
+			}).join("")
+		}
+		if (null !== value && "object" === typeof value && !(value instanceof Date)) {
+			const entries = Object.entries(value).filter(([, v]) => undefined !== v)
+			if (!entries.length) return pad + "{}\n"
+			return entries.map(([key, item]) => {
+				const name = pad + YAML.quote(key) + ":"
+				if (YAML.isCollection(item)) {
+					return name + "\n" + YAML.stringify(item, indent + YAML.INDENT)
+				}
+				return name + " " + YAML.inline(item, indent + YAML.INDENT) + "\n"
+			}).join("")
+		}
+		return pad + YAML.inline(value, indent + YAML.INDENT) + "\n"
+	}
+
+	/**
+	 * Checks if the value is a non empty array or object.
+	 * @static
+	 * @param {any} value
+	 * @returns {boolean}
+	 */
+	static isCollection(value) {
+		if (Array.isArray(value)) return value.length > 0
+		return null !== value && "object" === typeof value && !(value instanceof Date)
+			&& Object.keys(value).length > 0
+	}
+
+	/**
+	 * Serializes scalar or empty collection on the same line.
+	 * @static
+	 * @param {any} value
+	 * @param {number} indent Indentation of the block scalar lines
+	 * @returns {string}
+	 */
+	static inline(value, indent) {
+		if (null === value || undefined === value) return "null"
+		if (value instanceof Date) return value.toISOString()
+		if (Array.isArray(value)) return "[]"
+		if ("object" === typeof value) return "{}"
+		if ("number" === typeof value) {
+			if (Number.isNaN(value)) return ".nan"
+			if (!Number.isFinite(value)) return value > 0 ? ".inf" : "-.inf"
+			return String(value)
+		}
+		if ("string" !== typeof value) return String(value)
+		if (value.includes("\n") && !/^\s/.test(value) && !/[^\S\n]\n/.test(value)) {
+			const pad = " ".repeat(indent)
+			const chomp = value.endsWith("\n") ? "" : "-"
+			const body = value.replace(/\n$/, "").split("\n").map(line => line ? pad + line : "").join("\n")
+			return "|" + chomp + "\n" + body
+		}
+		return YAML.quote(value)
+	}
+}
+
+export const parse = YAML.parse
+export const stringify = YAML.stringify
+
+export default YAML
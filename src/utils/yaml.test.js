@@ -0,0 +1,119 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import YAML, { parse, stringify } from './yaml.js'
+
+describe('YAML', () => {
+	it('should parse mappings with scalars', () => {
+		const text = [
+			'# comment',
+			'---',
+			'name: App  # trailing comment',
+			'version: 1.5',
+			'enabled: true',
+			'none: ~',
+			'url: http://example.com/#top',
+			"quoted: 'it''s'",
+			'escaped: "a\\tb"',
+			'number: "42"',
+		].join('\n')
+		assert.deepStrictEqual(parse(text), {
+			name: 'App',
+			version: 1.5,
+			enabled: true,
+			none: null,
+			url: 'http://example.com/#top',
+			quoted: "it's",
+			escaped: 'a\tb',
+			number: '42',
+		})
+	})
+
+	it('should parse nested sequences and mappings', () => {
+		const text = [
+			'list:',
+			'  - one',
+			'  - key: value',
+			'    count: 2',
+			'  - - nested',
+			'    - 3',
+			'same:',
+			'- a',
+			'- b',
+			'empty:',
+			'flow: [a, "b, c", {x: 1}]',
+		].join('\n')
+		assert.deepStrictEqual(parse(text), {
+			list: ['one', { key: 'value', count: 2 }, ['nested', 3]],
+			same: ['a', 'b'],
+			empty: null,
+			flow: ['a', 'b, c', { x: 1 }],
+		})
+	})
+
+	it('should parse literal and folded block scalars', () => {
+		const text = [
+			'literal: |',
+			'  line 1',
+			'',
+			'  line 2',
+			'folded: >-',
+			'  a',
+			'  b',
+			'next: 1',
+		].join('\n')
+		assert.deepStrictEqual(parse(text), {
+			literal: 'line 1\n\nline 2\n',
+			folded: 'a b',
+			next: 1,
+		})
+	})
+
+	it('should parse top level scalars and empty documents', () => {
+		assert.strictEqual(parse('42'), 42)
+		assert.strictEqual(parse(''), null)
+		assert.deepStrictEqual(parse('- 1\n- 2'), [1, 2])
+	})
+
+	it('should throw with the line number on bad indentation', () => {
+		assert.throws(() => parse('a: 1\n  b: 2\nc: 3'), {
+			name: 'SyntaxError',
+			message: 'Unexpected indentation at line 2: b: 2',
+		})
+		assert.throws(() => parse('a:\n  b: 1\n c: 2'), /Unexpected indentation at line 3: c: 2/)
+		assert.throws(() => parse('list:\n  - a\n    - b'), /Unexpected indentation at line 3: - b/)
+		assert.throws(() => parse('  a: 1\nb: 2'), /Unexpected content at line 2: b: 2/)
+	})
+
+	it('should throw with the line number on lines that are not pairs or items', () => {
+		assert.throws(() => parse('---\na: 1\nplain'), /Expected key: value pair at line 3: plain/)
+		assert.throws(() => parse('a: 1\n- b'), /Expected key: value pair at line 2: - b/)
+		assert.throws(() => parse('- a\nb: 1'), /Unexpected content at line 2: b: 1/)
+	})
+
+	it('should stringify values that parse back', () => {
+		const value = {
+			a: [],
+			b: {},
+			c: 'true',
+			d: 'a: b',
+			e: '- x',
+			f: [{ a: [1, 2], b: { c: null } }],
+			g: 'multi\nline',
+			h: '',
+			i: 'x #y',
+			j: 'plain text',
+		}
+		const text = stringify(value)
+		assert.deepStrictEqual(parse(text), value)
+		assert.ok(text.includes('j: plain text\n'))
+		assert.ok(text.includes('c: "true"\n'))
+		assert.ok(text.includes('g: |-\n  multi\n  line\n'))
+	})
+
+	it('should stringify sequences of mappings with compact items', () => {
+		assert.strictEqual(
+			YAML.stringify([{ name: 'a', tags: ['x'] }, 'b']),
+			'- name: a\n  tags:\n    - x\n- b\n'
+		)
+	})
+})
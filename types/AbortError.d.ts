@@ -0,0 +1,43 @@
+export default AbortError;
+/**
+ * Signal of the AbortController, only the fields read by the database are declared
+ * so the types do not depend on the DOM or Node.js typings.
+ */
+export type AbortSignal = {
+    aborted: boolean;
+    reason?: any;
+};
+/**
+ * Signal of the AbortController, only the fields read by the database are declared
+ * so the types do not depend on the DOM or Node.js typings.
+ * @typedef {object} AbortSignal
+ * @property {boolean} aborted
+ * @property {any} [reason]
+ */
+/**
+ * Thrown when the operation is cancelled with its AbortSignal,
+ * the reason of the signal is the cause of the error.
+ * @class
+ */
+declare class AbortError extends Error {
+    /**
+     * Throws AbortError if the signal is aborted.
+     * @param {AbortSignal | undefined | null} signal
+     * @param {string} [uri=""] URI of the operation
+     * @returns {void}
+     * @throws {AbortError}
+     */
+    static throwIfAborted(signal: AbortSignal | undefined | null, uri?: string | undefined): void;
+    /**
+     * Creates a new AbortError instance
+     * @param {object} input
+     * @param {string} [input.uri=""] URI of the cancelled operation
+     * @param {any} [input.reason] Reason of the signal
+     */
+    constructor(input?: {
+        uri?: string | undefined;
+        reason?: any;
+    });
+    /** @type {string} */
+    uri: string;
+}
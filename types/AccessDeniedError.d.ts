@@ -0,0 +1,26 @@
+export default AccessDeniedError;
+/**
+ * Thrown by ensureAccess when the access policy refuses the access level
+ * of the subject to the document.
+ * @class
+ */
+declare class AccessDeniedError extends Error {
+    /**
+     * Creates a new AccessDeniedError instance
+     * @param {object} input
+     * @param {string} [input.uri=""] Document URI
+     * @param {string} [input.level="r"] Refused access level
+     * @param {import("./AccessPolicy.js").AccessSubject} [input.subject={}] Subject of the access
+     */
+    constructor(input?: {
+        uri?: string | undefined;
+        level?: string | undefined;
+        subject?: import("./AccessPolicy.js").AccessSubject | undefined;
+    });
+    /** @type {string} */
+    uri: string;
+    /** @type {string} */
+    level: string;
+    /** @type {import("./AccessPolicy.js").AccessSubject} */
+    subject: import("./AccessPolicy.js").AccessSubject;
+}
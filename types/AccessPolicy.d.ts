@@ -0,0 +1,141 @@
+export default AccessPolicy;
+export type AccessSubject = {
+    /**
+     * User name
+     */
+    user?: string | undefined;
+    /**
+     * Roles of the user
+     */
+    roles?: string[] | undefined;
+    /**
+     * Groups of the user
+     */
+    groups?: string[] | undefined;
+};
+export type AccessRule = {
+    effect: "allow" | "deny";
+    /**
+     * Glob patterns, literal paths also cover their subdirectories
+     */
+    path: string[];
+    /**
+     * "*", "user:name", "role:name", "group:name", bare name is a user
+     */
+    subject: string[];
+    /**
+     * Access levels, any of "r", "w", "d"
+     */
+    level: string;
+    /**
+     * Compiled path patterns
+     */
+    glob: Glob;
+};
+/**
+ * @typedef {object} AccessSubject
+ * @property {string} [user] User name
+ * @property {string[]} [roles] Roles of the user
+ * @property {string[]} [groups] Groups of the user
+ */
+/**
+ * @typedef {object} AccessRule
+ * @property {"allow" | "deny"} effect
+ * @property {string[]} path Glob patterns, literal paths also cover their subdirectories
+ * @property {string[]} subject "*", "user:name", "role:name", "group:name", bare name is a user
+ * @property {string} level Access levels, any of "r", "w", "d"
+ * @property {Glob} glob Compiled path patterns
+ */
+/**
+ * Rule-based access control policy.
+ * A level is granted when at least one allow rule matches and no deny rule matches,
+ * documents without matching rules get the default effect.
+ * @example
+ * const policy = new AccessPolicy({
+ * 	rules: [
+ * 		{ effect: "allow", path: "**", subject: "*", level: "r" },
+ * 		{ effect: "allow", path: "posts/**", subject: "role:editor", level: "rwd" },
+ * 		{ effect: "deny", path: "posts/archive", subject: "*", level: "wd" },
+ * 	],
+ * })
+ * @class
+ */
+declare class AccessPolicy {
+    /** @type {string} Default URI of the policy document */
+    static URI: string;
+    /** @type {string} */
+    static LEVELS: string;
+    /**
+     * Returns subject names in the rule notation: "user:name", "role:name", "group:name".
+     * @param {AccessSubject} subject
+     * @returns {Set<string>}
+     */
+    static subjects(subject: AccessSubject): Set<string>;
+    /**
+     * Creates AccessPolicy from input, list of rules or returns existing instance.
+     * @param {object|Array<object>|AccessPolicy} input
+     * @returns {AccessPolicy}
+     */
+    static from(input: object | Array<object> | AccessPolicy): AccessPolicy;
+    /**
+     * Creates a new AccessPolicy instance
+     * @param {object} input
+     * @param {Array<object>} [input.rules=[]] Rules with effect, path, subject and level
+     * @param {"allow" | "deny"} [input.defaultEffect="deny"] Effect when no rule matches
+     */
+    constructor(input?: {
+        rules?: any[] | undefined;
+        defaultEffect?: "allow" | "deny" | undefined;
+    });
+    /** @type {AccessRule[]} */
+    rules: AccessRule[];
+    /** @type {"allow" | "deny"} */
+    defaultEffect: "allow" | "deny";
+    /**
+     * Adds the rule to the policy.
+     * @param {object} input
+     * @param {"allow" | "deny"} [input.effect="allow"]
+     * @param {string | string[]} [input.path="**"]
+     * @param {string | string[]} [input.subject="*"]
+     * @param {string} [input.level="r"]
+     * @returns {AccessRule}
+     * @throws {TypeError} If effect or level is invalid
+     */
+    add(input: {
+        effect?: "allow" | "deny" | undefined;
+        path?: string | string[] | undefined;
+        subject?: string | string[] | undefined;
+        level?: string | undefined;
+    }): AccessRule;
+    /**
+     * Checks if the rule applies to the subject, document and level.
+     * @param {AccessRule} rule
+     * @param {AccessSubject} subject
+     * @param {string} uri
+     * @param {string} level
+     * @returns {boolean}
+     */
+    matches(rule: AccessRule, subject: AccessSubject, uri: string, level: string): boolean;
+    /**
+     * Checks if the subject has the access level to the document, deny overrides allow.
+     * @param {AccessSubject} subject
+     * @param {string} uri
+     * @param {string} [level="r"]
+     * @returns {boolean}
+     */
+    allows(subject: AccessSubject, uri: string, level?: string | undefined): boolean;
+    /**
+     * Returns the policy document representation.
+     * @returns {{ defaultEffect: string, rules: Array<{ effect: string, path: string[], subject: string[], level: string }> }}
+     */
+    toJSON(): {
+        defaultEffect: string;
+        rules: Array<{
+            effect: string;
+            path: string[];
+            subject: string[];
+            level: string;
+        }>;
+    };
+}
+import Glob from "./utils/glob.js";
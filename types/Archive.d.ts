@@ -0,0 +1,166 @@
+export default Archive;
+export type ArchiveDocument = {
+    /**
+     * Document URI relative to the root of the database
+     */
+    uri: string;
+    /**
+     * Document content, base64 string for the binary documents
+     */
+    data: any;
+    /**
+     * Encoding of the binary content
+     */
+    encoding?: "base64" | undefined;
+    /**
+     * Fields of the DocumentStat
+     */
+    meta?: object;
+};
+export type ArchiveHeader = {
+    /**
+     * Always Archive.FORMAT
+     */
+    format: string;
+    /**
+     * Version of the archive format
+     */
+    version: number;
+    /**
+     * Exported directory
+     */
+    prefix: string;
+    /**
+     * Time of the export
+     */
+    createdAt: number;
+};
+/**
+ * @typedef {object} ArchiveDocument
+ * @property {string} uri Document URI relative to the root of the database
+ * @property {any} data Document content, base64 string for the binary documents
+ * @property {"base64"} [encoding] Encoding of the binary content
+ * @property {object} [meta] Fields of the DocumentStat
+ */
+/**
+ * @typedef {object} ArchiveHeader
+ * @property {string} format Always Archive.FORMAT
+ * @property {number} version Version of the archive format
+ * @property {string} prefix Exported directory
+ * @property {number} createdAt Time of the export
+ */
+/**
+ * Self-describing snapshot of the database documents, portable between backends.
+ * As JSON bundle it is a header with the documents array,
+ * as NDJSON it is a header line followed by a line for every document.
+ * @example
+ * // {"format":"nan0web-db","version":1,"prefix":".","createdAt":1700000000000}
+ * // {"uri":"posts/1.json","data":{"title":"Hello"}}
+ * @class
+ */
+declare class Archive {
+    /** @type {string} */
+    static FORMAT: string;
+    /** @type {number} */
+    static VERSION: number;
+    /**
+     * Checks the format and version of the archive header.
+     * @param {{ format?: any, version?: any }} header
+     * @returns {void}
+     * @throws {TypeError} If format or version is not supported
+     */
+    static validate(header: {
+        format?: any;
+        version?: any;
+    }): void;
+    /**
+     * Creates archive document, binary content is encoded into base64.
+     * @param {string} uri
+     * @param {any} data
+     * @param {DocumentStat} [stat] Included as meta when provided
+     * @returns {ArchiveDocument}
+     */
+    static document(uri: string, data: any, stat?: DocumentStat | undefined): ArchiveDocument;
+    /**
+     * Returns decoded content of the archive document.
+     * @param {ArchiveDocument} doc
+     * @returns {any}
+     * @throws {TypeError} If encoding is not supported
+     */
+    static content(doc: ArchiveDocument): any;
+    /**
+     * Returns stat of the archive document, empty when it has no meta.
+     * @param {ArchiveDocument} doc
+     * @returns {DocumentStat}
+     */
+    static stat(doc: ArchiveDocument): DocumentStat;
+    /**
+     * Reads documents of the archive one by one after checking its header,
+     * NDJSON text can be provided as an iterable of chunks split anywhere.
+     * @param {Archive | object | string | Iterable<string> | AsyncIterable<string>} input
+     * JSON bundle, NDJSON text or its chunks
+     * @yields {ArchiveDocument}
+     * @returns {AsyncGenerator<ArchiveDocument, void, unknown>}
+     * @throws {TypeError} If archive or its chunk is not supported
+     * @throws {Error} If NDJSON line cannot be parsed
+     */
+    static documents(input: Archive | object | string | Iterable<string> | AsyncIterable<string>): AsyncGenerator<ArchiveDocument, void, unknown>;
+    /**
+     * Parses NDJSON line of the archive.
+     * @param {string} text
+     * @param {number} line - Line number for the error message
+     * @returns {any}
+     * @throws {Error} If line cannot be parsed
+     */
+    static parseLine(text: string, line: number): any;
+    /**
+     * Creates Archive from JSON bundle, NDJSON text or returns existing instance.
+     * @param {Archive | object | string} input
+     * @returns {Archive}
+     * @throws {TypeError} If archive is not supported
+     * @throws {Error} If NDJSON line cannot be parsed
+     */
+    static from(input: Archive | object | string): Archive;
+    /**
+     * Creates a new Archive instance
+     * @param {object} input
+     * @param {string} [input.format=Archive.FORMAT]
+     * @param {number} [input.version=Archive.VERSION]
+     * @param {string} [input.prefix="."] Exported directory
+     * @param {number} [input.createdAt=Date.now()] Time of the export
+     * @param {ArchiveDocument[]} [input.documents=[]]
+     * @throws {TypeError} If format or version is not supported
+     */
+    constructor(input?: {
+        format?: string | undefined;
+        version?: number | undefined;
+        prefix?: string | undefined;
+        createdAt?: number | undefined;
+        documents?: ArchiveDocument[] | undefined;
+    });
+    /** @type {string} */
+    prefix: string;
+    /** @type {number} */
+    createdAt: number;
+    /** @type {ArchiveDocument[]} */
+    documents: ArchiveDocument[];
+    /**
+     * Header of the archive, the first line of NDJSON.
+     * @returns {ArchiveHeader}
+     */
+    get header(): ArchiveHeader;
+    /**
+     * Returns JSON bundle of the archive.
+     * @returns {ArchiveHeader & { documents: ArchiveDocument[] }}
+     */
+    toJSON(): ArchiveHeader & {
+        documents: ArchiveDocument[];
+    };
+    /**
+     * Yields NDJSON lines of the archive, every line ends with a newline.
+     * @yields {string}
+     * @returns {Generator<string, void, unknown>}
+     */
+    toNDJSON(): Generator<string, void, unknown>;
+}
+import DocumentStat from "./DocumentStat.js";
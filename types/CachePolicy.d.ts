@@ -0,0 +1,77 @@
+export default CachePolicy;
+/**
+ * Least recently used policy of the loaded documents cache.
+ * Tracks loaded documents in the order of access and selects the ones
+ * to evict when the cache is over its limits or the documents are expired.
+ * @class
+ */
+declare class CachePolicy {
+    /**
+     * Calculates approximate size of the value in memory, two bytes per character.
+     * @param {any} value
+     * @returns {number}
+     */
+    static sizeOf(value: any): number;
+    /**
+     * Creates CachePolicy from input or returns existing instance.
+     * @param {object|CachePolicy} input
+     * @returns {CachePolicy}
+     */
+    static from(input: object | CachePolicy): CachePolicy;
+    /**
+     * Creates a new CachePolicy instance
+     * @param {object} input
+     * @param {number} [input.maxEntries=0] Maximum number of loaded documents, 0 for unlimited
+     * @param {number} [input.maxBytes=0] Maximum approximate size in bytes, 0 for unlimited
+     * @param {number} [input.ttl=0] Time to live in milliseconds, 0 for unlimited
+     */
+    constructor(input?: {
+        maxEntries?: number | undefined;
+        maxBytes?: number | undefined;
+        ttl?: number | undefined;
+    });
+    /** @type {number} Maximum number of loaded documents, 0 for unlimited */
+    maxEntries: number;
+    /** @type {number} Maximum approximate size of loaded documents in bytes, 0 for unlimited */
+    maxBytes: number;
+    /** @type {number} Time to live of loaded documents in milliseconds, 0 for unlimited */
+    ttl: number;
+    /** @type {Map<string, { data: any, bytes: number, timeMs: number }>} From the least to the most recently used */
+    entries: Map<string, {
+        data: any;
+        bytes: number;
+        timeMs: number;
+    }>;
+    /** @type {number} Approximate size of tracked documents in bytes */
+    bytes: number;
+    /**
+     * Marks the document as the most recently used,
+     * new or changed content is measured and its time to live starts again.
+     * @param {string} uri
+     * @param {any} data
+     * @param {number} [now=Date.now()]
+     * @returns {void}
+     */
+    touch(uri: string, data: any, now?: number | undefined): void;
+    /**
+     * Stops tracking the document.
+     * @param {string} uri
+     * @returns {boolean} False if document was not tracked
+     */
+    forget(uri: string): boolean;
+    /**
+     * Checks if the document outlived its time to live.
+     * @param {string} uri
+     * @param {number} [now=Date.now()]
+     * @returns {boolean}
+     */
+    expired(uri: string, now?: number | undefined): boolean;
+    /**
+     * Selects documents to evict: expired ones and the least recently used ones
+     * while the cache is over its limits.
+     * @param {(uri: string) => boolean} [keep] Documents that must not be evicted, such as unsaved changes
+     * @param {number} [now=Date.now()]
+     * @returns {string[]}
+     */
+    evictable(keep?: ((uri: string) => boolean) | undefined, now?: number | undefined): string[];
+}
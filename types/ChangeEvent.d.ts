@@ -0,0 +1,58 @@
+export default ChangeEvent;
+/**
+ * Represents a change of the document in the database
+ * @class
+ */
+declare class ChangeEvent {
+    /**
+     * Creates a ChangeEvent from input
+     * @param {object|ChangeEvent} input
+     * @returns {ChangeEvent}
+     */
+    static from(input: object | ChangeEvent): ChangeEvent;
+    /**
+     * Creates a new ChangeEvent instance
+     * @param {object} input
+     * @param {"set" | "drop" | "move" | "push" | "load"} [input.type="set"]
+     * @param {string} [input.uri=""] Changed document, target document for the move
+     * @param {any} [input.data] Document content for set and load
+     * @param {DocumentStat | object | null} [input.stat=null]
+     * @param {string} [input.from=""] Source document for the move
+     * @param {string} [input.to=""] Target document for the move
+     * @param {number} [input.timeMs=Date.now()]
+     */
+    constructor(input?: {
+        type?: "push" | "set" | "drop" | "move" | "load" | undefined;
+        uri?: string | undefined;
+        data?: any;
+        stat?: DocumentStat | object | null;
+        from?: string | undefined;
+        to?: string | undefined;
+        timeMs?: number | undefined;
+    });
+    /** @type {"set" | "drop" | "move" | "push" | "load"} */
+    type: "set" | "drop" | "move" | "push" | "load";
+    /** @type {string} */
+    uri: string;
+    /** @type {any} */
+    data: any;
+    /** @type {DocumentStat | null} */
+    stat: DocumentStat | null;
+    /** @type {string} */
+    from: string;
+    /** @type {string} */
+    to: string;
+    /** @type {number} */
+    timeMs: number;
+    /**
+     * Get time of the change as Date object
+     * @returns {Date}
+     */
+    get time(): Date;
+    /**
+     * Get string representation of the change
+     * @returns {string}
+     */
+    toString(): string;
+}
+import DocumentStat from "./DocumentStat.js";
@@ -1,4 +1,5 @@
 export default DB;
+export type AbortSignal = import("./AbortError.js").AbortSignal;
 /**
  * Base database class for document storage and retrieval
  * @class
@@ -17,7 +18,12 @@ declare class DB {
      * - working directory,
      * - data and metadata maps,
      * - connection status,
-     * - attached databases.
+     * - attached databases,
+     * - access policy and its subject,
+     * - version history settings,
+     * - loaded documents cache limits,
+     * - trash settings,
+     * - name of the inherited directory documents.
      *
      * @param {object} input
      * @param {string} [input.root="."]
@@ -26,6 +32,12 @@ declare class DB {
      * @param {Map<string, DocumentEntry | false>} [input.data=new Map()]
      * @param {Map<string, DocumentStat>} [input.meta=new Map()]
      * @param {DB[]} [input.dbs=[]]
+     * @param {AccessPolicy | object | null} [input.policy=null]
+     * @param {import("./AccessPolicy.js").AccessSubject} [input.subject={}]
+     * @param {Versioning | object | null} [input.versioning=null]
+     * @param {CachePolicy | object | null} [input.cache=null]
+     * @param {{ dir?: string }} [input.trash={}]
+     * @param {string} [input.inheritName="_.json"]
      */
     constructor(input?: {
         root?: string | undefined;
@@ -34,6 +46,14 @@ declare class DB {
         data?: Map<string, false | DocumentEntry> | undefined;
         meta?: Map<string, DocumentStat> | undefined;
         dbs?: DB[] | undefined;
+        policy?: AccessPolicy | object | null;
+        subject?: import("./AccessPolicy.js").AccessSubject | undefined;
+        versioning?: Versioning | object | null;
+        cache?: CachePolicy | object | null;
+        trash?: {
+            dir?: string | undefined;
+        } | undefined;
+        inheritName?: string | undefined;
     });
     /** @type {string} */
     encoding: string;
@@ -41,6 +61,8 @@ declare class DB {
     data: Map<string, DocumentEntry | false>;
     /** @type {Map<string, DocumentStat>} */
     meta: Map<string, DocumentStat>;
+    /** @type {Set<string>} URIs of the documents changed by set and not pushed yet */
+    dirty: Set<string>;
     /** @type {boolean} */
     connected: boolean;
     /** @type {string} */
@@ -49,6 +71,32 @@ declare class DB {
     cwd: string;
     /** @type {DB[]} */
     dbs: DB[];
+    /** @type {Map<string, DB>} */
+    mounts: Map<string, DB>;
+    /** @type {Map<string, () => void>} */
+    mountListeners: Map<string, () => void>;
+    /** @type {Map<string, Set<(event: ChangeEvent) => void>>} */
+    listeners: Map<string, Set<(event: ChangeEvent) => void>>;
+    /** @type {Map<string, DocumentIndex>} */
+    indexes: Map<string, DocumentIndex>;
+    /** @type {Formats} */
+    formats: Formats;
+    /** @type {AccessPolicy | null} Access policy, every access is allowed without it */
+    policy: AccessPolicy | null;
+    /** @type {import("./AccessPolicy.js").AccessSubject} Subject checked by the access policy */
+    subject: import("./AccessPolicy.js").AccessSubject;
+    /** @type {Versioning | null} Version history settings, no history is kept without them */
+    versioning: Versioning | null;
+    /** @type {CachePolicy | null} Limits of the loaded documents, unlimited without them */
+    cache: CachePolicy | null;
+    /** @type {Trash} Trash of the documents dropped with the trash option */
+    trash: Trash;
+    /** @type {string} Name of the directory document inherited by every document below it */
+    inheritName: string;
+    /** @type {Map<string, any>} Merged documents cached by fetchMerged */
+    merged: Map<string, any>;
+    /** @type {(() => void) | null} Unsubscribes invalidation of the merged documents */
+    unwatchMerged: (() => void) | null;
     /**
      * Returns whether the database directory has been loaded
      * @returns {boolean}
@@ -59,17 +107,86 @@ declare class DB {
      */
     get loaded(): boolean;
     /**
-     * Attaches another DB instance
+     * Attaches another DB instance.
+     * When mount path is provided every operation on URI under this path
+     * is delegated to the attached database with the prefix removed,
+     * for instance `db.attach(friendDB, "mnt/YaRas.love/pics")`.
      * @param {DB} db - Database to attach
+     * @param {string} [mountPath] - Mount point for the attached database
      * @returns {void}
      */
-    attach(db: DB): void;
+    attach(db: DB, mountPath?: string | undefined): void;
     /**
-     * Detaches a database
-     * @param {DB} db - Database to detach
+     * Detaches a database and unmounts it.
+     * @param {DB|string} db - Database to detach or its mount path
      * @returns {DB[]|boolean} Array of detached database or false if not found
      */
-    detach(db: DB): DB[] | boolean;
+    detach(db: DB | string): DB[] | boolean;
+    /**
+     * Removes the mount point and stops forwarding its events.
+     * @param {string} path - Mount path
+     * @returns {void}
+     */
+    unmount(path: string): void;
+    /**
+     * Finds the attached database mounted at the longest prefix of the URI.
+     * @param {string} uri - Document URI
+     * @returns {{ db: DB, uri: string, path: string } | null}
+     * Mounted database, URI inside of it and the mount path, or null if URI is not mounted.
+     */
+    mounted(uri: string): {
+        db: DB;
+        uri: string;
+        path: string;
+    } | null;
+    /**
+     * Subscribes listener to the change events of the type,
+     * "*" subscribes to all types.
+     * @param {"set" | "drop" | "move" | "push" | "load" | "*"} type - Event type
+     * @param {(event: ChangeEvent) => void} listener
+     * @returns {() => void} Function to unsubscribe
+     */
+    on(type: "set" | "drop" | "move" | "push" | "load" | "*", listener: (event: ChangeEvent) => void): () => void;
+    /**
+     * Unsubscribes listener from the change events of the type.
+     * @param {"set" | "drop" | "move" | "push" | "load" | "*"} type - Event type
+     * @param {(event: ChangeEvent) => void} listener
+     * @returns {boolean} False if listener was not subscribed
+     */
+    off(type: "set" | "drop" | "move" | "push" | "load" | "*", listener: (event: ChangeEvent) => void): boolean;
+    /**
+     * Emits the change event to the listeners of its type and of all types.
+     * @param {"set" | "drop" | "move" | "push" | "load"} type - Event type
+     * @param {object} [input] - Event properties
+     * @returns {ChangeEvent}
+     */
+    emit(type: "set" | "drop" | "move" | "push" | "load", input?: object): ChangeEvent;
+    /**
+     * Watches for the changes of the documents as an async iterator.
+     * Listening starts immediately, so changes made before the first
+     * iteration are not lost; breaking the loop stops watching.
+     * @example
+     * for await (const event of db.watch("posts/")) {
+     * 	console.log(event.type, event.uri)
+     * }
+     * @param {string | ((event: ChangeEvent) => boolean)} [filter=""] URI prefix or callback
+     * @returns {AsyncIterableIterator<ChangeEvent>}
+     */
+    watch(filter?: string | ((event: ChangeEvent) => boolean) | undefined): AsyncIterableIterator<ChangeEvent>;
+    /**
+     * Returns names of virtual directories leading to the mount points
+     * right inside of the directory.
+     * @param {string} uri - Directory URI
+     * @returns {string[]}
+     */
+    mountsIn(uri: string): string[];
+    /**
+     * Joins mount path with the URI of the mounted database.
+     * @param {string} mount - Mount path
+     * @param {string} uri - URI inside of the mounted database
+     * @returns {string}
+     */
+    mountedPath(mount: string, uri: string): string;
     /**
      * Creates a new DB instance with a subset of the data and meta.
      * @param {string} uri The URI to extract from the current DB.
@@ -84,23 +201,76 @@ declare class DB {
      */
     extname(uri: string): string;
     /**
-     * Relative path resolver for file systems.
-     * Must be implemented by platform specific code
-     * @throws Not implemented in base class
-     * @param {string} from Base directory path
-     * @param {string} to Target directory path
-     * @returns {string} Relative path
+     * Registers format codec for the documents with the extension.
+     * Built-in codecs are listed in Formats.
+     * @example
+     * db.registerFormat(".toml", { parse: TOML.parse, stringify: TOML.stringify })
+     * @param {string} ext - Extension with or without leading dot, case insensitive
+     * @param {import("./utils/formats.js").FormatCodec} codec
+     * @returns {void}
+     */
+    registerFormat(ext: string, codec: import("./utils/formats.js").FormatCodec): void;
+    /**
+     * Returns format codec of the document by its extension.
+     * @param {string} uri
+     * @returns {import("./utils/formats.js").FormatCodec | undefined}
+     */
+    format(uri: string): import("./utils/formats.js").FormatCodec | undefined;
+    /**
+     * Parses raw document content loaded from the storage.
+     * Values that are not strings, empty strings and documents without codec
+     * are returned as is.
+     * @param {string} uri - Document URI
+     * @param {any} raw - Raw document content
+     * @returns {any}
+     * @throws {Error} If the codec fails to parse the document
+     */
+    decode(uri: string, raw: any): any;
+    /**
+     * Serializes document content before saving into the storage.
+     * Documents without codec are returned as is.
+     * @param {string} uri - Document URI
+     * @param {any} document - Document content
+     * @returns {any}
+     */
+    encode(uri: string, document: any): any;
+    /**
+     * Returns relative path from one URI to another, the root of the database is ".".
+     * @param {string} from Base directory URI
+     * @param {string} to Target URI
+     * @returns {string} Relative path, empty for the same URI
+     * @throws {Error} If any of URIs escapes above the root
      */
     relative(from: string, to: string): string;
+    /**
+     * Normalizes URI into the storage key relative to the root: no leading "./" or "/",
+     * no trailing and duplicate slashes, "." and ".." segments resolved, empty for the root.
+     * @param {string} uri
+     * @returns {string}
+     * @throws {Error} If the URI escapes above the root
+     */
+    normalize(uri: string): string;
     /**
      * Get string representation of the database
      * @returns {string}
      */
     toString(): string;
+    /**
+     * Creates path matchers of the filter.
+     * @param {Function | string | string[] | Glob} filter - Glob pattern or callback
+     * @returns {{ accept: (path: string) => boolean, descend: (path: string) => boolean }}
+     * accept matches the path itself, descend matches directories that may contain matching paths
+     */
+    matchers(filter: Function | string | string[] | Glob): {
+        accept: (path: string) => boolean;
+        descend: (path: string) => boolean;
+    };
     /**
      * Reading the current directory or branch as async generator to follow progress.
      * For FetchDB it is loading of "index.txt" or "manifest.json".
      * For NodeFsDB it is loading readdirSync in a conditional recursion.
+     * With concurrency above 1 sibling directories are listed in parallel ahead of reading,
+     * entries are still yielded in the same order: directories, then documents, then subdirectories.
      * @async
      * @generator
      * @param {string} uri
@@ -108,16 +278,80 @@ declare class DB {
      * @param {number} [options.depth=0] Depth to read recursively
      * @param {boolean} [options.skipStat=false] Skip collecting statistics
      * @param {boolean} [options.skipSymbolicLink=false] Skip symbolic links
-     * @param {Function} [options.filter=identity] Filter by pattern or callback
+     * @param {boolean} [options.recursive=true] Read subdirectories
+     * @param {Function | string | string[] | Glob} [options.filter=identity] Filter by glob pattern or callback,
+     * directories that cannot contain paths matching the pattern are not read
+     * @param {AbortSignal} [options.signal] Cancels reading before the next directory
+     * @param {number} [options.concurrency=1] Maximum number of directories listed at once
      * @yields {DocumentEntry}
      * @returns {AsyncGenerator<DocumentEntry, void, unknown>}
+     * @throws {AbortError} If the signal is aborted
+     * @throws {TypeError} If concurrency is not a positive integer
      */
     readDir(uri?: string, options?: {
         depth?: number | undefined;
         skipStat?: boolean | undefined;
         skipSymbolicLink?: boolean | undefined;
-        filter?: Function | undefined;
+        recursive?: boolean | undefined;
+        filter?: string | Function | string[] | Glob | undefined;
+        signal?: import("./AbortError.js").AbortSignal | undefined;
+        concurrency?: number | undefined;
     }): AsyncGenerator<DocumentEntry, void, unknown>;
+    /**
+     * Loads the directory listing with resolved paths of its entries, including the mount points inside.
+     * Stat is not a directory when the URI is a document.
+     * @param {string} uri - Directory URI
+     * @param {object} [options]
+     * @param {number} [options.depth=0] - Depth of the directory
+     * @param {boolean} [options.skipStat=false] - Skip collecting statistics
+     * @param {boolean} [options.skipSymbolicLink=false] - Skip symbolic links
+     * @param {AbortSignal} [options.signal] - Cancels listing
+     * @returns {Promise<{ stat: DocumentStat, entries: { name: string, stat: DocumentStat, path: string }[] }>}
+     * @throws {AbortError} If the signal is aborted
+     */
+    loadListing(uri: string, options?: {
+        depth?: number | undefined;
+        skipStat?: boolean | undefined;
+        skipSymbolicLink?: boolean | undefined;
+        signal?: import("./AbortError.js").AbortSignal | undefined;
+    } | undefined): Promise<{
+        stat: DocumentStat;
+        entries: {
+            name: string;
+            stat: DocumentStat;
+            path: string;
+        }[];
+    }>;
+    /**
+     * Lists entries of the directory sorted and paginated, for instance to render folder views.
+     * Names are compared in natural order, so "2.json" goes before "10.json".
+     * @example
+     * const first = await db.list("posts", { sort: "mtime", order: "desc", limit: 20 })
+     * const next = await db.list("posts", { sort: "mtime", order: "desc", limit: 20, cursor: first.cursor })
+     * @param {string} [uri="."] - Directory URI
+     * @param {object} [options]
+     * @param {"name" | "mtime" | "size" | "ext"} [options.sort="name"] - Sort field
+     * @param {"asc" | "desc"} [options.order="asc"] - Sort order
+     * @param {boolean} [options.dirsFirst=true] - Directories go before documents in any order
+     * @param {number} [options.offset=0] - Number of entries to skip, after the cursor if provided
+     * @param {number} [options.limit=0] - Maximum number of entries, 0 for unlimited
+     * @param {string | null} [options.cursor=null] - Continuation cursor of the previous page
+     * @returns {Promise<{ entries: DocumentEntry[], cursor: string | null, total: number }>}
+     * Page of entries, cursor of the next page or null for the last one, total number of entries
+     * @throws {TypeError} If sort, order or cursor is invalid
+     */
+    list(uri?: string | undefined, options?: {
+        sort?: "size" | "mtime" | "name" | "ext" | undefined;
+        order?: "asc" | "desc" | undefined;
+        dirsFirst?: boolean | undefined;
+        offset?: number | undefined;
+        limit?: number | undefined;
+        cursor?: string | null | undefined;
+    } | undefined): Promise<{
+        entries: DocumentEntry[];
+        cursor: string | null;
+        total: number;
+    }>;
     /**
      * Reads a specific branch at given depth
      * @param {string} uri - URI for the branch
@@ -131,13 +365,129 @@ declare class DB {
      */
     requireConnected(): Promise<void>;
     /**
-     * Searches for URI matching condition
-     * @param {string | ((key: string, value: any) => boolean)} uri - Search pattern or callback
+     * Searches for URI matching condition.
+     * Glob patterns are matched against paths of the documents while
+     * reading the directories from the static prefix of the pattern.
+     * @example
+     * for await (const uri of db.find("src/**\/*.json")) console.log(uri)
+     * @param {string | string[] | Glob | ((key: string, value: any) => boolean)} uri - Search pattern or callback
      * @param {number} [depth=0] - Maximum depth to search
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the search
      * @yields {string} Full URI path of found documents
      * @returns {AsyncGenerator<string, void, unknown>}
+     * @throws {AbortError} If the signal is aborted
+     */
+    find(uri: string | string[] | Glob | ((key: string, value: any) => boolean), depth?: number | undefined, options?: {
+        signal?: import("./AbortError.js").AbortSignal | undefined;
+    } | undefined): AsyncGenerator<string, void, unknown>;
+    /**
+     * Queries JSON documents under the prefix, other documents are skipped
+     * as well as persisted indexes, version history and trash.
+     * @example
+     * const found = await db.query("posts", {
+     * 	where: { "author/name": "Ярослав", date: { $gte: "2024-01-01" } },
+     * 	select: ["title", "date"],
+     * 	orderBy: { date: "desc" },
+     * 	limit: 10,
+     * })
+     * @param {string | string[] | Glob} [prefix="."] Directory URI or glob pattern of the documents
+     * @param {object} [options]
+     * @param {object} [options.where={}] Filter conditions, see Query
+     * @param {string | string[]} [options.select] Path of the value or list of paths to project
+     * @param {string | string[] | Record<string, "asc" | "desc">} [options.orderBy] Sort paths
+     * @param {number} [options.limit=-1] Maximum number of results
+     * @param {number} [options.offset=0] Number of results to skip
+     * @returns {Promise<Array<{ uri: string, value: any }>>} Matched URIs with projected values
+     */
+    query(prefix?: string | string[] | Glob | undefined, options?: {
+        where?: object;
+        select?: string | string[] | undefined;
+        orderBy?: string | string[] | Record<string, "asc" | "desc"> | undefined;
+        limit?: number | undefined;
+        offset?: number | undefined;
+    } | undefined): Promise<Array<{
+        uri: string;
+        value: any;
+    }>>;
+    /**
+     * Returns URIs of the documents from the index which covers the directory
+     * and the field with equality or range condition, or null if there is no such index.
+     * @param {string} dir - Directory of the documents
+     * @param {Record<string, any>} where - Query conditions
+     * @returns {string[] | null}
+     */
+    indexedCandidates(dir: string, where: Record<string, any>): string[] | null;
+    /**
+     * Creates secondary index of the field values of the documents under the prefix.
+     * The index is loaded from its persisted document when it has the same definition,
+     * otherwise it is built by reading the documents.
+     * It is kept up to date on set, drop and move, and persisted on push.
+     * @example
+     * await db.createIndex("byAuthor", { prefix: "posts", field: "author/name" })
+     * const uris = await db.findBy("byAuthor", "Ярослав")
+     * @param {string} name - Index name
+     * @param {object} options
+     * @param {string} [options.prefix="."] - Directory of the indexed documents
+     * @param {string} options.field - Path of the indexed field
+     * @returns {Promise<DocumentIndex>}
+     */
+    createIndex(name: string, options: {
+        prefix?: string | undefined;
+        field: string;
+    }): Promise<DocumentIndex>;
+    /**
+     * Removes the index and its persisted document.
+     * @param {string} name - Index name
+     * @returns {Promise<boolean>} False if index does not exist
+     */
+    dropIndex(name: string): Promise<boolean>;
+    /**
+     * Updates indexes with the change event.
+     * @param {ChangeEvent} event
+     * @returns {void}
+     */
+    updateIndexes(event: ChangeEvent): void;
+    /**
+     * Evicts loaded documents selected by the cache policy back to the
+     * "known but not loaded" state, unsaved changes are never evicted.
+     * @returns {string[]} Evicted URIs
+     */
+    evict(): string[];
+    /**
+     * Stops tracking dropped and moved documents in the cache policy.
+     * @param {ChangeEvent} event
+     * @returns {void}
+     */
+    updateCache(event: ChangeEvent): void;
+    /**
+     * Puts changed indexes into data to be saved with the next push.
+     * @returns {void}
      */
-    find(uri: string | ((key: string, value: any) => boolean), depth?: number | undefined): AsyncGenerator<string, void, unknown>;
+    flushIndexes(): void;
+    /**
+     * Finds URIs of the documents by the indexed value.
+     * @param {string} name - Index name
+     * @param {string | number | boolean | null} value - Field value
+     * @returns {Promise<string[]>}
+     */
+    findBy(name: string, value: string | number | boolean | null): Promise<string[]>;
+    /**
+     * Finds URIs of the documents by the range of indexed values, ordered by value.
+     * @param {string} name - Index name
+     * @param {object} range
+     * @param {any} [range.gt]
+     * @param {any} [range.gte]
+     * @param {any} [range.lt]
+     * @param {any} [range.lte]
+     * @returns {Promise<string[]>}
+     */
+    findRange(name: string, range: {
+        gt?: any;
+        gte?: any;
+        lt?: any;
+        lte?: any;
+    }): Promise<string[]>;
     /**
      * Connect to database
      * @abstract
@@ -148,16 +498,118 @@ declare class DB {
     /**
      * Gets document content
      * @param {string} uri - Document URI
+     * @param {object} [options]
+     * @param {boolean} [options.inherit=false] - Merges inherited directory documents, see fetchMerged
+     * @param {boolean} [options.resolveRefs=false] - Replaces { $ref } values with referenced content, see resolveRefs
+     * @param {number} [options.maxRefDepth=10] - Maximum number of nested references
+     * @param {AbortSignal} [options.signal] - Cancels loading, the cache stays unchanged
      * @returns {Promise<any>} Document content
+     * @throws {AbortError} If the signal is aborted
+     */
+    get(uri: string, options?: {
+        inherit?: boolean | undefined;
+        resolveRefs?: boolean | undefined;
+        maxRefDepth?: number | undefined;
+        signal?: import("./AbortError.js").AbortSignal | undefined;
+    } | undefined): Promise<any>;
+    /**
+     * Gets document content merged over the inherited directory documents.
+     * Walks from the root down to the document and deep merges every directory document
+     * (inheritName, "_.json" by default) with Data.merge, the document itself is merged last.
+     * Results are cached until the document or any of its directory documents changes or is refreshed,
+     * every call returns a copy of the cached result.
+     * @example
+     * // _.json: { "lang": "en", "nav": { "home": "/" } }
+     * // blog/_.json: { "nav": { "blog": "/blog" } }
+     * // blog/hello.json: { "title": "Hello" }
+     * await db.fetchMerged("blog/hello.json")
+     * // { lang: "en", nav: { home: "/", blog: "/blog" }, title: "Hello" }
+     * @param {string} uri - Document URI
+     * @param {object} [options]
+     * @param {boolean} [options.resolveRefs=false] - Resolves references of every document before the merge,
+     * relative to the document where they are defined, such results are not cached
+     * @param {number} [options.maxRefDepth=10] - Maximum number of nested references
+     * @param {AbortSignal} [options.signal] - Cancels loading of the documents
+     * @returns {Promise<any>} Merged content, the document itself if it is not an object
+     */
+    fetchMerged(uri: string, options?: {
+        resolveRefs?: boolean | undefined;
+        maxRefDepth?: number | undefined;
+        signal?: import("./AbortError.js").AbortSignal | undefined;
+    } | undefined): Promise<any>;
+    /**
+     * Replaces `{ "$ref": "path/to/doc.json#/pointer" }` values with the referenced content, recursively.
+     * Relative paths are resolved from the directory of the referring document with resolve(),
+     * paths starting with "/" from the root, an empty path refers to the same document.
+     * The pointer is a JSON pointer, the whole document is referenced without it.
+     * @example
+     * // posts/1.json: { "author": { "$ref": "../authors.json#/yaro" } }
+     * await db.get("posts/1.json", { resolveRefs: true })
+     * // { author: { name: "Yaro" } }
+     * @param {string} uri - URI of the document containing the references
+     * @param {any} data - Content with references, it is not changed
+     * @param {object} [options]
+     * @param {number} [options.maxDepth=10] - Maximum number of nested references
+     * @param {string[]} [options.chain=[]] - References being resolved, "uri#pointer", to detect cycles
+     * @param {AbortSignal} [options.signal] - Cancels loading of the referenced documents
+     * @returns {Promise<any>} Content with resolved references
+     * @throws {Error} If reference is circular, too deep or not found
+     */
+    resolveRefs(uri: string, data: any, options?: {
+        maxDepth?: number | undefined;
+        chain?: string[] | undefined;
+        signal?: import("./AbortError.js").AbortSignal | undefined;
+    } | undefined): Promise<any>;
+    /**
+     * Gets content of the existing document for the merge or the reference.
+     * @param {string} uri - Document URI
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<any>} Document content or undefined if it does not exist
      */
-    get(uri: string): Promise<any>;
+    fetchInherited(uri: string, options?: {
+        signal?: import("./AbortError.js").AbortSignal | undefined;
+    } | undefined): Promise<any>;
+    /**
+     * Invalidates merged documents affected by the change:
+     * the changed document and, for a directory document, everything below its directory.
+     * @param {ChangeEvent} event
+     * @returns {void}
+     */
+    updateMerged(event: ChangeEvent): void;
     /**
      * Sets document content
      * @param {string} uri - Document URI
      * @param {any} data - Document data
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the change before it is made
      * @returns {Promise<any>} Document content
+     * @throws {AbortError} If the signal is aborted
      */
-    set(uri: string, data: any): Promise<any>;
+    set(uri: string, data: any, options?: {
+        signal?: import("./AbortError.js").AbortSignal | undefined;
+    } | undefined): Promise<any>;
+    /**
+     * Runs the callback with staged writes, that are visible inside of the transaction,
+     * and commits them into data and meta maps at once when callback succeeds.
+     * Nothing is committed if the callback throws. If pushing fails, the saved documents
+     * get their previous content back, committed documents are rolled back and no events
+     * are emitted.
+     * @example
+     * await db.transaction(async tx => {
+     * 	const index = await tx.get("index.json")
+     * 	await tx.set("items/1.json", item)
+     * 	await tx.set("index.json", [...index, "items/1.json"])
+     * }, { push: true })
+     * @template T
+     * @param {(tx: Transaction) => Promise<T>} fn - Transaction callback
+     * @param {object} [options]
+     * @param {boolean} [options.push=false] - Save committed documents to the storage
+     * @returns {Promise<T>} Result of the callback
+     */
+    transaction<T>(fn: (tx: Transaction) => Promise<T>, options?: {
+        push?: boolean | undefined;
+    } | undefined): Promise<T>;
     /**
      * Gets document statistics
      * @param {string} uri - Document URI
@@ -165,39 +617,50 @@ declare class DB {
      */
     stat(uri: string): Promise<DocumentStat | undefined>;
     /**
-     * Resolves path segments to absolute path
-     * @note Must be overwritten by platform-specific implementation
+     * Resolves path segments into the URI relative to the root, see Path.resolve.
      * @param  {...string} args - Path segments
-     * @returns {Promise<string>} Resolved absolute path
+     * @returns {Promise<string>} Resolved URI, "." for the root
+     * @throws {Error} If the path escapes above the root
      */
     resolve(...args: string[]): Promise<string>;
     /**
-     * Resolves path segments to absolute path synchronously
+     * Resolves path segments into the URI relative to the root synchronously.
      * @param  {...string} args - Path segments
-     * @returns {string} Resolved absolute path
+     * @returns {string} Resolved URI, "." for the root
+     * @throws {Error} If the path escapes above the root
      */
     resolveSync(...args: string[]): string;
     /**
-     * Gets absolute path
-     * @note Must be overwritten by platform-specific implementation
+     * Gets absolute path of the URI resolved from the current working directory,
+     * prefixed with the root of the database.
      * @param  {...string} args - Path segments
      * @returns {string} Absolute path
+     * @throws {Error} If the path escapes above the root
      */
     absolute(...args: string[]): string;
     /**
      * Loads a document
      * @param {string} uri - Document URI
      * @param {any} [defaultValue=""] - Default value if document not found
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels loading, platform implementations should pass it through
      * @returns {Promise<any>}
      */
-    loadDocument(uri: string, defaultValue?: any): Promise<any>;
+    loadDocument(uri: string, defaultValue?: any, options?: {
+        signal?: import("./AbortError.js").AbortSignal | undefined;
+    } | undefined): Promise<any>;
     /**
      * Saves a document
+     * @note Must be overwritten by platform specific application
      * @param {string} uri - Document URI
-     * @param {any} document - Document data
+     * @param {any} document - Document content already serialized by encode()
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels saving, platform implementations should pass it through
      * @returns {Promise<boolean>}
      */
-    saveDocument(uri: string, document: any): Promise<boolean>;
+    saveDocument(uri: string, document: any, options?: {
+        signal?: import("./AbortError.js").AbortSignal | undefined;
+    } | undefined): Promise<boolean>;
     /**
      * Creates DocumentStat for a specific document
      * @note Must be overwritten by platform-specific implementation
@@ -218,30 +681,418 @@ declare class DB {
      * @param {string} uri - Document URI
      * @returns {Promise<boolean>}
      * Always returns false for base implementation not knowing
-     * to implement delete on top of generic interface
+     * to implement delete on top of generic interface.
+     * Backends emit the "drop" event once the document is deleted.
      */
     dropDocument(uri: string): Promise<boolean>;
     /**
      * Ensures access for given URI and level
-     * @note Must be overwritten by platform specific application
+     * by the access policy for the current subject, if there is a policy.
      * @param {string} uri - Document URI
      * @param {string} [level='r'] Access level
      * @returns {Promise<boolean>}
+     * @throws {AccessDeniedError} If the policy refuses the access
      */
     ensureAccess(uri: string, level?: string | undefined): Promise<boolean>;
     /**
-     * Synchronize data with persistent storage
+     * Checks if the current subject has access to the document,
+     * for instance to hide the actions in user interface.
+     * Mounted documents must be allowed by both databases.
+     * @param {string} uri - Document URI
+     * @param {string} [level="r"] Access level
+     * @returns {Promise<boolean>}
+     */
+    can(uri: string, level?: string | undefined): Promise<boolean>;
+    /**
+     * Loads the access policy from the policy document of the database,
+     * removes the policy when document does not exist.
+     * @example
+     * // .access.json
+     * // { "rules": [{ "effect": "allow", "path": "**", "subject": "role:admin", "level": "rwd" }] }
+     * await db.loadPolicy()
+     * @param {string} [uri=".access.json"] - Policy document URI
+     * @returns {Promise<AccessPolicy | null>}
+     */
+    loadPolicy(uri?: string | undefined): Promise<AccessPolicy | null>;
+    /**
+     * Stores the persisted content of the document into its history
+     * before it is overwritten, when versioning is enabled.
+     * Persisted indexes are not versioned.
+     * @param {string} uri - Document URI
+     * @returns {Promise<import("./Versioning.js").DocumentVersion | null>} Stored version or null
+     */
+    saveVersion(uri: string): Promise<import("./Versioning.js").DocumentVersion | null>;
+    /**
+     * Loads versions of the document from the oldest to the newest.
+     * @param {string} uri - Document URI
+     * @returns {Promise<import("./Versioning.js").DocumentVersion[]>}
+     */
+    loadVersions(uri: string): Promise<import("./Versioning.js").DocumentVersion[]>;
+    /**
+     * Returns versions of the document from the newest to the oldest, without their content.
+     * @example
+     * const db = new DB({ versioning: { maxVersions: 20, maxAge: 30 * 24 * 60 * 60 * 1000 } })
+     * const [last] = await db.history("index.json")
+     * await db.revert("index.json", last.id)
+     * @param {string} uri - Document URI
+     * @returns {Promise<Array<{ id: string, timeMs: number, stat: DocumentStat }>>}
+     */
+    history(uri: string): Promise<Array<{
+        id: string;
+        timeMs: number;
+        stat: DocumentStat;
+    }>>;
+    /**
+     * Returns content of the document version.
+     * @param {string} uri - Document URI
+     * @param {string} id - Version identifier
+     * @returns {Promise<any>}
+     * @throws {Error} If version does not exist
+     */
+    getVersion(uri: string, id: string): Promise<any>;
+    /**
+     * Restores the document content from its version and saves it,
+     * the replaced content becomes the newest version.
+     * @param {string} uri - Document URI
+     * @param {string} id - Version identifier
+     * @returns {Promise<any>} Restored content
+     * @throws {Error} If version does not exist
+     */
+    revert(uri: string, id: string): Promise<any>;
+    /**
+     * Synchronizes documents under the prefix with another database.
+     * - "push" mirrors our documents into theirs, including deletes;
+     * - "pull" mirrors their documents into ours, including deletes;
+     * - "both" copies missing documents both ways, nothing is deleted.
+     * Documents that differ on both sides are conflicts in "both" direction,
+     * and in one way directions when the changed document is newer than the source.
+     * Conflicts are resolved by the newer mtime, always by one side, or by the callback.
+     * @example
+     * const plan = await fsDB.sync(fetchDB, { direction: "push", prefix: "posts", dryRun: true })
+     * console.log(String(plan), plan.conflicts)
+     * @param {DB} other - Database to synchronize with
+     * @param {object} [options]
+     * @param {"push" | "pull" | "both"} [options.direction="both"]
+     * @param {string} [options.prefix="."] - Directory to synchronize
+     * @param {"newer" | "ours" | "theirs" | ((conflict: import("./SyncPlan.js").SyncConflict) => any)} [options.conflict="newer"]
+     * Conflict resolution, callback returns "ours", "theirs" or "skip"
+     * @param {boolean} [options.dryRun=false] - Only compute the plan
+     * @returns {Promise<SyncPlan>}
+     */
+    sync(other: DB, options?: {
+        direction?: "push" | "pull" | "both" | undefined;
+        prefix?: string | undefined;
+        conflict?: "ours" | "theirs" | "newer" | ((conflict: import("./SyncPlan.js").SyncConflict) => any) | undefined;
+        dryRun?: boolean | undefined;
+    } | undefined): Promise<SyncPlan>;
+    /**
+     * Collects stats of the documents under the prefix for synchronization,
+     * persisted indexes, version history and trash are skipped.
+     * @param {string} prefix - Directory URI
+     * @returns {Promise<Map<string, DocumentStat>>}
+     */
+    syncEntries(prefix: string): Promise<Map<string, DocumentStat>>;
+    /**
+     * Reads existing documents under the prefix,
+     * persisted indexes, version history and trash are skipped.
+     * @param {string} prefix - Directory URI
+     * @param {object} [options]
+     * @param {Function | string | string[] | Glob} [options.filter] - Filter function or glob pattern, see readDir
+     * @param {AbortSignal} [options.signal] - Cancels reading
+     * @yields {DocumentEntry}
+     * @returns {AsyncGenerator<DocumentEntry, void, unknown>}
+     */
+    documentEntries(prefix: string, options?: {
+        filter?: string | Function | string[] | Glob | undefined;
+        signal?: import("./AbortError.js").AbortSignal | undefined;
+    } | undefined): AsyncGenerator<DocumentEntry, void, unknown>;
+    /**
+     * Checks if the URI is inside of the persisted indexes, version history or trash,
+     * such documents are not enumerated as documents of the database.
+     * @param {string} uri
+     * @returns {boolean}
+     */
+    isInternal(uri: string): boolean;
+    /**
+     * Checks if the document differs in two databases,
+     * content is compared only when the sizes are equal and the mtimes are not.
+     * @param {DB} other
+     * @param {string} uri
+     * @param {DocumentStat} ours
+     * @param {DocumentStat} theirs
+     * @returns {Promise<boolean>}
+     */
+    differs(other: DB, uri: string, ours: DocumentStat, theirs: DocumentStat): Promise<boolean>;
+    /**
+     * Resolves the sync conflict by the policy.
+     * @param {import("./SyncPlan.js").SyncConflict} conflict
+     * @param {"newer" | "ours" | "theirs" | ((conflict: import("./SyncPlan.js").SyncConflict) => any)} policy
+     * @returns {Promise<"ours" | "theirs" | "skip">}
+     * @throws {TypeError} If policy or its result is not supported
+     */
+    resolveConflict(conflict: import("./SyncPlan.js").SyncConflict, policy: "newer" | "ours" | "theirs" | ((conflict: import("./SyncPlan.js").SyncConflict) => any)): Promise<"ours" | "theirs" | "skip">;
+    /**
+     * Applies actions of the sync plan, documents are copied with get, set and push,
+     * so the format codecs, access policy, events and history of each database apply.
+     * @param {DB} other
+     * @param {SyncPlan} plan
+     * @returns {Promise<SyncPlan>}
+     */
+    applySync(other: DB, plan: SyncPlan): Promise<SyncPlan>;
+    /**
+     * Exports documents under the prefix into a self-describing archive,
+     * persisted indexes, version history and trash are skipped.
+     * @example
+     * const bundle = JSON.stringify(await db.export({ prefix: "posts", includeMeta: true }))
+     * @param {object} [options]
+     * @param {string} [options.prefix="."] - Directory URI
+     * @param {boolean} [options.includeMeta=false] - Includes DocumentStat of every document
+     * @param {AbortSignal} [options.signal] - Cancels export
+     * @returns {Promise<Archive>}
+     */
+    export(options?: {
+        prefix?: string | undefined;
+        includeMeta?: boolean | undefined;
+        signal?: import("./AbortError.js").AbortSignal | undefined;
+    } | undefined): Promise<Archive>;
+    /**
+     * Exports documents under the prefix as NDJSON lines of the archive,
+     * documents are loaded one by one while the lines are consumed.
+     * @example
+     * for await (const line of db.exportStream({ prefix: "posts" })) stream.write(line)
+     * @param {object} [options]
+     * @param {string} [options.prefix="."] - Directory URI
+     * @param {boolean} [options.includeMeta=false] - Includes DocumentStat of every document
+     * @param {AbortSignal} [options.signal] - Cancels export
+     * @yields {string} Line ending with a newline, the header goes first
+     * @returns {AsyncGenerator<string, void, unknown>}
+     */
+    exportStream(options?: {
+        prefix?: string | undefined;
+        includeMeta?: boolean | undefined;
+        signal?: import("./AbortError.js").AbortSignal | undefined;
+    } | undefined): AsyncGenerator<string, void, unknown>;
+    /**
+     * Loads documents under the prefix as archive documents.
+     * @param {object} [options]
+     * @param {string} [options.prefix="."] - Directory URI
+     * @param {boolean} [options.includeMeta=false] - Includes DocumentStat of every document
+     * @param {AbortSignal} [options.signal] - Cancels export
+     * @yields {import("./Archive.js").ArchiveDocument}
+     * @returns {AsyncGenerator<import("./Archive.js").ArchiveDocument, void, unknown>}
+     */
+    exportDocuments(options?: {
+        prefix?: string | undefined;
+        includeMeta?: boolean | undefined;
+        signal?: import("./AbortError.js").AbortSignal | undefined;
+    } | undefined): AsyncGenerator<import("./Archive.js").ArchiveDocument, void, unknown>;
+    /**
+     * Imports documents of the archive through set and push, so it can be restored into any backend.
+     * Documents are imported one by one, those imported before an error stay saved.
+     * @example
+     * await db.import(bundle, { overwrite: "newer", prefixRemap: { posts: "archive/posts" } })
+     * @param {Archive | object | string | Iterable<string> | AsyncIterable<string>} archive
+     * JSON bundle, NDJSON text or its chunks
+     * @param {object} [options]
+     * @param {"replace" | "skip" | "newer" | "error"} [options.overwrite="replace"] - Policy for the existing documents,
+     * documents exported without meta are never newer
+     * @param {Record<string, string> | ((uri: string) => string)} [options.prefixRemap={}] - Maps prefixes
+     * of the archived URIs, the longest matching prefix wins
+     * @param {AbortSignal} [options.signal] - Cancels import of the remaining documents
+     * @returns {Promise<string[]>} Imported URIs
+     * @throws {TypeError} If archive is not supported
+     * @throws {Error} If imported URI is outside of the root
+     */
+    import(archive: Archive | object | string | Iterable<string> | AsyncIterable<string>, options?: {
+        overwrite?: "error" | "skip" | "replace" | "newer" | undefined;
+        prefixRemap?: Record<string, string> | ((uri: string) => string) | undefined;
+        signal?: import("./AbortError.js").AbortSignal | undefined;
+    } | undefined): Promise<string[]>;
+    /**
+     * Replaces the longest matching prefix of the URI.
+     * @example
+     * db.remap("posts/1.json", { posts: "archive/posts" }) // "archive/posts/1.json"
+     * @param {string} uri
+     * @param {Record<string, string> | ((uri: string) => string)} prefixRemap - Prefixes map or function
+     * @returns {string} Resolved URI
+     * @throws {Error} If URI is outside of the root
+     */
+    remap(uri: string, prefixRemap: Record<string, string> | ((uri: string) => string)): string;
+    /**
+     * Synchronize data with persistent storage,
+     * including the mounted databases when no specific URI provided.
+     * Aborted push keeps the saved documents clean and the rest of them unsaved.
      * @param {string|undefined} [uri] Optional specific URI to save
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels saving of the remaining documents
      * @returns {Promise<string[]>} Array of saved URIs
+     * @throws {AbortError} If the signal is aborted
+     */
+    push(uri?: string | undefined, options?: {
+        signal?: import("./AbortError.js").AbortSignal | undefined;
+    } | undefined): Promise<string[]>;
+    /**
+     * Reloads stale cache from the persistent storage, the opposite of push.
+     * Without URI refreshes every cached document, see refresh.
+     * @param {string|undefined} [uri] Optional specific URI to refresh
+     * @param {object} [options]
+     * @param {boolean} [options.reload=false] Load changed documents at once instead of lazy reload on get
+     * @returns {Promise<{ refreshed: string[], conflicts: string[] }>} Refreshed URIs
+     * and URIs of the documents changed both in the storage and locally
      */
-    push(uri?: string | undefined): Promise<string[]>;
+    pull(uri?: string | undefined, options?: {
+        reload?: boolean | undefined;
+    } | undefined): Promise<{
+        refreshed: string[];
+        conflicts: string[];
+    }>;
     /**
-     * Moves a document from one URI to another URI
+     * Re-stats cached documents under the prefix and invalidates the ones
+     * changed in the storage by mtime or size, removed documents are dropped from cache.
+     * Documents changed locally and not pushed yet are never overwritten,
+     * they are reported as conflicts when the storage has changed as well.
+     * @example
+     * const { refreshed, conflicts } = await db.refresh("posts")
+     * @param {string} [prefix="."] Directory URI
+     * @param {object} [options]
+     * @param {boolean} [options.reload=false] Load changed documents at once instead of lazy reload on get
+     * @returns {Promise<{ refreshed: string[], conflicts: string[] }>}
+     */
+    refresh(prefix?: string | undefined, options?: {
+        reload?: boolean | undefined;
+    } | undefined): Promise<{
+        refreshed: string[];
+        conflicts: string[];
+    }>;
+    /**
+     * Compares the cached stat of the document with the storage and invalidates it,
+     * documents loaded without a stat only get the current one recorded.
+     * Locally changed documents keep size and ctime of the version they are based on,
+     * directories only get their stat updated.
+     * @param {string} uri - Document URI
+     * @param {{ refreshed: string[], conflicts: string[] }} result - Collected URIs
+     * @param {object} [options]
+     * @param {boolean} [options.reload=false]
+     * @returns {Promise<void>}
+     */
+    refreshDocument(uri: string, result: {
+        refreshed: string[];
+        conflicts: string[];
+    }, options?: {
+        reload?: boolean | undefined;
+    } | undefined): Promise<void>;
+    /**
+     * Moves a document from one URI to another URI, the source is dropped.
+     * Documents are moved between attached databases by copying into the target one.
+     * Attached databases of the source and the target get "drop" and "set" events of their own URIs.
      * @param {string} from - Source URI
      * @param {string} to - Target URI
-     * @returns {Promise<boolean>} Success status
+     * @param {object} [options]
+     * @param {"replace" | "skip" | "newer" | "error"} [options.overwrite="replace"] - Policy for the existing target
+     * @returns {Promise<boolean>} False if source does not exist or target is kept
+     */
+    moveDocument(from: string, to: string, options?: {
+        overwrite?: "error" | "skip" | "replace" | "newer" | undefined;
+    } | undefined): Promise<boolean>;
+    /**
+     * Copies a document from one URI to another URI, also between attached databases.
+     * @param {string} from - Source URI
+     * @param {string} to - Target URI
+     * @param {object} [options]
+     * @param {"replace" | "skip" | "newer" | "error"} [options.overwrite="replace"] - Policy for the existing target
+     * @returns {Promise<boolean>} False if source does not exist or target is kept
+     */
+    copyDocument(from: string, to: string, options?: {
+        overwrite?: "error" | "skip" | "replace" | "newer" | undefined;
+    } | undefined): Promise<boolean>;
+    /**
+     * Saves content of the source document into the target document,
+     * in the attached database when the target is mounted.
+     * @param {string} from - Source URI
+     * @param {string} to - Target URI
+     * @param {object} [options]
+     * @param {"replace" | "skip" | "newer" | "error"} [options.overwrite="replace"]
+     * @returns {Promise<DocumentStat | null>} Stat of the saved target or null if nothing is saved
+     */
+    transfer(from: string, to: string, options?: {
+        overwrite?: "error" | "skip" | "replace" | "newer" | undefined;
+    } | undefined): Promise<DocumentStat | null>;
+    /**
+     * Checks the overwrite policy for the target document.
+     * @param {string} uri - Target URI
+     * @param {DocumentStat} stat - Stat of the source document
+     * @param {"replace" | "skip" | "newer" | "error"} [overwrite="replace"]
+     * - replace: always overwrite,
+     * - skip: keep existing target,
+     * - newer: overwrite only by the newer source,
+     * - error: throw if target exists.
+     * @returns {Promise<boolean>} True if target can be written
+     * @throws {Error} If target exists and policy is "error"
+     */
+    canOverwrite(uri: string, stat: DocumentStat, overwrite?: "error" | "skip" | "replace" | "newer" | undefined): Promise<boolean>;
+    /**
+     * Moves a document or a directory recursively.
+     * @example
+     * await db.move("drafts/2024", "posts/2024", { overwrite: "error" })
+     * @param {string} from - Source URI
+     * @param {string} to - Target URI
+     * @param {object} [options]
+     * @param {"replace" | "skip" | "newer" | "error"} [options.overwrite="replace"] - Policy for the existing targets
+     * @returns {Promise<string[]>} URIs of the moved documents at the target
+     */
+    move(from: string, to: string, options?: {
+        overwrite?: "error" | "skip" | "replace" | "newer" | undefined;
+    } | undefined): Promise<string[]>;
+    /**
+     * Copies a document or a directory recursively.
+     * @param {string} from - Source URI
+     * @param {string} to - Target URI
+     * @param {object} [options]
+     * @param {"replace" | "skip" | "newer" | "error"} [options.overwrite="replace"] - Policy for the existing targets
+     * @returns {Promise<string[]>} URIs of the copied documents at the target
      */
-    moveDocument(from: string, to: string): Promise<boolean>;
+    copy(from: string, to: string, options?: {
+        overwrite?: "error" | "skip" | "replace" | "newer" | undefined;
+    } | undefined): Promise<string[]>;
+    /**
+     * Renames a document or a directory inside of its parent directory.
+     * @param {string} uri - Source URI
+     * @param {string} name - New name
+     * @param {object} [options]
+     * @param {"replace" | "skip" | "newer" | "error"} [options.overwrite="replace"] - Policy for the existing targets
+     * @returns {Promise<string[]>} URIs of the renamed documents
+     */
+    rename(uri: string, name: string, options?: {
+        overwrite?: "error" | "skip" | "replace" | "newer" | undefined;
+    } | undefined): Promise<string[]>;
+    /**
+     * Drops a document or a directory, optionally into the trash to restore it later.
+     * Documents that are set but not pushed yet are dropped from memory as well.
+     * @example
+     * await db.drop("drafts", { recursive: true, trash: true })
+     * const [entry] = (await db.trash.list()).slice(-1)
+     * await db.trash.restore(entry.id)
+     * @param {string} uri - Document or directory URI
+     * @param {object} [options]
+     * @param {boolean} [options.recursive=false] - Drops directory with all its documents
+     * @param {boolean} [options.trash=false] - Moves documents into the trash instead of dropping them
+     * @returns {Promise<string[]>} URIs of the dropped documents
+     * @throws {Error} If directory has documents and it is not dropped recursively
+     */
+    drop(uri: string, options?: {
+        recursive?: boolean | undefined;
+        trash?: boolean | undefined;
+    } | undefined): Promise<string[]>;
+    /**
+     * Applies the operation to the document or to every document of the directory
+     * with the corresponding target URI.
+     * @param {string} from - Source URI
+     * @param {string} to - Target URI
+     * @param {(source: string, target: string) => Promise<boolean>} fn - Operation
+     * @returns {Promise<string[]>} Target URIs of succeeded operations
+     * @throws {Error} If directory is moved or copied into itself
+     */
+    eachTarget(from: string, to: string, fn: (source: string, target: string) => Promise<boolean>): Promise<string[]>;
     /**
      * Disconnect from database
      * @returns {Promise<void>}
@@ -254,39 +1105,84 @@ declare class DB {
      * @param {number} [options.depth] - Depth to list
      * @param {boolean} [options.skipStat] - Skip statistics collection
      * @param {boolean} [options.skipSymbolicLink] - Skip symbolic links
+     * @param {AbortSignal} [options.signal] - Cancels listing, platform implementations should pass it through
      * @returns {Promise<{name: string, stat: DocumentStat, isDirectory: boolean}[]>} Directory entries
      */
-    listDir(uri: string, { depth, skipStat, skipSymbolicLink }?: {
+    listDir(uri: string, { depth, skipStat, skipSymbolicLink, signal }?: {
         depth?: number | undefined;
         skipStat?: boolean | undefined;
         skipSymbolicLink?: boolean | undefined;
+        signal?: import("./AbortError.js").AbortSignal | undefined;
     }): Promise<{
         name: string;
         stat: DocumentStat;
         isDirectory: boolean;
     }[]>;
     /**
-     * Push stream of progress state
+     * Walks directories depth first in the order of readDir, one listing at a time.
+     * Every directory has a share of the whole walk: the root has 1 and the share of a directory
+     * is split equally by its own listing and its subdirectories, so the sum of shares
+     * of the walked listings grows monotonically up to 1.
      * @param {string} uri - Starting URI
+     * @param {object} [options]
+     * @param {Function | string | string[] | Glob} [options.filter] - Filter function or glob pattern
+     * @param {boolean} [options.skipStat=false] - Skip statistics
+     * @param {boolean} [options.skipSymbolicLink=false] - Skip symbolic links
+     * @param {AbortSignal} [options.signal] - Cancels the walk before the next directory
+     * @yields {{ uri: string, entries: DocumentEntry[], share: number }} Accepted entries of the directory
+     * @returns {AsyncGenerator<{ uri: string, entries: DocumentEntry[], share: number }, void, unknown>}
+     * @throws {AbortError} If the signal is aborted
+     */
+    walk(uri: string, options?: {
+        filter?: string | Function | string[] | Glob | undefined;
+        skipStat?: boolean | undefined;
+        skipSymbolicLink?: boolean | undefined;
+        signal?: import("./AbortError.js").AbortSignal | undefined;
+    } | undefined): AsyncGenerator<{
+        uri: string;
+        entries: DocumentEntry[];
+        share: number;
+    }, void, unknown>;
+    /**
+     * Push stream of progress state.
+     * Progress grows monotonically from 0 to 1 by the completed directories of the walk,
+     * or by the processed entries when they are counted with the pre-count pass.
+     * @param {string | string[] | Glob} uri - Starting URI or glob pattern to search from its static prefix
      * @param {object} options - Stream options
-     * @param {Function} [options.filter] - Filter function
+     * @param {Function | string | string[] | Glob} [options.filter] - Filter function or glob pattern, also applied to the glob URI
      * @param {number} [options.limit] - Limit number of entries
      * @param {'name'|'mtime'|'size'} [options.sort] - Sort criteria
      * @param {'asc'|'desc'} [options.order] - Sort order
      * @param {boolean} [options.skipStat] - Skip statistics
      * @param {boolean} [options.skipSymbolicLink] - Skip symbolic links
+     * @param {boolean} [options.precount=false] - Counts entries before streaming for more accurate progress
+     * @param {AbortSignal} [options.signal] - Cancels the stream before the next directory
      * @yields {StreamEntry} Progress state
      * @returns {AsyncGenerator<StreamEntry, void, unknown>}
+     * @throws {AbortError} If the signal is aborted
      */
-    findStream(uri: string, options?: {
-        filter?: Function | undefined;
+    findStream(uri: string | string[] | Glob, options?: {
+        filter?: string | Function | string[] | Glob | undefined;
         limit?: number | undefined;
-        sort?: "size" | "name" | "mtime" | undefined;
+        sort?: "size" | "mtime" | "name" | undefined;
         order?: "asc" | "desc" | undefined;
         skipStat?: boolean | undefined;
         skipSymbolicLink?: boolean | undefined;
+        precount?: boolean | undefined;
+        signal?: import("./AbortError.js").AbortSignal | undefined;
     }): AsyncGenerator<StreamEntry, void, unknown>;
 }
 import DocumentEntry from "./DocumentEntry.js";
 import DocumentStat from "./DocumentStat.js";
+import ChangeEvent from "./ChangeEvent.js";
+import DocumentIndex from "./DocumentIndex.js";
+import Formats from "./utils/formats.js";
+import AccessPolicy from "./AccessPolicy.js";
+import Versioning from "./Versioning.js";
+import CachePolicy from "./CachePolicy.js";
+import Trash from "./Trash.js";
+import Glob from "./utils/glob.js";
+import Transaction from "./Transaction.js";
+import SyncPlan from "./SyncPlan.js";
+import Archive from "./Archive.js";
 import StreamEntry from "./StreamEntry.js";
@@ -0,0 +1,117 @@
+export default DocumentIndex;
+/**
+ * Secondary index of the document field values to the document URIs.
+ * Array fields are indexed by every item, only scalar values are indexed.
+ * @class
+ */
+declare class DocumentIndex {
+    /** @type {string} Directory of the persisted indexes */
+    static DIR: string;
+    /**
+     * Creates DocumentIndex from input or returns existing instance.
+     * @param {object|DocumentIndex} input
+     * @returns {DocumentIndex}
+     */
+    static from(input: object | DocumentIndex): DocumentIndex;
+    /**
+     * Creates a new DocumentIndex instance
+     * @param {object} input
+     * @param {string} input.name Index name
+     * @param {string} [input.prefix=""] Directory of the indexed documents
+     * @param {string} input.field Path of the indexed field, see Query.value
+     * @param {Array<[any, string[]]>} [input.entries=[]] Persisted values with their URIs
+     * @param {string[]} [input.exclude=[]] Directories of the internal documents that are never indexed
+     */
+    constructor(input: {
+        name: string;
+        prefix?: string | undefined;
+        field: string;
+        entries?: [any, string[]][] | undefined;
+        exclude?: string[] | undefined;
+    });
+    /** @type {string} */
+    name: string;
+    /** @type {string} */
+    prefix: string;
+    /** @type {string} */
+    field: string;
+    /** @type {string[]} Directories of the internal documents that are never indexed, such as version history */
+    exclude: string[];
+    /** @type {Map<string | number | boolean | null, Set<string>>} */
+    values: Map<string | number | boolean | null, Set<string>>;
+    /** @type {Map<string, Array<string | number | boolean | null>>} */
+    uris: Map<string, Array<string | number | boolean | null>>;
+    /** @type {boolean} Changed since the last persist */
+    dirty: boolean;
+    /**
+     * URI of the document where index is persisted.
+     * @returns {string}
+     */
+    get uri(): string;
+    /**
+     * Checks if the document belongs to the indexed directory
+     * and is not inside of the persisted indexes or excluded directories.
+     * @param {string} uri
+     * @returns {boolean}
+     */
+    covers(uri: string): boolean;
+    /**
+     * Adds value of the URI.
+     * @param {string | number | boolean | null} value
+     * @param {string} uri
+     * @returns {void}
+     */
+    put(value: string | number | boolean | null, uri: string): void;
+    /**
+     * Indexes the document replacing its previous values.
+     * @param {string} uri
+     * @param {any} doc
+     * @returns {void}
+     */
+    add(uri: string, doc: any): void;
+    /**
+     * Removes the document from the index.
+     * @param {string} uri
+     * @returns {boolean} False if document was not indexed
+     */
+    remove(uri: string): boolean;
+    /**
+     * Moves values of the document to another URI.
+     * @param {string} from
+     * @param {string} to
+     * @returns {void}
+     */
+    rename(from: string, to: string): void;
+    /**
+     * Finds URIs of the documents with the value.
+     * @param {string | number | boolean | null} value
+     * @returns {string[]}
+     */
+    find(value: string | number | boolean | null): string[];
+    /**
+     * Finds URIs of the documents with the values in range, ordered by value.
+     * Only values of the same type as the bounds are compared.
+     * @param {object} range
+     * @param {any} [range.gt]
+     * @param {any} [range.gte]
+     * @param {any} [range.lt]
+     * @param {any} [range.lte]
+     * @returns {string[]}
+     */
+    range(range: {
+        gt?: any;
+        gte?: any;
+        lt?: any;
+        lte?: any;
+    }): string[];
+    /**
+     * Returns the persisted representation of the index.
+     * @returns {{ name: string, prefix: string, field: string, entries: Array<[any, string[]]> }}
+     */
+    toJSON(): {
+        name: string;
+        prefix: string;
+        field: string;
+        entries: Array<[any, string[]]>;
+    };
+}
@@ -28,6 +28,7 @@ declare class DocumentStat {
      * @param {number} [input.size=0]
      * @param {number} [input.uid=0]
      * @param {boolean} [input.isBlockDevice=false]
+     * @param {boolean} [input.isCharacterDevice=false]
      * @param {boolean} [input.isDirectory=false]
      * @param {boolean} [input.isFile=false]
      * @param {boolean} [input.isFIFO=false]
@@ -51,6 +52,7 @@ declare class DocumentStat {
         size?: number | undefined;
         uid?: number | undefined;
         isBlockDevice?: boolean | undefined;
+        isCharacterDevice?: boolean | undefined;
         isDirectory?: boolean | undefined;
         isFile?: boolean | undefined;
         isFIFO?: boolean | undefined;
@@ -89,6 +91,8 @@ declare class DocumentStat {
     /** @type {boolean} */
     isBlockDevice: boolean;
     /** @type {boolean} */
+    isCharacterDevice: boolean;
+    /** @type {boolean} */
     isDirectory: boolean;
     /** @type {boolean} */
     isFile: boolean;
@@ -0,0 +1,79 @@
+export default MemoryDB;
+export type AbortSignal = import("./AbortError.js").AbortSignal;
+/**
+ * In-memory database that keeps documents in the storage Map
+ * with the real DocumentStat bookkeeping.
+ * Works as a reference backend, a test double and a scratch database.
+ * @class
+ */
+declare class MemoryDB extends DB {
+    /**
+     * Creates a new MemoryDB instance.
+     * Documents provided in the storage are treated as already saved,
+     * values other than strings are serialized with the format codecs.
+     * @param {object} input
+     * @param {string} [input.root="."]
+     * @param {string} [input.cwd="."]
+     * @param {boolean} [input.connected=false]
+     * @param {Map<string, any>} [input.data=new Map()]
+     * @param {Map<string, DocumentStat>} [input.meta=new Map()]
+     * @param {DB[]} [input.dbs=[]]
+     * @param {import("./AccessPolicy.js").default | object | null} [input.policy=null]
+     * @param {import("./AccessPolicy.js").AccessSubject} [input.subject={}]
+     * @param {import("./Versioning.js").default | object | null} [input.versioning=null]
+     * @param {import("./CachePolicy.js").default | object | null} [input.cache=null]
+     * @param {{ dir?: string }} [input.trash={}]
+     * @param {string} [input.inheritName="_.json"]
+     * @param {Map<string, any> | Array<[string, any]> | object} [input.storage=new Map()] Predefined documents
+     */
+    constructor(input?: {
+        root?: string | undefined;
+        cwd?: string | undefined;
+        connected?: boolean | undefined;
+        data?: Map<string, any> | undefined;
+        meta?: Map<string, DocumentStat> | undefined;
+        dbs?: DB[] | undefined;
+        policy?: import("./AccessPolicy.js").default | object | null;
+        subject?: import("./AccessPolicy.js").AccessSubject | undefined;
+        versioning?: import("./Versioning.js").default | object | null;
+        cache?: import("./CachePolicy.js").default | object | null;
+        trash?: {
+            dir?: string | undefined;
+        } | undefined;
+        inheritName?: string | undefined;
+        storage?: Map<string, any> | Array<[string, any]> | object;
+    });
+    /** @type {Map<string, any>} */
+    storage: Map<string, any>;
+    /** @type {Map<string, DocumentStat>} */
+    stats: Map<string, DocumentStat>;
+    /**
+     * Puts raw content into the storage keeping the birth time of the previous content.
+     * @param {string} key - Storage key
+     * @param {any} raw - Serialized document
+     * @returns {DocumentStat}
+     */
+    store(key: string, raw: any): DocumentStat;
+    /**
+     * Returns keys of the documents stored under the directory.
+     * @param {string} uri Directory URI
+     * @returns {string[]}
+     */
+    keysOf(uri: string): string[];
+    /**
+     * Lists direct children of the directory sorted by name.
+     * @param {string} uri - Directory URI
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels listing
+     * @returns {Promise<{name: string, stat: DocumentStat, isDirectory: boolean}[]>}
+     */
+    listDir(uri: string, options?: {
+        signal?: import("./AbortError.js").AbortSignal | undefined;
+    } | undefined): Promise<{
+        name: string;
+        stat: DocumentStat;
+        isDirectory: boolean;
+    }[]>;
+}
+import DB from "./DB.js";
+import DocumentStat from "./DocumentStat.js";
@@ -1,23 +1,50 @@
 export default StreamEntry;
 /**
- * Represents a stream entry with progress information
+ * Represents a stream entry with progress information.
+ * Entries of the same stream share their state instead of copying it:
+ * found documents are kept in a shared list in order of discovery, and the shared sorted list
+ * gets entries found since the last request merged in only when `files` are requested,
+ * so streaming without reading `files` does not sort at all.
+ * `files` of the latest entry, `dirs`, `top` and `errors` are live views of the stream state,
+ * they keep growing while the stream goes on, copy them to keep the current state.
  * @class
  */
 declare class StreamEntry {
+    /**
+     * Merges found entries missing in the sorted list into it in place:
+     * the new entries are sorted once and merged from the end, equal entries keep discovery order.
+     * @param {DocumentEntry[]} found - Entries in order of discovery
+     * @param {DocumentEntry[]} sorted - Sorted list of the first `sorted.length` found entries
+     * @param {((a: DocumentEntry, b: DocumentEntry) => number) | null} compare
+     * @returns {DocumentEntry[]} The sorted list
+     */
+    static merge(found: DocumentEntry[], sorted: DocumentEntry[], compare: ((a: DocumentEntry, b: DocumentEntry) => number) | null): DocumentEntry[];
     /**
      * Creates a new StreamEntry instance
      * @param {object} input
      * @param {DocumentEntry|object} [input.file={}]
-     * @param {DocumentEntry[]|object[]} [input.files=[]]
+     * @param {DocumentEntry[]|object[]} [input.files=[]] Found entries, converted and copied
+     * @param {DocumentEntry[] | null} [input.found=null] Shared found entries, used as is instead of files
+     * @param {DocumentEntry[] | null} [input.sorted=null] Shared sorted list of the first found entries, used as is
+     * @param {number} [input.count] Number of visible found entries, all by default
+     * @param {((a: DocumentEntry, b: DocumentEntry) => number) | null} [input.compare=null] Sort order of files
      * @param {Map<string, DocumentEntry>} [input.dirs=new Map()]
      * @param {Map<string, DocumentEntry>} [input.top=new Map()]
      * @param {Map<string, Error | null>} [input.errors=new Map()]
      * @param {number} [input.progress=0]
      * @param {{ dirs: number, files: number }} [input.totalSize={ dirs: 0, files: 0 }]
+     * @param {{ dirs: number, files: number, bytes: number }} [input.processed={ dirs: 0, files: 0, bytes: 0 }]
+     * @param {number} [input.elapsed=0]
+     * @param {number} [input.throughput=0]
+     * @param {number} [input.eta=Infinity]
      */
     constructor(input?: {
         file?: DocumentEntry | object;
         files?: any[] | DocumentEntry[] | undefined;
+        found?: DocumentEntry[] | null | undefined;
+        sorted?: DocumentEntry[] | null | undefined;
+        count?: number | undefined;
+        compare?: ((a: DocumentEntry, b: DocumentEntry) => number) | null | undefined;
         dirs?: Map<string, DocumentEntry> | undefined;
         top?: Map<string, DocumentEntry> | undefined;
         errors?: Map<string, Error | null> | undefined;
@@ -26,16 +53,32 @@ declare class StreamEntry {
             dirs: number;
             files: number;
         } | undefined;
+        processed?: {
+            dirs: number;
+            files: number;
+            bytes: number;
+        } | undefined;
+        elapsed?: number | undefined;
+        throughput?: number | undefined;
+        eta?: number | undefined;
     });
     /** @type {DocumentEntry} */
     file: DocumentEntry;
-    /** @type {DocumentEntry[]} */
-    files: DocumentEntry[];
-    /** @type {Map<string, DocumentEntry>} */
+    /** @type {DocumentEntry[]} Found entries in order of discovery, shared by the stream */
+    found: DocumentEntry[];
+    /** @type {DocumentEntry[]} Found entries merged so far in sort order, shared by the stream */
+    sorted: DocumentEntry[];
+    /** @type {number} Number of found entries visible to this entry */
+    count: number;
+    /** @type {((a: DocumentEntry, b: DocumentEntry) => number) | null} Sort order of files */
+    compare: ((a: DocumentEntry, b: DocumentEntry) => number) | null;
+    /** @type {DocumentEntry[] | null} Visible files of the earlier entry, built on the first request */
+    visible: DocumentEntry[] | null;
+    /** @type {Map<string, DocumentEntry>} Found directories, live */
     dirs: Map<string, DocumentEntry>;
-    /** @type {Map<string, DocumentEntry>} */
+    /** @type {Map<string, DocumentEntry>} Found directories of the first level by their names, live */
     top: Map<string, DocumentEntry>;
-    /** @type {Map<string, Error | null>} */
+    /** @type {Map<string, Error | null>} Errors by paths, live */
     errors: Map<string, Error | null>;
     /** @type {number} */
     progress: number;
@@ -44,5 +87,24 @@ declare class StreamEntry {
         dirs: number;
         files: number;
     };
+    /** @type {{ dirs: number, files: number, bytes: number }} Listed directories, streamed files and their bytes */
+    processed: {
+        dirs: number;
+        files: number;
+        bytes: number;
+    };
+    /** @type {number} Milliseconds since the stream started */
+    elapsed: number;
+    /** @type {number} Processed bytes per second */
+    throughput: number;
+    /** @type {number} Estimated milliseconds left, Infinity until there is any progress */
+    eta: number;
+    /**
+     * Found entries visible to this entry in the sort order.
+     * The latest entry of the stream returns the shared sorted list without copying,
+     * an earlier entry builds its own list once on the first request.
+     * @returns {DocumentEntry[]}
+     */
+    get files(): DocumentEntry[];
 }
 import DocumentEntry from "./DocumentEntry.js";
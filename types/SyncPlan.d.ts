@@ -0,0 +1,103 @@
+export default SyncPlan;
+export type SyncAction = {
+    type: "copy" | "update" | "delete";
+    /**
+     * Document URI, the same in both databases
+     */
+    uri: string;
+    /**
+     * Database that is changed by the action
+     */
+    target: "ours" | "theirs";
+};
+export type SyncConflict = {
+    /**
+     * Document URI
+     */
+    uri: string;
+    /**
+     * Stat of our document
+     */
+    ours: DocumentStat;
+    /**
+     * Stat of their document
+     */
+    theirs: DocumentStat;
+    /**
+     * Version that wins, or skip to keep both
+     */
+    resolution: "ours" | "theirs" | "skip";
+};
+/**
+ * @typedef {object} SyncAction
+ * @property {"copy" | "update" | "delete"} type
+ * @property {string} uri Document URI, the same in both databases
+ * @property {"ours" | "theirs"} target Database that is changed by the action
+ */
+/**
+ * @typedef {object} SyncConflict
+ * @property {string} uri Document URI
+ * @property {DocumentStat} ours Stat of our document
+ * @property {DocumentStat} theirs Stat of their document
+ * @property {"ours" | "theirs" | "skip"} resolution Version that wins, or skip to keep both
+ */
+/**
+ * Plan of the synchronization between two databases:
+ * actions to apply and conflicts with their resolutions.
+ * @class
+ */
+declare class SyncPlan {
+    /**
+     * Creates SyncPlan from input or returns existing instance.
+     * @param {object|SyncPlan} input
+     * @returns {SyncPlan}
+     */
+    static from(input: object | SyncPlan): SyncPlan;
+    /**
+     * Creates a new SyncPlan instance
+     * @param {object} input
+     * @param {"push" | "pull" | "both"} [input.direction="both"]
+     * @param {SyncAction[]} [input.actions=[]]
+     * @param {SyncConflict[]} [input.conflicts=[]]
+     * @param {boolean} [input.applied=false]
+     */
+    constructor(input?: {
+        direction?: "push" | "pull" | "both" | undefined;
+        actions?: SyncAction[] | undefined;
+        conflicts?: SyncConflict[] | undefined;
+        applied?: boolean | undefined;
+    });
+    /** @type {"push" | "pull" | "both"} */
+    direction: "push" | "pull" | "both";
+    /** @type {SyncAction[]} */
+    actions: SyncAction[];
+    /** @type {SyncConflict[]} */
+    conflicts: SyncConflict[];
+    /** @type {boolean} */
+    applied: boolean;
+    /**
+     * Adds the action to the plan.
+     * @param {"copy" | "update" | "delete"} type
+     * @param {string} uri
+     * @param {"ours" | "theirs"} target
+     * @returns {SyncAction}
+     */
+    add(type: "copy" | "update" | "delete", uri: string, target: "ours" | "theirs"): SyncAction;
+    /**
+     * Returns actions changing the database.
+     * @param {"ours" | "theirs"} target
+     * @returns {SyncAction[]}
+     */
+    actionsOn(target: "ours" | "theirs"): SyncAction[];
+    /**
+     * Checks if there is nothing to apply.
+     * @returns {boolean}
+     */
+    get empty(): boolean;
+    /**
+     * Get string representation of the plan, one action per line
+     * @returns {string}
+     */
+    toString(): string;
+}
+import DocumentStat from "./DocumentStat.js";
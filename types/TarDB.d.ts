@@ -0,0 +1,76 @@
+export default TarDB;
+export type AbortSignal = import("./AbortError.js").AbortSignal;
+/**
+ * Read-only database over a tar archive, documents are read from the archive
+ * without extracting them, any write or delete is refused by ensureAccess.
+ * Directories missing in the archive are implied by the paths of their documents.
+ * @example
+ * const db = new TarDB({ file: "dataset.tar" })
+ * for await (const uri of db.find("**\/*.json")) console.info(uri, await db.get(uri))
+ * @class
+ */
+declare class TarDB extends DB {
+    /**
+     * Creates a new TarDB instance.
+     * @param {object} input
+     * @param {string} [input.root="."]
+     * @param {string} [input.cwd="."]
+     * @param {boolean} [input.connected=false]
+     * @param {import("./AccessPolicy.js").default | object | null} [input.policy=null]
+     * @param {import("./AccessPolicy.js").AccessSubject} [input.subject={}]
+     * @param {import("./CachePolicy.js").default | object | null} [input.cache=null]
+     * @param {string} [input.inheritName="_.json"]
+     * @param {Uint8Array | ArrayBuffer | null} [input.buffer=null] Archive content
+     * @param {string} [input.file=""] Path of the local archive file, used when there is no buffer
+     * @throws {Error} If the archive buffer cannot be parsed
+     */
+    constructor(input?: {
+        root?: string | undefined;
+        cwd?: string | undefined;
+        connected?: boolean | undefined;
+        policy?: import("./AccessPolicy.js").default | object | null;
+        subject?: import("./AccessPolicy.js").AccessSubject | undefined;
+        cache?: import("./CachePolicy.js").default | object | null;
+        inheritName?: string | undefined;
+        buffer?: Uint8Array | ArrayBuffer | null | undefined;
+        file?: string | undefined;
+    });
+    /** @type {Uint8Array | null} Archive content */
+    buffer: Uint8Array | null;
+    /** @type {string} Path of the local archive file, loaded on connect */
+    file: string;
+    /** @type {Map<string, import("./utils/tar.js").TarEntry>} Entries by their paths */
+    entries: Map<string, import("./utils/tar.js").TarEntry>;
+    /** @type {Map<string, Set<string>>} Names of the children by directory paths, "" for the root */
+    children: Map<string, Set<string>>;
+    /**
+     * Indexes entries and their directories, the last entry of the same path wins as in tar.
+     * @param {import("./utils/tar.js").TarEntry[]} entries
+     * @returns {void}
+     */
+    index(entries: import("./utils/tar.js").TarEntry[]): void;
+    /**
+     * Nothing to save, documents of the archive cannot be changed.
+     * @param {string|undefined} [uri]
+     * @param {object} [options]
+     * @returns {Promise<string[]>}
+     */
+    push(uri?: string | undefined, options?: object): Promise<string[]>;
+    /**
+     * Lists direct children of the directory sorted by name.
+     * @param {string} uri - Directory URI
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels listing
+     * @returns {Promise<{name: string, stat: DocumentStat, isDirectory: boolean}[]>}
+     * @throws {AbortError} If the signal is aborted
+     */
+    listDir(uri: string, options?: {
+        signal?: import("./AbortError.js").AbortSignal | undefined;
+    } | undefined): Promise<{
+        name: string;
+        stat: DocumentStat;
+        isDirectory: boolean;
+    }[]>;
+}
+import DB from "./DB.js";
+import DocumentStat from "./DocumentStat.js";
@@ -0,0 +1,116 @@
+export default Transaction;
+export type DB = import("./DB.js").default;
+/** @typedef {import("./DB.js").default} DB */
+/**
+ * Set of staged writes applied to the database at once.
+ * Staged documents are visible through the transaction only,
+ * until it is committed.
+ * @class
+ */
+declare class Transaction {
+    /**
+     * Creates a new Transaction instance
+     * @param {object} input
+     * @param {DB} input.db Database to commit into
+     */
+    constructor(input: {
+        db: DB;
+    });
+    /** @type {DB} */
+    db: DB;
+    /** @type {Map<string, any>} */
+    data: Map<string, any>;
+    /** @type {"pending" | "committed" | "rolledBack"} */
+    state: "pending" | "committed" | "rolledBack";
+    /**
+     * Previous values of the committed documents to roll back.
+     * @type {Array<{ db: DB, uri: string, data: any, meta: DocumentStat | undefined, exists: boolean, dirty: boolean }>}
+     */
+    snapshot: Array<{
+        db: DB;
+        uri: string;
+        data: any;
+        meta: DocumentStat | undefined;
+        exists: boolean;
+        dirty: boolean;
+    }>;
+    /**
+     * Returns the database and URI inside of it where the document must be written,
+     * including the mounted databases.
+     * @param {string} uri
+     * @returns {{ db: DB, uri: string }}
+     */
+    target(uri: string): {
+        db: DB;
+        uri: string;
+    };
+    /**
+     * Throws an error when transaction is already committed or rolled back.
+     * @returns {void}
+     */
+    requirePending(): void;
+    /**
+     * Gets document content, staged or from the database.
+     * @param {string} uri - Document URI
+     * @returns {Promise<any>}
+     */
+    get(uri: string): Promise<any>;
+    /**
+     * Stages document content, checking the access policy of the database
+     * and of the mounted database the document belongs to.
+     * @param {string} uri - Document URI
+     * @param {any} data - Document data
+     * @returns {Promise<any>} Document content
+     * @throws {import("./AccessDeniedError.js").default} If any of the policies refuses writing
+     */
+    set(uri: string, data: any): Promise<any>;
+    /**
+     * Applies all staged documents to the database data and meta maps at once.
+     * @returns {string[]} Committed URIs
+     */
+    commit(): string[];
+    /**
+     * Saves committed documents into the persistent storage.
+     * If any document fails to save, the documents and version histories saved before it
+     * get their previous content back and no push events are emitted, so the storage is left as it was.
+     * @returns {Promise<string[]>} Saved URIs
+     * @throws {Error} If saving fails, with the failed URIs when previous content cannot be restored
+     */
+    push(): Promise<string[]>;
+    /**
+     * Reads raw content of the document to restore it when push fails.
+     * @param {DB} db
+     * @param {string} uri - Document URI in the database
+     * @returns {Promise<{ db: DB, uri: string, exists: boolean, data: any }>}
+     */
+    backup(db: DB, uri: string): Promise<{
+        db: DB;
+        uri: string;
+        exists: boolean;
+        data: any;
+    }>;
+    /**
+     * Saves previous raw content of the pushed documents back into the storage,
+     * documents that did not exist are dropped.
+     * @param {Array<{ db: DB, uri: string, exists: boolean, data: any }>} saved
+     * @returns {Promise<string[]>} URIs that cannot be restored
+     */
+    restore(saved: Array<{
+        db: DB;
+        uri: string;
+        exists: boolean;
+        data: any;
+    }>): Promise<string[]>;
+    /**
+     * Emits set events for the committed documents.
+     * @returns {void}
+     */
+    notify(): void;
+    /**
+     * Discards staged documents and restores the database maps
+     * if transaction has been already committed.
+     * @returns {void}
+     */
+    rollback(): void;
+}
+import DocumentStat from "./DocumentStat.js";
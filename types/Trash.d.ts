@@ -0,0 +1,123 @@
+export default Trash;
+export type TrashEntry = {
+    /**
+     * Entry identifier, unique within the trash
+     */
+    id: string;
+    /**
+     * Original URI of the dropped document or directory
+     */
+    uri: string;
+    /**
+     * Time of the deletion
+     */
+    timeMs: number;
+    /**
+     * Original URIs of the dropped documents
+     */
+    documents: string[];
+};
+/**
+ * @typedef {object} TrashEntry
+ * @property {string} id Entry identifier, unique within the trash
+ * @property {string} uri Original URI of the dropped document or directory
+ * @property {number} timeMs Time of the deletion
+ * @property {string[]} documents Original URIs of the dropped documents
+ */
+/**
+ * Trash of the database, documents dropped with `db.drop(uri, { trash: true })`
+ * are moved into the trash directory, for instance ".trash/1700000000000/posts/1.json",
+ * and recorded in its index document ".trash/index.json" with the original path
+ * and the deletion time, so they can be restored or emptied later.
+ * @class
+ */
+declare class Trash {
+    /** @type {string} Index document name inside of the trash directory */
+    static INDEX: string;
+    /**
+     * Creates Trash from input or returns existing instance.
+     * @param {object|Trash} input
+     * @returns {Trash}
+     */
+    static from(input: object | Trash): Trash;
+    /**
+     * Creates a new Trash instance
+     * @param {object} input
+     * @param {import("./DB.js").default} input.db Database of the trash
+     * @param {string} [input.dir=".trash"] Directory of the trashed documents
+     */
+    constructor(input: {
+        db: import("./DB.js").default;
+        dir?: string | undefined;
+    });
+    /** @type {import("./DB.js").default} */
+    db: import("./DB.js").default;
+    /** @type {string} Directory of the trashed documents */
+    dir: string;
+    /**
+     * URI of the trash index document.
+     * @returns {string}
+     */
+    get indexUri(): string;
+    /**
+     * URI of the trashed document.
+     * @param {string} id Entry identifier
+     * @param {string} uri Original URI of the document
+     * @returns {string}
+     */
+    uriOf(id: string, uri: string): string;
+    /**
+     * Checks if the document is inside of the trash.
+     * @param {string} uri
+     * @returns {boolean}
+     */
+    covers(uri: string): boolean;
+    /**
+     * Returns entries from the oldest to the newest.
+     * @returns {Promise<TrashEntry[]>}
+     */
+    list(): Promise<TrashEntry[]>;
+    /**
+     * Moves documents into the trash as a single entry, unsaved documents are saved into it.
+     * @param {string} uri Original URI of the dropped document or directory
+     * @param {string[]} documents Original URIs of the documents
+     * @param {number} [timeMs=Date.now()] Time of the deletion
+     * @returns {Promise<TrashEntry>}
+     */
+    put(uri: string, documents: string[], timeMs?: number | undefined): Promise<TrashEntry>;
+    /**
+     * Moves documents of the entry back to their original URIs and removes the entry.
+     * Documents that are not restored, for instance skipped by the overwrite policy,
+     * stay in the entry and are reported as remaining.
+     * @example
+     * const { restored, remaining } = await db.trash.restore(entry.id, { overwrite: "skip" })
+     * @param {string} id Entry identifier
+     * @param {object} [options]
+     * @param {"replace" | "skip" | "newer" | "error"} [options.overwrite="error"] - Policy for the existing documents
+     * @returns {Promise<{ restored: string[], remaining: string[] }>} Original URIs of restored and remaining documents
+     * @throws {Error} If entry is not found
+     */
+    restore(id: string, options?: {
+        overwrite?: "error" | "skip" | "replace" | "newer" | undefined;
+    } | undefined): Promise<{
+        restored: string[];
+        remaining: string[];
+    }>;
+    /**
+     * Drops trashed documents permanently.
+     * @param {object} [options]
+     * @param {number} [options.olderThan=0] Drops only entries older than this number of milliseconds
+     * @param {number} [options.now=Date.now()]
+     * @returns {Promise<TrashEntry[]>} Removed entries
+     */
+    empty(options?: {
+        olderThan?: number | undefined;
+        now?: number | undefined;
+    } | undefined): Promise<TrashEntry[]>;
+    /**
+     * Saves entries into the trash index document.
+     * @param {TrashEntry[]} entries
+     * @returns {Promise<void>}
+     */
+    save(entries: TrashEntry[]): Promise<void>;
+}
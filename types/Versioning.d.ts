@@ -0,0 +1,93 @@
+export default Versioning;
+export type DocumentVersion = {
+    /**
+     * Version identifier, unique within the document history
+     */
+    id: string;
+    /**
+     * Time when the version was replaced
+     */
+    timeMs: number;
+    /**
+     * Stat of the replaced content
+     */
+    stat: DocumentStat;
+    /**
+     * Replaced content
+     */
+    data: any;
+};
+/**
+ * @typedef {object} DocumentVersion
+ * @property {string} id Version identifier, unique within the document history
+ * @property {number} timeMs Time when the version was replaced
+ * @property {DocumentStat} stat Stat of the replaced content
+ * @property {any} data Replaced content
+ */
+/**
+ * Versioning settings and retention of the document history.
+ * History of the document is persisted as a single document in the history directory,
+ * for instance ".history/posts/1.json.json" for "posts/1.json".
+ * @class
+ */
+declare class Versioning {
+    /**
+     * Restores versions from the persisted history document.
+     * @param {any} doc
+     * @returns {DocumentVersion[]}
+     */
+    static parse(doc: any): DocumentVersion[];
+    /**
+     * Creates Versioning from input or returns existing instance.
+     * @param {object|Versioning} input
+     * @returns {Versioning}
+     */
+    static from(input: object | Versioning): Versioning;
+    /**
+     * Creates a new Versioning instance
+     * @param {object} input
+     * @param {string} [input.dir=".history"] Directory of the persisted history
+     * @param {number} [input.maxVersions=10] Maximum number of versions per document, 0 for unlimited
+     * @param {number} [input.maxAge=0] Maximum age of versions in milliseconds, 0 for unlimited
+     */
+    constructor(input?: {
+        dir?: string | undefined;
+        maxVersions?: number | undefined;
+        maxAge?: number | undefined;
+    });
+    /** @type {string} Directory of the persisted history */
+    dir: string;
+    /** @type {number} Maximum number of versions per document, 0 for unlimited */
+    maxVersions: number;
+    /** @type {number} Maximum age of versions in milliseconds, 0 for unlimited */
+    maxAge: number;
+    /**
+     * URI of the history document of the document.
+     * @param {string} uri
+     * @returns {string}
+     */
+    uriOf(uri: string): string;
+    /**
+     * Checks if the document is versioned, the history itself is not.
+     * @param {string} uri
+     * @returns {boolean}
+     */
+    covers(uri: string): boolean;
+    /**
+     * Creates the version of the replaced content with identifier unique in the versions.
+     * @param {DocumentVersion[]} versions
+     * @param {any} data
+     * @param {DocumentStat} stat
+     * @param {number} [timeMs=Date.now()]
+     * @returns {DocumentVersion}
+     */
+    create(versions: DocumentVersion[], data: any, stat: DocumentStat, timeMs?: number | undefined): DocumentVersion;
+    /**
+     * Applies retention limits keeping the newest versions.
+     * @param {DocumentVersion[]} versions Versions from the oldest to the newest
+     * @param {number} [now=Date.now()]
+     * @returns {DocumentVersion[]}
+     */
+    prune(versions: DocumentVersion[], now?: number | undefined): DocumentVersion[];
+}
+import DocumentStat from "./DocumentStat.js";
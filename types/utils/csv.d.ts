@@ -0,0 +1,63 @@
+/**
+ * Parses text with the header row into the list of objects.
+ * @static
+ * @param {string} text - Text to parse.
+ * @param {string} [delimiter=","] - Cell delimiter.
+ * @returns {Array<Record<string, string>>} Rows as objects.
+ */
+export function parse(text: string, delimiter?: string | undefined): Array<Record<string, string>>;
+/**
+ * Serializes list of objects with the header row of all their keys,
+ * or list of arrays as rows.
+ * @static
+ * @param {Array<Record<string, any> | any[]>} rows - Rows to serialize.
+ * @param {string} [delimiter=","] - Cell delimiter.
+ * @returns {string} Serialized text.
+ */
+export function stringify(rows: Array<Record<string, any> | any[]>, delimiter?: string | undefined): string;
+export default CSV;
+/**
+ * Delimiter-separated values (CSV, TSV) parsing and serialization.
+ * The first row is a header, rows become objects with the header keys.
+ * @class
+ */
+declare class CSV {
+    /** @type {string} */
+    static DELIMITER: string;
+    /** @type {string} */
+    static QUOTE: string;
+    /**
+     * Parses text into the list of rows as arrays of cells.
+     * Quoted cells may contain delimiters, new lines and doubled quotes.
+     * @static
+     * @param {string} text - Text to parse.
+     * @param {string} [delimiter=","] - Cell delimiter.
+     * @returns {string[][]} Rows of cells.
+     */
+    static rows(text: string, delimiter?: string | undefined): string[][];
+    /**
+     * Parses text with the header row into the list of objects.
+     * @static
+     * @param {string} text - Text to parse.
+     * @param {string} [delimiter=","] - Cell delimiter.
+     * @returns {Array<Record<string, string>>} Rows as objects.
+     */
+    static parse(text: string, delimiter?: string | undefined): Array<Record<string, string>>;
+    /**
+     * Quotes the cell when it contains delimiter, quote or new line.
+     * @static
+     * @param {any} value - Cell value.
+     * @param {string} [delimiter=","] - Cell delimiter.
+     * @returns {string} Serialized cell.
+     */
+    static cell(value: any, delimiter?: string | undefined): string;
+    /**
+     * Serializes list of objects with the header row of all their keys,
+     * or list of arrays as rows.
+     * @static
+     * @param {Array<Record<string, any> | any[]>} rows - Rows to serialize.
+     * @param {string} [delimiter=","] - Cell delimiter.
+     * @returns {string} Serialized text.
+     */
+    static stringify(rows: Array<Record<string, any> | any[]>, delimiter?: string | undefined): string;
+}
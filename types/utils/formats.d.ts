@@ -0,0 +1,74 @@
+export default Formats;
+export type FormatCodec = {
+    /**
+     * Converts raw document text into the value
+     */
+    parse: (raw: string) => any;
+    /**
+     * Converts the value into raw document text
+     */
+    stringify: (value: any) => string;
+};
+/**
+ * @typedef {object} FormatCodec
+ * @property {(raw: string) => any} parse Converts raw document text into the value
+ * @property {(value: any) => string} stringify Converts the value into raw document text
+ */
+/**
+ * Registry of the document format codecs chosen by the file extension.
+ * Built-in codecs: .json, .ndjson, .jsonl, .csv, .tsv, .txt, .md, .yaml, .yml.
+ * @class
+ */
+declare class Formats {
+    /** @type {Record<string, FormatCodec>} */
+    static DEFAULTS: Record<string, FormatCodec>;
+    /** @type {Record<string, string>} Extensions sharing the codec of another extension */
+    static ALIASES: Record<string, string>;
+    /**
+     * Normalizes extension into lower case with leading dot.
+     * @param {string} ext
+     * @returns {string}
+     */
+    static normalize(ext: string): string;
+    /**
+     * Creates Formats from input or returns existing instance.
+     * @param {object|Formats} input
+     * @returns {Formats}
+     */
+    static from(input: object | Formats): Formats;
+    /**
+     * Creates a new Formats registry with the built-in codecs.
+     * @param {object} [input]
+     * @param {Record<string, FormatCodec>} [input.codecs={}] Additional or replacing codecs
+     */
+    constructor(input?: {
+        codecs?: Record<string, FormatCodec> | undefined;
+    } | undefined);
+    /** @type {Map<string, FormatCodec>} */
+    codecs: Map<string, FormatCodec>;
+    /**
+     * Registers the codec for the extension, replacing the previous one.
+     * @param {string} ext - Extension with or without leading dot, case insensitive
+     * @param {FormatCodec} codec
+     * @returns {void}
+     */
+    register(ext: string, codec: FormatCodec): void;
+    /**
+     * Removes the codec of the extension.
+     * @param {string} ext
+     * @returns {boolean} False if there was no codec
+     */
+    unregister(ext: string): boolean;
+    /**
+     * Returns codec of the extension.
+     * @param {string} ext - Extension with or without leading dot, case insensitive
+     * @returns {FormatCodec | undefined}
+     */
+    get(ext: string): FormatCodec | undefined;
+    /**
+     * Checks if there is a codec of the extension.
+     * @param {string} ext
+     * @returns {boolean}
+     */
+    has(ext: string): boolean;
+}
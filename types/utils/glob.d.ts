@@ -0,0 +1,115 @@
+export function match(pattern: string | string[], path: string): boolean;
+/**
+ * Checks if the string contains glob special characters.
+ * @param {any} str
+ * @returns {boolean}
+ */
+export function isGlob(str: any): boolean;
+export default Glob;
+/**
+ * Glob patterns matching for the document paths.
+ * Supports `*`, `**`, `?`, `{a,b}`, character classes `[a-z]`, `[!a-z]`
+ * and negation with leading `!`.
+ * Wildcards do not match segments starting with a dot, unless the `dot` option is set
+ * or the pattern segment starts with a dot itself.
+ * @class
+ */
+declare class Glob {
+    /**
+     * Splits the path into segments skipping empty and "." segments.
+     * @param {string} path
+     * @returns {string[]}
+     */
+    static split(path: string): string[];
+    /**
+     * Escapes regular expression special characters.
+     * @param {string} str
+     * @returns {string}
+     */
+    static escape(str: string): string;
+    /**
+     * Expands braces into the list of patterns, "{a,b}.txt" into ["a.txt", "b.txt"].
+     * @param {string} pattern
+     * @returns {string[]}
+     */
+    static expand(pattern: string): string[];
+    /**
+     * Checks if the string contains glob special characters.
+     * @param {any} str
+     * @returns {boolean}
+     */
+    static isGlob(str: any): boolean;
+    /**
+     * Creates Glob from pattern or returns existing instance.
+     * @param {string | string[] | Glob} input
+     * @returns {Glob}
+     */
+    static from(input: string | string[] | Glob): Glob;
+    /**
+     * Creates a new Glob instance
+     * @param {string | string[]} patterns - Pattern or list of patterns, negated with leading "!"
+     * @param {object} [options]
+     * @param {boolean} [options.dot=false] - Match segments starting with a dot by wildcards
+     */
+    constructor(patterns: string | string[], options?: {
+        dot?: boolean | undefined;
+    } | undefined);
+    /** @type {string[]} */
+    patterns: string[];
+    /** @type {boolean} */
+    dot: boolean;
+    /** @type {Array<Array<RegExp | null>>} Segment matchers, null stands for `**` */
+    include: Array<Array<RegExp | null>>;
+    /** @type {Array<Array<RegExp | null>>} */
+    exclude: Array<Array<RegExp | null>>;
+    /**
+     * Static directory prefix of the patterns, where the search can start from.
+     * For instance "src/data" for "src/data/**\/*.json".
+     * @returns {string}
+     */
+    get base(): string;
+    /**
+     * Compiles single path segment into regular expression.
+     * @param {string} segment
+     * @returns {RegExp}
+     */
+    compile(segment: string): RegExp;
+    /**
+     * Checks if the path matches the patterns.
+     * @param {string} path
+     * @returns {boolean}
+     */
+    test(path: string): boolean;
+    /**
+     * Checks if the directory may contain paths matching the patterns,
+     * used to prune unrelated branches while walking the tree.
+     * @param {string} dir
+     * @returns {boolean}
+     */
+    mayContain(dir: string): boolean;
+    /**
+     * Matches all path segments with the segment matchers.
+     * @param {Array<RegExp | null>} matchers
+     * @param {string[]} segments
+     * @param {number} [m=0]
+     * @param {number} [s=0]
+     * @returns {boolean}
+     */
+    matchSegments(matchers: Array<RegExp | null>, segments: string[], m?: number | undefined, s?: number | undefined): boolean;
+    /**
+     * Matches directory segments as a prefix of the path with the segment matchers.
+     * @param {Array<RegExp | null>} matchers
+     * @param {string[]} segments
+     * @param {number} [m=0]
+     * @param {number} [s=0]
+     * @returns {boolean}
+     */
+    matchPrefix(matchers: Array<RegExp | null>, segments: string[], m?: number | undefined, s?: number | undefined): boolean;
+    /**
+     * Checks if the `**` can consume the segment, hidden segments are skipped
+     * unless the dot option is set.
+     * @param {string} segment
+     * @returns {boolean}
+     */
+    matchesAny(segment: string): boolean;
+}
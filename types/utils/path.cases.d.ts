@@ -0,0 +1,20 @@
+/**
+ * Shared matrix of the path algebra cases for the database backends,
+ * every backend is expected to pass them with its resolveSync, absolute and relative.
+ * @example
+ * import { resolveCases } from "@nan0web/db/path.cases"
+ * for (const [args, expected] of resolveCases) {
+ * 	assert.strictEqual(db.resolveSync(...args), expected)
+ * }
+ */
+/** @type {Array<[string[], string]>} Arguments of resolveSync and the expected URI */
+export const resolveCases: Array<[string[], string]>;
+/** @type {string[][]} Arguments of resolveSync escaping above the root */
+export const rejectedCases: string[][];
+/** @type {Array<[string, string, string]>} Arguments of relative and the expected path */
+export const relativeCases: Array<[string, string, string]>;
+/** @type {Array<[{ root: string, cwd: string }, string[], string]>} Database, arguments of absolute and the expected path */
+export const absoluteCases: Array<[{
+    root: string;
+    cwd: string;
+}, string[], string]>;
@@ -0,0 +1,142 @@
+/**
+ * Normalizes the path: removes duplicate and trailing slashes, resolves "." and ".." segments.
+ * Leading ".." segments of relative paths are kept, absolute paths are kept absolute.
+ * @example
+ * Path.normalize("./a//b/../c/") // "a/c"
+ * Path.normalize("/a/./b") // "/a/b"
+ * Path.normalize("") // "."
+ * @param {string} path
+ * @returns {string}
+ */
+export function normalize(path: string): string;
+/**
+ * Joins path segments and normalizes the result.
+ * @param  {...string} args
+ * @returns {string}
+ */
+export function join(...args: string[]): string;
+/**
+ * Resolves path segments from left to right into the URI relative to the root,
+ * segment starting with "/" starts again from the root.
+ * @example
+ * Path.resolve("docs", "../index.json") // "index.json"
+ * Path.resolve("docs", "/index.json") // "index.json"
+ * Path.resolve("docs/") // "docs"
+ * Path.resolve() // "."
+ * @param  {...string} args
+ * @returns {string} URI without leading slash, "." for the root
+ * @throws {Error} If the path escapes above the root
+ */
+export function resolve(...args: string[]): string;
+/**
+ * Returns relative path from one URI to another, both are resolved from the root.
+ * @example
+ * Path.relative("docs/deep", "docs/a.txt") // "../a.txt"
+ * Path.relative(".", "docs/a.txt") // "docs/a.txt"
+ * Path.relative("docs", "docs") // ""
+ * @param {string} from
+ * @param {string} to
+ * @returns {string} Relative path, empty for the same URI
+ */
+export function relative(from: string, to: string): string;
+/**
+ * Returns directory of the URI, "." for the documents in the root.
+ * @param {string} path
+ * @returns {string}
+ */
+export function dirname(path: string): string;
+/**
+ * Returns the last segment of the URI, empty for the root.
+ * @param {string} path
+ * @returns {string}
+ */
+export function basename(path: string): string;
+/**
+ * Removes empty and "." segments from the URI without resolving "..",
+ * the root of the database is an empty string.
+ * @example
+ * Path.trim("./a//b/") // "a/b"
+ * Path.trim(".") // ""
+ * @param {string} uri
+ * @returns {string}
+ */
+export function trim(uri: string): string;
+export default Path;
+/**
+ * Platform independent POSIX-style path algebra of the document URIs.
+ * URIs are relative to the root of the database, "." is the root itself,
+ * leading "/" also refers to the root, so the paths never escape above it.
+ * @class
+ */
+declare class Path {
+    /**
+     * Normalizes the path: removes duplicate and trailing slashes, resolves "." and ".." segments.
+     * Leading ".." segments of relative paths are kept, absolute paths are kept absolute.
+     * @example
+     * Path.normalize("./a//b/../c/") // "a/c"
+     * Path.normalize("/a/./b") // "/a/b"
+     * Path.normalize("") // "."
+     * @param {string} path
+     * @returns {string}
+     */
+    static normalize(path: string): string;
+    /**
+     * Joins path segments and normalizes the result.
+     * @param  {...string} args
+     * @returns {string}
+     */
+    static join(...args: string[]): string;
+    /**
+     * Resolves path segments from left to right into the URI relative to the root,
+     * segment starting with "/" starts again from the root.
+     * @example
+     * Path.resolve("docs", "../index.json") // "index.json"
+     * Path.resolve("docs", "/index.json") // "index.json"
+     * Path.resolve("docs/") // "docs"
+     * Path.resolve() // "."
+     * @param  {...string} args
+     * @returns {string} URI without leading slash, "." for the root
+     * @throws {Error} If the path escapes above the root
+     */
+    static resolve(...args: string[]): string;
+    /**
+     * Returns relative path from one URI to another, both are resolved from the root.
+     * @example
+     * Path.relative("docs/deep", "docs/a.txt") // "../a.txt"
+     * Path.relative(".", "docs/a.txt") // "docs/a.txt"
+     * Path.relative("docs", "docs") // ""
+     * @param {string} from
+     * @param {string} to
+     * @returns {string} Relative path, empty for the same URI
+     */
+    static relative(from: string, to: string): string;
+    /**
+     * Returns directory of the URI, "." for the documents in the root.
+     * @param {string} path
+     * @returns {string}
+     */
+    static dirname(path: string): string;
+    /**
+     * Returns the last segment of the URI, empty for the root.
+     * @param {string} path
+     * @returns {string}
+     */
+    static basename(path: string): string;
+    /**
+     * Removes empty and "." segments from the URI without resolving "..",
+     * the root of the database is an empty string.
+     * @example
+     * Path.trim("./a//b/") // "a/b"
+     * Path.trim(".") // ""
+     * @param {string} uri
+     * @returns {string}
+     */
+    static trim(uri: string): string;
+    /**
+     * Returns segments of the resolved URI, empty array for the root.
+     * @param {string} path
+     * @returns {string[]}
+     * @throws {Error} If the path escapes above the root
+     */
+    static segments(path: string): string[];
+}
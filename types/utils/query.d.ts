@@ -0,0 +1,134 @@
+export default Query;
+/**
+ * Declarative query over JSON documents.
+ * Field paths use the Data divider syntax, for instance "author/name".
+ *
+ * Conditions of the where:
+ * - `{ field: value }` equality, array fields match when they include the value;
+ * - `{ field: { $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $regex, $options } }`;
+ * - `{ $and: [...], $or: [...], $not: {...} }` logical combinations.
+ * @class
+ */
+declare class Query {
+    /**
+     * Returns value of the document by the path.
+     * Array items are addressed as "[0]" (Data.ARRAY_WRAPPER) or "0".
+     * @param {any} doc
+     * @param {string} path
+     * @returns {any}
+     */
+    static value(doc: any, path: string): any;
+    /**
+     * Checks if the document matches the conditions.
+     * @param {any} doc
+     * @param {object} where
+     * @returns {boolean}
+     */
+    static match(doc: any, where: object): boolean;
+    /**
+     * Checks if the value matches the condition or the operators.
+     * @param {any} value
+     * @param {any} condition
+     * @returns {boolean}
+     */
+    static matchValue(value: any, condition: any): boolean;
+    /**
+     * Applies single operator.
+     * @param {string} op
+     * @param {any} value
+     * @param {any} arg
+     * @param {Record<string, any>} condition All operators of the field
+     * @returns {boolean}
+     */
+    static operate(op: string, value: any, arg: any, condition: Record<string, any>): boolean;
+    /**
+     * Checks if the condition is an object of operators.
+     * @param {any} condition
+     * @returns {boolean}
+     */
+    static isOperators(condition: any): boolean;
+    /**
+     * Checks equality of the value and expected, array values match when they include expected.
+     * @param {any} value
+     * @param {any} expected
+     * @returns {boolean}
+     */
+    static equals(value: any, expected: any): boolean;
+    /**
+     * Checks if two values can be compared, numbers with numbers, strings with strings.
+     * @param {any} a
+     * @param {any} b
+     * @returns {boolean}
+     */
+    static comparable(a: any, b: any): boolean;
+    /**
+     * Compares two values, undefined and null go last, strings are compared naturally.
+     * @param {any} a
+     * @param {any} b
+     * @returns {number}
+     */
+    static compareValues(a: any, b: any): number;
+    /**
+     * Creates Query from input or returns existing instance.
+     * @param {object|Query} input
+     * @returns {Query}
+     */
+    static from(input: object | Query): Query;
+    /**
+     * Creates a new Query instance
+     * @param {object} input
+     * @param {object} [input.where={}] Filter conditions
+     * @param {string | string[]} [input.select] Path of the value or list of paths to project
+     * @param {string | string[] | Record<string, "asc" | "desc">} [input.orderBy=[]] Sort paths
+     * @param {number} [input.limit=-1] Maximum number of results, -1 for no limit
+     * @param {number} [input.offset=0] Number of results to skip
+     */
+    constructor(input?: {
+        where?: object;
+        select?: string | string[] | undefined;
+        orderBy?: string | string[] | Record<string, "asc" | "desc"> | undefined;
+        limit?: number | undefined;
+        offset?: number | undefined;
+    });
+    /** @type {object} */
+    where: object;
+    /** @type {string | string[] | undefined} */
+    select: string | string[] | undefined;
+    /** @type {Array<[string, "asc" | "desc"]>} */
+    orderBy: Array<[string, "asc" | "desc"]>;
+    /** @type {number} */
+    limit: number;
+    /** @type {number} */
+    offset: number;
+    /**
+     * Checks if the document matches the where conditions.
+     * @param {any} doc
+     * @returns {boolean}
+     */
+    test(doc: any): boolean;
+    /**
+     * Projects the document into selected values.
+     * @param {any} doc
+     * @returns {any}
+     */
+    project(doc: any): any;
+    /**
+     * Compares two documents by the orderBy paths.
+     * @param {any} a
+     * @param {any} b
+     * @returns {number}
+     */
+    compare(a: any, b: any): number;
+    /**
+     * Filters, sorts, paginates and projects the documents.
+     * @param {Iterable<{ uri: string, data: any }>} records
+     * @returns {Array<{ uri: string, value: any }>}
+     */
+    run(records: Iterable<{
+        uri: string;
+        data: any;
+    }>): Array<{
+        uri: string;
+        value: any;
+    }>;
+}
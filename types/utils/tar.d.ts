@@ -0,0 +1,92 @@
+/**
+ * Parses entries of the archive, pax and GNU long name headers are applied
+ * to the following entry and are not returned.
+ * Entries with paths outside of the archive root, such as "../etc/passwd", are skipped.
+ * @example
+ * const entries = Tar.parse(new Uint8Array(await readFile("data.tar")))
+ * // [{ path: "posts/1.json", type: "0", size: 15, offset: 512, ... }]
+ * @param {Uint8Array} bytes - Archive content
+ * @returns {TarEntry[]}
+ * @throws {Error} If header checksum is invalid or archive is truncated
+ */
+export function parse(bytes: Uint8Array): TarEntry[];
+export default Tar;
+export type TarEntry = {
+    /**
+     * Path inside of the archive without leading "./" and trailing slash
+     */
+    path: string;
+    /**
+     * Type flag: "0" file, "1" hard link, "2" symbolic link,
+     * "3" character device, "4" block device, "5" directory, "6" FIFO
+     */
+    type: string;
+    /**
+     * Permission bits
+     */
+    mode: number;
+    uid: number;
+    gid: number;
+    /**
+     * Content size in bytes
+     */
+    size: number;
+    /**
+     * Modification time
+     */
+    mtimeMs: number;
+    /**
+     * Target of the link
+     */
+    linkname: string;
+    /**
+     * Offset of the content in the archive
+     */
+    offset: number;
+};
+/**
+ * POSIX ustar archive parsing with pax extended headers
+ * and GNU long names, for reading archives without extracting them.
+ * @class
+ */
+declare class Tar {
+    /** @type {number} Size of the header and content blocks */
+    static BLOCK: number;
+    /**
+     * Calculates checksum of the header, its checksum field is counted as spaces.
+     * @param {Uint8Array} header - Header block
+     * @returns {number}
+     */
+    static checksum(header: Uint8Array): number;
+    /**
+     * Resolves path of the entry inside of the archive.
+     * @param {string} path
+     * @returns {string | null} Resolved path or null if it points outside of the archive root
+     */
+    static resolve(path: string): string | null;
+    /**
+     * Decodes content of the entry as UTF-8 text.
+     * @param {Uint8Array} bytes
+     * @returns {string | null} Text or null if content is not valid UTF-8
+     */
+    static text(bytes: Uint8Array): string | null;
+    /**
+     * Parses pax extended header records "<length> <key>=<value>\n".
+     * @param {Uint8Array} bytes - Content of the pax header
+     * @returns {Record<string, string>}
+     * @throws {Error} If record is malformed
+     */
+    static pax(bytes: Uint8Array): Record<string, string>;
+    /**
+     * Parses entries of the archive, pax and GNU long name headers are applied
+     * to the following entry and are not returned.
+     * Entries with paths outside of the archive root, such as "../etc/passwd", are skipped.
+     * @example
+     * const entries = Tar.parse(new Uint8Array(await readFile("data.tar")))
+     * // [{ path: "posts/1.json", type: "0", size: 15, offset: 512, ... }]
+     * @param {Uint8Array} bytes - Archive content
+     * @returns {TarEntry[]}
+     * @throws {Error} If header checksum is invalid or archive is truncated
+     */
+    static parse(bytes: Uint8Array): TarEntry[];
+}
@@ -0,0 +1,186 @@
+/**
+ * Parses YAML text into the value.
+ * @static
+ * @param {string} text - YAML text.
+ * @returns {any} Parsed value.
+ * @throws {SyntaxError} If indentation does not match or the line is not a part of the collection.
+ */
+export function parse(text: string): any;
+/**
+ * Serializes the value into YAML text.
+ * @static
+ * @param {any} value - Value to serialize.
+ * @param {number} [indent=0] - Current indentation (used recursively).
+ * @returns {string} YAML text.
+ */
+export function stringify(value: any, indent?: number | undefined): string;
+export default YAML;
+/**
+ * Minimal YAML subset parsing and serialization:
+ * block mappings and sequences by indentation, flow collections `[a, b]` and `{a: 1}`,
+ * plain and quoted scalars, literal `|` and folded `>` block scalars, comments.
+ * Anchors, aliases, tags and multiple documents are not supported.
+ * @class
+ */
+declare class YAML {
+    /** @type {number} */
+    static INDENT: number;
+    /**
+     * Parses YAML text into the value.
+     * @static
+     * @param {string} text - YAML text.
+     * @returns {any} Parsed value.
+     * @throws {SyntaxError} If indentation does not match or the line is not a part of the collection.
+     */
+    static parse(text: string): any;
+    /**
+     * Throws the parse error for the current line.
+     * @static
+     * @param {{ lines: string[], i: number }} state
+     * @param {string} message
+     * @returns {never}
+     * @throws {SyntaxError}
+     */
+    static fail(state: {
+        lines: string[];
+        i: number;
+    }, message: string): never;
+    /**
+     * Moves the state to the next meaningful line skipping blank lines and comments.
+     * @static
+     * @param {{ lines: string[], i: number }} state
+     * @returns {void}
+     */
+    static skip(state: {
+        lines: string[];
+        i: number;
+    }): void;
+    /**
+     * Returns number of leading spaces.
+     * @static
+     * @param {string} line
+     * @returns {number}
+     */
+    static indentOf(line: string): number;
+    /**
+     * Parses block collection or scalar starting at the current line.
+     * @static
+     * @param {{ lines: string[], i: number }} state
+     * @param {number} indent
+     * @returns {any}
+     */
+    static block(state: {
+        lines: string[];
+        i: number;
+    }, indent: number): any;
+    /**
+     * Checks if the line content is a sequence item.
+     * @static
+     * @param {string} content
+     * @returns {boolean}
+     */
+    static isItem(content: string): boolean;
+    /**
+     * Parses block sequence.
+     * @static
+     * @param {{ lines: string[], i: number }} state
+     * @param {number} indent
+     * @returns {any[]}
+     */
+    static sequence(state: {
+        lines: string[];
+        i: number;
+    }, indent: number): any[];
+    /**
+     * Parses block mapping.
+     * @static
+     * @param {{ lines: string[], i: number }} state
+     * @param {number} indent
+     * @returns {Record<string, any>}
+     */
+    static mapping(state: {
+        lines: string[];
+        i: number;
+    }, indent: number): Record<string, any>;
+    /**
+     * Parses nested block deeper than indent, or null if there is none.
+     * @static
+     * @param {{ lines: string[], i: number }} state
+     * @param {number} indent
+     * @returns {any}
+     */
+    static nested(state: {
+        lines: string[];
+        i: number;
+    }, indent: number): any;
+    /**
+     * Parses literal "|" or folded ">" block scalar.
+     * @static
+     * @param {{ lines: string[], i: number }} state
+     * @param {number} indent Indent of the parent
+     * @param {string} header Block indicator with optional chomping
+     * @returns {string}
+     */
+    static blockScalar(state: {
+        lines: string[];
+        i: number;
+    }, indent: number, header: string): string;
+    /**
+     * Removes trailing comment outside of quotes.
+     * @static
+     * @param {string} content
+     * @returns {string}
+     */
+    static uncomment(content: string): string;
+    /**
+     * Splits "key: value" pair outside of quotes and flow collections.
+     * @static
+     * @param {string} content
+     * @returns {[string, string] | null}
+     */
+    static splitPair(content: string): [string, string] | null;
+    /**
+     * Splits flow collection content by top level commas.
+     * @static
+     * @param {string} content
+     * @returns {string[]}
+     */
+    static splitFlow(content: string): string[];
+    /**
+     * Parses scalar or flow collection.
+     * @static
+     * @param {string} content
+     * @returns {any}
+     */
+    static scalar(content: string): any;
+    /**
+     * Serializes the string, quoted when it could be read as another type.
+     * @static
+     * @param {string} str
+     * @returns {string}
+     */
+    static quote(str: string): string;
+    /**
+     * Serializes the value into YAML text.
+     * @static
+     * @param {any} value - Value to serialize.
+     * @param {number} [indent=0] - Current indentation (used recursively).
+     * @returns {string} YAML text.
+     */
+    static stringify(value: any, indent?: number | undefined): string;
+    /**
+     * Checks if the value is a non empty array or object.
+     * @static
+     * @param {any} value
+     * @returns {boolean}
+     */
+    static isCollection(value: any): boolean;
+    /**
+     * Serializes scalar or empty collection on the same line.
+     * @static
+     * @param {any} value
+     * @param {number} indent Indentation of the block scalar lines
+     * @returns {string}
+     */
+    static inline(value: any, indent: number): string;
+}